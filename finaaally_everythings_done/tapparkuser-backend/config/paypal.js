@@ -9,10 +9,13 @@ const PAYPAL_TIMEOUT_MS = parseInt(process.env.PAYPAL_TIMEOUT_MS, 10) || 20000;
 const PAYPAL_KEEPALIVE_MS = parseInt(process.env.PAYPAL_KEEPALIVE_MS, 10) || 60000;
 const PAYPAL_MAX_SOCKETS = parseInt(process.env.PAYPAL_MAX_SOCKETS, 10) || 25;
 const PAYPAL_DEBUG = process.env.PAYPAL_DEBUG === 'true';
+// ID of the webhook registered in the PayPal app, needed to verify the events it delivers
+const PAYPAL_WEBHOOK_ID = process.env.PAYPAL_WEBHOOK_ID;
 
-const PAYPAL_API_BASE = PAYPAL_MODE === 'sandbox' 
+// PAYPAL_API_BASE points the client somewhere else, e.g. at scripts/paypal-stand-in.js during development
+const PAYPAL_API_BASE = process.env.PAYPAL_API_BASE || (PAYPAL_MODE === 'sandbox'
   ? 'https://api-m.sandbox.paypal.com'
-  : 'https://api-m.paypal.com';
+  : 'https://api-m.paypal.com');
 
 const keepAliveAgent = new https.Agent({
   keepAlive: true,
@@ -161,11 +164,183 @@ const getOrderDetails = async (orderId) => {
   }
 };
 
+// Refund all or part of a capture. requestId (PayPal-Request-Id) makes a retried call return the first refund
+const refundCapture = async (captureId, amount, { currency = 'USD', requestId = null, noteToPayer = null } = {}) => {
+  try {
+    const accessToken = await generateAccessToken();
+
+    const response = await paypalClient.post(`/v2/payments/captures/${captureId}/refund`, {
+      amount: {
+        currency_code: currency,
+        value: parseFloat(amount).toFixed(2)
+      },
+      ...(noteToPayer && { note_to_payer: noteToPayer.slice(0, 255) })
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${accessToken}`,
+        ...(requestId && { 'PayPal-Request-Id': requestId })
+      }
+    });
+    if (PAYPAL_DEBUG) {
+      console.log(`↩️ PayPal refund capture=${captureId} amount=${amount}: ${response.data.status}`);
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Error refunding PayPal capture:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+// Start saving the payer's PayPal account for charges without them present (auto-renew); they approve it at the
+// returned setup token's approve link
+const createVaultSetupToken = async ({ returnUrl, cancelUrl }) => {
+  try {
+    const accessToken = await generateAccessToken();
+
+    const response = await paypalClient.post('/v3/vault/setup-tokens', {
+      payment_source: {
+        paypal: {
+          usage_type: 'MERCHANT',
+          customer_type: 'CONSUMER',
+          experience_context: {
+            return_url: returnUrl,
+            cancel_url: cancelUrl,
+            brand_name: 'TapPark',
+            shipping_preference: 'NO_SHIPPING'
+          }
+        }
+      }
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${accessToken}`
+      }
+    });
+
+    return response.data;
+  } catch (error) {
+    console.error('Error creating PayPal setup token:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+// Turn an approved setup token into a payment token that later orders can be charged to
+const createVaultPaymentToken = async (setupTokenId) => {
+  try {
+    const accessToken = await generateAccessToken();
+
+    const response = await paypalClient.post('/v3/vault/payment-tokens', {
+      payment_source: {
+        token: { id: setupTokenId, type: 'SETUP_TOKEN' }
+      }
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${accessToken}`
+      }
+    });
+
+    return response.data;
+  } catch (error) {
+    console.error('Error creating PayPal payment token:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+const deleteVaultPaymentToken = async (paymentTokenId) => {
+  try {
+    const accessToken = await generateAccessToken();
+
+    await paypalClient.delete(`/v3/vault/payment-tokens/${paymentTokenId}`, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`
+      }
+    });
+  } catch (error) {
+    console.error('Error deleting PayPal payment token:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+// Charge a saved PayPal account. PayPal captures such orders as it creates them; requestId (PayPal-Request-Id)
+// makes a retried call return the first order instead of charging twice
+const createVaultedOrder = async (amount, currency = 'USD', { vaultId, requestId = null }) => {
+  try {
+    const accessToken = await generateAccessToken();
+
+    const response = await paypalClient.post('/v2/checkout/orders', {
+      intent: 'CAPTURE',
+      purchase_units: [{
+        amount: {
+          currency_code: currency,
+          value: parseFloat(amount).toFixed(2)
+        }
+      }],
+      payment_source: {
+        paypal: { vault_id: vaultId }
+      }
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${accessToken}`,
+        ...(requestId && { 'PayPal-Request-Id': requestId })
+      }
+    });
+    if (PAYPAL_DEBUG) {
+      console.log(`🔁 PayPal vaulted order amount=${amount}: ${response.data.status}`);
+    }
+
+    return response.data;
+  } catch (error) {
+    console.error('Error creating PayPal vaulted order:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
+// Ask PayPal whether a webhook delivery really came from it, using the transmission headers it was sent with
+const verifyWebhookSignature = async (headers, event) => {
+  if (!PAYPAL_WEBHOOK_ID) {
+    throw new Error('PayPal webhook ID not configured');
+  }
+
+  try {
+    const accessToken = await generateAccessToken();
+
+    const response = await paypalClient.post('/v1/notifications/verify-webhook-signature', {
+      auth_algo: headers['paypal-auth-algo'],
+      cert_url: headers['paypal-cert-url'],
+      transmission_id: headers['paypal-transmission-id'],
+      transmission_sig: headers['paypal-transmission-sig'],
+      transmission_time: headers['paypal-transmission-time'],
+      webhook_id: PAYPAL_WEBHOOK_ID,
+      webhook_event: event
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${accessToken}`
+      }
+    });
+
+    return response.data.verification_status === 'SUCCESS';
+  } catch (error) {
+    console.error('Error verifying PayPal webhook signature:', error.response?.data || error.message);
+    throw error;
+  }
+};
+
 module.exports = {
   generateAccessToken,
   createOrder,
   captureOrder,
   getOrderDetails,
+  refundCapture,
+  createVaultSetupToken,
+  createVaultPaymentToken,
+  deleteVaultPaymentToken,
+  createVaultedOrder,
+  verifyWebhookSignature,
   PAYPAL_MODE,
   PAYPAL_API_BASE
 };
@@ -1,27 +1,19 @@
-const mysql = require('mysql2/promise');
 require('dotenv').config();
-
-// Configuration
-const GRACE_PERIOD_MINUTES = parseInt(process.env.GRACE_PERIOD_MINUTES) || 15;
-const DB_NAME = process.env.DB_NAME || 'merge1';
-
-// Database connection
-const dbConfig = {
-  host: process.env.DB_HOST || 'localhost',
-  user: process.env.DB_USER || 'root',
-  password: process.env.DB_PASSWORD || '',
-  database: DB_NAME,
-  charset: 'utf8mb4',
-  timezone: '+00:00'
-};
+const db = require('./config/database');
+const { GRACE_RULE_COLUMNS_SQL, loadGracePeriodRules, gracePeriodMinutesForRow } = require('./utils/gracePeriod');
+const { StrikeReasons, recordStrike, enforceStrikeThreshold } = require('./utils/noShowStrikes');
 
 /**
  * Grace Period Checker - Automatically expires old reservations
- * 
- * This script runs periodically to find and invalidate reservations that:
+ *
+ * The server runs the same sweep as its grace-period-sweep job (utils/gracePeriodSweep.js); run this script
+ * by hand or from external cron only when the server isn't running.
+ *
+ * It finds and invalidates reservations that:
  * 1. Have booking_status = 'pending'
  * 2. Have start_time IS NULL (user hasn't checked in)
- * 3. Are older than GRACE_PERIOD_MINUTES from creation time
+ * 3. Are older than their grace period from creation time (or from the scheduled start for advance bookings).
+ *    The grace period comes from the grace_period_rules row for the area, vehicle type and time of day.
  */
 class GracePeriodChecker {
   constructor() {
@@ -29,12 +21,15 @@ class GracePeriodChecker {
   }
 
   /**
-   * Initialize database connection
+   * Take a connection from the shared pool (configured by config/database.js)
    */
   async connect() {
     try {
-      this.connection = await mysql.createConnection(dbConfig);
-      console.log(`[${new Date().toISOString()}] Connected to database: ${DB_NAME}`);
+      if (!db.connection) {
+        await db.connect();
+      }
+      this.connection = await db.connection.getConnection();
+      console.log(`[${new Date().toISOString()}] Connected to database: ${db.config.database}`);
     } catch (error) {
       console.error(`[${new Date().toISOString()}] Database connection failed:`, error);
       throw error;
@@ -42,12 +37,12 @@ class GracePeriodChecker {
   }
 
   /**
-   * Close database connection
+   * Return the connection to the pool
    */
   async disconnect() {
     if (this.connection) {
-      await this.connection.end();
-      console.log(`[${new Date().toISOString()}] Database connection closed`);
+      this.connection.release();
+      this.connection = null;
     }
   }
 
@@ -65,7 +60,8 @@ class GracePeriodChecker {
         ps.parking_section_id,
         pa.parking_area_name,
         CONCAT(u.first_name, ' ', u.last_name) AS user_name,
-        v.plate_number
+        v.plate_number,
+        ${GRACE_RULE_COLUMNS_SQL}
       FROM reservations r
       JOIN parking_spot ps ON r.parking_spots_id = ps.parking_spot_id
       LEFT JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
@@ -74,12 +70,14 @@ class GracePeriodChecker {
       LEFT JOIN vehicles v ON r.vehicle_id = v.vehicle_id
       WHERE r.booking_status = 'reserved'
         AND r.start_time IS NULL
-        AND TIMESTAMPDIFF(MINUTE, r.time_stamp, NOW()) >= ?
     `;
 
     try {
-      const [rows] = await this.connection.execute(query, [GRACE_PERIOD_MINUTES]);
-      return rows;
+      const rules = await loadGracePeriodRules(this.connection);
+      const [rows] = await this.connection.execute(query);
+      return rows
+        .map(row => ({ ...row, grace_minutes: gracePeriodMinutesForRow(rules, row) }))
+        .filter(row => row.grace_waited_minutes >= row.grace_minutes);
     } catch (error) {
       console.error(`[${new Date().toISOString()}] Error finding expired reservations:`, error);
       throw error;
@@ -90,7 +88,7 @@ class GracePeriodChecker {
    * Process a single expired reservation
    */
   async processExpiredReservation(reservation) {
-    const transaction = await this.connection.beginTransaction();
+    await this.connection.beginTransaction();
     
     try {
       const {
@@ -102,19 +100,31 @@ class GracePeriodChecker {
         parking_section_id,
         parking_area_name = 'Unknown Area',
         user_name = 'Unknown User',
-        plate_number = 'Unknown Vehicle'
+        plate_number = 'Unknown Vehicle',
+        grace_minutes
       } = reservation;
 
-      // 1. Mark reservation as invalid and set waiting_end_time
-      await this.connection.execute(
+      // 1. Mark reservation as invalid and set waiting_end_time, unless the driver cancelled or checked in since it was found
+      const [expired] = await this.connection.execute(
         `UPDATE reservations 
          SET booking_status = 'invalid', 
              waiting_end_time = NOW(),
              updated_at = NOW() 
-         WHERE reservation_id = ?`,
+         WHERE reservation_id = ? AND booking_status = 'reserved' AND start_time IS NULL`,
         [reservation_id]
       );
 
+      if (expired.affectedRows === 0) {
+        // Its spot was already dealt with by the cancellation or check-in, and it is no no-show
+        await this.connection.rollback();
+        console.log(`[${new Date().toISOString()}] - Skipped reservation #${reservation_id}: no longer waiting for check-in`);
+        return {
+          success: true,
+          skipped: true,
+          reservation_id
+        };
+      }
+
       // 2. Update parking spot status to available
       await this.connection.execute(
         `UPDATE parking_spot 
@@ -137,7 +147,7 @@ class GracePeriodChecker {
       }
 
       // 4. Log the expiration
-      const description = `Reservation expired: ${user_name} did not check in within ${GRACE_PERIOD_MINUTES} minutes for spot ${spot_number} at ${parking_area_name}. Vehicle: ${plate_number}`;
+      const description = `Reservation expired: ${user_name} did not check in within ${grace_minutes} minutes for spot ${spot_number} at ${parking_area_name}. Vehicle: ${plate_number}`;
       
       await this.connection.execute(
         `INSERT INTO user_logs (user_id, target_id, action_type, description, timestamp) 
@@ -145,7 +155,16 @@ class GracePeriodChecker {
         [user_id, reservation_id, description]
       );
 
-      await transaction.commit();
+      // 5. Count it as a no-show strike
+      await recordStrike(this.connection, user_id, reservation_id, StrikeReasons.NO_SHOW);
+
+      await this.connection.commit();
+
+      try {
+        await enforceStrikeThreshold(user_id);
+      } catch (error) {
+        console.error(`[${new Date().toISOString()}] ✗ Failed to check the no-show strike threshold for user ${user_id}:`, error.message);
+      }
 
       console.log(`[${new Date().toISOString()}] ✓ Processed reservation #${reservation_id} (User: ${user_name}, Spot: ${spot_number})`);
       
@@ -158,7 +177,7 @@ class GracePeriodChecker {
       };
 
     } catch (error) {
-      await transaction.rollback();
+      await this.connection.rollback();
       console.error(`[${new Date().toISOString()}] ✗ Failed reservation #${reservation.reservation_id}:`, error.message);
       
       return {
@@ -175,7 +194,7 @@ class GracePeriodChecker {
   async run() {
     const startTime = Date.now();
     console.log(`[${new Date().toISOString()}] Grace Period Checker - Starting...`);
-    console.log(`[${new Date().toISOString()}] Grace period: ${GRACE_PERIOD_MINUTES} minutes`);
+    console.log(`[${new Date().toISOString()}] Grace periods: per area and vehicle type from grace_period_rules`);
 
     try {
       await this.connect();
@@ -223,7 +242,7 @@ class GracePeriodChecker {
 // Run the checker if this file is executed directly
 if (require.main === module) {
   const checker = new GracePeriodChecker();
-  checker.run().catch(error => {
+  checker.run().then(() => db.disconnect()).catch(error => {
     console.error(`[${new Date().toISOString()}] Unhandled error:`, error);
     process.exit(1);
   });
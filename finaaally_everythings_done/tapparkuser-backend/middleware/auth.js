@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const db = require('../config/database');
+const { isAccessTokenPayload, isAccessTokenRevoked, touchSession } = require('../utils/tokenService');
+const { Roles, getPermissionsForType } = require('../utils/permissions');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
 
 // Verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -33,7 +36,8 @@ const authenticateToken = async (req, res, next) => {
         console.error('❌ Invalid JWT token:', jwtError.message);
         return res.status(401).json({
           success: false,
-          message: 'Invalid token'
+          message: 'Invalid token',
+          errorCode: 'TOKEN_INVALID'
         });
       }
       
@@ -41,17 +45,19 @@ const authenticateToken = async (req, res, next) => {
         console.error('❌ Token expired');
         return res.status(401).json({
           success: false,
-          message: 'Token expired'
+          message: 'Token expired',
+          errorCode: 'TOKEN_EXPIRED'
         });
       }
       throw jwtError;
     }
 
-    if (!decoded || !decoded.userId) {
-      console.error('❌ Token decoded but missing userId:', decoded);
+    if (!isAccessTokenPayload(decoded)) {
+      console.error('❌ Token decoded but is not an access token:', decoded);
       return res.status(401).json({
         success: false,
-        message: 'Invalid token payload'
+        message: 'Invalid token payload',
+        errorCode: 'TOKEN_INVALID'
       });
     }
     
@@ -59,7 +65,7 @@ const authenticateToken = async (req, res, next) => {
     let user;
     try {
       user = await db.query(
-        `SELECT u.user_id, u.email, u.first_name, u.last_name, u.user_type_id, t.account_type_name 
+        `SELECT u.user_id, u.email, u.first_name, u.last_name, u.user_type_id, u.is_verified, u.two_factor_enabled, u.tokens_valid_after, t.account_type_name 
          FROM users u 
          LEFT JOIN types t ON u.user_type_id = t.type_id 
          WHERE u.user_id = ?`,
@@ -99,10 +105,24 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Reject tokens that were logged out or issued before "log out of all devices"
+    const { tokens_valid_after: tokensValidAfter, ...userInfo } = user[0];
+    if (await isAccessTokenRevoked(decoded, tokensValidAfter)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token revoked',
+        errorCode: 'TOKEN_REVOKED'
+      });
+    }
+
     // User is valid (no verification check needed for existing users)
 
-    // Add user info to request
-    req.user = user[0];
+    // Keep the device list's "last active" current; never fail the request over it
+    touchSession(decoded.sid, req.ip).catch(error => console.error('Session touch error:', error.message));
+
+    // Add user and token info to request
+    req.user = userInfo;
+    req.token = decoded;
     next();
   } catch (error) {
     console.error('❌ Auth middleware error:', {
@@ -136,8 +156,11 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (!isAccessTokenPayload(decoded)) {
+        return next();
+      }
       const user = await db.query(
-        `SELECT u.user_id, u.email, u.first_name, u.last_name, u.user_type_id, t.account_type_name 
+        `SELECT u.user_id, u.email, u.first_name, u.last_name, u.user_type_id, u.is_verified, u.two_factor_enabled, u.tokens_valid_after, t.account_type_name 
          FROM users u 
          LEFT JOIN types t ON u.user_type_id = t.type_id 
          WHERE u.user_id = ?`,
@@ -145,7 +168,11 @@ const optionalAuth = async (req, res, next) => {
       );
 
       if (user.length) {
-        req.user = user[0];
+        const { tokens_valid_after: tokensValidAfter, ...userInfo } = user[0];
+        if (!(await isAccessTokenRevoked(decoded, tokensValidAfter))) {
+          req.user = userInfo;
+          req.token = decoded;
+        }
       }
     }
     
@@ -198,9 +225,29 @@ const checkBalance = (requiredAmount = 0) => {
   };
 };
 
-// Admin only middleware
-const adminOnly = async (req, res, next) => {
-  try {
+// Require a verified email address (e.g. before booking)
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (!req.user.is_verified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before reserving a spot. Check your inbox or request a new verification email.',
+      errorCode: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
+// Restrict a route to one or more roles (types.account_type_name), e.g. requireRole(Roles.ADMIN)
+const requireRole = (...roles) => {
+  return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -208,29 +255,73 @@ const adminOnly = async (req, res, next) => {
       });
     }
 
-    // Check if user is admin (you can modify this logic based on your admin system)
-    const isAdmin = req.user.email === 'admin@tapparkuser.com' || req.user.role === 'admin';
-    
-    if (!isAdmin) {
+    if (!roles.includes(req.user.account_type_name)) {
+      console.log(`🚫 Role denied for user ${req.user.user_id} (${req.user.account_type_name}) on ${req.method} ${req.originalUrl}`);
       return res.status(403).json({
         success: false,
-        message: 'Admin access required'
+        message: 'You do not have access to this resource',
+        errorCode: 'FORBIDDEN'
       });
     }
 
     next();
-  } catch (error) {
-    console.error('Admin check error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Authorization error'
-    });
-  }
+  };
 };
 
+// Roles listed in TWO_FACTOR_REQUIRED_ROLES can't use privileged routes until they enroll; the /api/auth/2fa
+// routes stay open so they can
+const isTwoFactorSetupPending = (user) => isTwoFactorRequired(user.account_type_name) && !user.two_factor_enabled;
+
+// Require at least one of the given privileges, resolved through type_privileges for the user's type
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      const granted = await getPermissionsForType(req.user.user_type_id);
+      if (!permissions.some(permission => granted.has(permission))) {
+        console.log(`🚫 Permission denied for user ${req.user.user_id} (${req.user.account_type_name}) on ${req.method} ${req.originalUrl}`);
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to perform this action',
+          errorCode: 'FORBIDDEN'
+        });
+      }
+
+      if (isTwoFactorSetupPending(req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Set up two-factor authentication to continue',
+          errorCode: 'TWO_FACTOR_SETUP_REQUIRED'
+        });
+      }
+
+      req.permissions = granted;
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Authorization error'
+      });
+    }
+  };
+};
+
+// Admin only middleware
+const adminOnly = requireRole(Roles.ADMIN);
+
 module.exports = {
   authenticateToken,
   optionalAuth,
   checkBalance,
+  requireVerifiedEmail,
+  requireRole,
+  requirePermission,
   adminOnly
 };
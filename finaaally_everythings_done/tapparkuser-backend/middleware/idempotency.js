@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+
+// How long a key's response is kept for replays
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10);
+// A request still marked as processing after this long is assumed lost (e.g. the server restarted mid-request)
+const IDEMPOTENCY_STALE_SECONDS = 120;
+const MAX_KEY_LENGTH = 255;
+
+const hashRequestBody = (req) => crypto.createHash('sha256').update(JSON.stringify(req.body || {})).digest('hex');
+
+/**
+ * Take the key for this request: a new key, an expired one or one whose earlier request was lost.
+ * @returns {Promise<{claimed: boolean, existing?: Object}>} existing is the stored row when someone else holds it
+ */
+const claimKey = async (userId, key, endpoint, requestHash) => {
+  const inserted = await db.execute(
+    `INSERT IGNORE INTO idempotency_keys (user_id, idempotency_key, endpoint, request_hash)
+     VALUES (?, ?, ?, ?)`,
+    [userId, key, endpoint, requestHash]
+  );
+  if (inserted.affectedRows === 1) {
+    return { claimed: true };
+  }
+
+  const reclaimed = await db.execute(
+    `UPDATE idempotency_keys
+     SET endpoint = ?, request_hash = ?, status = 'processing', response_status = NULL, response_body = NULL,
+         created_at = NOW(), completed_at = NULL
+     WHERE user_id = ? AND idempotency_key = ?
+       AND (created_at < DATE_SUB(NOW(), INTERVAL ? HOUR)
+         OR (status = 'processing' AND created_at < DATE_SUB(NOW(), INTERVAL ? SECOND)))`,
+    [endpoint, requestHash, userId, key, IDEMPOTENCY_KEY_TTL_HOURS, IDEMPOTENCY_STALE_SECONDS]
+  );
+  if (reclaimed.affectedRows === 1) {
+    return { claimed: true };
+  }
+
+  const rows = await db.query(
+    `SELECT endpoint, request_hash, status, response_status, response_body
+     FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?`,
+    [userId, key]
+  );
+  // Deleted in between (the other request failed); the client can simply retry
+  return { claimed: false, existing: rows[0] || null };
+};
+
+// Keep the response for replays; server errors release the key so the request can be retried for real
+const recordOutcome = async (userId, key, statusCode, body) => {
+  if (statusCode >= 500 || body === undefined) {
+    await db.execute('DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?', [userId, key]);
+    return;
+  }
+
+  await db.execute(
+    `UPDATE idempotency_keys
+     SET status = 'completed', response_status = ?, response_body = ?, completed_at = NOW()
+     WHERE user_id = ? AND idempotency_key = ?`,
+    [statusCode, JSON.stringify(body), userId, key]
+  );
+};
+
+/**
+ * Make a POST route safe to retry: a request carrying an Idempotency-Key header that was already handled gets the
+ * original response back (with Idempotent-Replayed: true) instead of running again. Keys are per user, so this
+ * goes after authenticateToken; requests without the header are handled as usual.
+ * @param {string} endpoint - Name of the route, so a key can't be reused for a different call
+ */
+const idempotent = (endpoint) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (key.trim() === '' || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`,
+      errorCode: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  const userId = req.user.user_id;
+  const requestHash = hashRequestBody(req);
+
+  try {
+    const { claimed, existing } = await claimKey(userId, key, endpoint, requestHash);
+
+    if (!claimed) {
+      if (existing && (existing.endpoint !== endpoint || existing.request_hash !== requestHash)) {
+        return res.status(422).json({
+          success: false,
+          message: 'This Idempotency-Key was already used for a different request',
+          errorCode: 'IDEMPOTENCY_KEY_REUSED'
+        });
+      }
+
+      if (!existing || existing.status === 'processing') {
+        return res.status(409).json({
+          success: false,
+          message: 'This request is still being processed. Please wait a moment before checking again.',
+          errorCode: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+        });
+      }
+
+      console.log(`🔁 Replaying ${endpoint} response for user ${userId} (Idempotency-Key ${key})`);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response_status).json(JSON.parse(existing.response_body));
+    }
+  } catch (error) {
+    console.error('Idempotency key error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to process request'
+    });
+  }
+
+  // Store the outcome before the client sees it, so a retry racing the response finds it
+  let recorded = false;
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    recorded = true;
+    recordOutcome(userId, key, res.statusCode, body)
+      .catch((error) => console.error('Failed to store idempotent response:', error))
+      .finally(() => sendJson(body));
+    return res;
+  };
+  // Answered without res.json, so there is nothing to replay; release the key
+  res.on('finish', () => {
+    if (!recorded) {
+      recordOutcome(userId, key, 500)
+        .catch((error) => console.error('Failed to release idempotency key:', error));
+    }
+  });
+
+  next();
+};
+
+// Forget keys that can no longer be replayed
+const pruneIdempotencyKeys = async () => {
+  const result = await db.execute(
+    'DELETE FROM idempotency_keys WHERE created_at < DATE_SUB(NOW(), INTERVAL ? HOUR)',
+    [IDEMPOTENCY_KEY_TTL_HOURS]
+  );
+  return { deleted: result.affectedRows };
+};
+
+module.exports = {
+  IDEMPOTENCY_KEY_TTL_HOURS,
+  idempotent,
+  pruneIdempotencyKeys
+};
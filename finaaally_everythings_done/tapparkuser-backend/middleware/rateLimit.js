@@ -0,0 +1,53 @@
+const rateLimit = require('express-rate-limit');
+
+const LOGIN_RATE_LIMIT_WINDOW_MINUTES = parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MINUTES || '15', 10);
+const LOGIN_RATE_LIMIT_MAX = parseInt(process.env.LOGIN_RATE_LIMIT_MAX || '20', 10);
+const PASSWORD_RESET_RATE_LIMIT_WINDOW_MINUTES = parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_WINDOW_MINUTES || '15', 10);
+const PASSWORD_RESET_RATE_LIMIT_MAX = parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_MAX || '10', 10);
+
+// Per-IP limit on failed logins; successful logins don't count against it
+const loginRateLimiter = rateLimit({
+  windowMs: LOGIN_RATE_LIMIT_WINDOW_MINUTES * 60 * 1000,
+  limit: LOGIN_RATE_LIMIT_MAX,
+  skipSuccessfulRequests: true,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    const retryAt = req.rateLimit && req.rateLimit.resetTime ? req.rateLimit.resetTime : null;
+    console.log(`🚫 Login rate limit hit for IP ${req.ip}`);
+    res.status(options.statusCode).json({
+      success: false,
+      message: 'Too many failed login attempts from this device. Please try again later.',
+      errorCode: 'TOO_MANY_LOGIN_ATTEMPTS',
+      data: {
+        lockedUntil: retryAt ? new Date(retryAt).toISOString() : null
+      }
+    });
+  }
+});
+
+// Per-IP limit on password reset requests and confirmations, so codes can't be mailed to an address over and over
+// or guessed
+const passwordResetRateLimiter = rateLimit({
+  windowMs: PASSWORD_RESET_RATE_LIMIT_WINDOW_MINUTES * 60 * 1000,
+  limit: PASSWORD_RESET_RATE_LIMIT_MAX,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    const retryAt = req.rateLimit && req.rateLimit.resetTime ? req.rateLimit.resetTime : null;
+    console.log(`🚫 Password reset rate limit hit for IP ${req.ip}`);
+    res.status(options.statusCode).json({
+      success: false,
+      message: 'Too many password reset attempts from this device. Please try again later.',
+      errorCode: 'TOO_MANY_PASSWORD_RESET_ATTEMPTS',
+      data: {
+        lockedUntil: retryAt ? new Date(retryAt).toISOString() : null
+      }
+    });
+  }
+});
+
+module.exports = {
+  loginRateLimiter,
+  passwordResetRateLimiter
+};
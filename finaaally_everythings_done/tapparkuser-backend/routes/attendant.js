@@ -1,13 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { Permissions } = require('../utils/permissions');
 const { logUserActivity, ActionTypes } = require('../utils/userLogger');
+const { CHARGE_START_SQL, PLANNED_END_SQL, OVERSTAY_SECONDS_SQL } = require('../utils/reservationSchedule');
+const { releaseReservationHold } = require('../utils/bookingCancellation');
+const { offerReleasedCapacity } = require('../utils/waitlist');
+const { getAreaOverstays } = require('../utils/overstay');
+const { NOT_LAPSED_SQL, SOONEST_EXPIRING_FIRST_SQL } = require('../utils/subscriptionExpiry');
 const bcrypt = require('bcryptjs');
 const QRCode = require('qrcode');
 
 // Get vehicle types with occupied, vacant, and total capacity
-router.get('/vehicle-types', authenticateToken, async (req, res) => {
+router.get('/vehicle-types', authenticateToken, requirePermission(Permissions.OPERATE_KIOSK), async (req, res) => {
   try {
     console.log('📊 Fetching vehicle types data...');
 
@@ -68,7 +74,7 @@ router.get('/vehicle-types', authenticateToken, async (req, res) => {
 });
 
 // Get parking slots with detailed information
-router.get('/parking-slots', authenticateToken, async (req, res) => {
+router.get('/parking-slots', authenticateToken, requirePermission(Permissions.VIEW_ALL_RESERVATIONS), async (req, res) => {
   try {
     console.log('📊 Fetching parking slots data for attendant:', req.user.user_id);
 
@@ -76,8 +82,7 @@ router.get('/parking-slots', authenticateToken, async (req, res) => {
     const attendantQuery = `
       SELECT assigned_area_id
       FROM users u
-      LEFT JOIN types t ON u.user_type_id = t.type_id
-      WHERE u.user_id = ? AND t.account_type_name = 'Attendant'
+      WHERE u.user_id = ?
     `;
 
     const attendantResults = await db.query(attendantQuery, [req.user.user_id]);
@@ -138,6 +143,7 @@ router.get('/parking-slots', authenticateToken, async (req, res) => {
     `;
 
     const results = await db.query(query, [assignedAreaId]);
+    const overstays = await getAreaOverstays(assignedAreaId);
     
     console.log(`Found ${results.length} parking slots for assigned area ${assignedAreaId}`);
 
@@ -149,7 +155,9 @@ router.get('/parking-slots', authenticateToken, async (req, res) => {
       status: slot.status || 'available', // Default to 'available' if status is empty/null
       section: slot.section,
       areaName: slot.areaName,
-      location: slot.location
+      location: slot.location,
+      // Set while the session on the spot is past the driver's hours or the area's maximum stay
+      overstay: overstays.get(slot.id) || null
     }));
 
     res.json({
@@ -170,7 +178,7 @@ router.get('/parking-slots', authenticateToken, async (req, res) => {
 });
 
 // Get dashboard statistics
-router.get('/dashboard-stats', authenticateToken, async (req, res) => {
+router.get('/dashboard-stats', authenticateToken, requirePermission(Permissions.VIEW_ALL_RESERVATIONS), async (req, res) => {
   try {
     console.log('📊 Fetching dashboard statistics...');
 
@@ -232,7 +240,7 @@ router.get('/dashboard-stats', authenticateToken, async (req, res) => {
 });
 
 // Get detailed information for a specific parking slot
-router.get('/parking-slot/:slotId', authenticateToken, async (req, res) => {
+router.get('/parking-slot/:slotId', authenticateToken, requirePermission(Permissions.VIEW_ALL_RESERVATIONS), async (req, res) => {
   try {
     const { slotId } = req.params;
     console.log(`📊 Fetching details for parking slot: ${slotId}`);
@@ -312,7 +320,7 @@ router.get('/parking-slot/:slotId', authenticateToken, async (req, res) => {
 });
 
 // Get attendant profile information
-router.get('/profile', authenticateToken, async (req, res) => {
+router.get('/profile', authenticateToken, requirePermission(Permissions.OPERATE_KIOSK), async (req, res) => {
   try {
     console.log(`📊 Fetching attendant profile for user: ${req.user.user_id}`);
 
@@ -331,7 +339,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
       FROM users u
       LEFT JOIN types t ON u.user_type_id = t.type_id
       LEFT JOIN parking_area pa ON u.assigned_area_id = pa.parking_area_id
-      WHERE u.user_id = ? AND t.account_type_name = 'Attendant'
+      WHERE u.user_id = ?
     `;
 
     const results = await db.query(query, [req.user.user_id]);
@@ -381,7 +389,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
 });
 
 // Get attendant notification preferences
-router.get('/notification-settings', authenticateToken, async (req, res) => {
+router.get('/notification-settings', authenticateToken, requirePermission(Permissions.OPERATE_KIOSK), async (req, res) => {
   try {
     console.log(`📊 Fetching notification settings for user: ${req.user.user_id}`);
 
@@ -412,7 +420,7 @@ router.get('/notification-settings', authenticateToken, async (req, res) => {
 });
 
 // Update attendant notification preferences
-router.put('/notification-settings', authenticateToken, async (req, res) => {
+router.put('/notification-settings', authenticateToken, requirePermission(Permissions.OPERATE_KIOSK), async (req, res) => {
   try {
     const { notificationSettings } = req.body;
     console.log(`📊 Updating notification settings for user: ${req.user.user_id}`, notificationSettings);
@@ -439,7 +447,7 @@ router.put('/notification-settings', authenticateToken, async (req, res) => {
 });
 
 // Start parking session via QR scan (attendant)
-router.post('/start-parking-session', authenticateToken, async (req, res) => {
+router.post('/start-parking-session', authenticateToken, requirePermission(Permissions.OPERATE_KIOSK), async (req, res) => {
   try {
     const { qrCodeData } = req.body;
 
@@ -596,6 +604,20 @@ router.post('/start-parking-session', authenticateToken, async (req, res) => {
     }
 
     if (reservation.length === 0) {
+      // Scheduled bookings can only be started once their spot is held, shortly before the booked time
+      const scheduled = await db.query(
+        `SELECT scheduled_start_time FROM reservations
+         WHERE ${qrKey ? 'qr_key' : 'reservation_id'} = ? AND booking_status = 'scheduled'`,
+        [qrKey || reservationId]
+      );
+      if (scheduled.length > 0) {
+        return res.status(400).json({
+          success: false,
+          errorCode: 'BOOKING_NOT_STARTED',
+          message: `This booking is scheduled for ${new Date(scheduled[0].scheduled_start_time).toLocaleString()}. Please come back closer to that time.`
+        });
+      }
+
       return res.status(404).json({
         success: false,
         message: 'Reservation not found or already started'
@@ -719,7 +741,7 @@ router.post('/start-parking-session', authenticateToken, async (req, res) => {
 });
 
 // End parking session via QR scan (attendant)
-router.post('/end-parking-session', authenticateToken, async (req, res) => {
+router.post('/end-parking-session', authenticateToken, requirePermission(Permissions.OPERATE_KIOSK), async (req, res) => {
   try {
     const { qrCodeData } = req.body;
 
@@ -922,9 +944,13 @@ router.post('/end-parking-session', authenticateToken, async (req, res) => {
         r.start_time,
         r.end_time,
         -- Calculate in database for accuracy
-        ROUND(TIMESTAMPDIFF(SECOND, r.created_at, r.end_time) / 3600, 4) AS total_hours,
-        ROUND(TIMESTAMPDIFF(SECOND, r.created_at, r.start_time) / 3600, 4) AS wait_hours,
-        ROUND(TIMESTAMPDIFF(SECOND, r.start_time, r.end_time) / 3600, 4) AS parking_hours
+        -- Billing starts at the scheduled start for advance bookings
+        ROUND(TIMESTAMPDIFF(SECOND, ${CHARGE_START_SQL}, r.end_time) / 3600, 4) AS total_hours,
+        ROUND(TIMESTAMPDIFF(SECOND, ${CHARGE_START_SQL}, r.start_time) / 3600, 4) AS wait_hours,
+        ROUND(TIMESTAMPDIFF(SECOND, r.start_time, r.end_time) / 3600, 4) AS parking_hours,
+        -- Time past the end the driver planned (declared, extended or scheduled)
+        ${PLANNED_END_SQL} AS intended_end_time,
+        ROUND(${OVERSTAY_SECONDS_SQL} / 3600, 4) AS overstay_hours
       FROM reservations r
       WHERE r.reservation_id = ?
     `, [reservationData.reservation_id]);
@@ -951,6 +977,10 @@ router.post('/end-parking-session', authenticateToken, async (req, res) => {
     
     // Ensure minimum charge (even for very short durations)
     const durationHours = Math.max(0.0167, totalDuration); // 0.0167 hours = 1 minute
+
+    // Split the charge into the planned stay and the overstay past the planned end
+    const overstayTime = Math.min(durationHours, parseFloat(durationData.overstay_hours ?? 0));
+    const plannedTime = durationHours - overstayTime;
     
     console.log(`💰 Database-calculated billing breakdown:`);
     console.log(`   Created: ${durationData.created_at}`);
@@ -958,6 +988,8 @@ router.post('/end-parking-session', authenticateToken, async (req, res) => {
     console.log(`   Ended: ${durationData.end_time}`);
     console.log(`   Wait time: ${waitTime.toFixed(4)} hours (${(waitTime * 60).toFixed(1)} minutes)`);
     console.log(`   Parking time: ${parkingTime.toFixed(4)} hours (${(parkingTime * 60).toFixed(1)} minutes)`);
+    console.log(`   Planned end: ${durationData.intended_end_time || 'Not set'}`);
+    console.log(`   Overstay: ${overstayTime.toFixed(4)} hours (${(overstayTime * 60).toFixed(1)} minutes)`);
     console.log(`   Total charged: ${durationHours.toFixed(4)} hours`);
 
     // Get user's subscription hours balance
@@ -973,12 +1005,12 @@ router.post('/end-parking-session', authenticateToken, async (req, res) => {
     // Calculate charge (hours used)
     const chargeHours = durationHours;
 
-    // Get active subscription BEFORE updating (to ensure we have the right data)
+    // Get the subscription to charge, the one expiring soonest, BEFORE updating (to ensure we have the right data)
     const activeSubscription = await db.query(`
       SELECT subscription_id, hours_remaining
       FROM subscriptions
-      WHERE user_id = ? AND status = 'active' AND hours_remaining > 0
-      ORDER BY purchase_date ASC
+      WHERE user_id = ? AND status = 'active' AND hours_remaining > 0 AND ${NOT_LAPSED_SQL}
+      ORDER BY ${SOONEST_EXPIRING_FIRST_SQL}
       LIMIT 1
     `, [reservationData.user_id]);
 
@@ -1097,6 +1129,12 @@ router.post('/end-parking-session', authenticateToken, async (req, res) => {
     // Use transaction to ensure all updates happen atomically
     await db.transaction(transactionQueries);
 
+    // Hand the freed spot or section unit to the next driver on the waitlist
+    offerReleasedCapacity({
+      spotId: reservationData.booking_type === 'capacity_section' ? 0 : reservationData.parking_spots_id,
+      sectionId: reservationData.parking_section_id
+    });
+
     // Verify the deduction by getting updated balance (include all active subscriptions, even if hours_remaining is 0)
     const updatedSubscriptionHours = await db.query(`
       SELECT 
@@ -1114,7 +1152,7 @@ router.post('/end-parking-session', authenticateToken, async (req, res) => {
     await logUserActivity(
       reservationData.user_id,
       ActionTypes.PARKING_END,
-      `${reservationData.booking_status === 'reserved' ? 'Reserved parking' : 'Parking session'} ended by attendant: Spot ${reservationData.spot_number} at ${reservationData.parking_area_name}. Duration: ${durationHours} hours, ${hoursToDeduct} hours deducted`,
+      `${reservationData.booking_status === 'reserved' ? 'Reserved parking' : 'Parking session'} ended by attendant: Spot ${reservationData.spot_number} at ${reservationData.parking_area_name}. Duration: ${durationHours} hours${overstayTime > 0 ? ` (${Math.round(overstayTime * 60)} min past the planned end)` : ''}, ${hoursToDeduct} hours deducted`,
       reservationData.reservation_id
     );
 
@@ -1125,6 +1163,10 @@ router.post('/end-parking-session', authenticateToken, async (req, res) => {
       ? 'Reserved parking ended successfully' 
       : 'Parking session ended successfully';
       
+    if (overstayTime > 0) {
+      responseMessage += `. You stayed ${Math.round(overstayTime * 60)} minutes past your planned end time`;
+    }
+
     if (penaltyHours > 0) {
       const penaltyHoursFormatted = Math.floor(penaltyHours);
       const penaltyMinutesFormatted = Math.round((penaltyHours - penaltyHoursFormatted) * 60);
@@ -1156,9 +1198,15 @@ router.post('/end-parking-session', authenticateToken, async (req, res) => {
           waitTimeMinutes: Math.round(waitTime * 60),
           parkingTimeHours: parkingTime,
           parkingTimeMinutes: Math.round(parkingTime * 60),
+          intendedEndTime: durationData.intended_end_time || null,
+          plannedTimeHours: plannedTime,
+          plannedTimeMinutes: Math.round(plannedTime * 60),
+          overstayTimeHours: overstayTime,
+          overstayTimeMinutes: Math.round(overstayTime * 60),
           totalChargedHours: durationHours,
           totalChargedMinutes: Math.round(durationHours * 60),
-          breakdown: `Wait time: ${Math.round(waitTime * 60)} min + Parking time: ${Math.round(parkingTime * 60)} min = ${durationHours.toFixed(2)} hrs charged`
+          breakdown: `Wait time: ${Math.round(waitTime * 60)} min + Parking time: ${Math.round(parkingTime * 60)} min = ${durationHours.toFixed(2)} hrs charged` +
+            (overstayTime > 0 ? ` (${Math.round(plannedTime * 60)} min planned + ${Math.round(overstayTime * 60)} min overstay)` : '')
         }
       }
     });
@@ -1174,7 +1222,7 @@ router.post('/end-parking-session', authenticateToken, async (req, res) => {
 });
 
 // Get current parking session status for a reservation (for real-time updates)
-router.get('/parking-session-status/:reservationId', authenticateToken, async (req, res) => {
+router.get('/parking-session-status/:reservationId', authenticateToken, requirePermission(Permissions.OPERATE_KIOSK), async (req, res) => {
   try {
     const { reservationId } = req.params;
     console.log(`📊 Getting parking session status for reservation ID: ${reservationId}`);
@@ -1188,6 +1236,7 @@ router.get('/parking-session-status/:reservationId', authenticateToken, async (r
         r.booking_status,
         r.start_time,
         r.end_time,
+        ${PLANNED_END_SQL} AS intended_end_time,
         v.plate_number,
         ps.spot_number,
         pa.parking_area_name,
@@ -1231,6 +1280,7 @@ router.get('/parking-session-status/:reservationId', authenticateToken, async (r
         status: reservationData.booking_status,
         startTime: reservationData.start_time,
         endTime: reservationData.end_time,
+        intendedEndTime: reservationData.intended_end_time || null,
         durationMinutes: durationMinutes
       }
     });
@@ -1246,7 +1296,7 @@ router.get('/parking-session-status/:reservationId', authenticateToken, async (r
 });
 
 // Get parking session status by QR code (for real-time updates)
-router.get('/parking-session-status-qr/:qrCode', authenticateToken, async (req, res) => {
+router.get('/parking-session-status-qr/:qrCode', authenticateToken, requirePermission(Permissions.OPERATE_KIOSK), async (req, res) => {
   try {
     const { qrCode } = req.params;
 
@@ -1271,6 +1321,7 @@ router.get('/parking-session-status-qr/:qrCode', authenticateToken, async (req,
         r.booking_status,
         r.start_time,
         r.end_time,
+        ${PLANNED_END_SQL} AS intended_end_time,
         v.plate_number,
         ps.spot_number,
         pa.parking_area_name,
@@ -1314,6 +1365,7 @@ router.get('/parking-session-status-qr/:qrCode', authenticateToken, async (req,
         status: reservationData.booking_status,
         startTime: reservationData.start_time,
         endTime: reservationData.end_time,
+        intendedEndTime: reservationData.intended_end_time || null,
         durationMinutes: durationMinutes
       }
     });
@@ -1329,7 +1381,7 @@ router.get('/parking-session-status-qr/:qrCode', authenticateToken, async (req,
 });
 
 // Get parking scan history for attendants
-router.get('/scan-history', authenticateToken, async (req, res) => {
+router.get('/scan-history', authenticateToken, requirePermission(Permissions.VIEW_ALL_RESERVATIONS), async (req, res) => {
   try {
 
     // Get all QR scan tracking records with additional details
@@ -1379,35 +1431,8 @@ router.get('/scan-history', authenticateToken, async (req, res) => {
 });
 
 // Admin: Create guest booking for available parking spot
-router.post('/create-guest-booking', authenticateToken, async (req, res) => {
+router.post('/create-guest-booking', authenticateToken, requirePermission(Permissions.OPERATE_KIOSK), async (req, res) => {
   try {
-    // Check if user is admin
-    const userCheck = await db.query(`
-      SELECT u.user_id, u.user_type_id, t.account_type_name
-      FROM users u
-      LEFT JOIN types t ON u.user_type_id = t.type_id
-      WHERE u.user_id = ?
-    `, [req.user.user_id]);
-
-    if (userCheck.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    // Allow both Admin and Attendant to create guest bookings
-    const isAdminOrAttendant = userCheck[0].account_type_name === 'Admin' || 
-                               userCheck[0].account_type_name === 'Attendant' || 
-                               userCheck[0].user_type_id === 3 || 
-                               userCheck[0].user_type_id === 2;
-    if (!isAdminOrAttendant) {
-      return res.status(403).json({
-        success: false,
-        message: 'Admin or Attendant access required'
-      });
-    }
-
     const { spotId, firstName, lastName, plateNumber, vehicleType, brand, model, color } = req.body;
 
     // Debug: Log received parameters
@@ -1658,7 +1683,7 @@ router.post('/create-guest-booking', authenticateToken, async (req, res) => {
 });
 
 // Check if plate number already exists
-router.get('/check-plate/:plateNumber', authenticateToken, async (req, res) => {
+router.get('/check-plate/:plateNumber', authenticateToken, requirePermission(Permissions.OPERATE_KIOSK), async (req, res) => {
   try {
     const { plateNumber } = req.params;
     
@@ -1702,35 +1727,8 @@ router.get('/check-plate/:plateNumber', authenticateToken, async (req, res) => {
 });
 
 // Admin/Attendant: End parking session (for occupied spots)
-router.put('/end-parking-session/:reservationId', authenticateToken, async (req, res) => {
+router.put('/end-parking-session/:reservationId', authenticateToken, requirePermission(Permissions.OVERRIDE_SPOT), async (req, res) => {
   try {
-    // Check if user is admin or attendant
-    const userCheck = await db.query(`
-      SELECT u.user_id, u.user_type_id, t.account_type_name
-      FROM users u
-      LEFT JOIN types t ON u.user_type_id = t.type_id
-      WHERE u.user_id = ?
-    `, [req.user.user_id]);
-
-    if (userCheck.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    const isAdminOrAttendant = userCheck[0].account_type_name === 'Admin' || 
-                               userCheck[0].account_type_name === 'Attendant' || 
-                               userCheck[0].user_type_id === 3 || 
-                               userCheck[0].user_type_id === 2;
-    
-    if (!isAdminOrAttendant) {
-      return res.status(403).json({
-        success: false,
-        message: 'Admin or Attendant access required'
-      });
-    }
-
     const { reservationId } = req.params;
 
     // Get reservation details
@@ -1782,6 +1780,8 @@ router.put('/end-parking-session/:reservationId', authenticateToken, async (req,
       await connection.commit();
       connection.release();
 
+      offerReleasedCapacity({ spotId: reservation.parking_spots_id });
+
       // Log activity
       await logUserActivity(
         req.user.user_id,
@@ -1819,35 +1819,8 @@ router.put('/end-parking-session/:reservationId', authenticateToken, async (req,
 });
 
 // Admin/Attendant: Cancel booking (for reserved spots)
-router.put('/cancel-booking/:reservationId', authenticateToken, async (req, res) => {
+router.put('/cancel-booking/:reservationId', authenticateToken, requirePermission(Permissions.OVERRIDE_SPOT), async (req, res) => {
   try {
-    // Check if user is admin or attendant
-    const userCheck = await db.query(`
-      SELECT u.user_id, u.user_type_id, t.account_type_name
-      FROM users u
-      LEFT JOIN types t ON u.user_type_id = t.type_id
-      WHERE u.user_id = ?
-    `, [req.user.user_id]);
-
-    if (userCheck.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    const isAdminOrAttendant = userCheck[0].account_type_name === 'Admin' || 
-                               userCheck[0].account_type_name === 'Attendant' || 
-                               userCheck[0].user_type_id === 3 || 
-                               userCheck[0].user_type_id === 2;
-    
-    if (!isAdminOrAttendant) {
-      return res.status(403).json({
-        success: false,
-        message: 'Admin or Attendant access required'
-      });
-    }
-
     const { reservationId } = req.params;
 
     // Get reservation details
@@ -1856,6 +1829,7 @@ router.put('/cancel-booking/:reservationId', authenticateToken, async (req, res)
         r.reservation_id,
         r.user_id,
         r.parking_spots_id,
+        r.parking_section_id,
         r.booking_status
       FROM reservations r
       WHERE r.reservation_id = ? AND r.booking_status = 'reserved'
@@ -1887,17 +1861,14 @@ router.put('/cancel-booking/:reservationId', authenticateToken, async (req, res)
         [reservationId]
       );
 
-      // Update spot status to available
-      await connection.execute(
-        `UPDATE parking_spot 
-         SET status = 'available'
-         WHERE parking_spot_id = ?`,
-        [reservation.parking_spots_id]
-      );
+      // Free the spot, or the unit of capacity for section bookings
+      await releaseReservationHold(connection, reservation);
 
       await connection.commit();
       connection.release();
 
+      offerReleasedCapacity({ spotId: reservation.parking_spots_id, sectionId: reservation.parking_section_id });
+
       // Log activity
       await logUserActivity(
         req.user.user_id,
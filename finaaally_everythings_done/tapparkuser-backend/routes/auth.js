@@ -1,16 +1,80 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const multer = require('multer');
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
 const db = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { loginRateLimiter, passwordResetRateLimiter } = require('../middleware/rateLimit');
 const { logUserActivity, ActionTypes } = require('../utils/userLogger');
+const { sendMail } = require('../utils/mailer');
+const { passwordResetEmail, verificationEmail } = require('../utils/emailTemplates');
+const {
+  hashToken,
+  getClientInfo,
+  issueTokens,
+  rotateRefreshToken,
+  revokeAccessToken,
+  revokeSession,
+  revokeAllSessions,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('../utils/tokenService');
+const {
+  getFailureDelayMs,
+  delay,
+  recordFailedLogin,
+  clearFailedLogins
+} = require('../utils/loginProtection');
+const { isTwoFactorRequired, verifySecondFactor } = require('../utils/twoFactor');
 
 const router = express.Router();
 
+const PASSWORD_RESET_TOKEN_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES) || 30;
+
+// Reset codes are typed in by hand, so avoid look-alike characters (0/O, 1/I/L)
+const RESET_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const generateResetCode = (length = 8) => {
+  const bytes = crypto.randomBytes(length);
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += RESET_CODE_ALPHABET[bytes[i] % RESET_CODE_ALPHABET.length];
+  }
+  return code;
+};
+
+const normalizeResetCode = (code) => String(code || '').replace(/[\s-]/g, '').toUpperCase();
+
+const EMAIL_VERIFICATION_TOKEN_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TOKEN_HOURS) || 24;
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+
+// Links in emails must point at an address the user's device can reach
+const getPublicBaseUrl = (req) => process.env.BACKEND_URL || `${req.protocol}://${req.get('host')}`;
+
+// Issue a fresh verification token (replacing any previous one) and email the link
+const sendVerificationEmail = async (req, user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await db.query(`
+    UPDATE users
+    SET verification_token = ?,
+        verification_expires_at = DATE_ADD(NOW(), INTERVAL ? HOUR),
+        verification_sent_at = NOW()
+    WHERE user_id = ?
+  `, [hashToken(token), EMAIL_VERIFICATION_TOKEN_HOURS, user.user_id]);
+
+  await sendMail({
+    to: user.email,
+    ...verificationEmail({
+      firstName: user.first_name,
+      verifyUrl: `${getPublicBaseUrl(req)}/api/auth/verify/${token}`,
+      expiresHours: EMAIL_VERIFICATION_TOKEN_HOURS
+    })
+  });
+};
+
 // Configure multer for profile picture uploads
 const uploadDir = path.join(__dirname, '../uploads/profile-pictures');
 if (!fs.existsSync(uploadDir)) {
@@ -108,12 +172,17 @@ router.post('/register', registerValidation, async (req, res) => {
       `User registered with email: ${email}, name: ${firstName} ${lastName}`
     );
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId, email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Send the verification email; a mail failure shouldn't undo the registration
+    let verificationEmailSent = true;
+    try {
+      await sendVerificationEmail(req, { user_id: userId, email, first_name: firstName });
+    } catch (mailError) {
+      verificationEmailSent = false;
+      console.error('Verification email error:', mailError);
+    }
+
+    // Issue access + refresh tokens
+    const { token, refreshToken, expiresIn } = await issueTokens({ user_id: userId, email }, getClientInfo(req));
 
     res.status(201).json({
       success: true,
@@ -126,7 +195,10 @@ router.post('/register', registerValidation, async (req, res) => {
           lastName,
           isVerified: false
         },
-        token
+        verificationEmailSent,
+        token,
+        refreshToken,
+        expiresIn
       }
     });
 
@@ -147,8 +219,117 @@ router.post('/register', registerValidation, async (req, res) => {
   }
 });
 
+// Find a user for login with type information.
+// terms_accepted comes from whether the user has a TERMS_ACCEPTED log entry.
+const findLoginUser = async (column, value) => {
+  const users = await db.query(`
+    SELECT u.user_id, u.email, u.password, u.first_name, u.last_name, u.hour_balance, u.user_type_id, u.profile_picture, 
+           u.is_verified, t.account_type_name, u.two_factor_enabled, u.deletion_scheduled_for,
+           u.failed_login_attempts, u.lockout_count, u.locked_until,
+           (u.locked_until IS NOT NULL AND u.locked_until > NOW()) as is_locked,
+           CASE 
+             WHEN EXISTS (
+               SELECT 1 FROM user_logs 
+               WHERE user_id = u.user_id 
+               AND action_type = 'TERMS_ACCEPTED'
+             ) THEN 1
+             ELSE 0
+           END as terms_accepted
+    FROM users u
+    LEFT JOIN types t ON u.user_type_id = t.type_id
+    WHERE u.${column} = ?
+  `, [value]);
+  return users[0] || null;
+};
+
+const accountLockedResponse = (res, lockedUntil) => res.status(423).json({
+  success: false,
+  message: 'Account temporarily locked due to too many failed login attempts',
+  errorCode: 'ACCOUNT_LOCKED',
+  data: {
+    lockedUntil
+  }
+});
+
+// Issue tokens and send the login response once every factor has been checked
+const completeLogin = async (req, res, user) => {
+  // Issue access + refresh tokens
+  const { token, refreshToken, expiresIn } = await issueTokens(user, getClientInfo(req));
+
+  // Construct profile image URL if exists
+  let profileImageUrl = null;
+  if (user.profile_picture) {
+    const host = req.get('host');
+    const protocol = req.protocol;
+    profileImageUrl = `${protocol}://${host}/uploads/profile-pictures/${user.profile_picture}`;
+  }
+  
+  const twoFactorEnabled = user.two_factor_enabled === 1 || user.two_factor_enabled === true;
+  const userResponse = {
+    user_id: user.user_id,
+    email: user.email,
+    first_name: user.first_name,
+    last_name: user.last_name,
+    hour_balance: user.hour_balance,
+    type_id: user.user_type_id,
+    account_type_name: user.account_type_name,
+    profile_image: profileImageUrl,
+    is_verified: user.is_verified === 1 || user.is_verified === true,
+    two_factor_enabled: twoFactorEnabled,
+    deletion_scheduled_for: user.deletion_scheduled_for,
+    terms_accepted: user.terms_accepted === 1 || user.terms_accepted === true
+  };
+
+  // Log user login
+  await logUserActivity(
+    user.user_id,
+    ActionTypes.LOGIN,
+    `User logged in: ${user.email} (${user.account_type_name})`
+  );
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: userResponse,
+      token,
+      refreshToken,
+      expiresIn,
+      // Roles that must use 2FA are asked to enroll right after logging in
+      twoFactorSetupRequired: !twoFactorEnabled && isTwoFactorRequired(user.account_type_name)
+    }
+  });
+};
+
+const handleLoginError = (res, error) => {
+  // Check for database connection errors
+  if (
+    error.code === 'ECONNREFUSED' ||
+    error.code === 'ETIMEDOUT' ||
+    error.code === 'ENOTFOUND' ||
+    error.message?.includes('connect ECONNREFUSED') ||
+    error.message?.includes('connection') ||
+    error.message?.includes('Unable to connect') ||
+    error.errno === -61 ||
+    error.errno === 10061 ||
+    error.sqlState === '08001'
+  ) {
+    return res.status(503).json({
+      success: false,
+      message: 'Database connection error. Please ensure the database server is running.',
+      errorCode: 'DATABASE_CONNECTION_ERROR'
+    });
+  }
+  
+  res.status(500).json({
+    success: false,
+    message: 'Login failed',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
 // Login user
-router.post('/login', loginValidation, async (req, res) => {
+router.post('/login', loginRateLimiter, loginValidation, async (req, res) => {
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -162,115 +343,143 @@ router.post('/login', loginValidation, async (req, res) => {
 
     const { email, password } = req.body;
 
-    // Find user with type information
-    // Check if user has accepted terms by checking if they have a TERMS_ACCEPTED log entry
-    const users = await db.query(`
-      SELECT u.user_id, u.email, u.password, u.first_name, u.last_name, u.hour_balance, u.user_type_id, u.profile_picture, 
-             t.account_type_name,
-             CASE 
-               WHEN EXISTS (
-                 SELECT 1 FROM user_logs 
-                 WHERE user_id = u.user_id 
-                 AND action_type = 'TERMS_ACCEPTED'
-               ) THEN 1
-               ELSE 0
-             END as terms_accepted
-      FROM users u
-      LEFT JOIN types t ON u.user_type_id = t.type_id
-      WHERE u.email = ?
-    `, [email]);
+    const user = await findLoginUser('email', email);
 
-    if (users.length === 0) {
+    // Failed attempts from this IP (counted by loginRateLimiter) slow down responses too
+    const ipAttempts = req.rateLimit ? req.rateLimit.used : 0;
+
+    if (!user) {
+      await delay(getFailureDelayMs(ipAttempts));
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    const user = users[0];
+    // Locked accounts are rejected before the password is even checked
+    if (user.is_locked) {
+      return accountLockedResponse(res, user.locked_until);
+    }
 
     // Check password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      const { attempts, attemptsRemaining, lockedUntil } = await recordFailedLogin(user);
+
+      if (lockedUntil) {
+        return accountLockedResponse(res, lockedUntil);
+      }
+
+      await delay(getFailureDelayMs(Math.max(attempts, ipAttempts)));
       return res.status(401).json({
         success: false,
-        message: 'Invalid email or password'
+        message: 'Invalid email or password',
+        data: {
+          attemptsRemaining
+        }
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.user_id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
-
-    // Remove password from response and format user data
-    delete user.password;
-    
-    // Construct profile image URL if exists
-    let profileImageUrl = null;
-    if (user.profile_picture) {
-      const host = req.get('host');
-      const protocol = req.protocol;
-      profileImageUrl = `${protocol}://${host}/uploads/profile-pictures/${user.profile_picture}`;
+    // With 2FA on, the password only earns a short-lived challenge for POST /login/2fa
+    if (user.two_factor_enabled) {
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        data: {
+          twoFactorRequired: true,
+          twoFactorToken: signTwoFactorChallenge(user)
+        }
+      });
     }
-    
-    const userResponse = {
-      user_id: user.user_id,
-      email: user.email,
-      first_name: user.first_name,
-      last_name: user.last_name,
-      hour_balance: user.hour_balance,
-      type_id: user.user_type_id,
-      account_type_name: user.account_type_name,
-      profile_image: profileImageUrl,
-      terms_accepted: user.terms_accepted === 1 || user.terms_accepted === true
-    };
 
-    // Log user login
-    await logUserActivity(
-      user.user_id,
-      ActionTypes.LOGIN,
-      `User logged in: ${user.email} (${user.account_type_name})`
-    );
+    if (user.failed_login_attempts > 0 || user.lockout_count > 0) {
+      await clearFailedLogins(user.user_id);
+    }
 
-    res.json({
-      success: true,
-      message: 'Login successful',
-      data: {
-        user: userResponse,
-        token
-      }
-    });
+    await completeLogin(req, res, user);
 
   } catch (error) {
     console.error('Login error:', error);
-    
-    // Check for database connection errors
-    if (
-      error.code === 'ECONNREFUSED' ||
-      error.code === 'ETIMEDOUT' ||
-      error.code === 'ENOTFOUND' ||
-      error.message?.includes('connect ECONNREFUSED') ||
-      error.message?.includes('connection') ||
-      error.message?.includes('Unable to connect') ||
-      error.errno === -61 ||
-      error.errno === 10061 ||
-      error.sqlState === '08001'
-    ) {
-      return res.status(503).json({
+    handleLoginError(res, error);
+  }
+});
+
+// Second login step for accounts with 2FA: authenticator code or recovery code
+router.post('/login/2fa', loginRateLimiter, [
+  body('twoFactorToken').notEmpty(),
+  body('code').trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'Database connection error. Please ensure the database server is running.',
-        errorCode: 'DATABASE_CONNECTION_ERROR'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
-    
-    res.status(500).json({
-      success: false,
-      message: 'Login failed',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+
+    const { twoFactorToken, code } = req.body;
+
+    const userId = verifyTwoFactorChallenge(twoFactorToken);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your login attempt timed out. Please log in again.',
+        errorCode: 'TWO_FACTOR_CHALLENGE_EXPIRED'
+      });
+    }
+
+    const user = await findLoginUser('user_id', userId);
+    if (!user || !user.two_factor_enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Your login attempt timed out. Please log in again.',
+        errorCode: 'TWO_FACTOR_CHALLENGE_EXPIRED'
+      });
+    }
+
+    if (user.is_locked) {
+      return accountLockedResponse(res, user.locked_until);
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const method = await verifySecondFactor(user.user_id, code);
+    if (!method) {
+      const { attempts, attemptsRemaining, lockedUntil } = await recordFailedLogin(user);
+
+      if (lockedUntil) {
+        return accountLockedResponse(res, lockedUntil);
+      }
+
+      await delay(getFailureDelayMs(Math.max(attempts, req.rateLimit ? req.rateLimit.used : 0)));
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code',
+        errorCode: 'INVALID_TWO_FACTOR_CODE',
+        data: {
+          attemptsRemaining
+        }
+      });
+    }
+
+    if (method === 'recovery') {
+      await logUserActivity(
+        user.user_id,
+        ActionTypes.TWO_FACTOR_RECOVERY_USED,
+        'Logged in with a two-factor recovery code'
+      );
+    }
+
+    if (user.failed_login_attempts > 0 || user.lockout_count > 0) {
+      await clearFailedLogins(user.user_id);
+    }
+
+    await completeLogin(req, res, user);
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    handleLoginError(res, error);
   }
 });
 
@@ -279,7 +488,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
   try {
     const users = await db.query(`
       SELECT u.user_id, u.email, u.first_name, u.last_name, u.hour_balance, u.user_type_id, u.profile_picture, 
-             t.account_type_name, u.created_at,
+             u.is_verified, u.two_factor_enabled, t.account_type_name, u.created_at,
              CASE 
                WHEN EXISTS (
                  SELECT 1 FROM user_logs 
@@ -319,6 +528,8 @@ router.get('/profile', authenticateToken, async (req, res) => {
       type_id: user.user_type_id,
       account_type_name: user.account_type_name,
       profile_image: profileImageUrl,
+      is_verified: user.is_verified === 1 || user.is_verified === true,
+      two_factor_enabled: user.two_factor_enabled === 1 || user.two_factor_enabled === true,
       terms_accepted: user.terms_accepted === 1 || user.terms_accepted === true,
       created_at: user.created_at
     };
@@ -636,11 +847,237 @@ router.put('/change-password', authenticateToken, [
   }
 });
 
-// Logout (invalidate token)
+// Request a password reset code by email
+router.post('/password-reset/request', passwordResetRateLimiter, [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    // Same response whether or not the account exists, so emails can't be enumerated
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a password reset code has been sent'
+    };
+
+    const users = await db.query(
+      'SELECT user_id, email, first_name FROM users WHERE email = ?',
+      [email]
+    );
+
+    if (users.length === 0) {
+      return res.json(genericResponse);
+    }
+
+    const user = users[0];
+    const code = generateResetCode();
+
+    // Only the newest code is valid
+    await db.transaction([
+      {
+        sql: 'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+        params: [user.user_id]
+      },
+      {
+        sql: `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+              VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+        params: [user.user_id, hashToken(code), PASSWORD_RESET_TOKEN_MINUTES]
+      }
+    ]);
+
+    await sendMail({
+      to: user.email,
+      ...passwordResetEmail({
+        firstName: user.first_name,
+        code,
+        expiresMinutes: PASSWORD_RESET_TOKEN_MINUTES
+      })
+    });
+
+    await logUserActivity(
+      user.user_id,
+      ActionTypes.PASSWORD_RESET_REQUEST,
+      'Password reset code requested',
+      user.user_id
+    );
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request password reset'
+    });
+  }
+});
+
+// Confirm a password reset with the emailed code
+router.post('/password-reset/confirm', passwordResetRateLimiter, [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('token').trim().notEmpty().withMessage('Reset code is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], async (req, res) => {
+  let connection = null;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, token, newPassword } = req.body;
+
+    const resets = await db.query(`
+      SELECT prt.password_reset_id, prt.user_id
+      FROM password_reset_tokens prt
+      JOIN users u ON u.user_id = prt.user_id
+      WHERE u.email = ?
+        AND prt.token_hash = ?
+        AND prt.used_at IS NULL
+        AND prt.expires_at > NOW()
+      ORDER BY prt.created_at DESC
+      LIMIT 1
+    `, [email, hashToken(normalizeResetCode(token))]);
+
+    if (resets.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset code',
+        errorCode: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    const { password_reset_id: resetId, user_id: userId } = resets[0];
+    const hashedNewPassword = await bcrypt.hash(newPassword, 12);
+
+    if (!db.connection) {
+      await db.connect();
+    }
+    connection = await db.connection.getConnection();
+    await connection.beginTransaction();
+
+    // Consume the code first: of two concurrent confirmations only one gets it, and the other never touches users
+    const [consumed] = await connection.execute(
+      'UPDATE password_reset_tokens SET used_at = NOW() WHERE password_reset_id = ? AND used_at IS NULL',
+      [resetId]
+    );
+
+    if (consumed.affectedRows === 0) {
+      await connection.rollback();
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset code',
+        errorCode: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    await connection.execute('UPDATE users SET password = ? WHERE user_id = ?', [hashedNewPassword, userId]);
+    await connection.commit();
+
+    // Sign out every device that was using the old password, and lift any login lockout
+    await revokeAllSessions(userId);
+    await clearFailedLogins(userId);
+
+    await logUserActivity(
+      userId,
+      ActionTypes.PASSWORD_RESET,
+      'Password reset via email code',
+      userId,
+      'password'
+    );
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
+    console.error('Password reset confirm error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+});
+
+// Exchange a refresh token for a new access + refresh token pair
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await rotateRefreshToken(req.body.refreshToken, getClientInfo(req));
+
+    if (!result.success) {
+      if (result.reason === 'reused') {
+        console.warn(`⚠️ Refresh token reuse detected for user ${result.userId}, session revoked`);
+      }
+      return res.status(401).json({
+        success: false,
+        message: result.reason === 'expired' ? 'Refresh token expired' : 'Invalid refresh token',
+        errorCode: 'REFRESH_TOKEN_INVALID'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: result.token,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn
+      }
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Token refresh failed'
+    });
+  }
+});
+
+// Logout (revoke current access token and its refresh token session)
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // In a more sophisticated system, you would maintain a blacklist of tokens
-    // For now, we'll just return success
+    await revokeAccessToken(req.token);
+    await revokeSession(req.user.user_id, req.token.sid);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.LOGOUT,
+      'User logged out'
+    );
+
     res.json({
       success: true,
       message: 'Logged out successfully'
@@ -654,41 +1091,143 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
-// Verify email (placeholder - you would implement email verification)
-router.get('/verify/:token', async (req, res) => {
+// Logout from all devices (revoke every token issued to this user so far)
+router.post('/logout-all', authenticateToken, async (req, res) => {
   try {
-    const { token } = req.params;
+    await revokeAllSessions(req.user.user_id);
+    await revokeAccessToken(req.token);
 
-    const users = await db.query(
-      'SELECT id FROM users WHERE verification_token = ?',
-      [token]
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.LOGOUT_ALL,
+      'User logged out of all devices'
     );
 
+    res.json({
+      success: true,
+      message: 'Logged out of all devices successfully'
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout from all devices failed'
+    });
+  }
+});
+
+// Resend the verification email for the current user
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const users = await db.query(`
+      SELECT user_id, email, first_name, is_verified,
+             verification_sent_at > DATE_SUB(NOW(), INTERVAL ? SECOND) AS recently_sent
+      FROM users
+      WHERE user_id = ?
+    `, [VERIFICATION_RESEND_COOLDOWN_SECONDS, req.user.user_id]);
+
     if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const user = users[0];
+
+    if (user.is_verified) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid verification token'
+        message: 'Email is already verified',
+        errorCode: 'EMAIL_ALREADY_VERIFIED'
       });
     }
 
-    // Mark user as verified
-    await db.query(
-      'UPDATE users SET is_verified = TRUE, verification_token = NULL WHERE id = ?',
-      [users[0].id]
+    if (user.recently_sent) {
+      return res.status(429).json({
+        success: false,
+        message: 'A verification email was just sent. Please wait a minute before requesting another.'
+      });
+    }
+
+    await sendVerificationEmail(req, user);
+
+    await logUserActivity(
+      user.user_id,
+      ActionTypes.EMAIL_VERIFICATION_SENT,
+      `Verification email resent to ${user.email}`,
+      user.user_id
     );
 
     res.json({
       success: true,
-      message: 'Email verified successfully'
+      message: `Verification email sent to ${user.email}`
     });
 
   } catch (error) {
-    console.error('Email verification error:', error);
+    console.error('Resend verification error:', error);
     res.status(500).json({
       success: false,
-      message: 'Email verification failed'
+      message: 'Failed to send verification email'
     });
   }
 });
 
+// Verify email (opened from the link in the verification email)
+router.get('/verify/:token', async (req, res) => {
+  // The link is usually opened in a browser, so answer with a small page there
+  const respond = (status, success, message) => {
+    if (req.accepts(['json', 'html']) === 'html') {
+      return res.status(status).send(
+        `<!DOCTYPE html><html><head><meta name="viewport" content="width=device-width, initial-scale=1">` +
+        `<title>Tappark</title></head><body style="font-family: Arial, sans-serif; text-align: center; padding: 48px;">` +
+        `<h2 style="color: ${success ? '#800000' : '#DC2626'};">${message}</h2>` +
+        `<p>You can return to the Tappark app.</p></body></html>`
+      );
+    }
+    return res.status(status).json({ success, message });
+  };
+
+  try {
+    const { token } = req.params;
+
+    const users = await db.query(`
+      SELECT user_id, email, verification_expires_at < NOW() AS is_expired
+      FROM users
+      WHERE verification_token = ?
+    `, [hashToken(token)]);
+
+    if (users.length === 0) {
+      return respond(400, false, 'Invalid verification link');
+    }
+
+    const user = users[0];
+
+    if (user.is_expired) {
+      return respond(400, false, 'Verification link expired. Request a new one from the app.');
+    }
+
+    // Mark user as verified
+    await db.query(`
+      UPDATE users
+      SET is_verified = 1, verification_token = NULL, verification_expires_at = NULL
+      WHERE user_id = ?
+    `, [user.user_id]);
+
+    await logUserActivity(
+      user.user_id,
+      ActionTypes.EMAIL_VERIFIED,
+      `Email verified: ${user.email}`,
+      user.user_id,
+      'is_verified'
+    );
+
+    respond(200, true, 'Email verified successfully');
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    respond(500, false, 'Email verification failed');
+  }
+});
+
 module.exports = router;
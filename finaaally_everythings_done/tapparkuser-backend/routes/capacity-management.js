@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { Permissions } = require('../utils/permissions');
+const { offerReleasedCapacity } = require('../utils/waitlist');
+const { reconcileCapacityCounts, getReconciliationHistory } = require('../utils/capacityReconciliation');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
 const QRCode = require('qrcode');
@@ -103,7 +106,7 @@ router.get('/areas/:areaId/capacity-status', authenticateToken, async (req, res)
 });
 
 // Reserve capacity in a section
-router.post('/sections/:sectionId/reserve', authenticateToken, async (req, res) => {
+router.post('/sections/:sectionId/reserve', authenticateToken, requirePermission(Permissions.RESERVE_SPOT), async (req, res) => {
   try {
     const { sectionId } = req.params;
     const userId = req.user.user_id;
@@ -140,7 +143,9 @@ router.post('/sections/:sectionId/reserve', authenticateToken, async (req, res)
         await connection.rollback();
         return res.status(400).json({
           success: false,
-          message: 'No available capacity in this section'
+          message: 'No available capacity in this section',
+          errorCode: 'SECTION_FULL',
+          data: { canJoinWaitlist: true, areaId: section.parking_area_id, sectionId: parseInt(sectionId) }
         });
       }
       
@@ -268,12 +273,13 @@ router.post('/sections/:sectionId/reserve', authenticateToken, async (req, res)
   }
 });
 
-// Confirm parking (attendant scans QR - moves from reserved to parked)
-router.post('/sections/:sectionId/confirm-parking', authenticateToken, async (req, res) => {
+// Confirm parking (attendant scans QR - moves from reserved to parked). Drivers may confirm only their own reservation
+router.post('/sections/:sectionId/confirm-parking', authenticateToken, requirePermission(Permissions.OPERATE_KIOSK, Permissions.RESERVE_SPOT), async (req, res) => {
   try {
     const { sectionId } = req.params;
     const userId = req.user.user_id;
     const { reservationId } = req.body;
+    const isKiosk = req.permissions.has(Permissions.OPERATE_KIOSK);
     
     console.log(`✅ Confirming parking in section ${sectionId} for user ${userId}, reservation ${reservationId}`);
     
@@ -287,8 +293,8 @@ router.post('/sections/:sectionId/confirm-parking', authenticateToken, async (re
       const [updateResult] = await connection.execute(`
         UPDATE reservations 
         SET booking_status = 'active', start_time = NOW()
-        WHERE reservation_id = ? AND user_id = ? AND booking_status = 'reserved'
-      `, [reservationId, userId]);
+        WHERE reservation_id = ? AND booking_status = 'reserved'${isKiosk ? '' : ' AND user_id = ?'}
+      `, isKiosk ? [reservationId] : [reservationId, userId]);
       
       if (updateResult.affectedRows === 0) {
         await connection.rollback();
@@ -331,7 +337,7 @@ router.post('/sections/:sectionId/confirm-parking', authenticateToken, async (re
 });
 
 // End capacity reservation (when parking ends)
-router.post('/sections/:sectionId/end-reservation', authenticateToken, async (req, res) => {
+router.post('/sections/:sectionId/end-reservation', authenticateToken, requirePermission(Permissions.RESERVE_SPOT), async (req, res) => {
   try {
     const { sectionId } = req.params;
     const userId = req.user.user_id;
@@ -368,6 +374,8 @@ router.post('/sections/:sectionId/end-reservation', authenticateToken, async (re
       
       await connection.commit();
       
+      offerReleasedCapacity({ sectionId });
+      
       res.json({
         success: true,
         message: 'Capacity reservation ended successfully'
@@ -412,7 +420,7 @@ router.get('/user/capacity-reservations', authenticateToken, async (req, res) =>
 });
 
 // Get parked users for a specific motorcycle section
-router.get('/sections/:sectionId/parked-users', authenticateToken, async (req, res) => {
+router.get('/sections/:sectionId/parked-users', authenticateToken, requirePermission(Permissions.VIEW_ALL_RESERVATIONS), async (req, res) => {
   try {
     const { sectionId } = req.params;
     const userId = req.user.user_id;
@@ -489,7 +497,7 @@ router.get('/sections/:sectionId/parked-users', authenticateToken, async (req, r
 });
 
 // Get individual motorcycle spots for a specific section
-router.get('/sections/:sectionId/spots', authenticateToken, async (req, res) => {
+router.get('/sections/:sectionId/spots', authenticateToken, requirePermission(Permissions.VIEW_ALL_RESERVATIONS), async (req, res) => {
   try {
     const { sectionId } = req.params;
     const userId = req.user.user_id;
@@ -647,7 +655,7 @@ router.get('/sections/:sectionId/spots', authenticateToken, async (req, res) =>
 });
 
 // Assign user to specific motorcycle spot
-router.post('/sections/:sectionId/spots/:spotNumber/assign', authenticateToken, async (req, res) => {
+router.post('/sections/:sectionId/spots/:spotNumber/assign', authenticateToken, requirePermission(Permissions.RESERVE_SPOT, Permissions.OVERRIDE_SPOT), async (req, res) => {
   try {
     const { sectionId, spotNumber } = req.params;
     const { vehicleId } = req.body;
@@ -876,7 +884,7 @@ router.post('/sections/:sectionId/spots/:spotNumber/assign', authenticateToken,
     });
   }
 });
-router.post('/sections/:sectionId/spots/:spotNumber/guest-assign', authenticateToken, async (req, res) => {
+router.post('/sections/:sectionId/spots/:spotNumber/guest-assign', authenticateToken, requirePermission(Permissions.OPERATE_KIOSK), async (req, res) => {
   try {
     const { sectionId, spotNumber } = req.params;
     const { firstName, lastName, plateNumber, brand, model, color } = req.body;
@@ -1068,7 +1076,7 @@ router.post('/sections/:sectionId/spots/:spotNumber/guest-assign', authenticateT
 });
 
 // Release/unassign motorcycle spot
-router.post('/sections/:sectionId/spots/:spotNumber/release', authenticateToken, async (req, res) => {
+router.post('/sections/:sectionId/spots/:spotNumber/release', authenticateToken, requirePermission(Permissions.RESERVE_SPOT, Permissions.OVERRIDE_SPOT), async (req, res) => {
   console.log('🚀 RELEASE ENDPOINT CALLED - START');
   try {
     const { sectionId, spotNumber } = req.params;
@@ -1105,8 +1113,8 @@ router.post('/sections/:sectionId/spots/:spotNumber/release', authenticateToken,
     
     console.log('🔍 Existing reservation for this spot:', existingReservation.rows || existingReservation);
     
-    // Check if user is attendant and if reservation belongs to a guest
-    const isAttendant = req.user.user_type_id === 2; // Attendant type_id
+    // Check if user can override spots (attendant/area manager/admin) and if reservation belongs to a guest
+    const isAttendant = req.permissions.has(Permissions.OVERRIDE_SPOT);
     const reservation = existingReservation.rows && existingReservation.rows[0];
     const isGuestReservation = reservation && reservation.user_type_id === 4; // Guest type_id
     
@@ -1167,6 +1175,7 @@ router.post('/sections/:sectionId/spots/:spotNumber/release', authenticateToken,
     `, [sectionId]);
     
     console.log(`✅ Successfully released spot ${spotNumber} in section ${sectionId}`);
+    offerReleasedCapacity({ sectionId });
     
     // Add success message with context
     let successMessage = 'Successfully released parking spot';
@@ -1197,7 +1206,7 @@ router.post('/sections/:sectionId/spots/:spotNumber/release', authenticateToken,
 });
 
 // Update spot status (for attendant actions)
-router.put('/sections/:sectionId/spots/:spotNumber/status', authenticateToken, async (req, res) => {
+router.put('/sections/:sectionId/spots/:spotNumber/status', authenticateToken, requirePermission(Permissions.OVERRIDE_SPOT), async (req, res) => {
   try {
     const { sectionId, spotNumber } = req.params;
     const { status } = req.body;
@@ -1267,7 +1276,7 @@ router.put('/sections/:sectionId/spots/:spotNumber/status', authenticateToken, a
 });
 
 // Update section status (for attendant actions)
-router.put('/sections/:sectionId/status', authenticateToken, async (req, res) => {
+router.put('/sections/:sectionId/status', authenticateToken, requirePermission(Permissions.OVERRIDE_SPOT), async (req, res) => {
   try {
     const { sectionId } = req.params;
     const { status } = req.body;
@@ -1348,4 +1357,73 @@ router.put('/sections/:sectionId/status', authenticateToken, async (req, res) =>
   }
 });
 
+// Compare section counters with the bookings now; with correct, also fix them
+router.post('/reconcile', authenticateToken, requirePermission(Permissions.MANAGE_AREA), async (req, res) => {
+  try {
+    const { correct = false, areaId = null, sectionId = null } = req.body || {};
+
+    if (typeof correct !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'correct must be true or false'
+      });
+    }
+
+    for (const [name, value] of [['areaId', areaId], ['sectionId', sectionId]]) {
+      if (value !== null && !(Number.isInteger(Number(value)) && Number(value) > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: `${name} must be a positive id`
+        });
+      }
+    }
+
+    const result = await reconcileCapacityCounts({
+      correct,
+      correctedBy: req.user.user_id,
+      source: 'manual',
+      areaId: areaId !== null ? Number(areaId) : null,
+      sectionId: sectionId !== null ? Number(sectionId) : null
+    });
+
+    console.log(`🧮 Capacity reconciliation by user ${req.user.user_id}: ${result.checked} sections checked, ${result.discrepancies.length} mismatched, ${result.corrected} corrected`);
+    res.json({
+      success: true,
+      message: result.discrepancies.length === 0
+        ? 'All section counters match their bookings'
+        : `${result.discrepancies.length} section(s) had drifted counters${correct ? ' and were corrected' : ''}`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Capacity reconciliation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reconcile capacity counts'
+    });
+  }
+});
+
+// Audit trail of counter mismatches found by reconciliation
+router.get('/reconciliations', authenticateToken, requirePermission(Permissions.MANAGE_AREA), async (req, res) => {
+  try {
+    const reconciliations = await getReconciliationHistory({
+      sectionId: parseInt(req.query.sectionId) || null,
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      data: { reconciliations }
+    });
+
+  } catch (error) {
+    console.error('Get capacity reconciliations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch capacity reconciliations'
+    });
+  }
+});
+
 module.exports = router;
@@ -1,12 +1,13 @@
 const express = require('express');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { Permissions } = require('../utils/permissions');
 const { logUserActivity, ActionTypes } = require('../utils/userLogger');
 
 const router = express.Router();
 
 // Get user's favorite parking spots
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission(Permissions.FAVORITE_SPOTS), async (req, res) => {
   try {
     const favorites = await db.query(`
       SELECT 
@@ -176,7 +177,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Add parking spot to favorites
-router.post('/:parkingSpotId', authenticateToken, async (req, res) => {
+router.post('/:parkingSpotId', authenticateToken, requirePermission(Permissions.FAVORITE_SPOTS), async (req, res) => {
   try {
     const { parkingSpotId } = req.params;
 
@@ -330,7 +331,7 @@ router.post('/:parkingSpotId', authenticateToken, async (req, res) => {
 });
 
 // Remove parking spot from favorites
-router.delete('/:parkingSpotId', authenticateToken, async (req, res) => {
+router.delete('/:parkingSpotId', authenticateToken, requirePermission(Permissions.FAVORITE_SPOTS), async (req, res) => {
   try {
     const { parkingSpotId } = req.params;
 
@@ -387,7 +388,7 @@ router.delete('/:parkingSpotId', authenticateToken, async (req, res) => {
 });
 
 // Check if parking spot is in favorites
-router.get('/check/:parkingSpotId', authenticateToken, async (req, res) => {
+router.get('/check/:parkingSpotId', authenticateToken, requirePermission(Permissions.FAVORITE_SPOTS), async (req, res) => {
   try {
     const { parkingSpotId } = req.params;
 
@@ -1,11 +1,13 @@
 const express = require('express');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { Permissions } = require('../utils/permissions');
+const { CHARGE_START_SQL, OVERSTAY_SECONDS_SQL } = require('../utils/reservationSchedule');
 
 const router = express.Router();
 
 // Get comprehensive user history
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission(Permissions.VIEW_OWN_HISTORY), async (req, res) => {
   try {
     const { page = 1, limit = 20, type } = req.query;
     const offset = (page - 1) * limit;
@@ -171,7 +173,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Get parking history only
-router.get('/parking', authenticateToken, async (req, res) => {
+router.get('/parking', authenticateToken, requirePermission(Permissions.VIEW_OWN_HISTORY), async (req, res) => {
   try {
     const { page = 1, limit = 10, status } = req.query;
     const offset = (page - 1) * limit;
@@ -191,25 +193,29 @@ router.get('/parking', authenticateToken, async (req, res) => {
         v.vehicle_type,
         v.brand,
         CASE 
-          WHEN r.booking_status = 'invalid' AND r.waiting_end_time IS NOT NULL THEN GREATEST(1, TIMESTAMPDIFF(MINUTE, r.time_stamp, r.waiting_end_time))
-          WHEN r.end_time IS NOT NULL THEN GREATEST(1, TIMESTAMPDIFF(MINUTE, r.time_stamp, r.end_time))
+          WHEN r.booking_status = 'invalid' AND r.waiting_end_time IS NOT NULL THEN GREATEST(1, TIMESTAMPDIFF(MINUTE, ${CHARGE_START_SQL}, r.waiting_end_time))
+          WHEN r.end_time IS NOT NULL THEN GREATEST(1, TIMESTAMPDIFF(MINUTE, ${CHARGE_START_SQL}, r.end_time))
           ELSE NULL
         END as duration_minutes,
         CASE 
-          WHEN r.booking_status = 'invalid' AND r.waiting_end_time IS NOT NULL THEN GREATEST(1, TIMESTAMPDIFF(MINUTE, r.time_stamp, r.waiting_end_time)) / 60.0
-          WHEN r.end_time IS NOT NULL THEN GREATEST(1, TIMESTAMPDIFF(MINUTE, r.time_stamp, r.end_time)) / 60.0
+          WHEN r.booking_status = 'invalid' AND r.waiting_end_time IS NOT NULL THEN GREATEST(1, TIMESTAMPDIFF(MINUTE, ${CHARGE_START_SQL}, r.waiting_end_time)) / 60.0
+          WHEN r.end_time IS NOT NULL THEN GREATEST(1, TIMESTAMPDIFF(MINUTE, ${CHARGE_START_SQL}, r.end_time)) / 60.0
           ELSE NULL
         END as hours_deducted,
         CASE 
-          WHEN r.booking_status = 'invalid' AND r.waiting_end_time IS NOT NULL THEN TIMESTAMPDIFF(MINUTE, r.time_stamp, r.waiting_end_time)
-          WHEN r.start_time IS NOT NULL THEN TIMESTAMPDIFF(MINUTE, r.time_stamp, r.start_time)
+          WHEN r.booking_status = 'invalid' AND r.waiting_end_time IS NOT NULL THEN TIMESTAMPDIFF(MINUTE, ${CHARGE_START_SQL}, r.waiting_end_time)
+          WHEN r.start_time IS NOT NULL THEN TIMESTAMPDIFF(MINUTE, ${CHARGE_START_SQL}, r.start_time)
           ELSE NULL
         END as wait_minutes,
         CASE 
           WHEN r.booking_status = 'invalid' THEN 0
           WHEN r.start_time IS NOT NULL AND r.end_time IS NOT NULL THEN TIMESTAMPDIFF(MINUTE, r.start_time, r.end_time)
           ELSE NULL
-        END as parking_minutes
+        END as parking_minutes,
+        CASE 
+          WHEN r.booking_status = 'completed' AND r.end_time IS NOT NULL THEN FLOOR(${OVERSTAY_SECONDS_SQL} / 60)
+          ELSE 0
+        END as overstay_minutes
       FROM reservations r
       LEFT JOIN vehicles v ON r.vehicle_id = v.vehicle_id
       WHERE r.user_id = ?
@@ -290,6 +296,8 @@ router.get('/parking', authenticateToken, async (req, res) => {
           totalMinutes
         );
 
+        const overstayMinutes = Math.min(totalMinutes, Number(reservation.overstay_minutes) || 0);
+
         return {
           waitTimeHours: waitMinutes / 60,
           waitTimeMinutes: waitMinutes,
@@ -297,6 +305,8 @@ router.get('/parking', authenticateToken, async (req, res) => {
           parkingTimeMinutes: parkingMinutes,
           totalChargedHours: totalMinutes / 60,
           totalChargedMinutes: totalMinutes,
+          plannedTimeMinutes: totalMinutes - overstayMinutes,
+          overstayTimeMinutes: overstayMinutes,
           breakdown: `Wait time: ${waitMinutes} min + Parking time: ${parkingMinutes} min = ${(totalMinutes / 60).toFixed(2)} hrs charged`
         };
       };
@@ -381,7 +391,7 @@ router.get('/parking', authenticateToken, async (req, res) => {
 });
 
 // Get payment history only
-router.get('/payments', authenticateToken, async (req, res) => {
+router.get('/payments', authenticateToken, requirePermission(Permissions.VIEW_OWN_HISTORY), async (req, res) => {
   try {
     const { page = 1, limit = 10, type } = req.query;
     const offset = (page - 1) * limit;
@@ -391,7 +401,8 @@ router.get('/payments', authenticateToken, async (req, res) => {
         p.payment_id,
         p.subscription_id,
         p.amount,
-        'subscription' as payment_type,
+        IF(p.payment_type = 'refund', 'refund', 'subscription') as payment_type,
+        p.description,
         pm.method_name as payment_method,
         p.status,
         p.payment_date as created_at,
@@ -445,7 +456,7 @@ router.get('/payments', authenticateToken, async (req, res) => {
 });
 
 // Get history statistics
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateToken, requirePermission(Permissions.VIEW_OWN_HISTORY), async (req, res) => {
   try {
     const { period = '30' } = req.query; // days
 
@@ -585,7 +596,7 @@ const normalizeLimit = (value, fallback = 5) => {
 };
 
 // Get frequently used parking spots with lightweight queries
-router.get('/frequent-spots', authenticateToken, async (req, res) => {
+router.get('/frequent-spots', authenticateToken, requirePermission(Permissions.VIEW_OWN_HISTORY), async (req, res) => {
   try {
     const userId = req.user.user_id;
     const parsedLimit = normalizeLimit(req.query.limit);
@@ -807,7 +818,7 @@ router.get('/frequent-spots', authenticateToken, async (req, res) => {
 });
 
 // Delete parking history record
-router.delete('/parking/:reservationId', authenticateToken, async (req, res) => {
+router.delete('/parking/:reservationId', authenticateToken, requirePermission(Permissions.VIEW_OWN_HISTORY), async (req, res) => {
   try {
     const { reservationId } = req.params;
     const userId = req.user.user_id;
@@ -0,0 +1,92 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { Permissions } = require('../utils/permissions');
+const { INSTANCE_ID, JOB_SCHEDULER_ENABLED, isKnownJob, runJob, getJobStatuses, getJobRuns } = require('../utils/jobScheduler');
+
+const router = express.Router();
+
+// Admin: Every background job with its schedule, lease and latest run
+router.get('/', authenticateToken, requirePermission(Permissions.MANAGE_MASTERS), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        instanceId: INSTANCE_ID,
+        schedulerEnabled: JOB_SCHEDULER_ENABLED,
+        jobs: await getJobStatuses()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get job status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch job status'
+    });
+  }
+});
+
+// Admin: Run history of one job (?limit=, at most 100)
+router.get('/:name/runs', authenticateToken, requirePermission(Permissions.MANAGE_MASTERS), async (req, res) => {
+  try {
+    if (!isKnownJob(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        runs: await getJobRuns(req.params.name, req.query.limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get job runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch job runs'
+    });
+  }
+});
+
+// Admin: Run a job now instead of waiting for its schedule
+router.post('/:name/run', authenticateToken, requirePermission(Permissions.MANAGE_MASTERS), async (req, res) => {
+  try {
+    if (!isKnownJob(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const outcome = await runJob(req.params.name, { triggeredBy: 'manual' });
+
+    if (!outcome.ran && outcome.skipped) {
+      return res.status(409).json({
+        success: false,
+        message: outcome.skipped === 'running'
+          ? 'The job is already running'
+          : 'The job is running on another server instance',
+        errorCode: 'JOB_BUSY'
+      });
+    }
+
+    res.status(outcome.status === 'succeeded' ? 200 : 500).json({
+      success: outcome.status === 'succeeded',
+      message: outcome.status === 'succeeded' ? 'Job completed' : `Job failed: ${outcome.error}`,
+      data: outcome
+    });
+
+  } catch (error) {
+    console.error('Run job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run job'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,8 +4,52 @@ const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireVerifiedEmail, requirePermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { Permissions } = require('../utils/permissions');
 const { logUserActivity, ActionTypes } = require('../utils/userLogger');
+const {
+  SCHEDULABLE_SPOT_STATUSES,
+  CHARGE_START_SQL,
+  PLANNED_END_SQL,
+  parseScheduleWindow,
+  sectionWindowOccupancySql,
+  hasSpotConflict,
+  countSectionOverlaps,
+  hasUserOverlap
+} = require('../utils/reservationSchedule');
+const {
+  CANCELLABLE_BOOKING_STATUSES,
+  getCancellationTerms,
+  releaseReservationHold,
+  applyCancellationPolicy
+} = require('../utils/bookingCancellation');
+const {
+  WAITLIST_OFFER_MINUTES,
+  OPEN_WAITLIST_STATUSES,
+  releaseOfferHold,
+  offerFreedCapacity,
+  offerReleasedCapacity
+} = require('../utils/waitlist');
+const {
+  RECURRING_BOOKING_DAYS_AHEAD,
+  parseRecurringRule,
+  parseDate,
+  formatDate,
+  ruleDays,
+  expandRecurringRule
+} = require('../utils/recurringReservations');
+const {
+  NO_SHOW_STRIKE_WINDOW_DAYS,
+  getActiveSuspension,
+  enforceStrikeThreshold
+} = require('../utils/noShowStrikes');
+const {
+  DEFAULT_GRACE_PERIOD_MINUTES,
+  parseGracePeriodRule,
+  getReservationGracePeriod
+} = require('../utils/gracePeriod');
+const { NOT_LAPSED_SQL, SOONEST_EXPIRING_FIRST_SQL } = require('../utils/subscriptionExpiry');
 
 const router = express.Router();
 
@@ -63,8 +107,18 @@ router.get('/areas', async (req, res) => {
 router.get('/areas/:areaId/spots', async (req, res) => {
   try {
     const { areaId } = req.params;
-    const { vehicleType, includeAll } = req.query; // Optional vehicle type filter and includeAll flag
+    const { vehicleType, includeAll, startTime, endTime } = req.query; // Optional vehicle type filter, includeAll flag and booking window
     const normalizedVehicleType = normalizeVehicleType(vehicleType);
+
+    // With a window, availability means "free for that whole window" instead of "free right now"
+    const { window: scheduleWindow, error: scheduleError } = parseScheduleWindow(startTime, endTime);
+    if (scheduleError) {
+      return res.status(400).json({
+        success: false,
+        errorCode: 'INVALID_SCHEDULE',
+        message: scheduleError
+      });
+    }
     
     console.log(`🔍 Getting spots for area ${areaId}, vehicle type: ${vehicleType}, includeAll: ${includeAll}`);
     console.log(`🔍 All query params:`, req.query);
@@ -76,12 +130,17 @@ router.get('/areas/:areaId/spots', async (req, res) => {
     if (normalizedVehicleType && capacityVehicleTypes.includes(normalizedVehicleType)) {
       console.log(`🏍️ Getting capacity sections for ${normalizedVehicleType}`);
       
+      const freeCapacitySql = scheduleWindow
+        ? `(ps.capacity - ${sectionWindowOccupancySql(scheduleWindow)})`
+        : '(ps.capacity - ps.parked_count - ps.reserved_count)';
+      const windowParams = scheduleWindow ? [scheduleWindow.end, scheduleWindow.start] : [];
+
       let query = `
         SELECT 
           ps.parking_section_id as id,
           ps.section_name as spot_number,
           CASE 
-            WHEN (ps.capacity - ps.parked_count - ps.reserved_count) > 0 THEN 'available'
+            WHEN ${freeCapacitySql} > 0 THEN 'available'
             ELSE 'full'
           END as status,
           ? as spot_type,
@@ -93,11 +152,12 @@ router.get('/areas/:areaId/spots', async (req, res) => {
           AND ps.status != 'unavailable'
       `;
 
-      const params = [normalizedVehicleType, areaId, normalizedVehicleType];
+      const params = [...windowParams, normalizedVehicleType, areaId, normalizedVehicleType];
 
       // Only show available sections unless includeAll is set
       if (!includeAll || includeAll === 'false') {
-        query += ` AND (ps.capacity - ps.parked_count - ps.reserved_count) > 0`;
+        query += ` AND ${freeCapacitySql} > 0`;
+        params.push(...windowParams);
       }
 
       query += ` ORDER BY ps.section_name`;
@@ -114,7 +174,7 @@ router.get('/areas/:areaId/spots', async (req, res) => {
         SELECT 
           ps.parking_spot_id as id,
           ps.spot_number,
-          ps.status,
+          ${scheduleWindow ? "'available' as status" : 'ps.status'},
           ps.spot_type,
           psec.section_name
         FROM parking_spot ps
@@ -126,7 +186,17 @@ router.get('/areas/:areaId/spots', async (req, res) => {
       const params = [areaId];
 
       // Only filter by status if includeAll is not set (for backward compatibility)
-      if (!includeAll || includeAll === 'false') {
+      if (scheduleWindow) {
+        query += ` AND ps.status IN (${SCHEDULABLE_SPOT_STATUSES.map(() => '?').join(', ')})
+          AND NOT EXISTS (
+            SELECT 1 FROM reservations r
+            WHERE r.parking_spots_id = ps.parking_spot_id
+              AND r.booking_status IN ('scheduled', 'reserved', 'active')
+              AND r.scheduled_start_time IS NOT NULL
+              AND r.scheduled_start_time < ? AND r.scheduled_end_time > ?
+          )`;
+        params.push(...SCHEDULABLE_SPOT_STATUSES, scheduleWindow.end, scheduleWindow.start);
+      } else if (!includeAll || includeAll === 'false') {
         query += ` AND ps.status = 'available'`;
       }
 
@@ -223,6 +293,18 @@ router.get('/areas/:areaId/spots-status', authenticateToken, async (req, res) =>
 });
 
 const requireBookingEligibility = async (userId) => {
+  const suspension = await getActiveSuspension(userId);
+  if (suspension) {
+    return {
+      allowed: false,
+      reason: 'suspended',
+      suspendedUntil: suspension.ends_at,
+      strikeCount: suspension.strike_count,
+      outstandingPenalty: 0,
+      balanceHours: 0
+    };
+  }
+
   const penaltyResult = await db.query(
     'SELECT COALESCE(SUM(penalty_time), 0) AS total_penalty_hours FROM penalty WHERE user_id = ?',
     [userId]
@@ -261,27 +343,47 @@ const requireBookingEligibility = async (userId) => {
   };
 };
 
-// Book a parking spot or section
-router.post('/book', authenticateToken, async (req, res) => {
+// 403 body for a driver requireBookingEligibility turned down
+const eligibilityErrorResponse = (eligibility) => {
+  const messages = {
+    suspended: `Your booking privileges are suspended until ${new Date(eligibility.suspendedUntil).toLocaleString()} because you collected ${eligibility.strikeCount} no-show strikes within ${NO_SHOW_STRIKE_WINDOW_DAYS} days.`,
+    penalty: `You have ${eligibility.outstandingPenalty.toFixed(2)} penalty hours outstanding. Please purchase a plan to settle them before reserving again.`,
+    insufficient_balance: 'You have no remaining subscription hours. Please purchase a plan before reserving a spot.'
+  };
+  const errorCodes = {
+    suspended: 'BOOKING_SUSPENDED',
+    penalty: 'OUTSTANDING_PENALTY',
+    insufficient_balance: 'INSUFFICIENT_BALANCE'
+  };
+  return {
+    success: false,
+    errorCode: errorCodes[eligibility.reason],
+    message: messages[eligibility.reason],
+    data: eligibility
+  };
+};
+
+// Book a parking spot or section, either now or for a future window (startTime/endTime)
+router.post('/book', authenticateToken, requirePermission(Permissions.RESERVE_SPOT), requireVerifiedEmail, idempotent('parking-areas/book'), async (req, res) => {
   try {
-    const { vehicleId, spotId, areaId } = req.body;
+    const { vehicleId, spotId, areaId, startTime, endTime } = req.body;
 
-    console.log('🔍 Booking Debug - Input:', { vehicleId, spotId, areaId });
+    console.log('🔍 Booking Debug - Input:', { vehicleId, spotId, areaId, startTime, endTime });
 
-    const eligibility = await requireBookingEligibility(req.user.user_id);
-    if (!eligibility.allowed) {
-      const messages = {
-        penalty: `You have ${eligibility.outstandingPenalty.toFixed(2)} penalty hours outstanding. Please purchase a plan to settle them before reserving again.`,
-        insufficient_balance: 'You have no remaining subscription hours. Please purchase a plan before reserving a spot.'
-      };
-      return res.status(403).json({
+    const { window: scheduleWindow, error: scheduleError } = parseScheduleWindow(startTime, endTime);
+    if (scheduleError) {
+      return res.status(400).json({
         success: false,
-        errorCode: eligibility.reason === 'penalty' ? 'OUTSTANDING_PENALTY' : 'INSUFFICIENT_BALANCE',
-        message: messages[eligibility.reason],
-        data: eligibility
+        errorCode: 'INVALID_SCHEDULE',
+        message: scheduleError
       });
     }
 
+    const eligibility = await requireBookingEligibility(req.user.user_id);
+    if (!eligibility.allowed) {
+      return res.status(403).json(eligibilityErrorResponse(eligibility));
+    }
+
     // Check what type of spot this spotId actually is
     const spotTypeCheck = await db.query(`
       SELECT 
@@ -351,7 +453,7 @@ router.post('/book', authenticateToken, async (req, res) => {
     // If capacity-based vehicle, assign to section instead of individual spot
     if (isCapacityVehicleBooking) {
       console.log(`�️ Redirecting to capacity section booking for ${vehicleTypeNormalized} vehicle ${vehicle.plate_number}`);
-      return await bookCapacitySection(req, res, vehicle, areaId, vehicleTypeNormalized);
+      return await bookCapacitySection(req, res, vehicle, areaId, vehicleTypeNormalized, scheduleWindow);
     }
 
     const areaDetails = await db.query(
@@ -395,17 +497,46 @@ router.post('/book', authenticateToken, async (req, res) => {
 
       const spot = lockedSpots[0];
 
-      // Check if spot is available
-      if (spot.status !== 'available') {
+      // A scheduled booking only needs the spot to be free during its window, not right now
+      const spotBookable = scheduleWindow
+        ? SCHEDULABLE_SPOT_STATUSES.includes(spot.status)
+        : spot.status === 'available';
+
+      if (!spotBookable) {
         await connection.rollback();
         connection.release();
         return res.status(400).json({
           success: false,
           message: 'Parking spot is no longer available',
-          errorCode: 'SPOT_UNAVAILABLE'
+          errorCode: 'SPOT_UNAVAILABLE',
+          // A driver who wanted to park now can queue for the next spot that frees up
+          data: { canJoinWaitlist: !scheduleWindow }
         });
       }
 
+      if (scheduleWindow) {
+        // The spot row lock above serializes concurrent bookings of this spot
+        if (await hasUserOverlap(connection, req.user.user_id, scheduleWindow)) {
+          await connection.rollback();
+          connection.release();
+          return res.status(400).json({
+            success: false,
+            message: 'You already have a booking during this time',
+            errorCode: 'BOOKING_OVERLAP'
+          });
+        }
+
+        if (await hasSpotConflict(connection, spotId, scheduleWindow)) {
+          await connection.rollback();
+          connection.release();
+          return res.status(400).json({
+            success: false,
+            message: 'This parking spot is already booked for part of that time. Please choose another time or spot.',
+            errorCode: 'SCHEDULE_CONFLICT'
+          });
+        }
+      }
+
       const vehicleType = vehicleDetails[0].vehicle_type;
       const spotType = spot.spot_type;
       
@@ -444,21 +575,24 @@ router.post('/book', authenticateToken, async (req, res) => {
       console.log('✅ Type validation passed');
 
       // Atomically update spot status to 'reserved' (only if still available)
-      // This prevents double booking even if two requests pass the check above
-      const [updateResult] = await connection.execute(
-        'UPDATE parking_spot SET status = ? WHERE parking_spot_id = ? AND status = ?',
-        ['reserved', spotId, 'available']
-      );
-
-      // Check if the update actually affected a row
-      if (updateResult.affectedRows === 0) {
-        await connection.rollback();
-        connection.release();
-        return res.status(400).json({
-          success: false,
-          message: 'Parking spot was just booked by another user. Please try a different spot.',
-          errorCode: 'SPOT_ALREADY_BOOKED'
-        });
+      // This prevents double booking even if two requests pass the check above.
+      // Scheduled bookings leave the spot alone until the hold job reserves it shortly before the start.
+      if (!scheduleWindow) {
+        const [updateResult] = await connection.execute(
+          'UPDATE parking_spot SET status = ? WHERE parking_spot_id = ? AND status = ?',
+          ['reserved', spotId, 'available']
+        );
+
+        // Check if the update actually affected a row
+        if (updateResult.affectedRows === 0) {
+          await connection.rollback();
+          connection.release();
+          return res.status(400).json({
+            success: false,
+            message: 'Parking spot was just booked by another user. Please try a different spot.',
+            errorCode: 'SPOT_ALREADY_BOOKED'
+          });
+        }
       }
 
       // Generate unique QR key before creating reservation
@@ -474,6 +608,10 @@ router.post('/book', authenticateToken, async (req, res) => {
 
       const spotNumber = spotDetails.length > 0 ? `${spotDetails[0].section_name}-${spotDetails[0].spot_number}` : null;
       const parkingSectionId = spotDetails.length > 0 ? spotDetails[0].parking_section_id : null;
+      const bookingStatus = scheduleWindow ? 'scheduled' : 'reserved';
+      const reservationSchedule = scheduleWindow
+        ? [scheduleWindow.start, scheduleWindow.end, bookingStatus]
+        : [null, null, bookingStatus];
 
       // Create reservation within the same transaction
       // Try to insert with qr_key, fallback if column doesn't exist
@@ -482,9 +620,9 @@ router.post('/book', authenticateToken, async (req, res) => {
         [insertResult] = await connection.execute(`
           INSERT INTO reservations (
             user_id, vehicle_id, parking_spots_id, parking_section_id, spot_number, 
-            time_stamp, start_time, booking_status, QR, qr_key
-          ) VALUES (?, ?, ?, ?, ?, NOW(), NULL, 'reserved', '', ?)
-        `, [req.user.user_id, vehicleId, spotId, parkingSectionId, spotNumber, qrKey]);
+            time_stamp, scheduled_start_time, scheduled_end_time, start_time, booking_status, QR, qr_key
+          ) VALUES (?, ?, ?, ?, ?, NOW(), ?, ?, NULL, ?, '', ?)
+        `, [req.user.user_id, vehicleId, spotId, parkingSectionId, spotNumber, ...reservationSchedule, qrKey]);
       } catch (insertError) {
         // If qr_key column doesn't exist, add it and retry
         if (insertError.message && insertError.message.includes('Unknown column')) {
@@ -503,9 +641,9 @@ router.post('/book', authenticateToken, async (req, res) => {
           [insertResult] = await connection.execute(`
             INSERT INTO reservations (
               user_id, vehicle_id, parking_spots_id, parking_section_id, spot_number, 
-              time_stamp, start_time, booking_status, QR, qr_key
-            ) VALUES (?, ?, ?, ?, ?, NOW(), NULL, 'reserved', '', ?)
-          `, [req.user.user_id, vehicleId, spotId, parkingSectionId, spotNumber, qrKey]);
+              time_stamp, scheduled_start_time, scheduled_end_time, start_time, booking_status, QR, qr_key
+            ) VALUES (?, ?, ?, ?, ?, NOW(), ?, ?, NULL, ?, '', ?)
+          `, [req.user.user_id, vehicleId, spotId, parkingSectionId, spotNumber, ...reservationSchedule, qrKey]);
         } else {
           throw insertError;
         }
@@ -545,7 +683,7 @@ router.post('/book', authenticateToken, async (req, res) => {
       await logUserActivity(
         req.user.user_id,
         ActionTypes.PARKING_BOOK,
-        `Parking spot booked: ${spot.spot_number} at ${areaDetails[0].parking_area_name} for vehicle ${vehicleDetails[0].plate_number}`,
+        `Parking spot booked: ${spot.spot_number} at ${areaDetails[0].parking_area_name} for vehicle ${vehicleDetails[0].plate_number}${scheduleWindow ? ` from ${scheduleWindow.start.toISOString()} to ${scheduleWindow.end.toISOString()}` : ''}`,
         reservationId
       );
 
@@ -555,7 +693,7 @@ router.post('/book', authenticateToken, async (req, res) => {
           reservationId,
           qrCode: qrCodeDataURL,
           qrKey: qrKey,
-          message: 'Parking spot booked successfully',
+          message: scheduleWindow ? 'Parking spot scheduled successfully' : 'Parking spot booked successfully',
           bookingDetails: {
             reservationId,
             qrCode: qrCodeDataURL,
@@ -568,7 +706,9 @@ router.post('/book', authenticateToken, async (req, res) => {
             spotNumber: spot.spot_number,
             spotType: spot.spot_type,
             startTime: null, // Will be set when attendant scans QR
-            status: 'reserved'
+            scheduledStartTime: scheduleWindow ? scheduleWindow.start : null,
+            scheduledEndTime: scheduleWindow ? scheduleWindow.end : null,
+            status: bookingStatus
           }
         }
       });
@@ -591,7 +731,7 @@ router.post('/book', authenticateToken, async (req, res) => {
 });
 
 // Helper function to book capacity-based sections (motorcycle, bicycle, etc.)
-async function bookCapacitySection(req, res, vehicle, areaId, capacityVehicleType) {
+async function bookCapacitySection(req, res, vehicle, areaId, capacityVehicleType, scheduleWindow = null) {
   try {
     const { spotId } = req.body; // Get the recommended section ID
     console.log(`�️ Booking ${capacityVehicleType} section for vehicle ${vehicle.plate_number} in area ${areaId}`);
@@ -617,20 +757,48 @@ async function bookCapacitySection(req, res, vehicle, areaId, capacityVehicleTyp
           AND ps.parking_area_id = ? 
           AND ps.vehicle_type = ?
           AND ps.section_mode = 'capacity_only'
-          AND (ps.capacity - ps.parked_count - ps.reserved_count) > 0
+          AND (? OR (ps.capacity - ps.parked_count - ps.reserved_count) > 0)
           AND ps.status != 'unavailable'
-      `, [spotId, areaId, capacityVehicleType]);
+        FOR UPDATE
+      `, [spotId, areaId, capacityVehicleType, scheduleWindow ? 1 : 0]);
       
       if (assignedSections.length === 0) {
         await connection.rollback();
         return res.status(400).json({
           success: false,
           message: 'Recommended section is no longer available or is full/unavailable',
-          errorCode: 'SECTION_NOT_AVAILABLE'
+          errorCode: 'SECTION_NOT_AVAILABLE',
+          data: { canJoinWaitlist: !scheduleWindow }
         });
       }
       
       const assignedSection = assignedSections[0];
+
+      // For a future window, capacity is what's left after the other bookings overlapping it
+      if (scheduleWindow) {
+        if (await hasUserOverlap(connection, req.user.user_id, scheduleWindow)) {
+          await connection.rollback();
+          connection.release();
+          return res.status(400).json({
+            success: false,
+            message: 'You already have a booking during this time',
+            errorCode: 'BOOKING_OVERLAP'
+          });
+        }
+
+        const overlapping = await countSectionOverlaps(connection, assignedSection.parking_section_id, scheduleWindow);
+        if (overlapping >= assignedSection.capacity) {
+          await connection.rollback();
+          connection.release();
+          return res.status(400).json({
+            success: false,
+            message: 'This section is fully booked for part of that time. Please choose another time.',
+            errorCode: 'SCHEDULE_CONFLICT'
+          });
+        }
+        assignedSection.available_capacity = assignedSection.capacity - overlapping;
+      }
+
       console.log(`✅ Using recommended section ${assignedSection.section_name} with ${assignedSection.available_capacity} spots available`);
       
       // Create reservation for the section
@@ -642,23 +810,38 @@ async function bookCapacitySection(req, res, vehicle, areaId, capacityVehicleTyp
       // Use a dummy parking_spots_id for motorcycle sections (0 indicates capacity-only section)
       const dummyParkingSpotId = 0;
       
+      const bookingStatus = scheduleWindow ? 'scheduled' : 'reserved';
+      
       const [insertResult] = await connection.execute(`
         INSERT INTO reservations (
           user_id, vehicle_id, parking_spots_id, parking_section_id, spot_number,
-          time_stamp, start_time, booking_status, QR, qr_key
-        ) VALUES (?, ?, ?, ?, ?, NOW(), NULL, 'reserved', ?, ?)
-      `, [req.user.user_id, req.body.vehicleId, dummyParkingSpotId, assignedSection.parking_section_id, spotNumber, qrKey, qrKey]);
+          time_stamp, scheduled_start_time, scheduled_end_time, start_time, booking_status, QR, qr_key
+        ) VALUES (?, ?, ?, ?, ?, NOW(), ?, ?, NULL, ?, ?, ?)
+      `, [
+        req.user.user_id,
+        req.body.vehicleId,
+        dummyParkingSpotId,
+        assignedSection.parking_section_id,
+        spotNumber,
+        scheduleWindow ? scheduleWindow.start : null,
+        scheduleWindow ? scheduleWindow.end : null,
+        bookingStatus,
+        qrKey,
+        qrKey
+      ]);
       
       console.log(`✅ Reservation created with ID: ${insertResult.insertId}`);
       
-      // Increment reserved_count for the section
-      await connection.execute(`
-        UPDATE parking_section 
-        SET reserved_count = reserved_count + 1 
-        WHERE parking_section_id = ?
-      `, [assignedSection.parking_section_id]);
-      
-      console.log(`✅ Section reserved_count incremented`);
+      // Increment reserved_count for the section (scheduled bookings are counted once the hold job reserves them)
+      if (!scheduleWindow) {
+        await connection.execute(`
+          UPDATE parking_section 
+          SET reserved_count = reserved_count + 1 
+          WHERE parking_section_id = ?
+        `, [assignedSection.parking_section_id]);
+        
+        console.log(`✅ Section reserved_count incremented`);
+      }
       
       await connection.commit();
       connection.release();
@@ -694,7 +877,7 @@ async function bookCapacitySection(req, res, vehicle, areaId, capacityVehicleTyp
       await logUserActivity(
         req.user.user_id,
         ActionTypes.PARKING_BOOK,
-        `${capacityVehicleType} section ${assignedSection.section_name} booked in area ${areaId}`,
+        `${capacityVehicleType} section ${assignedSection.section_name} booked in area ${areaId}${scheduleWindow ? ` from ${scheduleWindow.start.toISOString()} to ${scheduleWindow.end.toISOString()}` : ''}`,
         insertResult.insertId
       );
       
@@ -717,7 +900,9 @@ async function bookCapacitySection(req, res, vehicle, areaId, capacityVehicleTyp
             sectionId: assignedSection.parking_section_id,
             availableCapacity: assignedSection.available_capacity - 1,
             startTime: null, // Will be set when attendant scans QR
-            status: 'reserved',
+            scheduledStartTime: scheduleWindow ? scheduleWindow.start : null,
+            scheduledEndTime: scheduleWindow ? scheduleWindow.end : null,
+            status: bookingStatus,
             bookingType: `${capacityVehicleType}_section`
           }
         }
@@ -1058,8 +1243,11 @@ router.get('/booking/:reservationId', authenticateToken, async (req, res) => {
           r.reservation_id,
           r.user_id,
           r.time_stamp,
+          r.scheduled_start_time,
+          r.scheduled_end_time,
           r.start_time,
           r.end_time,
+          ${PLANNED_END_SQL} AS intended_end_time,
           r.booking_status,
           r.waiting_end_time,
           r.QR,
@@ -1104,8 +1292,11 @@ router.get('/booking/:reservationId', authenticateToken, async (req, res) => {
           r.reservation_id,
           r.user_id,
           r.time_stamp,
+          r.scheduled_start_time,
+          r.scheduled_end_time,
           r.start_time,
           r.end_time,
+          ${PLANNED_END_SQL} AS intended_end_time,
           r.booking_status,
           r.waiting_end_time,
           r.QR,
@@ -1199,6 +1390,11 @@ router.get('/booking/:reservationId', authenticateToken, async (req, res) => {
       }
     }
 
+    // The check-in window the grace period checker enforces (or enforced, for expired bookings)
+    const gracePeriod = ['scheduled', 'reserved', 'invalid'].includes(booking.booking_status)
+      ? await getReservationGracePeriod(booking.reservation_id)
+      : null;
+
     // Calculate billing breakdown for expired reservations
     let billingBreakdown = null;
     if (req.query.includeBilling === 'true' || req.query.includeBilling === true) {
@@ -1214,8 +1410,9 @@ router.get('/booking/:reservationId', authenticateToken, async (req, res) => {
             r.user_id,
             r.time_stamp AS created_at,
             r.waiting_end_time AS end_time,
-            ROUND(TIMESTAMPDIFF(SECOND, r.time_stamp, r.waiting_end_time) / 3600, 4) AS total_hours,
-            ROUND(TIMESTAMPDIFF(SECOND, r.time_stamp, r.waiting_end_time) / 3600, 4) AS wait_hours,
+            -- Scheduled bookings only start waiting at their scheduled start
+            ROUND(TIMESTAMPDIFF(SECOND, COALESCE(r.scheduled_start_time, r.time_stamp), r.waiting_end_time) / 3600, 4) AS total_hours,
+            ROUND(TIMESTAMPDIFF(SECOND, COALESCE(r.scheduled_start_time, r.time_stamp), r.waiting_end_time) / 3600, 4) AS wait_hours,
             0 AS parking_hours
           FROM reservations r
           WHERE r.reservation_id = ? AND r.user_id = ?
@@ -1256,8 +1453,8 @@ router.get('/booking/:reservationId', authenticateToken, async (req, res) => {
                 const activeSubscription = await db.query(`
                   SELECT subscription_id, hours_remaining
                   FROM subscriptions
-                  WHERE user_id = ? AND status = 'active' AND hours_remaining > 0
-                  ORDER BY purchase_date ASC
+                  WHERE user_id = ? AND status = 'active' AND hours_remaining > 0 AND ${NOT_LAPSED_SQL}
+                  ORDER BY ${SOONEST_EXPIRING_FIRST_SQL}
                   LIMIT 1
                 `, [booking.user_id]);
 
@@ -1341,6 +1538,9 @@ router.get('/booking/:reservationId', authenticateToken, async (req, res) => {
         },
         timestamps: {
           bookingTime: booking.time_stamp,
+          scheduledStartTime: booking.scheduled_start_time || null,
+          scheduledEndTime: booking.scheduled_end_time || null,
+          intendedEndTime: booking.intended_end_time || null,
           startTime: booking.start_time,
           endTime: booking.end_time || null
         },
@@ -1348,7 +1548,11 @@ router.get('/booking/:reservationId', authenticateToken, async (req, res) => {
         qrCode: booking.QR,
         qrKey: qrKey || null,
         penaltyInfo: penaltyInfo,
-        billingBreakdown: billingBreakdown
+        billingBreakdown: billingBreakdown,
+        gracePeriod,
+        cancellation: CANCELLABLE_BOOKING_STATUSES.includes(booking.booking_status)
+          ? getCancellationTerms(booking)
+          : null
       }
     });
 
@@ -1361,180 +1565,1522 @@ router.get('/booking/:reservationId', authenticateToken, async (req, res) => {
   }
 });
 
-// Get current booking (reserved or active) for the logged-in user
-router.get('/current-booking', authenticateToken, async (req, res) => {
+// Declare or push back when the driver plans to leave; the planned stay has to fit in the remaining hours
+router.post('/booking/:reservationId/extend', authenticateToken, requirePermission(Permissions.RESERVE_SPOT), async (req, res) => {
   try {
-    console.log('📋 Fetching current-booking for user:', req.user.user_id);
-    
-    // Get the most recent reservation for the user
-    const reservationCheck = await db.query(`
-      SELECT 
-        r.reservation_id,
-        r.time_stamp,
-        r.start_time,
-        r.end_time,
-        r.booking_status,
-        r.QR,
-        r.qr_key,
-        r.parking_spots_id,
-        v.plate_number,
-        v.vehicle_type,
-        v.brand,
-        v.color
-      FROM reservations r
-      JOIN vehicles v ON r.vehicle_id = v.vehicle_id
-      WHERE r.user_id = ? AND r.booking_status IN ('reserved', 'active')
-      ORDER BY r.time_stamp DESC
-      LIMIT 1
-    `, [req.user.user_id]);
+    const { reservationId } = req.params;
+    const { endTime } = req.body;
+    const userId = req.user.user_id;
 
-    if (reservationCheck.length === 0) {
-      console.log('📋 No current booking found');
-      return res.json({
-        success: true,
-        data: {
-          booking: null
-        }
+    const requestedEnd = new Date(endTime);
+    if (!endTime || Number.isNaN(requestedEnd.getTime())) {
+      return res.status(400).json({
+        success: false,
+        errorCode: 'INVALID_END_TIME',
+        message: 'endTime must be a valid ISO 8601 date'
       });
     }
 
-    const reservation = reservationCheck[0];
-    const parkingSpotsId = reservation.parking_spots_id;
-    
-    console.log('📋 Found reservation:', reservation.reservation_id, 'parking_spots_id:', parkingSpotsId);
-    
-    // Check if this parking_spots_id exists in parking_section table
-    const sectionCheck = await db.query(`
-      SELECT parking_section_id 
-      FROM parking_section 
-      WHERE parking_section_id = ?
-    `, [parkingSpotsId]);
+    if (requestedEnd.getTime() <= Date.now()) {
+      return res.status(400).json({
+        success: false,
+        errorCode: 'INVALID_END_TIME',
+        message: 'The planned end time must be in the future'
+      });
+    }
 
-    let bookingDetails;
-    
-    if (sectionCheck.length > 0) {
-      // This is a capacity section
-      console.log('🏍️ Current booking is a capacity section');
-      bookingDetails = await db.query(`
-        SELECT 
-          ps.parking_area_id,
-          pa.parking_area_name,
-          pa.location,
-          ps.section_name
-        FROM parking_section ps
-        JOIN parking_area pa ON ps.parking_area_id = pa.parking_area_id
-        WHERE ps.parking_section_id = ?
-      `, [parkingSpotsId]);
+    if (!db.connection) {
+      await db.connect();
+    }
 
-      if (bookingDetails.length > 0) {
-        const section = bookingDetails[0];
-        const booking = {
-          reservationId: reservation.reservation_id,
-          bookingStatus: reservation.booking_status,
-          location_name: section.parking_area_name,
-          spot_number: `M1-${section.section_name}-1`,
-          plate_number: reservation.plate_number,
-          vehicle_type: reservation.vehicle_type,
-          vehicle_brand: reservation.brand,
-          vehicle_color: reservation.color,
-          spot_type: 'motorcycle',
-          section_name: section.section_name,
-          location: section.location,
-          parking_area_id: section.parking_area_id,
-          time_stamp: reservation.time_stamp,
-          start_time: reservation.start_time,
-          end_time: reservation.end_time,
-          qr_code: reservation.QR,
-          qr_key: reservation.qr_key
-        };
+    let connection = null;
+    try {
+      connection = await db.connection.getConnection();
+      await connection.beginTransaction();
 
-        console.log('📋 Returning capacity section booking:', booking);
-        return res.json({
-          success: true,
-          data: {
-            booking: booking
-          }
+      const [reservations] = await connection.execute(`
+        SELECT
+          r.reservation_id,
+          r.parking_spots_id,
+          r.spot_number,
+          r.booking_status,
+          ${PLANNED_END_SQL} AS planned_end_time,
+          TIMESTAMPDIFF(SECOND, ${CHARGE_START_SQL}, ?) / 3600 AS planned_hours
+        FROM reservations r
+        WHERE r.reservation_id = ? AND r.user_id = ?
+        FOR UPDATE
+      `, [requestedEnd, reservationId, userId]);
+
+      if (reservations.length === 0) {
+        await connection.rollback();
+        connection.release();
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found or does not belong to user'
         });
       }
-    } else {
-      // This is a regular spot
-      console.log('🚗 Current booking is a regular spot');
-      bookingDetails = await db.query(`
-        SELECT 
-          ps.spot_number,
-          ps.spot_type,
-          psec.section_name,
-          pa.parking_area_id,
-          pa.parking_area_name,
-          pa.location
-        FROM parking_spot ps
-        JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
-        JOIN parking_area pa ON psec.parking_area_id = pa.parking_area_id
-        WHERE ps.parking_spot_id = ?
-      `, [parkingSpotsId]);
 
-      if (bookingDetails.length > 0) {
-        const spot = bookingDetails[0];
-        const booking = {
-          reservationId: reservation.reservation_id,
-          bookingStatus: reservation.booking_status,
-          location_name: spot.parking_area_name,
-          spot_number: spot.spot_number,
-          plate_number: reservation.plate_number,
-          vehicle_type: reservation.vehicle_type,
-          vehicle_brand: reservation.brand,
-          vehicle_color: reservation.color,
-          spot_type: spot.spot_type,
-          section_name: spot.section_name,
-          location: spot.location,
-          parking_area_id: spot.parking_area_id,
-          time_stamp: reservation.time_stamp,
-          start_time: reservation.start_time,
-          end_time: reservation.end_time,
-          qr_code: reservation.QR,
-          qr_key: reservation.qr_key
-        };
+      const reservation = reservations[0];
 
-        console.log('📋 Returning regular spot booking:', booking);
-        return res.json({
-          success: true,
-          data: {
-            booking: booking
-          }
+      if (!['reserved', 'active'].includes(reservation.booking_status)) {
+        await connection.rollback();
+        connection.release();
+        return res.status(400).json({
+          success: false,
+          errorCode: 'SESSION_NOT_ACTIVE',
+          message: 'Only a reserved or active parking session can be extended'
         });
       }
-    }
 
-    // If we get here, something went wrong with the joins
-    console.log('❌ Could not find parking details for reservation:', reservation.reservation_id);
-    return res.json({
-      success: true,
-      data: {
-        booking: null
+      const [balanceRows] = await connection.execute(
+        `SELECT COALESCE(SUM(hours_remaining), 0) AS total_hours_remaining
+         FROM subscriptions
+         WHERE user_id = ? AND status = 'active' AND hours_remaining > 0`,
+        [userId]
+      );
+      const balanceHours = parseFloat(balanceRows[0]?.total_hours_remaining || 0);
+      const plannedHours = Math.max(0, parseFloat(reservation.planned_hours || 0));
+
+      if (plannedHours > balanceHours) {
+        await connection.rollback();
+        connection.release();
+        return res.status(400).json({
+          success: false,
+          errorCode: 'INSUFFICIENT_BALANCE',
+          message: `Staying until then takes ${plannedHours.toFixed(2)} hours but you have ${balanceHours.toFixed(2)} hours left. Purchase more hours or choose an earlier time.`,
+          data: { plannedHours, balanceHours }
+        });
       }
-    });
 
-  } catch (error) {
-    console.error('Get current booking error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch current booking'
-    });
-  }
-});
+      // Capacity sections have no fixed spot; upcoming bookings there fall back to free capacity when held
+      if (reservation.parking_spots_id !== 0 &&
+          await hasSpotConflict(connection, reservation.parking_spots_id, { start: new Date(), end: requestedEnd }, reservation.reservation_id)) {
+        await connection.rollback();
+        connection.release();
+        return res.status(409).json({
+          success: false,
+          errorCode: 'SCHEDULE_CONFLICT',
+          message: 'This spot is booked by another driver before that time. Please choose an earlier end time.'
+        });
+      }
 
-// Get all active bookings for the logged-in user
-router.get('/my-bookings', authenticateToken, async (req, res) => {
-  try {
-    console.log('📋 Fetching my-bookings for user:', req.user.user_id);
-    
-    // Get all reservations for the user first
-    const reservations = await db.query(`
-      SELECT 
-        r.reservation_id,
+      await connection.execute(
+        'UPDATE reservations SET intended_end_time = ?, updated_at = NOW() WHERE reservation_id = ?',
+        [requestedEnd, reservation.reservation_id]
+      );
+
+      await connection.commit();
+      connection.release();
+      connection = null;
+
+      const previousEndTime = reservation.planned_end_time ? new Date(reservation.planned_end_time) : null;
+      await logUserActivity(
+        userId,
+        ActionTypes.PARKING_EXTEND,
+        `${previousEndTime ? 'Extended' : 'Planned'} parking at ${reservation.spot_number} until ${requestedEnd.toLocaleString()}`,
+        reservation.reservation_id
+      );
+
+      console.log(`⏰ Reservation ${reservation.reservation_id} planned to end at ${requestedEnd.toISOString()} (${plannedHours.toFixed(2)}h of ${balanceHours.toFixed(2)}h)`);
+
+      res.json({
+        success: true,
+        message: previousEndTime ? 'Parking session extended' : 'Planned end time set',
+        data: {
+          reservationId: reservation.reservation_id,
+          intendedEndTime: requestedEnd.toISOString(),
+          previousEndTime: previousEndTime ? previousEndTime.toISOString() : null,
+          plannedHours,
+          balanceHours
+        }
+      });
+
+    } catch (transactionError) {
+      if (connection) {
+        await connection.rollback();
+        connection.release();
+      }
+      throw transactionError;
+    }
+
+  } catch (error) {
+    console.error('Extend parking session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to extend parking session'
+    });
+  }
+});
+
+// Driver cancels their own scheduled or reserved booking; free at first, then the late-cancellation policy applies
+router.post('/booking/:reservationId/cancel', authenticateToken, requirePermission(Permissions.RESERVE_SPOT), async (req, res) => {
+  try {
+    const { reservationId } = req.params;
+    const userId = req.user.user_id;
+
+    if (!db.connection) {
+      await db.connect();
+    }
+
+    let connection = null;
+    try {
+      connection = await db.connection.getConnection();
+      await connection.beginTransaction();
+
+      // Lock the booking so the attendant's start scan can't race the cancellation; the grace period expiry waits for
+      // the lock and then only expires bookings still 'reserved', so it skips one cancelled here
+      const [reservations] = await connection.execute(`
+        SELECT
+          r.reservation_id,
+          r.user_id,
+          r.parking_spots_id,
+          r.parking_section_id,
+          r.spot_number,
+          r.booking_status,
+          r.time_stamp,
+          r.scheduled_start_time
+        FROM reservations r
+        WHERE r.reservation_id = ? AND r.user_id = ?
+        FOR UPDATE
+      `, [reservationId, userId]);
+
+      if (reservations.length === 0) {
+        await connection.rollback();
+        connection.release();
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found or does not belong to user'
+        });
+      }
+
+      const reservation = reservations[0];
+
+      if (!CANCELLABLE_BOOKING_STATUSES.includes(reservation.booking_status)) {
+        await connection.rollback();
+        connection.release();
+        return res.status(400).json({
+          success: false,
+          errorCode: 'BOOKING_NOT_CANCELLABLE',
+          message: reservation.booking_status === 'active'
+            ? 'Your parking session has already started. Ask the attendant to end it.'
+            : 'This booking can no longer be cancelled'
+        });
+      }
+
+      const terms = getCancellationTerms(reservation);
+
+      await connection.execute(
+        `UPDATE reservations
+         SET booking_status = 'cancelled', cancelled_at = NOW(), cancellation_fee_hours = ?, updated_at = NOW()
+         WHERE reservation_id = ?`,
+        [terms.feeHours || null, reservation.reservation_id]
+      );
+      await releaseReservationHold(connection, reservation);
+      const outcome = await applyCancellationPolicy(connection, reservation, terms);
+
+      await connection.commit();
+      connection.release();
+      connection = null;
+
+      if (reservation.booking_status === 'reserved') {
+        offerReleasedCapacity({ spotId: reservation.parking_spots_id, sectionId: reservation.parking_section_id });
+      }
+
+      const suspension = outcome.strike
+        ? await enforceStrikeThreshold(userId).catch((error) => {
+          console.error('❌ Failed to check the no-show strike threshold:', error.message);
+          return null;
+        })
+        : null;
+
+      const charges = [];
+      if (outcome.feeHours > 0) {
+        charges.push(`${outcome.feeHours} hour cancellation fee`);
+      }
+      if (outcome.strike) {
+        charges.push('no-show strike recorded');
+      }
+      await logUserActivity(
+        userId,
+        ActionTypes.PARKING_CANCEL,
+        `Cancelled booking for ${reservation.spot_number}${charges.length > 0 ? ` (${charges.join(', ')})` : ' free of charge'}`,
+        reservation.reservation_id
+      );
+
+      console.log(`🚫 Reservation ${reservation.reservation_id} cancelled by driver ${userId} - policy: ${terms.policy}, fee: ${outcome.feeHours}h, penalty: ${outcome.penaltyHours}h`);
+
+      let message = 'Booking cancelled free of charge';
+      if (outcome.feeHours > 0) {
+        message = `Booking cancelled. A late cancellation fee of ${outcome.feeHours} hours was charged`;
+        if (outcome.penaltyHours > 0) {
+          message += `, ${outcome.penaltyHours.toFixed(2)} hours of it as a penalty because your balance was too low`;
+        }
+      } else if (outcome.strike) {
+        message = 'Booking cancelled. Because it was cancelled late, a no-show strike was added to your account';
+        if (suspension) {
+          message += `. That was strike ${suspension.strikeCount}, so booking is suspended until ${suspension.endsAt.toLocaleString()}`;
+        }
+      }
+
+      res.json({
+        success: true,
+        message,
+        data: {
+          reservationId: reservation.reservation_id,
+          status: 'cancelled',
+          free: terms.free,
+          policy: terms.policy,
+          feeHours: outcome.feeHours,
+          deductedHours: outcome.deductedHours,
+          penaltyHours: outcome.penaltyHours,
+          strike: outcome.strike,
+          suspendedUntil: suspension ? suspension.endsAt : null
+        }
+      });
+
+    } catch (transactionError) {
+      if (connection) {
+        await connection.rollback();
+        connection.release();
+      }
+      throw transactionError;
+    }
+
+  } catch (error) {
+    console.error('Cancel booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel booking'
+    });
+  }
+});
+
+// Open waitlist entries with the driver's place in the queue and whatever is being held for them
+const WAITLIST_ENTRY_SELECT = `
+  SELECT
+    w.waitlist_id,
+    w.parking_area_id,
+    pa.parking_area_name,
+    w.parking_section_id,
+    w.vehicle_id,
+    v.plate_number,
+    w.vehicle_type,
+    w.status,
+    w.offered_spot_id,
+    w.offered_section_id,
+    w.offer_expires_at,
+    w.created_at,
+    COALESCE(CONCAT(spot_section.section_name, '-', spot.spot_number), offered_section.section_name) as offered_spot_number,
+    (
+      SELECT COUNT(*) + 1 FROM waitlist_entries ahead
+      WHERE ahead.parking_area_id = w.parking_area_id
+        AND ahead.vehicle_type = w.vehicle_type
+        AND ahead.status = 'waiting'
+        AND (ahead.created_at < w.created_at OR (ahead.created_at = w.created_at AND ahead.waitlist_id < w.waitlist_id))
+    ) as queue_position
+  FROM waitlist_entries w
+  JOIN parking_area pa ON w.parking_area_id = pa.parking_area_id
+  JOIN vehicles v ON w.vehicle_id = v.vehicle_id
+  LEFT JOIN parking_spot spot ON w.offered_spot_id = spot.parking_spot_id
+  LEFT JOIN parking_section spot_section ON spot.parking_section_id = spot_section.parking_section_id
+  LEFT JOIN parking_section offered_section ON w.offered_section_id = offered_section.parking_section_id
+`;
+
+const formatWaitlistEntry = (entry) => ({
+  waitlistId: entry.waitlist_id,
+  areaId: entry.parking_area_id,
+  areaName: entry.parking_area_name,
+  sectionId: entry.parking_section_id,
+  vehicleId: entry.vehicle_id,
+  vehiclePlate: entry.plate_number,
+  vehicleType: entry.vehicle_type,
+  status: entry.status,
+  position: entry.status === 'waiting' ? Number(entry.queue_position) : null,
+  offer: entry.status === 'offered'
+    ? {
+      spotId: entry.offered_spot_id || 0,
+      sectionId: entry.offered_section_id,
+      spotNumber: entry.offered_spot_number,
+      expiresAt: entry.offer_expires_at
+    }
+    : null,
+  createdAt: entry.created_at
+});
+
+// Join the waitlist for a full area (optionally a single section); freed spots are offered oldest entry first
+router.post('/waitlist', authenticateToken, requirePermission(Permissions.RESERVE_SPOT), requireVerifiedEmail, async (req, res) => {
+  try {
+    const { areaId, vehicleId, sectionId } = req.body;
+    const userId = req.user.user_id;
+
+    if (!areaId || !vehicleId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Area ID and vehicle ID are required'
+      });
+    }
+
+    const eligibility = await requireBookingEligibility(userId);
+    if (!eligibility.allowed) {
+      return res.status(403).json(eligibilityErrorResponse(eligibility));
+    }
+
+    const vehicles = await db.query(
+      'SELECT plate_number, vehicle_type FROM vehicles WHERE vehicle_id = ? AND user_id = ?',
+      [vehicleId, userId]
+    );
+
+    if (vehicles.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Vehicle not found or does not belong to user'
+      });
+    }
+
+    const areas = await db.query(
+      'SELECT parking_area_name FROM parking_area WHERE parking_area_id = ?',
+      [areaId]
+    );
+
+    if (areas.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parking area not found'
+      });
+    }
+
+    if (sectionId) {
+      const sections = await db.query(
+        'SELECT parking_section_id FROM parking_section WHERE parking_section_id = ? AND parking_area_id = ?',
+        [sectionId, areaId]
+      );
+
+      if (sections.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parking section not found in this area'
+        });
+      }
+    }
+
+    const openEntries = await db.query(
+      `SELECT waitlist_id FROM waitlist_entries WHERE user_id = ? AND status IN (${OPEN_WAITLIST_STATUSES.map(() => '?').join(', ')})`,
+      [userId, ...OPEN_WAITLIST_STATUSES]
+    );
+
+    if (openEntries.length > 0) {
+      return res.status(409).json({
+        success: false,
+        errorCode: 'ALREADY_WAITLISTED',
+        message: 'You are already on a waitlist. Leave it before joining another one.',
+        data: { waitlistId: openEntries[0].waitlist_id }
+      });
+    }
+
+    const vehicleType = normalizeVehicleType(vehicles[0].vehicle_type);
+    const insertResult = await db.execute(
+      `INSERT INTO waitlist_entries (user_id, vehicle_id, parking_area_id, parking_section_id, vehicle_type)
+       VALUES (?, ?, ?, ?, ?)`,
+      [userId, vehicleId, areaId, sectionId || null, vehicleType]
+    );
+    const waitlistId = insertResult.insertId;
+
+    await logUserActivity(
+      userId,
+      ActionTypes.WAITLIST_JOIN,
+      `Joined the waitlist at ${areas[0].parking_area_name} for vehicle ${vehicles[0].plate_number}`,
+      waitlistId
+    );
+
+    // Something may have freed up since the driver saw the area as full
+    await offerFreedCapacity(areaId, vehicleType);
+
+    const entries = await db.query(`${WAITLIST_ENTRY_SELECT} WHERE w.waitlist_id = ?`, [waitlistId]);
+    const entry = formatWaitlistEntry(entries[0]);
+
+    res.status(201).json({
+      success: true,
+      message: entry.offer
+        ? 'A spot is available now. Accept it before the offer expires.'
+        : `You are number ${entry.position} on the waitlist. We will notify you when a spot opens up.`,
+      data: entry
+    });
+
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to join waitlist'
+    });
+  }
+});
+
+// The driver's open waitlist entries, with any offer waiting to be accepted
+router.get('/waitlist', authenticateToken, async (req, res) => {
+  try {
+    const entries = await db.query(
+      `${WAITLIST_ENTRY_SELECT}
+       WHERE w.user_id = ? AND w.status IN (${OPEN_WAITLIST_STATUSES.map(() => '?').join(', ')})
+       ORDER BY w.created_at DESC`,
+      [req.user.user_id, ...OPEN_WAITLIST_STATUSES]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        entries: entries.map(formatWaitlistEntry),
+        offerMinutes: WAITLIST_OFFER_MINUTES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch waitlist'
+    });
+  }
+});
+
+// Accept a waitlist offer: the held spot or section unit becomes a normal reserved booking
+router.post('/waitlist/:waitlistId/accept', authenticateToken, requirePermission(Permissions.RESERVE_SPOT), requireVerifiedEmail, async (req, res) => {
+  try {
+    const { waitlistId } = req.params;
+    const userId = req.user.user_id;
+
+    const eligibility = await requireBookingEligibility(userId);
+    if (!eligibility.allowed) {
+      return res.status(403).json(eligibilityErrorResponse(eligibility));
+    }
+
+    if (!db.connection) {
+      await db.connect();
+    }
+
+    let connection = null;
+    try {
+      connection = await db.connection.getConnection();
+      await connection.beginTransaction();
+
+      // Lock the entry so the expiry sweep can't hand the spot to the next driver mid-accept
+      const [entries] = await connection.execute(`
+        SELECT
+          w.waitlist_id,
+          w.vehicle_id,
+          w.status,
+          w.offered_spot_id,
+          w.offered_section_id,
+          w.offer_expires_at <= NOW() as offer_expired,
+          v.plate_number,
+          v.vehicle_type,
+          v.brand,
+          pa.parking_area_name,
+          pa.location
+        FROM waitlist_entries w
+        JOIN vehicles v ON w.vehicle_id = v.vehicle_id
+        JOIN parking_area pa ON w.parking_area_id = pa.parking_area_id
+        WHERE w.waitlist_id = ? AND w.user_id = ?
+        FOR UPDATE
+      `, [waitlistId, userId]);
+
+      if (entries.length === 0) {
+        await connection.rollback();
+        connection.release();
+        return res.status(404).json({
+          success: false,
+          message: 'Waitlist entry not found or does not belong to user'
+        });
+      }
+
+      const entry = entries[0];
+
+      if (entry.status !== 'offered' || entry.offer_expired) {
+        await connection.rollback();
+        connection.release();
+        return res.status(400).json({
+          success: false,
+          errorCode: entry.status === 'offered' ? 'OFFER_EXPIRED' : 'NO_OFFER',
+          message: entry.status === 'offered'
+            ? 'This offer has expired and the spot has gone to the next driver'
+            : 'There is no spot on offer for this waitlist entry'
+        });
+      }
+
+      // The offer already holds the spot (status reserved) or a unit of section capacity (reserved_count)
+      let spotId = 0;
+      let sectionId = entry.offered_section_id;
+      let spotNumber;
+      let spotType = entry.vehicle_type;
+
+      if (entry.offered_spot_id) {
+        const [spots] = await connection.execute(`
+          SELECT ps.parking_spot_id, ps.parking_section_id, ps.spot_number, ps.spot_type, psec.section_name
+          FROM parking_spot ps
+          JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
+          WHERE ps.parking_spot_id = ?
+        `, [entry.offered_spot_id]);
+        spotId = spots[0].parking_spot_id;
+        sectionId = spots[0].parking_section_id;
+        spotNumber = `${spots[0].section_name}-${spots[0].spot_number}`;
+        spotType = spots[0].spot_type;
+      } else {
+        const [sections] = await connection.execute(
+          'SELECT section_name, reserved_count FROM parking_section WHERE parking_section_id = ?',
+          [sectionId]
+        );
+        spotNumber = `${sections[0].section_name}-${sections[0].reserved_count}`;
+      }
+
+      const qrKey = uuidv4();
+      const qrCodeDataURL = await QRCode.toDataURL(JSON.stringify({ qr_key: qrKey }), {
+        width: 256,
+        margin: 2,
+        color: {
+          dark: '#000000',
+          light: '#FFFFFF'
+        }
+      });
+
+      const [insertResult] = await connection.execute(`
+        INSERT INTO reservations (
+          user_id, vehicle_id, parking_spots_id, parking_section_id, spot_number,
+          time_stamp, start_time, booking_status, QR, qr_key
+        ) VALUES (?, ?, ?, ?, ?, NOW(), NULL, 'reserved', ?, ?)
+      `, [userId, entry.vehicle_id, spotId, sectionId, spotNumber, qrCodeDataURL, qrKey]);
+      const reservationId = insertResult.insertId;
+
+      await connection.execute(
+        "UPDATE waitlist_entries SET status = 'accepted', reservation_id = ? WHERE waitlist_id = ?",
+        [reservationId, entry.waitlist_id]
+      );
+
+      await connection.commit();
+      connection.release();
+      connection = null;
+
+      await logUserActivity(
+        userId,
+        ActionTypes.PARKING_BOOK,
+        `Parking spot booked from the waitlist: ${spotNumber} at ${entry.parking_area_name} for vehicle ${entry.plate_number}`,
+        reservationId
+      );
+
+      res.json({
+        success: true,
+        message: 'Waitlist offer accepted. Your spot is reserved.',
+        data: {
+          reservationId,
+          qrCode: qrCodeDataURL,
+          qrKey,
+          bookingDetails: {
+            reservationId,
+            qrCode: qrCodeDataURL,
+            qrKey,
+            vehiclePlate: entry.plate_number,
+            vehicleType: entry.vehicle_type,
+            vehicleBrand: entry.brand,
+            areaName: entry.parking_area_name,
+            areaLocation: entry.location,
+            spotNumber,
+            spotType,
+            startTime: null,
+            status: 'reserved'
+          }
+        }
+      });
+
+    } catch (transactionError) {
+      if (connection) {
+        await connection.rollback();
+        connection.release();
+      }
+      throw transactionError;
+    }
+
+  } catch (error) {
+    console.error('Accept waitlist offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept waitlist offer'
+    });
+  }
+});
+
+// Leave the waitlist, or turn down an offer; a held spot goes straight to the next driver
+router.delete('/waitlist/:waitlistId', authenticateToken, async (req, res) => {
+  try {
+    const { waitlistId } = req.params;
+    const userId = req.user.user_id;
+
+    if (!db.connection) {
+      await db.connect();
+    }
+
+    let connection = null;
+    try {
+      connection = await db.connection.getConnection();
+      await connection.beginTransaction();
+
+      const [entries] = await connection.execute(`
+        SELECT w.*, pa.parking_area_name
+        FROM waitlist_entries w
+        JOIN parking_area pa ON w.parking_area_id = pa.parking_area_id
+        WHERE w.waitlist_id = ? AND w.user_id = ?
+        FOR UPDATE
+      `, [waitlistId, userId]);
+
+      if (entries.length === 0) {
+        await connection.rollback();
+        connection.release();
+        return res.status(404).json({
+          success: false,
+          message: 'Waitlist entry not found or does not belong to user'
+        });
+      }
+
+      const entry = entries[0];
+
+      if (!OPEN_WAITLIST_STATUSES.includes(entry.status)) {
+        await connection.rollback();
+        connection.release();
+        return res.status(400).json({
+          success: false,
+          errorCode: 'WAITLIST_NOT_OPEN',
+          message: 'You are no longer on this waitlist'
+        });
+      }
+
+      if (entry.status === 'offered') {
+        await releaseOfferHold(connection, entry);
+      }
+      await connection.execute(
+        "UPDATE waitlist_entries SET status = 'cancelled' WHERE waitlist_id = ?",
+        [entry.waitlist_id]
+      );
+
+      await connection.commit();
+      connection.release();
+      connection = null;
+
+      if (entry.status === 'offered') {
+        offerReleasedCapacity({ spotId: entry.offered_spot_id, sectionId: entry.offered_section_id });
+      }
+
+      await logUserActivity(
+        userId,
+        ActionTypes.WAITLIST_LEAVE,
+        `${entry.status === 'offered' ? 'Declined a waitlist offer and left' : 'Left'} the waitlist at ${entry.parking_area_name}`,
+        entry.waitlist_id
+      );
+
+      res.json({
+        success: true,
+        message: entry.status === 'offered' ? 'Offer declined' : 'You have left the waitlist',
+        data: {
+          waitlistId: entry.waitlist_id,
+          status: 'cancelled'
+        }
+      });
+
+    } catch (transactionError) {
+      if (connection) {
+        await connection.rollback();
+        connection.release();
+      }
+      throw transactionError;
+    }
+
+  } catch (error) {
+    console.error('Leave waitlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave waitlist'
+    });
+  }
+});
+
+const formatRecurringRule = (rule, occurrences = []) => ({
+  recurringId: rule.recurring_id,
+  vehicleId: rule.vehicle_id,
+  vehiclePlate: rule.plate_number,
+  areaId: rule.parking_area_id,
+  areaName: rule.parking_area_name,
+  spotId: rule.parking_spot_id,
+  sectionId: rule.parking_section_id,
+  daysOfWeek: ruleDays(rule),
+  startTime: rule.start_time.slice(0, 5),
+  endTime: rule.end_time.slice(0, 5),
+  status: rule.status,
+  occurrences: occurrences.map((occurrence) => ({
+    date: occurrence.occurrence_date,
+    status: occurrence.status,
+    message: occurrence.message,
+    reservationId: occurrence.reservation_id,
+    spotNumber: occurrence.spot_number,
+    bookingStatus: occurrence.booking_status
+  }))
+});
+
+// Upcoming occurrences of the given rules, keyed by recurring_id
+const getUpcomingOccurrences = async (recurringIds) => {
+  if (recurringIds.length === 0) {
+    return {};
+  }
+
+  const occurrences = await db.query(`
+    SELECT
+      o.recurring_id,
+      DATE_FORMAT(o.occurrence_date, '%Y-%m-%d') as occurrence_date,
+      o.status,
+      o.message,
+      o.reservation_id,
+      r.spot_number,
+      r.booking_status
+    FROM recurring_reservation_occurrences o
+    LEFT JOIN reservations r ON o.reservation_id = r.reservation_id
+    WHERE o.recurring_id IN (${recurringIds.map(() => '?').join(', ')}) AND o.occurrence_date >= CURDATE()
+    ORDER BY o.occurrence_date
+  `, recurringIds);
+
+  return occurrences.reduce((byRule, occurrence) => {
+    (byRule[occurrence.recurring_id] = byRule[occurrence.recurring_id] || []).push(occurrence);
+    return byRule;
+  }, {});
+};
+
+const RECURRING_RULE_SELECT = `
+  SELECT rr.*, pa.parking_area_name, v.plate_number
+  FROM recurring_reservations rr
+  JOIN parking_area pa ON rr.parking_area_id = pa.parking_area_id
+  JOIN vehicles v ON rr.vehicle_id = v.vehicle_id
+`;
+
+// Create a weekly booking rule; its upcoming dates are booked right away and then by the scheduler
+router.post('/recurring-bookings', authenticateToken, requirePermission(Permissions.RESERVE_SPOT), requireVerifiedEmail, async (req, res) => {
+  try {
+    const { vehicleId, areaId, spotId, sectionId } = req.body;
+    const userId = req.user.user_id;
+
+    if (!vehicleId || !areaId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Vehicle ID and area ID are required'
+      });
+    }
+
+    const { rule, error: ruleError } = parseRecurringRule(req.body);
+    if (ruleError) {
+      return res.status(400).json({
+        success: false,
+        errorCode: 'INVALID_SCHEDULE',
+        message: ruleError
+      });
+    }
+
+    const eligibility = await requireBookingEligibility(userId);
+    if (!eligibility.allowed) {
+      return res.status(403).json(eligibilityErrorResponse(eligibility));
+    }
+
+    const vehicles = await db.query(
+      'SELECT vehicle_type FROM vehicles WHERE vehicle_id = ? AND user_id = ?',
+      [vehicleId, userId]
+    );
+
+    if (vehicles.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Vehicle not found or does not belong to user'
+      });
+    }
+
+    const areas = await db.query('SELECT parking_area_id FROM parking_area WHERE parking_area_id = ?', [areaId]);
+    if (areas.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parking area not found'
+      });
+    }
+
+    const vehicleType = normalizeVehicleType(vehicles[0].vehicle_type);
+    const isCapacityVehicle = capacityVehicleTypes.includes(vehicleType);
+    let preferredSpotId = null;
+    let preferredSectionId = sectionId || null;
+
+    // Capacity vehicles are booked by section, so a preferred spot only makes sense for the others
+    if (spotId && !isCapacityVehicle) {
+      const spots = await db.query(`
+        SELECT ps.parking_section_id, ps.spot_type
+        FROM parking_spot ps
+        JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
+        WHERE ps.parking_spot_id = ? AND psec.parking_area_id = ?
+      `, [spotId, areaId]);
+
+      if (spots.length === 0 || spots[0].spot_type.toLowerCase() !== vehicleType) {
+        return res.status(400).json({
+          success: false,
+          errorCode: 'VEHICLE_TYPE_MISMATCH',
+          message: 'The preferred spot is not in this area or does not fit your vehicle'
+        });
+      }
+      preferredSpotId = spotId;
+      preferredSectionId = spots[0].parking_section_id;
+    } else if (preferredSectionId) {
+      const sections = await db.query(
+        'SELECT parking_section_id FROM parking_section WHERE parking_section_id = ? AND parking_area_id = ?',
+        [preferredSectionId, areaId]
+      );
+
+      if (sections.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parking section not found in this area'
+        });
+      }
+    }
+
+    const insertResult = await db.execute(`
+      INSERT INTO recurring_reservations (
+        user_id, vehicle_id, parking_area_id, parking_spot_id, parking_section_id,
+        vehicle_type, days_of_week, start_time, end_time
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      userId,
+      vehicleId,
+      areaId,
+      preferredSpotId,
+      preferredSectionId,
+      vehicleType,
+      rule.daysOfWeek.join(','),
+      rule.startTime,
+      rule.endTime
+    ]);
+    const recurringId = insertResult.insertId;
+
+    const rules = await db.query(`${RECURRING_RULE_SELECT} WHERE rr.recurring_id = ?`, [recurringId]);
+    const counts = await expandRecurringRule(rules[0]);
+
+    await logUserActivity(
+      userId,
+      ActionTypes.PARKING_RECURRING_CREATE,
+      `Created a recurring booking at ${rules[0].parking_area_name} for vehicle ${rules[0].plate_number} (days ${rule.daysOfWeek.join(',')}, ${rule.startTime.slice(0, 5)}-${rule.endTime.slice(0, 5)})`,
+      recurringId
+    );
+
+    const occurrences = await getUpcomingOccurrences([recurringId]);
+    const booked = counts.booked + counts.fallback;
+
+    res.status(201).json({
+      success: true,
+      message: counts.conflicts > 0
+        ? `Recurring booking created. ${booked} upcoming date${booked !== 1 ? 's were' : ' was'} booked and ${counts.conflicts} could not be booked yet.`
+        : `Recurring booking created. ${booked} upcoming date${booked !== 1 ? 's were' : ' was'} booked.`,
+      data: formatRecurringRule(rules[0], occurrences[recurringId])
+    });
+
+  } catch (error) {
+    console.error('Create recurring booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create recurring booking'
+    });
+  }
+});
+
+// The driver's active weekly booking rules with their upcoming dates, conflicts and skips
+router.get('/recurring-bookings', authenticateToken, async (req, res) => {
+  try {
+    const rules = await db.query(
+      `${RECURRING_RULE_SELECT} WHERE rr.user_id = ? AND rr.status = 'active' ORDER BY rr.created_at DESC`,
+      [req.user.user_id]
+    );
+    const occurrences = await getUpcomingOccurrences(rules.map((rule) => rule.recurring_id));
+
+    res.json({
+      success: true,
+      data: {
+        rules: rules.map((rule) => formatRecurringRule(rule, occurrences[rule.recurring_id])),
+        daysAhead: RECURRING_BOOKING_DAYS_AHEAD
+      }
+    });
+
+  } catch (error) {
+    console.error('Get recurring bookings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recurring bookings'
+    });
+  }
+});
+
+// Skip one date of a rule; a booking already placed for it is cancelled free of charge
+router.post('/recurring-bookings/:recurringId/skip', authenticateToken, requirePermission(Permissions.RESERVE_SPOT), async (req, res) => {
+  try {
+    const { recurringId } = req.params;
+    const { date } = req.body;
+    const userId = req.user.user_id;
+
+    const skipDate = parseDate(date);
+    if (!skipDate || date < formatDate(new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'date must be today or a later day in YYYY-MM-DD format'
+      });
+    }
+
+    if (!db.connection) {
+      await db.connect();
+    }
+
+    let connection = null;
+    try {
+      connection = await db.connection.getConnection();
+      await connection.beginTransaction();
+
+      const [rules] = await connection.execute(
+        "SELECT recurring_id, days_of_week FROM recurring_reservations WHERE recurring_id = ? AND user_id = ? AND status = 'active'",
+        [recurringId, userId]
+      );
+
+      if (rules.length === 0) {
+        await connection.rollback();
+        connection.release();
+        return res.status(404).json({
+          success: false,
+          message: 'Recurring booking not found or does not belong to user'
+        });
+      }
+
+      if (!ruleDays(rules[0]).includes(skipDate.getDay())) {
+        await connection.rollback();
+        connection.release();
+        return res.status(400).json({
+          success: false,
+          message: 'This recurring booking does not run on that day'
+        });
+      }
+
+      const [occurrences] = await connection.execute(`
+        SELECT o.status, o.reservation_id, r.booking_status, r.spot_number
+        FROM recurring_reservation_occurrences o
+        LEFT JOIN reservations r ON o.reservation_id = r.reservation_id
+        WHERE o.recurring_id = ? AND o.occurrence_date = ?
+        FOR UPDATE
+      `, [recurringId, date]);
+      const occurrence = occurrences[0];
+
+      // Once the booking holds its spot it is cancelled like any other booking, under the cancellation policy
+      if (occurrence && occurrence.reservation_id && occurrence.status !== 'skipped' && occurrence.booking_status !== 'scheduled') {
+        await connection.rollback();
+        connection.release();
+        return res.status(400).json({
+          success: false,
+          errorCode: 'OCCURRENCE_IN_PROGRESS',
+          message: 'This booking is already holding a spot. Cancel it from the booking instead.',
+          data: { reservationId: occurrence.reservation_id }
+        });
+      }
+
+      if (occurrence && occurrence.reservation_id && occurrence.booking_status === 'scheduled') {
+        await connection.execute(
+          `UPDATE reservations SET booking_status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+           WHERE reservation_id = ? AND booking_status = 'scheduled'`,
+          [occurrence.reservation_id]
+        );
+      }
+
+      await connection.execute(
+        `INSERT INTO recurring_reservation_occurrences (recurring_id, occurrence_date, status, reservation_id, message)
+         VALUES (?, ?, 'skipped', ?, NULL)
+         ON DUPLICATE KEY UPDATE status = 'skipped', message = NULL`,
+        [recurringId, date, occurrence ? occurrence.reservation_id : null]
+      );
+
+      await connection.commit();
+      connection.release();
+      connection = null;
+
+      await logUserActivity(
+        userId,
+        ActionTypes.PARKING_CANCEL,
+        `Skipped recurring booking on ${date}${occurrence && occurrence.spot_number ? ` (${occurrence.spot_number})` : ''}`,
+        occurrence && occurrence.reservation_id ? occurrence.reservation_id : null
+      );
+
+      res.json({
+        success: true,
+        message: `Skipped ${date}`,
+        data: {
+          recurringId: parseInt(recurringId),
+          date,
+          status: 'skipped',
+          cancelledReservationId: occurrence && occurrence.booking_status === 'scheduled' ? occurrence.reservation_id : null
+        }
+      });
+
+    } catch (transactionError) {
+      if (connection) {
+        await connection.rollback();
+        connection.release();
+      }
+      throw transactionError;
+    }
+
+  } catch (error) {
+    console.error('Skip recurring booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to skip recurring booking'
+    });
+  }
+});
+
+// Stop a rule and cancel the bookings it placed that aren't holding a spot yet
+router.delete('/recurring-bookings/:recurringId', authenticateToken, requirePermission(Permissions.RESERVE_SPOT), async (req, res) => {
+  try {
+    const { recurringId } = req.params;
+    const userId = req.user.user_id;
+
+    const rules = await db.query(
+      `${RECURRING_RULE_SELECT} WHERE rr.recurring_id = ? AND rr.user_id = ? AND rr.status = 'active'`,
+      [recurringId, userId]
+    );
+
+    if (rules.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recurring booking not found or does not belong to user'
+      });
+    }
+
+    const [, cancelResult] = await db.transaction([
+      {
+        sql: "UPDATE recurring_reservations SET status = 'cancelled' WHERE recurring_id = ?",
+        params: [recurringId]
+      },
+      {
+        sql: `UPDATE reservations r
+              JOIN recurring_reservation_occurrences o ON o.reservation_id = r.reservation_id
+              SET r.booking_status = 'cancelled', r.cancelled_at = NOW(), r.updated_at = NOW()
+              WHERE o.recurring_id = ? AND r.booking_status = 'scheduled'`,
+        params: [recurringId]
+      }
+    ]);
+
+    await logUserActivity(
+      userId,
+      ActionTypes.PARKING_RECURRING_CANCEL,
+      `Stopped the recurring booking at ${rules[0].parking_area_name} for vehicle ${rules[0].plate_number}`,
+      rules[0].recurring_id
+    );
+
+    res.json({
+      success: true,
+      message: 'Recurring booking stopped',
+      data: {
+        recurringId: rules[0].recurring_id,
+        status: 'cancelled',
+        cancelledBookings: cancelResult.affectedRows
+      }
+    });
+
+  } catch (error) {
+    console.error('Stop recurring booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to stop recurring booking'
+    });
+  }
+});
+
+const formatGracePeriodRule = (rule) => ({
+  ruleId: rule.rule_id,
+  areaId: rule.parking_area_id,
+  areaName: rule.parking_area_name || null,
+  vehicleType: rule.vehicle_type,
+  startTime: rule.starts_at ? rule.starts_at.slice(0, 5) : null,
+  endTime: rule.ends_at ? rule.ends_at.slice(0, 5) : null,
+  graceMinutes: rule.grace_minutes
+});
+
+const GRACE_PERIOD_RULE_SELECT = `
+  SELECT g.*, pa.parking_area_name
+  FROM grace_period_rules g
+  LEFT JOIN parking_area pa ON g.parking_area_id = pa.parking_area_id
+`;
+
+// Validate a rule from the request body; sends the 400/404 and returns null if it can't be saved
+const readGracePeriodRule = async (req, res) => {
+  const { rule, error } = parseGracePeriodRule(req.body);
+  if (!rule) {
+    res.status(400).json({
+      success: false,
+      errorCode: 'INVALID_GRACE_PERIOD_RULE',
+      message: error
+    });
+    return null;
+  }
+
+  if (rule.areaId) {
+    const areas = await db.query('SELECT parking_area_id FROM parking_area WHERE parking_area_id = ?', [rule.areaId]);
+    if (areas.length === 0) {
+      res.status(404).json({
+        success: false,
+        message: 'Parking area not found'
+      });
+      return null;
+    }
+  }
+
+  return { ...rule, vehicleType: normalizeVehicleType(rule.vehicleType) };
+};
+
+// Grace period rules, most general first, with the fallback used when none of them match
+router.get('/grace-period-rules', authenticateToken, requirePermission(Permissions.MANAGE_AREA), async (req, res) => {
+  try {
+    const rules = await db.query(`
+      ${GRACE_PERIOD_RULE_SELECT}
+      ORDER BY g.parking_area_id IS NOT NULL, g.parking_area_id, g.vehicle_type IS NOT NULL, g.vehicle_type, g.starts_at
+    `);
+
+    res.json({
+      success: true,
+      data: {
+        rules: rules.map(formatGracePeriodRule),
+        defaultGraceMinutes: DEFAULT_GRACE_PERIOD_MINUTES
+      }
+    });
+
+  } catch (error) {
+    console.error('Get grace period rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch grace period rules'
+    });
+  }
+});
+
+// Add a grace period rule for an area and/or vehicle type, optionally limited to a time of day
+router.post('/grace-period-rules', authenticateToken, requirePermission(Permissions.MANAGE_AREA), async (req, res) => {
+  try {
+    const rule = await readGracePeriodRule(req, res);
+    if (!rule) {
+      return;
+    }
+
+    const result = await db.execute(
+      `INSERT INTO grace_period_rules (parking_area_id, vehicle_type, starts_at, ends_at, grace_minutes)
+       VALUES (?, ?, ?, ?, ?)`,
+      [rule.areaId, rule.vehicleType, rule.startTime, rule.endTime, rule.graceMinutes]
+    );
+
+    const rules = await db.query(`${GRACE_PERIOD_RULE_SELECT} WHERE g.rule_id = ?`, [result.insertId]);
+    console.log(`⏰ Grace period rule #${result.insertId} added: ${rule.graceMinutes} minutes`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Grace period rule added',
+      data: formatGracePeriodRule(rules[0])
+    });
+
+  } catch (error) {
+    console.error('Add grace period rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add grace period rule'
+    });
+  }
+});
+
+// Replace a grace period rule; reservations already waiting pick up the new window on the next check
+router.put('/grace-period-rules/:ruleId', authenticateToken, requirePermission(Permissions.MANAGE_AREA), async (req, res) => {
+  try {
+    const rule = await readGracePeriodRule(req, res);
+    if (!rule) {
+      return;
+    }
+
+    const result = await db.execute(
+      `UPDATE grace_period_rules
+       SET parking_area_id = ?, vehicle_type = ?, starts_at = ?, ends_at = ?, grace_minutes = ?
+       WHERE rule_id = ?`,
+      [rule.areaId, rule.vehicleType, rule.startTime, rule.endTime, rule.graceMinutes, req.params.ruleId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grace period rule not found'
+      });
+    }
+
+    const rules = await db.query(`${GRACE_PERIOD_RULE_SELECT} WHERE g.rule_id = ?`, [req.params.ruleId]);
+    console.log(`⏰ Grace period rule #${req.params.ruleId} updated: ${rule.graceMinutes} minutes`);
+
+    res.json({
+      success: true,
+      message: 'Grace period rule updated',
+      data: formatGracePeriodRule(rules[0])
+    });
+
+  } catch (error) {
+    console.error('Update grace period rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update grace period rule'
+    });
+  }
+});
+
+// Remove a grace period rule; the reservations it covered fall back to the next most specific rule
+router.delete('/grace-period-rules/:ruleId', authenticateToken, requirePermission(Permissions.MANAGE_AREA), async (req, res) => {
+  try {
+    const result = await db.execute('DELETE FROM grace_period_rules WHERE rule_id = ?', [req.params.ruleId]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grace period rule not found'
+      });
+    }
+
+    console.log(`⏰ Grace period rule #${req.params.ruleId} removed`);
+    res.json({
+      success: true,
+      message: 'Grace period rule removed'
+    });
+
+  } catch (error) {
+    console.error('Delete grace period rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove grace period rule'
+    });
+  }
+});
+
+// Set the longest a vehicle may stay parked in an area (null removes the limit); the overstay check flags longer sessions
+router.put('/areas/:areaId/max-stay', authenticateToken, requirePermission(Permissions.MANAGE_AREA), async (req, res) => {
+  try {
+    const { maxStayHours } = req.body;
+    const hours = maxStayHours === null ? null : Number(maxStayHours);
+
+    if (hours !== null && (!Number.isFinite(hours) || hours <= 0 || hours > 720)) {
+      return res.status(400).json({
+        success: false,
+        message: 'maxStayHours must be a number of hours between 0 and 720, or null for no limit',
+        errorCode: 'INVALID_MAX_STAY'
+      });
+    }
+
+    const result = await db.execute(
+      'UPDATE parking_area SET max_stay_hours = ? WHERE parking_area_id = ?',
+      [hours, req.params.areaId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Parking area not found'
+      });
+    }
+
+    console.log(`⏱️ Maximum stay for area #${req.params.areaId} set to ${hours === null ? 'none' : `${hours} hours`}`);
+    res.json({
+      success: true,
+      message: hours === null ? 'Maximum stay removed' : 'Maximum stay updated',
+      data: {
+        areaId: parseInt(req.params.areaId),
+        maxStayHours: hours
+      }
+    });
+
+  } catch (error) {
+    console.error('Update maximum stay error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update maximum stay'
+    });
+  }
+});
+
+// Get current booking (reserved or active) for the logged-in user
+router.get('/current-booking', authenticateToken, async (req, res) => {
+  try {
+    console.log('📋 Fetching current-booking for user:', req.user.user_id);
+    
+    // Get the most recent reservation for the user
+    const reservationCheck = await db.query(`
+      SELECT 
+        r.reservation_id,
+        r.time_stamp,
+        r.start_time,
+        r.end_time,
+        r.booking_status,
+        r.QR,
+        r.qr_key,
+        r.parking_spots_id,
+        v.plate_number,
+        v.vehicle_type,
+        v.brand,
+        v.color
+      FROM reservations r
+      JOIN vehicles v ON r.vehicle_id = v.vehicle_id
+      WHERE r.user_id = ? AND r.booking_status IN ('reserved', 'active')
+      ORDER BY r.time_stamp DESC
+      LIMIT 1
+    `, [req.user.user_id]);
+
+    if (reservationCheck.length === 0) {
+      console.log('📋 No current booking found');
+      return res.json({
+        success: true,
+        data: {
+          booking: null
+        }
+      });
+    }
+
+    const reservation = reservationCheck[0];
+    const parkingSpotsId = reservation.parking_spots_id;
+    
+    console.log('📋 Found reservation:', reservation.reservation_id, 'parking_spots_id:', parkingSpotsId);
+    
+    // Check if this parking_spots_id exists in parking_section table
+    const sectionCheck = await db.query(`
+      SELECT parking_section_id 
+      FROM parking_section 
+      WHERE parking_section_id = ?
+    `, [parkingSpotsId]);
+
+    let bookingDetails;
+    
+    if (sectionCheck.length > 0) {
+      // This is a capacity section
+      console.log('🏍️ Current booking is a capacity section');
+      bookingDetails = await db.query(`
+        SELECT 
+          ps.parking_area_id,
+          pa.parking_area_name,
+          pa.location,
+          ps.section_name
+        FROM parking_section ps
+        JOIN parking_area pa ON ps.parking_area_id = pa.parking_area_id
+        WHERE ps.parking_section_id = ?
+      `, [parkingSpotsId]);
+
+      if (bookingDetails.length > 0) {
+        const section = bookingDetails[0];
+        const booking = {
+          reservationId: reservation.reservation_id,
+          bookingStatus: reservation.booking_status,
+          location_name: section.parking_area_name,
+          spot_number: `M1-${section.section_name}-1`,
+          plate_number: reservation.plate_number,
+          vehicle_type: reservation.vehicle_type,
+          vehicle_brand: reservation.brand,
+          vehicle_color: reservation.color,
+          spot_type: 'motorcycle',
+          section_name: section.section_name,
+          location: section.location,
+          parking_area_id: section.parking_area_id,
+          time_stamp: reservation.time_stamp,
+          start_time: reservation.start_time,
+          end_time: reservation.end_time,
+          qr_code: reservation.QR,
+          qr_key: reservation.qr_key
+        };
+
+        console.log('📋 Returning capacity section booking:', booking);
+        return res.json({
+          success: true,
+          data: {
+            booking: booking
+          }
+        });
+      }
+    } else {
+      // This is a regular spot
+      console.log('🚗 Current booking is a regular spot');
+      bookingDetails = await db.query(`
+        SELECT 
+          ps.spot_number,
+          ps.spot_type,
+          psec.section_name,
+          pa.parking_area_id,
+          pa.parking_area_name,
+          pa.location
+        FROM parking_spot ps
+        JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
+        JOIN parking_area pa ON psec.parking_area_id = pa.parking_area_id
+        WHERE ps.parking_spot_id = ?
+      `, [parkingSpotsId]);
+
+      if (bookingDetails.length > 0) {
+        const spot = bookingDetails[0];
+        const booking = {
+          reservationId: reservation.reservation_id,
+          bookingStatus: reservation.booking_status,
+          location_name: spot.parking_area_name,
+          spot_number: spot.spot_number,
+          plate_number: reservation.plate_number,
+          vehicle_type: reservation.vehicle_type,
+          vehicle_brand: reservation.brand,
+          vehicle_color: reservation.color,
+          spot_type: spot.spot_type,
+          section_name: spot.section_name,
+          location: spot.location,
+          parking_area_id: spot.parking_area_id,
+          time_stamp: reservation.time_stamp,
+          start_time: reservation.start_time,
+          end_time: reservation.end_time,
+          qr_code: reservation.QR,
+          qr_key: reservation.qr_key
+        };
+
+        console.log('📋 Returning regular spot booking:', booking);
+        return res.json({
+          success: true,
+          data: {
+            booking: booking
+          }
+        });
+      }
+    }
+
+    // If we get here, something went wrong with the joins
+    console.log('❌ Could not find parking details for reservation:', reservation.reservation_id);
+    return res.json({
+      success: true,
+      data: {
+        booking: null
+      }
+    });
+
+  } catch (error) {
+    console.error('Get current booking error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch current booking'
+    });
+  }
+});
+
+// Get all active bookings for the logged-in user
+router.get('/my-bookings', authenticateToken, async (req, res) => {
+  try {
+    console.log('📋 Fetching my-bookings for user:', req.user.user_id);
+    
+    // Get all reservations for the user first
+    const reservations = await db.query(`
+      SELECT 
+        r.reservation_id,
         r.time_stamp,
+        r.scheduled_start_time,
+        r.scheduled_end_time,
         r.start_time,
         r.end_time,
+        ${PLANNED_END_SQL} AS intended_end_time,
         r.booking_status,
         r.QR,
         r.qr_key,
@@ -1608,6 +3154,9 @@ router.get('/my-bookings', authenticateToken, async (req, res) => {
               },
               timestamps: {
                 bookingTime: reservation.time_stamp,
+                scheduledStartTime: reservation.scheduled_start_time,
+                scheduledEndTime: reservation.scheduled_end_time,
+                intendedEndTime: reservation.intended_end_time,
                 startTime: reservation.start_time,
                 endTime: reservation.end_time
               },
@@ -1658,6 +3207,9 @@ router.get('/my-bookings', authenticateToken, async (req, res) => {
             },
             timestamps: {
               bookingTime: reservation.time_stamp,
+              scheduledStartTime: reservation.scheduled_start_time,
+              scheduledEndTime: reservation.scheduled_end_time,
+              intendedEndTime: reservation.intended_end_time,
               startTime: reservation.start_time,
               endTime: reservation.end_time
             },
@@ -1688,7 +3240,7 @@ router.get('/my-bookings', authenticateToken, async (req, res) => {
 });
 
 // End parking session - update booking status to inactive and free the spot
-router.put('/end-session/:reservationId', authenticateToken, async (req, res) => {
+router.put('/end-session/:reservationId', authenticateToken, requirePermission(Permissions.RESERVE_SPOT), async (req, res) => {
   try {
     const { reservationId } = req.params;
     const userId = req.user.user_id;
@@ -1700,6 +3252,7 @@ router.put('/end-session/:reservationId', authenticateToken, async (req, res) =>
           r.reservation_id,
           r.user_id,
           r.parking_spots_id,
+          r.parking_section_id,
           r.booking_status
         FROM reservations r
         WHERE r.reservation_id = ? AND r.user_id = ?
@@ -1728,6 +3281,8 @@ router.put('/end-session/:reservationId', authenticateToken, async (req, res) =>
         WHERE parking_spot_id = ?
       `, [reservationData.parking_spots_id]);
 
+      offerReleasedCapacity({ spotId: reservationData.parking_spots_id, sectionId: reservationData.parking_section_id });
+
       res.json({
         success: true,
         message: 'Parking session ended successfully',
@@ -1,14 +1,16 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { authenticateToken, checkBalance } = require('../middleware/auth');
+const { authenticateToken, checkBalance, requirePermission } = require('../middleware/auth');
+const { Permissions } = require('../utils/permissions');
+const { NOT_LAPSED_SQL, SOONEST_EXPIRING_FIRST_SQL } = require('../utils/subscriptionExpiry');
 const QRCode = require('qrcode');
 const { v4: uuidv4 } = require('uuid');
 
 const router = express.Router();
 
 // Update parking spot status (for attendant actions)
-router.put('/spots/:spotId/status', authenticateToken, async (req, res) => {
+router.put('/spots/:spotId/status', authenticateToken, requirePermission(Permissions.OVERRIDE_SPOT), async (req, res) => {
   try {
     const { spotId } = req.params;
     const { status } = req.body;
@@ -211,7 +213,7 @@ router.get('/locations/:id', async (req, res) => {
 });
 
 // Start parking session
-router.post('/start', authenticateToken, startParkingValidation, checkBalance(50), async (req, res) => {
+router.post('/start', authenticateToken, requirePermission(Permissions.RESERVE_SPOT), startParkingValidation, checkBalance(50), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -333,7 +335,7 @@ router.post('/start', authenticateToken, startParkingValidation, checkBalance(50
 });
 
 // End parking session
-router.post('/end/:sessionId', authenticateToken, async (req, res) => {
+router.post('/end/:sessionId', authenticateToken, requirePermission(Permissions.RESERVE_SPOT), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -381,8 +383,8 @@ router.post('/end/:sessionId', authenticateToken, async (req, res) => {
         p.plan_name
       FROM subscriptions s
       JOIN plans p ON s.plan_id = p.plan_id
-      WHERE s.user_id = ? AND s.status = 'active' AND s.hours_remaining > 0
-      ORDER BY s.purchase_date ASC
+      WHERE s.user_id = ? AND s.status = 'active' AND s.hours_remaining > 0 AND ${NOT_LAPSED_SQL}
+      ORDER BY ${SOONEST_EXPIRING_FIRST_SQL}
       LIMIT 1
     `, [req.user.user_id]);
 
@@ -560,7 +562,7 @@ router.get('/active', authenticateToken, async (req, res) => {
 });
 
 // Get parking history
-router.get('/history', authenticateToken, async (req, res) => {
+router.get('/history', authenticateToken, requirePermission(Permissions.VIEW_OWN_HISTORY), async (req, res) => {
   try {
     const { page = 1, limit = 10 } = req.query;
     const offset = (page - 1) * limit;
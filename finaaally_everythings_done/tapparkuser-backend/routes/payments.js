@@ -1,7 +1,8 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { authenticateToken, checkBalance } = require('../middleware/auth');
+const { authenticateToken, checkBalance, requirePermission } = require('../middleware/auth');
+const { Permissions } = require('../utils/permissions');
 const { logUserActivity, ActionTypes } = require('../utils/userLogger');
 
 const router = express.Router();
@@ -13,7 +14,7 @@ const topUpValidation = [
 ];
 
 // Get payment history
-router.get('/history', authenticateToken, async (req, res) => {
+router.get('/history', authenticateToken, requirePermission(Permissions.VIEW_OWN_HISTORY), async (req, res) => {
   try {
     const { page = 1, limit = 10, type } = req.query;
     const offset = (page - 1) * limit;
@@ -21,7 +22,8 @@ router.get('/history', authenticateToken, async (req, res) => {
     let query = `
       SELECT p.*, ps.id as session_id, pl.name as location_name,
              sub.plan_id, sub.user_id, plan.plan_name, plan.number_of_hours,
-             CASE WHEN p.subscription_id IS NOT NULL THEN 'subscription' ELSE p.payment_type END as payment_type
+             CASE WHEN p.payment_type = 'refund' THEN 'refund'
+                  WHEN p.subscription_id IS NOT NULL THEN 'subscription' ELSE p.payment_type END as payment_type
       FROM payments p
       LEFT JOIN parking_sessions ps ON p.parking_session_id = ps.id
       LEFT JOIN parking_locations pl ON ps.location_id = pl.id
@@ -101,7 +103,7 @@ router.get('/history', authenticateToken, async (req, res) => {
 });
 
 // Top up wallet
-router.post('/topup', authenticateToken, topUpValidation, async (req, res) => {
+router.post('/topup', authenticateToken, requirePermission(Permissions.PAY_ONLINE), topUpValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -221,7 +223,7 @@ router.get('/balance', authenticateToken, async (req, res) => {
 });
 
 // Process parking payment
-router.post('/parking/:sessionId', authenticateToken, async (req, res) => {
+router.post('/parking/:sessionId', authenticateToken, requirePermission(Permissions.PAY_ONLINE), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { paymentMethod = 'wallet' } = req.body;
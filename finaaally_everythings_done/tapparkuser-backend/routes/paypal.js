@@ -1,16 +1,25 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { Permissions } = require('../utils/permissions');
 const db = require('../config/database');
 const paypal = require('../config/paypal');
-const { logUserActivity, ActionTypes } = require('../utils/userLogger');
-const { settlePenaltyWithHours } = require('../utils/penaltyHelper');
+const {
+  getOrderCapture,
+  captureApprovedOrder,
+  setTransactionStatus,
+  activatePayPalOrder,
+  handlePayPalWebhookEvent
+} = require('../utils/paypalPayments');
+const { quotePromoCode, reservePromoRedemption, checkOrderPromoCode } = require('../utils/promoCodes');
 
 const router = express.Router();
 
-// Create PayPal order for subscription plan
-router.post('/create-order', authenticateToken, async (req, res) => {
+// Create PayPal order for subscription plan, optionally with a promo code
+router.post('/create-order', authenticateToken, requirePermission(Permissions.PAY_ONLINE), async (req, res) => {
+  let connection = null;
   try {
-    const { plan_id } = req.body;
+    const { plan_id, promo_code } = req.body;
 
     if (!plan_id) {
       return res.status(400).json({
@@ -34,6 +43,20 @@ router.post('/create-order', authenticateToken, async (req, res) => {
 
     const plan = plans[0];
 
+    let promo = null;
+    if (promo_code) {
+      const { quote, error, errorCode } = await quotePromoCode(promo_code, { userId: req.user.user_id, plan });
+      if (!quote) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+          errorCode
+        });
+      }
+      promo = quote;
+    }
+    const amount = promo ? promo.amount : plan.cost;
+
     // Determine callback URLs based on current host
     const protocol = req.headers['x-forwarded-proto'] || req.protocol;
     const forwardedHost = req.headers['x-forwarded-host'];
@@ -44,7 +67,7 @@ router.post('/create-order', authenticateToken, async (req, res) => {
     const cancelUrl = `${baseUrl}/api/paypal/cancel`;
 
     // Create PayPal order
-    const order = await paypal.createOrder(plan.cost, 'USD', { returnUrl, cancelUrl });
+    const order = await paypal.createOrder(amount, 'USD', { returnUrl, cancelUrl });
 
     // Store order info in database for tracking
     console.log('🔍 Storing transaction:', {
@@ -52,16 +75,56 @@ router.post('/create-order', authenticateToken, async (req, res) => {
       plan_id: plan_id,
       plan_plan_id: plan.plan_id,
       order_id: order.id,
-      cost: plan.cost
+      cost: amount,
+      promo_code: promo ? promo.code : null
     });
-    
-    await db.query(
+
+    if (!db.connection) {
+      await db.connect();
+    }
+    connection = await db.connection.getConnection();
+    await connection.beginTransaction();
+
+    // Check the code again with it locked, so two orders can't both take its last use
+    if (promo) {
+      const { quote, error, errorCode } = await quotePromoCode(promo.code, { userId: req.user.user_id, plan }, connection);
+      if (!quote) {
+        await connection.rollback();
+        return res.status(409).json({
+          success: false,
+          message: error,
+          errorCode
+        });
+      }
+      // The PayPal order was made for the first quote; an admin changed the code in between
+      if (quote.amount !== promo.amount || quote.bonusHours !== promo.bonusHours) {
+        await connection.rollback();
+        return res.status(409).json({
+          success: false,
+          message: 'This promo code was changed while your order was being created. Please try again.',
+          errorCode: 'PROMO_CODE_CHANGED'
+        });
+      }
+      promo = quote;
+    }
+
+    const [inserted] = await connection.execute(
       `INSERT INTO paypal_transactions 
-       (user_id, plan_id, paypal_order_id, amount, status, created_at) 
-       VALUES (?, ?, ?, ?, 'created', NOW())`,
-      [req.user.user_id, plan.plan_id, order.id, plan.cost]
+       (user_id, plan_id, paypal_order_id, amount, bonus_hours, status, created_at) 
+       VALUES (?, ?, ?, ?, ?, 'created', NOW())`,
+      [req.user.user_id, plan.plan_id, order.id, amount, promo ? promo.bonusHours : 0]
     );
 
+    if (promo) {
+      await reservePromoRedemption(connection, {
+        quote: promo,
+        userId: req.user.user_id,
+        transactionId: inserted.insertId
+      });
+    }
+
+    await connection.commit();
+
     // Get approval URL
     const approvalUrl = order.links.find(link => link.rel === 'approve')?.href;
 
@@ -75,22 +138,36 @@ router.post('/create-order', authenticateToken, async (req, res) => {
           plan_name: plan.plan_name,
           cost: plan.cost,
           hours: plan.number_of_hours
-        }
+        },
+        promo: promo ? {
+          code: promo.code,
+          original_amount: promo.originalAmount,
+          discount_amount: promo.discountAmount,
+          bonus_hours: promo.bonusHours,
+          amount: promo.amount
+        } : null
       }
     });
 
   } catch (error) {
+    if (connection) {
+      await connection.rollback();
+    }
     console.error('Create PayPal order error:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to create PayPal order',
       error: error.message
     });
+  } finally {
+    if (connection) {
+      connection.release();
+    }
   }
 });
 
 // Capture PayPal payment after user approval
-router.post('/capture-order', authenticateToken, async (req, res) => {
+router.post('/capture-order', authenticateToken, requirePermission(Permissions.PAY_ONLINE), idempotent('paypal/capture-order'), async (req, res) => {
   try {
     const { orderId } = req.body;
 
@@ -125,79 +202,32 @@ router.post('/capture-order', authenticateToken, async (req, res) => {
       status: transaction.status
     });
 
-    // Capture the payment
-    let captureData;
-    try {
-      captureData = await paypal.captureOrder(orderId);
-    } catch (captureError) {
-      // Check if order was already captured (this is actually success)
-      if (captureError.response?.data?.details?.[0]?.issue === 'ORDER_ALREADY_CAPTURED') {
-        console.log('✅ Order already captured - payment was successful');
-        // Treat this as success since payment was already processed
-        captureData = { status: 'COMPLETED', alreadyCaptured: true };
-      } else {
-        // Re-throw other capture errors
-        throw captureError;
-      }
+    // The promo code on the order may have been switched off or run out its window since the order was created
+    const promoCheck = await checkOrderPromoCode(orderId);
+    if (promoCheck.error) {
+      await setTransactionStatus(orderId, 'cancelled');
+      return res.status(409).json({
+        success: false,
+        message: `${promoCheck.error}. Please start a new order.`,
+        errorCode: promoCheck.errorCode
+      });
     }
 
-    // Check if payment was successful
-    if (captureData.status === 'COMPLETED') {
-      // Get plan details
-      const plans = await db.query(
-        'SELECT plan_id, plan_name, cost, number_of_hours FROM plans WHERE plan_id = ?',
-        [transaction.plan_id]
-      );
+    // Capture the payment (an order already captured, e.g. by reconciliation, is looked up instead)
+    const order = await captureApprovedOrder(orderId);
+    const capture = getOrderCapture(order);
+    const captureStatus = capture ? capture.status : order.status;
 
-      if (plans.length === 0) {
-        throw new Error('Plan not found');
-      }
-
-      const plan = plans[0];
-
-      // Start transaction to create subscription and update payment
-      await db.transaction([
-        // Create subscription
-        {
-          sql: `INSERT INTO subscriptions (user_id, plan_id, hours_remaining, hours_used, status, purchase_date)
-                VALUES (?, ?, ?, 0, 'active', NOW())`,
-          params: [req.user.user_id, plan.plan_id, plan.number_of_hours]
-        },
-        // Create payment record
-        {
-          sql: `INSERT INTO payments (user_id, amount, status, payment_date, payment_method_id, subscription_id, payment_type)
-                VALUES (?, ?, 'completed', NOW(), 1, LAST_INSERT_ID(), 'paypal')`,
-          params: [req.user.user_id, plan.cost]
-        },
-        // Update PayPal transaction
-        {
-          sql: `UPDATE paypal_transactions 
-                SET status = 'completed', capture_id = ?, updated_at = NOW() 
-                WHERE paypal_order_id = ?`,
-          params: [captureData.id, orderId]
-        }
-      ]);
-
-      // Get the latest subscription id
-      const subscriptionRecord = await db.query(
-        'SELECT subscription_id FROM subscriptions WHERE user_id = ? ORDER BY subscription_id DESC LIMIT 1',
-        [req.user.user_id]
-      );
-
-      let penaltyAdjustment = {
+    if (captureStatus === 'COMPLETED') {
+      // Also reached by the webhook and reconciliation; whoever gets there first activates the subscription
+      const activation = await activatePayPalOrder(orderId, { captureId: capture ? capture.id : null });
+      const { plan } = activation;
+      const penaltyAdjustment = activation.penaltyAdjustment || {
         penaltyAppliedHours: 0,
-        hoursAfterPenalty: plan.number_of_hours,
+        hoursAfterPenalty: activation.hoursAdded,
         outstandingPenaltyHours: 0
       };
 
-      if (subscriptionRecord.length > 0) {
-        penaltyAdjustment = await settlePenaltyWithHours(
-          req.user.user_id,
-          plan.number_of_hours,
-          subscriptionRecord[0].subscription_id
-        );
-      }
-
       // Get updated balance after penalty deduction
       const updatedBalance = await db.query(
         `SELECT COALESCE(SUM(hours_remaining), 0) as total_hours_remaining
@@ -205,14 +235,6 @@ router.post('/capture-order', authenticateToken, async (req, res) => {
         [req.user.user_id]
       );
 
-      // Log subscription purchase
-      await logUserActivity(
-        req.user.user_id,
-        ActionTypes.SUBSCRIPTION_PURCHASE,
-        `Subscription purchased via PayPal: ${plan.plan_name} - ${plan.number_of_hours} hours for ₱${plan.cost}`,
-        subscriptionRecord[0]?.subscription_id || null
-      );
-
       res.json({
         success: true,
         message: penaltyAdjustment.penaltyAppliedHours > 0
@@ -220,28 +242,38 @@ router.post('/capture-order', authenticateToken, async (req, res) => {
           : 'Payment successful! Subscription activated.',
         data: {
           plan_name: plan.plan_name,
-          hours_added: plan.number_of_hours,
+          hours_added: activation.hoursAdded,
+          promo_code: activation.promoCode || null,
           hours_after_penalty: penaltyAdjustment.hoursAfterPenalty,
           penalty_deducted_hours: penaltyAdjustment.penaltyAppliedHours,
           outstanding_penalty_hours: penaltyAdjustment.outstandingPenaltyHours,
-          cost: plan.cost,
+          cost: activation.amount,
           total_hours_remaining: updatedBalance[0]?.total_hours_remaining || 0,
           orderId: orderId,
-          captureId: captureData.id
+          captureId: activation.captureId
+        }
+      });
+
+    } else if (captureStatus === 'PENDING') {
+      // PayPal is still reviewing the payment; the PAYMENT.CAPTURE.COMPLETED webhook activates the subscription
+      await setTransactionStatus(orderId, 'approved');
+
+      res.status(202).json({
+        success: true,
+        message: 'Your payment is being reviewed by PayPal. Your subscription will be activated as soon as it is confirmed.',
+        data: {
+          pending: true,
+          orderId: orderId
         }
       });
 
     } else {
-      // Update transaction status to failed
-      await db.query(
-        'UPDATE paypal_transactions SET status = ? WHERE paypal_order_id = ?',
-        [captureData.status.toLowerCase(), orderId]
-      );
+      await setTransactionStatus(orderId, 'failed');
 
       res.status(400).json({
         success: false,
         message: 'Payment was not completed',
-        status: captureData.status
+        status: captureStatus
       });
     }
 
@@ -255,8 +287,48 @@ router.post('/capture-order', authenticateToken, async (req, res) => {
   }
 });
 
+// PayPal webhook (PAYMENT.CAPTURE.COMPLETED / REFUNDED / DENIED). Not authenticated: PayPal signs its deliveries
+// and we ask PayPal to verify the signature before acting on them
+router.post('/webhook', async (req, res) => {
+  try {
+    const event = req.body;
+
+    if (!event || !event.id || !event.event_type) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook event'
+      });
+    }
+
+    const verified = await paypal.verifyWebhookSignature(req.headers, event);
+    if (!verified) {
+      console.warn(`🚫 Rejected PayPal webhook ${event.id} (${event.event_type}): signature verification failed`);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature',
+        errorCode: 'INVALID_WEBHOOK_SIGNATURE'
+      });
+    }
+
+    const result = await handlePayPalWebhookEvent(event);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    // A non-2xx answer makes PayPal deliver the event again later
+    console.error('PayPal webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook'
+    });
+  }
+});
+
 // Cancel PayPal order
-router.post('/cancel-order', authenticateToken, async (req, res) => {
+router.post('/cancel-order', authenticateToken, requirePermission(Permissions.PAY_ONLINE), async (req, res) => {
   try {
     const { orderId } = req.body;
 
@@ -267,11 +339,8 @@ router.post('/cancel-order', authenticateToken, async (req, res) => {
       });
     }
 
-    // Update transaction status
-    await db.query(
-      'UPDATE paypal_transactions SET status = "cancelled", updated_at = NOW() WHERE paypal_order_id = ? AND user_id = ?',
-      [orderId, req.user.user_id]
-    );
+    // Cancel the driver's transaction, unless the payment already went through; this gives back a reserved promo code
+    await setTransactionStatus(orderId, 'cancelled', { userId: req.user.user_id });
 
     res.json({
       success: true,
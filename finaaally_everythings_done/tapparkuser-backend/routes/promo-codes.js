@@ -0,0 +1,334 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { Permissions } = require('../utils/permissions');
+const {
+  PROMO_DISCOUNT_TYPES,
+  normalizePromoCode,
+  quotePromoCode,
+  getPromoCode,
+  listPromoCodes,
+  savePromoCode,
+  getPromoRedemptions
+} = require('../utils/promoCodes');
+
+const router = express.Router();
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+const formatQuote = (plan, quote) => ({
+  plan_id: plan.plan_id,
+  plan_name: plan.plan_name,
+  original_amount: quote.originalAmount,
+  discount_amount: quote.discountAmount,
+  amount: quote.amount,
+  bonus_hours: quote.bonusHours,
+  hours: quote.hours
+});
+
+// Check a code before checkout: what it takes off one plan (plan_id), or off every plan it applies to
+router.post('/validate', authenticateToken, [
+  body('code').isString().trim().notEmpty().withMessage('Promo code is required'),
+  body('plan_id').optional().isInt().withMessage('Plan ID must be a valid integer')
+], async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const { code, plan_id } = req.body;
+    const plans = await db.query(
+      `SELECT plan_id, plan_name, cost, number_of_hours FROM plans
+       ${plan_id ? 'WHERE plan_id = ?' : ''}
+       ORDER BY cost ASC`,
+      plan_id ? [plan_id] : []
+    );
+
+    if (plan_id && plans.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    let promo = null;
+    let firstError = null;
+    const quotes = [];
+    for (const plan of plans) {
+      const { quote, error, errorCode } = await quotePromoCode(code, { userId: req.user.user_id, plan });
+      if (quote) {
+        promo = promo || quote;
+        quotes.push(formatQuote(plan, quote));
+      } else {
+        firstError = firstError || { error, errorCode };
+      }
+    }
+
+    if (!promo) {
+      return res.status(400).json({
+        success: false,
+        message: firstError ? firstError.error : 'This promo code is not valid',
+        errorCode: firstError ? firstError.errorCode : 'PROMO_CODE_INVALID'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        code: promo.code,
+        description: promo.description,
+        discount_type: promo.discountType,
+        plans: quotes
+      }
+    });
+
+  } catch (error) {
+    console.error('Validate promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check promo code'
+    });
+  }
+});
+
+const promoCodeValidation = (isCreate) => [
+  ...(isCreate
+    ? [
+      body('code').isString().trim().matches(/^[A-Za-z0-9_-]{3,50}$/)
+        .withMessage('Code must be 3-50 letters, digits, dashes or underscores'),
+      body('discount_type').isIn(PROMO_DISCOUNT_TYPES)
+        .withMessage(`Discount type must be one of ${PROMO_DISCOUNT_TYPES.join(', ')}`),
+      body('discount_value').isFloat({ gt: 0 }).withMessage('Discount value must be a positive number')
+    ]
+    : [
+      body('discount_type').optional().isIn(PROMO_DISCOUNT_TYPES)
+        .withMessage(`Discount type must be one of ${PROMO_DISCOUNT_TYPES.join(', ')}`),
+      body('discount_value').optional().isFloat({ gt: 0 }).withMessage('Discount value must be a positive number')
+    ]),
+  body('description').optional({ values: 'null' }).isString().isLength({ max: 255 })
+    .withMessage('Description must be at most 255 characters'),
+  body('starts_at').optional({ values: 'null' }).isISO8601().withMessage('Start must be a date'),
+  body('ends_at').optional({ values: 'null' }).isISO8601().withMessage('End must be a date'),
+  body('max_redemptions').optional({ values: 'null' }).isInt({ min: 1 })
+    .withMessage('Maximum redemptions must be a positive integer'),
+  body('max_redemptions_per_user').optional({ values: 'null' }).isInt({ min: 1 })
+    .withMessage('Maximum redemptions per driver must be a positive integer'),
+  body('first_purchase_only').optional().isBoolean().withMessage('First purchase only must be true or false'),
+  body('is_active').optional().isBoolean().withMessage('Active must be true or false'),
+  body('plan_ids').optional().isArray().withMessage('Plan IDs must be a list'),
+  body('plan_ids.*').isInt().withMessage('Plan IDs must be valid integers')
+];
+
+// The request's fields as promo_codes columns, leaving out the ones it doesn't set
+const readPromoCodeFields = (input) => {
+  const fields = {
+    description: input.description,
+    discount_type: input.discount_type,
+    discount_value: input.discount_value,
+    max_redemptions: input.max_redemptions,
+    max_redemptions_per_user: input.max_redemptions_per_user
+  };
+  ['starts_at', 'ends_at'].forEach((field) => {
+    if (input[field] !== undefined) {
+      fields[field] = input[field] === null ? null : new Date(input[field]);
+    }
+  });
+  ['first_purchase_only', 'is_active'].forEach((field) => {
+    if (input[field] !== undefined) {
+      fields[field] = input[field] === true || input[field] === 'true' ? 1 : 0;
+    }
+  });
+  return fields;
+};
+
+// Checks that need the code's current settings as well as the request: a percentage over 100 or an empty window
+const checkPromoCodeSettings = (fields, current = {}) => {
+  const pick = (field) => (fields[field] !== undefined ? fields[field] : current[field]);
+  const startsAt = pick('starts_at');
+  const endsAt = pick('ends_at');
+
+  if (pick('discount_type') === 'percent' && parseFloat(pick('discount_value')) > 100) {
+    return 'A percentage discount can be at most 100';
+  }
+  if (startsAt && endsAt && new Date(endsAt) <= new Date(startsAt)) {
+    return 'End must be after start';
+  }
+  return null;
+};
+
+const findUnknownPlanIds = async (planIds) => {
+  if (!planIds || planIds.length === 0) {
+    return [];
+  }
+  const plans = await db.query(
+    `SELECT plan_id FROM plans WHERE plan_id IN (${planIds.map(() => '?').join(', ')})`,
+    planIds
+  );
+  const known = plans.map((plan) => Number(plan.plan_id));
+  return planIds.filter((planId) => !known.includes(planId));
+};
+
+// Admin: Every promo code with its plan restrictions and usage
+router.get('/', authenticateToken, requirePermission(Permissions.MANAGE_MASTERS), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        promoCodes: await listPromoCodes()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get promo codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promo codes'
+    });
+  }
+});
+
+// Admin: Create a promo code
+router.post('/', authenticateToken, requirePermission(Permissions.MANAGE_MASTERS), promoCodeValidation(true), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const fields = readPromoCodeFields(req.body);
+    const settingsError = checkPromoCodeSettings(fields);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
+      });
+    }
+
+    const planIds = req.body.plan_ids ? req.body.plan_ids.map(Number) : [];
+    const unknownPlanIds = await findUnknownPlanIds(planIds);
+    if (unknownPlanIds.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: `Plan not found: ${unknownPlanIds.join(', ')}`
+      });
+    }
+
+    const promoCodeId = await savePromoCode({
+      code: req.body.code,
+      fields,
+      planIds,
+      createdBy: req.user.user_id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Promo code created',
+      data: await getPromoCode(promoCodeId)
+    });
+
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        success: false,
+        message: `Promo code ${normalizePromoCode(req.body.code)} already exists`,
+        errorCode: 'PROMO_CODE_EXISTS'
+      });
+    }
+    console.error('Create promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create promo code'
+    });
+  }
+});
+
+// Admin: Change a promo code's discount, window, limits or plans, or switch it off (is_active: false)
+router.patch('/:promoCodeId', authenticateToken, requirePermission(Permissions.MANAGE_MASTERS), promoCodeValidation(false), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) {
+      return;
+    }
+
+    const promo = await getPromoCode(req.params.promoCodeId);
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    const fields = readPromoCodeFields(req.body);
+    const settingsError = checkPromoCodeSettings(fields, promo);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        message: settingsError
+      });
+    }
+
+    const planIds = req.body.plan_ids ? req.body.plan_ids.map(Number) : undefined;
+    const unknownPlanIds = await findUnknownPlanIds(planIds);
+    if (unknownPlanIds.length > 0) {
+      return res.status(404).json({
+        success: false,
+        message: `Plan not found: ${unknownPlanIds.join(', ')}`
+      });
+    }
+
+    await savePromoCode({ promoCodeId: promo.promo_code_id, fields, planIds });
+
+    res.json({
+      success: true,
+      message: 'Promo code updated',
+      data: await getPromoCode(promo.promo_code_id)
+    });
+
+  } catch (error) {
+    console.error('Update promo code error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update promo code'
+    });
+  }
+});
+
+// Admin: Who used a promo code, newest first (?limit=, at most 200)
+router.get('/:promoCodeId/redemptions', authenticateToken, requirePermission(Permissions.MANAGE_MASTERS), async (req, res) => {
+  try {
+    const promo = await getPromoCode(req.params.promoCodeId);
+    if (!promo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promo code not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        promoCode: promo,
+        redemptions: await getPromoRedemptions(promo.promo_code_id, { limit: req.query.limit })
+      }
+    });
+
+  } catch (error) {
+    console.error('Get promo redemptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promo code redemptions'
+    });
+  }
+});
+
+module.exports = router;
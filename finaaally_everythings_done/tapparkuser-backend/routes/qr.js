@@ -1,7 +1,8 @@
 const express = require('express');
 const QRCode = require('qrcode');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { Permissions } = require('../utils/permissions');
 
 const router = express.Router();
 
@@ -44,7 +45,7 @@ router.post('/generate', authenticateToken, async (req, res) => {
 });
 
 // Scan QR code (validate parking session)
-router.post('/scan', authenticateToken, async (req, res) => {
+router.post('/scan', authenticateToken, requirePermission(Permissions.OPERATE_KIOSK), async (req, res) => {
   try {
     const { qrCode } = req.body;
 
@@ -100,8 +101,8 @@ router.post('/scan', authenticateToken, async (req, res) => {
   }
 });
 
-// Validate QR code without authentication (for parking attendants)
-router.post('/validate', async (req, res) => {
+// Validate QR code (for parking attendants)
+router.post('/validate', authenticateToken, requirePermission(Permissions.OPERATE_KIOSK), async (req, res) => {
   try {
     const { qrCode } = req.body;
 
@@ -0,0 +1,116 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { logUserActivity, ActionTypes } = require('../utils/userLogger');
+const { listSessions, revokeSession, revokeOtherSessions } = require('../utils/tokenService');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// List the devices the current user is logged in on
+router.get('/', async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.user_id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          sessionId: session.session_id,
+          deviceName: session.device_name,
+          platform: session.platform,
+          userAgent: session.user_agent,
+          ipAddress: session.ip_address,
+          createdAt: session.created_at,
+          lastSeenAt: session.last_seen_at,
+          current: session.session_id === req.token.sid
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions'
+    });
+  }
+});
+
+// Log out every device except this one
+router.delete('/', async (req, res) => {
+  try {
+    const revokedCount = await revokeOtherSessions(req.user.user_id, req.token.sid);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.SESSION_REVOKED,
+      `Logged out of ${revokedCount} other device(s)`
+    );
+
+    res.json({
+      success: true,
+      message: 'Logged out of all other devices',
+      data: {
+        revokedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out other devices'
+    });
+  }
+});
+
+// Log out a single device
+router.delete('/:sessionId', [
+  param('sessionId').isUUID().withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { sessionId } = req.params;
+    const revoked = await revokeSession(req.user.user_id, sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.SESSION_REVOKED,
+      `Logged out device session ${sessionId}`
+    );
+
+    res.json({
+      success: true,
+      message: 'Device logged out',
+      data: {
+        current: sessionId === req.token.sid
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out device'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,57 @@
 const express = require('express');
 const db = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { Permissions } = require('../utils/permissions');
 const { logUserActivity, ActionTypes } = require('../utils/userLogger');
 const { settlePenaltyWithHours } = require('../utils/penaltyHelper');
+const { refundPayPalPurchase } = require('../utils/paypalPayments');
+const { EXPIRES_AT_SQL } = require('../utils/subscriptionExpiry');
+const {
+  AUTO_RENEW_DEFAULT_THRESHOLD_HOURS,
+  AUTO_RENEW_RETRY_HOURS,
+  getAutoRenewal,
+  startAutoRenewalSetup,
+  confirmAutoRenewal,
+  updateAutoRenewal,
+  cancelAutoRenewal
+} = require('../utils/autoRenewal');
 const { body, validationResult } = require('express-validator');
 
 const router = express.Router();
 
+// The auto-renew setting as the app sees it, without the PayPal token IDs
+const formatAutoRenewal = (renewal) => renewal && ({
+  status: renewal.status,
+  plan_id: renewal.plan_id,
+  plan_name: renewal.plan_name,
+  cost: renewal.cost,
+  number_of_hours: renewal.number_of_hours,
+  hours_threshold: parseFloat(renewal.hours_threshold),
+  payer_email: renewal.payer_email,
+  renewal_count: renewal.renewal_count,
+  last_renewed_at: renewal.last_renewed_at,
+  failed_attempts: renewal.failed_attempts,
+  next_attempt_at: renewal.next_attempt_at,
+  last_error: renewal.last_error,
+  cancel_reason: renewal.cancel_reason,
+  cancelled_at: renewal.cancelled_at
+});
+
+const findPlan = async (planId) => {
+  const plans = await db.query('SELECT plan_id, plan_name, number_of_hours FROM plans WHERE plan_id = ?', [planId]);
+  return plans[0] || null;
+};
+
+// A threshold at or above the plan's hours leaves the driver below it right after each renewal, so every run
+// would buy the plan again
+const thresholdTooHigh = (res, hoursThreshold, plan) => res.status(400).json({
+  success: false,
+  errorCode: 'HOURS_THRESHOLD_TOO_HIGH',
+  message: `Hours threshold must be less than the ${parseFloat(plan.number_of_hours)} hours in ${plan.plan_name}`,
+  data: { hoursThreshold, planHours: parseFloat(plan.number_of_hours) }
+});
+
 // Get all available subscription plans
 router.get('/plans', async (req, res) => {
   try {
@@ -16,6 +61,7 @@ router.get('/plans', async (req, res) => {
         plan_name,
         cost,
         number_of_hours,
+        validity_days,
         description
       FROM plans 
       ORDER BY cost ASC
@@ -35,7 +81,7 @@ router.get('/plans', async (req, res) => {
 });
 
 // Purchase a subscription plan
-router.post('/purchase', authenticateToken, [
+router.post('/purchase', authenticateToken, requirePermission(Permissions.PAY_ONLINE), idempotent('subscriptions/purchase'), [
   body('plan_id').isInt().withMessage('Plan ID must be a valid integer'),
   body('payment_method_id').isInt().withMessage('Payment method ID must be a valid integer')
 ], async (req, res) => {
@@ -53,7 +99,7 @@ router.post('/purchase', authenticateToken, [
 
     // Get plan details
     const plans = await db.query(`
-      SELECT plan_id, plan_name, cost, number_of_hours 
+      SELECT plan_id, plan_name, cost, number_of_hours, validity_days
       FROM plans 
       WHERE plan_id = ?
     `, [plan_id]);
@@ -72,10 +118,10 @@ router.post('/purchase', authenticateToken, [
       // Create subscription
       {
         sql: `
-          INSERT INTO subscriptions (user_id, plan_id, hours_remaining, hours_used, status)
-          VALUES (?, ?, ?, 0, 'active')
+          INSERT INTO subscriptions (user_id, plan_id, hours_remaining, hours_used, status, expires_at)
+          VALUES (?, ?, ?, 0, 'active', ${EXPIRES_AT_SQL})
         `,
-        params: [req.user.user_id, plan_id, plan.number_of_hours]
+        params: [req.user.user_id, plan_id, plan.number_of_hours, plan.validity_days]
       },
       // Create payment record
       {
@@ -89,7 +135,7 @@ router.post('/purchase', authenticateToken, [
 
     // Get subscription ID for logging / penalty deduction
     const subscriptionRecord = await db.query(
-      'SELECT subscription_id FROM subscriptions WHERE user_id = ? ORDER BY subscription_id DESC LIMIT 1',
+      'SELECT subscription_id, expires_at FROM subscriptions WHERE user_id = ? ORDER BY subscription_id DESC LIMIT 1',
       [req.user.user_id]
     );
 
@@ -135,6 +181,7 @@ router.post('/purchase', authenticateToken, [
         penalty_deducted_hours: penaltyAdjustment.penaltyAppliedHours,
         outstanding_penalty_hours: penaltyAdjustment.outstandingPenaltyHours,
         cost: plan.cost,
+        expires_at: subscriptionRecord[0]?.expires_at || null,
         total_hours_remaining: updatedBalance[0]?.total_hours_remaining || 0
       }
     });
@@ -166,6 +213,7 @@ router.get('/balance', authenticateToken, async (req, res) => {
       SELECT 
         s.subscription_id,
         s.purchase_date,
+        s.expires_at,
         s.hours_remaining,
         s.hours_used,
         p.plan_name,
@@ -177,12 +225,20 @@ router.get('/balance', authenticateToken, async (req, res) => {
       ORDER BY s.purchase_date DESC
     `, [req.user.user_id]);
 
+    // The hours that expire next, which are also the ones charged first
+    const nextExpiry = subscriptionDetails
+      .filter((subscription) => subscription.expires_at && parseFloat(subscription.hours_remaining) > 0)
+      .sort((a, b) => new Date(a.expires_at) - new Date(b.expires_at))[0];
+
     res.json({
       success: true,
       data: {
         total_hours_remaining: subscriptionBalance[0].total_hours_remaining,
         total_hours_used: subscriptionBalance[0].total_hours_used,
         active_subscriptions: subscriptionBalance[0].active_subscriptions,
+        next_expiry: nextExpiry
+          ? { expires_at: nextExpiry.expires_at, hours_remaining: nextExpiry.hours_remaining }
+          : null,
         subscriptions: subscriptionDetails
       }
     });
@@ -195,4 +251,309 @@ router.get('/balance', authenticateToken, async (req, res) => {
   }
 });
 
+// Get the driver's auto-renew setting (null if they never turned it on)
+router.get('/auto-renew', authenticateToken, async (req, res) => {
+  try {
+    const renewal = await getAutoRenewal(req.user.user_id);
+
+    res.json({
+      success: true,
+      data: {
+        auto_renewal: formatAutoRenewal(renewal),
+        default_hours_threshold: AUTO_RENEW_DEFAULT_THRESHOLD_HOURS,
+        retry_hours: AUTO_RENEW_RETRY_HOURS
+      }
+    });
+  } catch (error) {
+    console.error('Get auto-renew error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch auto-renew setting'
+    });
+  }
+});
+
+// Turn on auto-renew for a plan: returns the PayPal page where the driver agrees to be charged for renewals,
+// after which the app calls /auto-renew/confirm
+router.post('/auto-renew', authenticateToken, requirePermission(Permissions.PAY_ONLINE), [
+  body('plan_id').isInt().withMessage('Plan ID must be a valid integer'),
+  body('hours_threshold').optional().isFloat({ gt: 0 }).withMessage('Hours threshold must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const plan = await findPlan(req.body.plan_id);
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription plan not found'
+      });
+    }
+
+    const hoursThreshold = req.body.hours_threshold !== undefined
+      ? parseFloat(req.body.hours_threshold)
+      : AUTO_RENEW_DEFAULT_THRESHOLD_HOURS;
+    if (hoursThreshold >= parseFloat(plan.number_of_hours)) {
+      return thresholdTooHigh(res, hoursThreshold, plan);
+    }
+
+    // PayPal sends the driver back here; the app's WebView watches for these URLs
+    const protocol = req.headers['x-forwarded-proto'] || req.protocol;
+    const host = req.headers['x-forwarded-host'] || req.get('host');
+    const baseUrl = `${protocol}://${host}`;
+
+    const setup = await startAutoRenewalSetup(req.user.user_id, {
+      planId: req.body.plan_id,
+      hoursThreshold,
+      returnUrl: `${baseUrl}/api/paypal/vault/success`,
+      cancelUrl: `${baseUrl}/api/paypal/vault/cancel`
+    });
+
+    res.json({
+      success: true,
+      data: {
+        setupTokenId: setup.setupTokenId,
+        approvalUrl: setup.approvalUrl
+      }
+    });
+  } catch (error) {
+    console.error('Start auto-renew error:', error.response?.data || error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start auto-renew setup'
+    });
+  }
+});
+
+// Finish turning on auto-renew once the driver approved it at PayPal
+router.post('/auto-renew/confirm', authenticateToken, requirePermission(Permissions.PAY_ONLINE), [
+  body('setup_token_id').isString().notEmpty().withMessage('Setup token ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let renewal;
+    try {
+      renewal = await confirmAutoRenewal(req.user.user_id, req.body.setup_token_id);
+    } catch (error) {
+      if (error.response?.status >= 400 && error.response?.status < 500) {
+        return res.status(409).json({
+          success: false,
+          errorCode: 'AUTO_RENEW_NOT_APPROVED',
+          message: 'PayPal has not confirmed the agreement. Please approve auto-renew in PayPal again.'
+        });
+      }
+      throw error;
+    }
+
+    if (!renewal) {
+      return res.status(404).json({
+        success: false,
+        errorCode: 'AUTO_RENEW_SETUP_NOT_FOUND',
+        message: 'No auto-renew setup is waiting for this approval'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Auto-renew is on. ${renewal.plan_name} will be bought again when you have less than ${parseFloat(renewal.hours_threshold)} hours left.`,
+      data: formatAutoRenewal(renewal)
+    });
+  } catch (error) {
+    console.error('Confirm auto-renew error:', error.response?.data || error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to turn on auto-renew'
+    });
+  }
+});
+
+// Change the renewed plan or the hours threshold
+router.patch('/auto-renew', authenticateToken, requirePermission(Permissions.PAY_ONLINE), [
+  body('plan_id').optional().isInt().withMessage('Plan ID must be a valid integer'),
+  body('hours_threshold').optional().isFloat({ gt: 0 }).withMessage('Hours threshold must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const plan = req.body.plan_id !== undefined ? await findPlan(req.body.plan_id) : null;
+    if (req.body.plan_id !== undefined && !plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription plan not found'
+      });
+    }
+
+    // Either change can put the threshold at or above the renewed plan's hours
+    const current = await getAutoRenewal(req.user.user_id);
+    if (current) {
+      const hoursThreshold = req.body.hours_threshold !== undefined
+        ? parseFloat(req.body.hours_threshold)
+        : parseFloat(current.hours_threshold);
+      const renewedPlan = plan || current;
+      if (hoursThreshold >= parseFloat(renewedPlan.number_of_hours)) {
+        return thresholdTooHigh(res, hoursThreshold, renewedPlan);
+      }
+    }
+
+    const renewal = await updateAutoRenewal(req.user.user_id, {
+      planId: req.body.plan_id,
+      hoursThreshold: req.body.hours_threshold !== undefined ? parseFloat(req.body.hours_threshold) : undefined
+    });
+
+    if (!renewal) {
+      return res.status(409).json({
+        success: false,
+        errorCode: 'AUTO_RENEW_NOT_ACTIVE',
+        message: 'Auto-renew is not on'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Auto-renew updated',
+      data: formatAutoRenewal(renewal)
+    });
+  } catch (error) {
+    console.error('Update auto-renew error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update auto-renew'
+    });
+  }
+});
+
+// Turn off auto-renew; hours already bought are kept
+router.delete('/auto-renew', authenticateToken, async (req, res) => {
+  try {
+    const cancelled = await cancelAutoRenewal(req.user.user_id, 'user');
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        errorCode: 'AUTO_RENEW_NOT_ACTIVE',
+        message: 'Auto-renew is not on'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Auto-renew turned off. Your remaining hours stay on your account.',
+      data: formatAutoRenewal(await getAutoRenewal(req.user.user_id))
+    });
+  } catch (error) {
+    console.error('Cancel auto-renew error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to turn off auto-renew'
+    });
+  }
+});
+
+// Admin: Refund a PayPal subscription purchase in full, or in part with amount; hours are revoked to match
+router.post('/admin/:subscriptionId/refund', authenticateToken, requirePermission(Permissions.MANAGE_MASTERS), [
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+  body('reason').optional().isString().isLength({ max: 255 }).withMessage('Reason must be at most 255 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const transactions = await db.query(
+      `SELECT pt.*, u.email
+       FROM paypal_transactions pt
+       JOIN users u ON pt.user_id = u.user_id
+       WHERE pt.subscription_id = ?`,
+      [req.params.subscriptionId]
+    );
+
+    if (transactions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        errorCode: 'NOT_REFUNDABLE',
+        message: 'No PayPal purchase found for this subscription'
+      });
+    }
+
+    const transaction = transactions[0];
+    const refundable = Math.round((parseFloat(transaction.amount) - parseFloat(transaction.refunded_amount)) * 100) / 100;
+
+    if (transaction.status !== 'completed' || !transaction.capture_id || refundable <= 0) {
+      return res.status(409).json({
+        success: false,
+        errorCode: 'NOT_REFUNDABLE',
+        message: transaction.status === 'refunded'
+          ? 'This purchase has already been refunded in full'
+          : 'This purchase has no completed PayPal payment to refund'
+      });
+    }
+
+    const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : null;
+    if (amount !== null && amount > refundable) {
+      return res.status(400).json({
+        success: false,
+        errorCode: 'INVALID_REFUND_AMOUNT',
+        message: `At most ₱${refundable.toFixed(2)} of this purchase can still be refunded`,
+        data: { refundable }
+      });
+    }
+
+    const reason = req.body.reason || null;
+    const refund = await refundPayPalPurchase(transaction, { amount, reason, refundedBy: req.user.user_id });
+
+    if (!refund) {
+      throw new Error(`Refund of subscription ${req.params.subscriptionId} went through at PayPal but was not recorded`);
+    }
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.PAYMENT_REFUND,
+      `Refunded ₱${refund.amount} of subscription #${refund.subscriptionId} for ${transaction.email}${reason ? `: ${reason}` : ''}`,
+      refund.subscriptionId
+    );
+
+    res.json({
+      success: true,
+      message: refund.fullyRefunded ? 'Purchase refunded in full' : 'Purchase partially refunded',
+      data: refund
+    });
+
+  } catch (error) {
+    console.error('Refund subscription error:', error.response?.data || error);
+    res.status(error.response ? 502 : 500).json({
+      success: false,
+      message: error.response
+        ? `PayPal refused the refund: ${error.response.data?.details?.[0]?.description || error.response.data?.message || 'unknown error'}`
+        : 'Failed to refund purchase'
+    });
+  }
+});
+
 module.exports = router;
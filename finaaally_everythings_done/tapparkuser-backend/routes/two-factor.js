@@ -0,0 +1,324 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+const { body, validationResult } = require('express-validator');
+const db = require('../config/database');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { Roles } = require('../utils/permissions');
+const { logUserActivity, ActionTypes } = require('../utils/userLogger');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  isTwoFactorRequired,
+  replaceRecoveryCodes,
+  verifySecondFactor
+} = require('../utils/twoFactor');
+
+const router = express.Router();
+
+// Two-factor authentication is offered to staff accounts, which can act on other users' bookings
+router.use(authenticateToken, requireRole(Roles.ATTENDANT, Roles.AREA_MANAGER, Roles.ADMIN));
+
+const codeValidation = [
+  body('code').trim().notEmpty().withMessage('Verification code is required')
+];
+
+const getTwoFactorState = async (userId) => {
+  const rows = await db.query(`
+    SELECT u.two_factor_enabled, u.two_factor_secret, u.two_factor_last_step, u.two_factor_enabled_at,
+           (SELECT COUNT(*) FROM two_factor_recovery_codes rc
+            WHERE rc.user_id = u.user_id AND rc.used_at IS NULL) as recovery_codes_remaining
+    FROM users u
+    WHERE u.user_id = ?
+  `, [userId]);
+  return rows[0];
+};
+
+// Get 2FA status for the current user
+router.get('/status', async (req, res) => {
+  try {
+    const state = await getTwoFactorState(req.user.user_id);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: !!state.two_factor_enabled,
+        required: isTwoFactorRequired(req.user.account_type_name),
+        enabledAt: state.two_factor_enabled_at,
+        recoveryCodesRemaining: Number(state.recovery_codes_remaining) || 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch two-factor status'
+    });
+  }
+});
+
+// Start enrollment: create a new secret and return it with a QR code for the authenticator app
+router.post('/setup', async (req, res) => {
+  try {
+    const state = await getTwoFactorState(req.user.user_id);
+    if (state.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+        errorCode: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    const secret = generateSecret();
+    const otpauthUrl = buildOtpauthUrl(req.user.email, secret);
+    const qrCode = await QRCode.toDataURL(otpauthUrl, {
+      width: 256,
+      margin: 2,
+      color: { dark: '#000000', light: '#FFFFFF' }
+    });
+
+    // Stored but inactive until the user proves their app works via POST /enable
+    await db.query(
+      'UPDATE users SET two_factor_secret = ?, two_factor_last_step = NULL WHERE user_id = ?',
+      [encryptSecret(secret), req.user.user_id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then enter the 6-digit code to finish',
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup'
+    });
+  }
+});
+
+// Finish enrollment with a code from the app; returns the recovery codes once
+router.post('/enable', codeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.user_id;
+    const state = await getTwoFactorState(userId);
+
+    if (state.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+        errorCode: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    if (!state.two_factor_secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first',
+        errorCode: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
+    const step = verifyTotp(decryptSecret(state.two_factor_secret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code. Check the time on your phone and try again.',
+        errorCode: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    await db.query(`
+      UPDATE users
+      SET two_factor_enabled = 1, two_factor_last_step = ?, two_factor_enabled_at = NOW()
+      WHERE user_id = ?
+    `, [step, userId]);
+
+    const recoveryCodes = await replaceRecoveryCodes(userId);
+
+    await logUserActivity(
+      userId,
+      ActionTypes.TWO_FACTOR_ENABLED,
+      'Enabled two-factor authentication',
+      userId,
+      'two_factor_enabled'
+    );
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Save your recovery codes somewhere safe.',
+      data: {
+        recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// Turn 2FA off (password plus a current code or recovery code)
+router.post('/disable', [
+  body('password').notEmpty().withMessage('Password is required'),
+  ...codeValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.user_id;
+
+    if (isTwoFactorRequired(req.user.account_type_name)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your account type',
+        errorCode: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    const users = await db.query(
+      'SELECT password, two_factor_enabled FROM users WHERE user_id = ?',
+      [userId]
+    );
+
+    if (!users[0].two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+        errorCode: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(req.body.password, users[0].password);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!(await verifySecondFactor(userId, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+        errorCode: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    await db.transaction([
+      {
+        sql: `UPDATE users
+              SET two_factor_enabled = 0, two_factor_secret = NULL, two_factor_last_step = NULL, two_factor_enabled_at = NULL
+              WHERE user_id = ?`,
+        params: [userId]
+      },
+      { sql: 'DELETE FROM two_factor_recovery_codes WHERE user_id = ?', params: [userId] }
+    ]);
+
+    await logUserActivity(
+      userId,
+      ActionTypes.TWO_FACTOR_DISABLED,
+      'Disabled two-factor authentication',
+      userId,
+      'two_factor_enabled'
+    );
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+// Replace the recovery codes (invalidates the old ones)
+router.post('/recovery-codes', codeValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.user_id;
+    const state = await getTwoFactorState(userId);
+
+    if (!state.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+        errorCode: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    if (!(await verifySecondFactor(userId, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification code',
+        errorCode: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(userId);
+
+    await logUserActivity(
+      userId,
+      ActionTypes.TWO_FACTOR_RECOVERY_CODES_REGENERATED,
+      'Generated new two-factor recovery codes'
+    );
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Your old codes no longer work.',
+      data: {
+        recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate recovery codes'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,15 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const bcrypt = require('bcryptjs');
+const { body, query, validationResult } = require('express-validator');
 const db = require('../config/database');
-const { authenticateToken, adminOnly } = require('../middleware/auth');
+const { authenticateToken, requireRole, requirePermission } = require('../middleware/auth');
+const { Roles, Permissions } = require('../utils/permissions');
 const { logUserActivity, ActionTypes } = require('../utils/userLogger');
+const { clearFailedLogins } = require('../utils/loginProtection');
+const { buildDataExport, buildDataExportZip } = require('../utils/dataExport');
+const { ACCOUNT_DELETION_COOLING_OFF_DAYS, countOpenBookings } = require('../utils/accountDeletion');
+const { getStrikeStatus, liftSuspension } = require('../utils/noShowStrikes');
+const { isExpoPushToken, registerPushToken, unregisterPushToken } = require('../utils/pushNotifications');
 
 const router = express.Router();
 
@@ -170,6 +177,67 @@ router.delete('/notifications/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Register this device's Expo push token so notifications sent with push reach it
+router.post('/push-tokens', authenticateToken, [
+  body('token').custom((token) => isExpoPushToken(token)).withMessage('A valid Expo push token is required'),
+  body('platform').optional().isIn(['ios', 'android', 'web']).withMessage('Platform must be ios, android or web')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await registerPushToken(req.user.user_id, req.body.token, req.body.platform || null);
+
+    res.json({
+      success: true,
+      message: 'Push token registered'
+    });
+
+  } catch (error) {
+    console.error('Register push token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register push token'
+    });
+  }
+});
+
+// Stop sending push notifications to this device, e.g. on logout
+router.delete('/push-tokens', authenticateToken, [
+  body('token').isString().notEmpty().withMessage('Token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await unregisterPushToken(req.user.user_id, req.body.token);
+
+    res.json({
+      success: true,
+      message: 'Push token removed'
+    });
+
+  } catch (error) {
+    console.error('Remove push token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove push token'
+    });
+  }
+});
+
 // Get user dashboard data
 router.get('/dashboard', authenticateToken, async (req, res) => {
   try {
@@ -357,7 +425,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
 });
 
 // Admin: Get all users (admin only)
-router.get('/admin/all', authenticateToken, adminOnly, async (req, res) => {
+router.get('/admin/all', authenticateToken, requirePermission(Permissions.MANAGE_MASTERS), async (req, res) => {
   try {
     const { page = 1, limit = 20, search } = req.query;
     const offset = (page - 1) * limit;
@@ -406,4 +474,355 @@ router.get('/admin/all', authenticateToken, adminOnly, async (req, res) => {
   }
 });
 
+// Download everything stored about the current user (?format=zip for a bundle of JSON files)
+router.get('/me/export', authenticateToken, [
+  query('format').optional().isIn(['json', 'zip']).withMessage('Format must be json or zip')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.user_id;
+    const format = req.query.format || 'json';
+    const dataExport = await buildDataExport(userId);
+
+    await logUserActivity(
+      userId,
+      ActionTypes.DATA_EXPORTED,
+      `Downloaded personal data export (${format})`
+    );
+
+    if (format === 'zip') {
+      const filename = `tappark-data-${userId}-${dataExport.exportedAt.slice(0, 10)}.zip`;
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      });
+      return res.send(buildDataExportZip(dataExport));
+    }
+
+    res.json({
+      success: true,
+      data: dataExport
+    });
+
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export your data'
+    });
+  }
+});
+
+// Get the status of the current user's account deletion request
+router.get('/me/deletion', authenticateToken, async (req, res) => {
+  try {
+    const users = await db.query(
+      'SELECT deletion_requested_at, deletion_scheduled_for FROM users WHERE user_id = ?',
+      [req.user.user_id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        pending: !!users[0].deletion_scheduled_for,
+        requestedAt: users[0].deletion_requested_at,
+        scheduledFor: users[0].deletion_scheduled_for,
+        coolingOffDays: ACCOUNT_DELETION_COOLING_OFF_DAYS
+      }
+    });
+
+  } catch (error) {
+    console.error('Get deletion status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch account deletion status'
+    });
+  }
+});
+
+// Ask for the account to be deleted; personal data is anonymized once the cooling-off period ends
+router.post('/me/deletion', authenticateToken, requireRole(Roles.DRIVER), [
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.user_id;
+    const users = await db.query(
+      'SELECT password, deletion_scheduled_for FROM users WHERE user_id = ?',
+      [userId]
+    );
+
+    const isPasswordValid = await bcrypt.compare(req.body.password, users[0].password);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (users[0].deletion_scheduled_for) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion has already been requested',
+        errorCode: 'DELETION_ALREADY_REQUESTED'
+      });
+    }
+
+    if (await countOpenBookings(userId) > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Please end or cancel your current booking before deleting your account',
+        errorCode: 'OPEN_BOOKINGS'
+      });
+    }
+
+    await db.query(`
+      UPDATE users
+      SET deletion_requested_at = NOW(), deletion_scheduled_for = DATE_ADD(NOW(), INTERVAL ? DAY)
+      WHERE user_id = ?
+    `, [ACCOUNT_DELETION_COOLING_OFF_DAYS, userId]);
+
+    const updated = await db.query(
+      'SELECT deletion_requested_at, deletion_scheduled_for FROM users WHERE user_id = ?',
+      [userId]
+    );
+
+    await logUserActivity(
+      userId,
+      ActionTypes.ACCOUNT_DELETION_REQUESTED,
+      `Requested account deletion, scheduled for ${new Date(updated[0].deletion_scheduled_for).toISOString()}`,
+      userId,
+      'deletion_scheduled_for'
+    );
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted in ${ACCOUNT_DELETION_COOLING_OFF_DAYS} days. You can cancel until then.`,
+      data: {
+        pending: true,
+        requestedAt: updated[0].deletion_requested_at,
+        scheduledFor: updated[0].deletion_scheduled_for,
+        coolingOffDays: ACCOUNT_DELETION_COOLING_OFF_DAYS
+      }
+    });
+
+  } catch (error) {
+    console.error('Request account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request account deletion'
+    });
+  }
+});
+
+// Cancel a pending account deletion
+router.delete('/me/deletion', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.user_id;
+    const result = await db.execute(`
+      UPDATE users
+      SET deletion_requested_at = NULL, deletion_scheduled_for = NULL
+      WHERE user_id = ? AND deletion_scheduled_for IS NOT NULL AND deleted_at IS NULL
+    `, [userId]);
+
+    if (result.affectedRows === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no pending account deletion to cancel',
+        errorCode: 'NO_PENDING_DELETION'
+      });
+    }
+
+    await logUserActivity(
+      userId,
+      ActionTypes.ACCOUNT_DELETION_CANCELLED,
+      'Cancelled account deletion',
+      userId,
+      'deletion_scheduled_for'
+    );
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled',
+      data: {
+        pending: false,
+        requestedAt: null,
+        scheduledFor: null,
+        coolingOffDays: ACCOUNT_DELETION_COOLING_OFF_DAYS
+      }
+    });
+
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel account deletion'
+    });
+  }
+});
+
+// No-show strikes in the rolling window and any booking suspension they caused
+router.get('/me/strikes', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getStrikeStatus(req.user.user_id)
+    });
+
+  } catch (error) {
+    console.error('Get strikes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch no-show strikes'
+    });
+  }
+});
+
+// Admin: A driver's no-show strikes and booking suspension
+router.get('/admin/:userId/strikes', authenticateToken, requirePermission(Permissions.MANAGE_MASTERS), async (req, res) => {
+  try {
+    const users = await db.query('SELECT user_id FROM users WHERE user_id = ?', [req.params.userId]);
+
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await getStrikeStatus(users[0].user_id)
+    });
+
+  } catch (error) {
+    console.error('Get user strikes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch no-show strikes'
+    });
+  }
+});
+
+// Admin: Lift a driver's booking suspension early, optionally forgiving their strikes
+router.post('/admin/:userId/lift-suspension', authenticateToken, requirePermission(Permissions.MANAGE_MASTERS), [
+  body('reason').optional().isString().isLength({ max: 255 }).withMessage('Reason must be at most 255 characters'),
+  body('forgiveStrikes').optional().isBoolean().withMessage('forgiveStrikes must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const users = await db.query('SELECT user_id, email FROM users WHERE user_id = ?', [req.params.userId]);
+
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { reason = null, forgiveStrikes = false } = req.body;
+    const { liftedSuspensions, forgivenStrikes } = await liftSuspension(users[0].user_id, req.user.user_id, {
+      reason,
+      forgiveStrikes: forgiveStrikes === true
+    });
+
+    if (liftedSuspensions === 0 && forgivenStrikes === 0) {
+      return res.status(409).json({
+        success: false,
+        errorCode: 'NOTHING_TO_LIFT',
+        message: 'This user has no booking suspension or strikes to forgive'
+      });
+    }
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.BOOKING_SUSPENSION_LIFTED,
+      `Lifted the booking suspension of ${users[0].email}${forgivenStrikes > 0 ? ` and forgave ${forgivenStrikes} strikes` : ''}${reason ? `: ${reason}` : ''}`,
+      users[0].user_id
+    );
+
+    res.json({
+      success: true,
+      message: liftedSuspensions > 0 ? 'Booking suspension lifted' : 'Strikes forgiven',
+      data: {
+        liftedSuspensions,
+        forgivenStrikes,
+        ...await getStrikeStatus(users[0].user_id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Lift suspension error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to lift booking suspension'
+    });
+  }
+});
+
+// Admin: Unlock an account locked by repeated failed logins
+router.post('/admin/:userId/unlock', authenticateToken, requirePermission(Permissions.MANAGE_MASTERS), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const users = await db.query(
+      'SELECT user_id, email, locked_until FROM users WHERE user_id = ?',
+      [userId]
+    );
+
+    if (users.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await clearFailedLogins(users[0].user_id);
+
+    await logUserActivity(
+      req.user.user_id,
+      ActionTypes.ACCOUNT_UNLOCKED,
+      `Unlocked account ${users[0].email}`,
+      users[0].user_id,
+      'locked_until'
+    );
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully'
+    });
+
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account'
+    });
+  }
+});
+
 module.exports = router;
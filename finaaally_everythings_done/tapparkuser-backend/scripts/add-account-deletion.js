@@ -0,0 +1,44 @@
+const db = require('../config/database');
+
+const addColumn = async (name, definition) => {
+  try {
+    await db.query(`ALTER TABLE users ADD COLUMN ${name} ${definition}`);
+    console.log(`✅ Added ${name} column to users table`);
+  } catch (error) {
+    if (error.code === 'ER_DUP_FIELDNAME') {
+      console.log(`ℹ️  ${name} column already exists`);
+      return;
+    }
+    throw error;
+  }
+};
+
+async function addAccountDeletionColumns() {
+  try {
+    console.log('🔄 Updating database for account deletion...');
+
+    // Set when the user asks to delete their account; cleared if they cancel during the cooling-off period
+    await addColumn('deletion_requested_at', 'TIMESTAMP NULL DEFAULT NULL');
+    await addColumn('deletion_scheduled_for', 'TIMESTAMP NULL DEFAULT NULL AFTER deletion_requested_at');
+    // Set once personal data has been removed; the row stays so reservations and payments keep their history
+    await addColumn('deleted_at', 'TIMESTAMP NULL DEFAULT NULL AFTER deletion_scheduled_for');
+
+    try {
+      await db.query('CREATE INDEX idx_deletion_scheduled_for ON users (deletion_scheduled_for)');
+      console.log('✅ Added deletion_scheduled_for index');
+    } catch (error) {
+      if (error.code === 'ER_DUP_KEYNAME') {
+        console.log('ℹ️  deletion_scheduled_for index already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding account deletion columns:', error);
+    process.exit(1);
+  }
+}
+
+addAccountDeletionColumns();
@@ -0,0 +1,55 @@
+const db = require('../config/database');
+const { Roles, Permissions, PERMISSION_MATRIX } = require('../utils/permissions');
+
+const PRIVILEGE_DESCRIPTIONS = {
+  [Permissions.MANAGE_AREA]: 'Manage sections, capacity and staff of an assigned parking area'
+};
+
+async function addAreaManagerRole() {
+  try {
+    console.log('🔄 Updating database for role permissions...');
+
+    // Step 1: Make sure every role in the matrix exists in types
+    for (const role of Object.values(Roles)) {
+      const result = await db.execute('INSERT IGNORE INTO types (account_type_name) VALUES (?)', [role]);
+      if (result.affectedRows > 0) {
+        console.log(`✅ Added ${role} account type`);
+      }
+    }
+
+    // Step 2: Make sure every permission exists in privileges
+    for (const permission of Object.values(Permissions)) {
+      const result = await db.execute(
+        'INSERT IGNORE INTO privileges (privileges_name, privileges_description) VALUES (?, ?)',
+        [permission, PRIVILEGE_DESCRIPTIONS[permission] || null]
+      );
+      if (result.affectedRows > 0) {
+        console.log(`✅ Added ${permission} privilege`);
+      }
+    }
+
+    // Step 3: Grant the default matrix (existing grants are left untouched)
+    for (const [role, permissions] of Object.entries(PERMISSION_MATRIX)) {
+      for (const permission of permissions) {
+        const result = await db.execute(`
+          INSERT IGNORE INTO type_privileges (type_id, privilege_id)
+          SELECT t.type_id, p.privilege_id
+          FROM types t
+          JOIN privileges p ON p.privileges_name = ?
+          WHERE t.account_type_name = ?
+        `, [permission, role]);
+        if (result.affectedRows > 0) {
+          console.log(`✅ Granted ${permission} to ${role}`);
+        }
+      }
+    }
+
+    console.log('✅ Role permissions are up to date');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error updating role permissions:', error);
+    process.exit(1);
+  }
+}
+
+addAreaManagerRole();
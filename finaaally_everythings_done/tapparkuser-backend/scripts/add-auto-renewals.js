@@ -0,0 +1,60 @@
+const db = require('../config/database');
+
+async function addAutoRenewals() {
+  try {
+    console.log('🔄 Updating database for auto-renewing plans...');
+
+    // One auto-renew setting per driver: the plan bought again through their saved PayPal account whenever their
+    // hours drop below hours_threshold. Failed renewals are retried at next_attempt_at until the retries run out.
+    console.log('📝 Creating subscription_auto_renewals table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS subscription_auto_renewals (
+        auto_renewal_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        user_id BIGINT UNSIGNED NOT NULL,
+        plan_id BIGINT UNSIGNED NOT NULL,
+        hours_threshold DECIMAL(10, 2) NOT NULL DEFAULT 1.00,
+        status ENUM('pending_approval', 'active', 'past_due', 'cancelled') NOT NULL DEFAULT 'pending_approval',
+        paypal_setup_token_id VARCHAR(100) NULL,
+        paypal_payment_token_id VARCHAR(100) NULL,
+        payer_email VARCHAR(255) NULL,
+        renewal_count INT UNSIGNED NOT NULL DEFAULT 0,
+        failed_attempts INT UNSIGNED NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP NULL DEFAULT NULL,
+        last_renewed_at TIMESTAMP NULL DEFAULT NULL,
+        last_error VARCHAR(255) NULL,
+        cancel_reason ENUM('user', 'payment_failed', 'account_deleted') NULL,
+        cancelled_at TIMESTAMP NULL DEFAULT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_user (user_id),
+        INDEX idx_status_next_attempt (status, next_attempt_at),
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+        FOREIGN KEY (plan_id) REFERENCES plans(plan_id) ON DELETE RESTRICT
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ subscription_auto_renewals table ready');
+
+    // Renewal orders are ordinary PayPal transactions that point back at the setting that placed them
+    console.log('📝 Adding auto_renewal_id to paypal_transactions...');
+    try {
+      await db.query(`
+        ALTER TABLE paypal_transactions
+        ADD COLUMN auto_renewal_id BIGINT UNSIGNED NULL AFTER subscription_id,
+        ADD INDEX idx_auto_renewal (auto_renewal_id, status)
+      `);
+      console.log('✅ Added auto_renewal_id column to paypal_transactions table');
+    } catch (error) {
+      if (error.code !== 'ER_DUP_FIELDNAME') {
+        throw error;
+      }
+      console.log('ℹ️  auto_renewal_id column already exists');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding auto-renewals:', error);
+    process.exit(1);
+  }
+}
+
+addAutoRenewals();
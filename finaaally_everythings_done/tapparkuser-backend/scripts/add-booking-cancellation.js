@@ -0,0 +1,47 @@
+const db = require('../config/database');
+
+const addColumn = async (name, definition) => {
+  try {
+    await db.query(`ALTER TABLE reservations ADD COLUMN ${name} ${definition}`);
+    console.log(`✅ Added ${name} column to reservations table`);
+  } catch (error) {
+    if (error.code === 'ER_DUP_FIELDNAME') {
+      console.log(`ℹ️  ${name} column already exists`);
+      return;
+    }
+    throw error;
+  }
+};
+
+async function addBookingCancellation() {
+  try {
+    console.log('🔄 Updating database for driver cancellations...');
+
+    // When the driver cancelled and the late-cancellation fee (in subscription hours) they were charged
+    await addColumn('cancelled_at', 'TIMESTAMP NULL DEFAULT NULL AFTER waiting_end_time');
+    await addColumn('cancellation_fee_hours', 'DECIMAL(6,2) NULL DEFAULT NULL AFTER cancelled_at');
+
+    // Strikes against a driver for late cancellations (and later no-shows)
+    console.log('📝 Creating no_show_strikes table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS no_show_strikes (
+        strike_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        user_id BIGINT UNSIGNED NOT NULL,
+        reservation_id BIGINT UNSIGNED NULL,
+        reason VARCHAR(32) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+        INDEX idx_user_created (user_id, created_at),
+        INDEX idx_reservation_id (reservation_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ no_show_strikes table ready');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding booking cancellation:', error);
+    process.exit(1);
+  }
+}
+
+addBookingCancellation();
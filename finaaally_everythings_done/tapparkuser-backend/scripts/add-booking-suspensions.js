@@ -0,0 +1,50 @@
+const db = require('../config/database');
+
+const addColumn = async (name, definition) => {
+  try {
+    await db.query(`ALTER TABLE no_show_strikes ADD COLUMN ${name} ${definition}`);
+    console.log(`✅ Added ${name} column to no_show_strikes table`);
+  } catch (error) {
+    if (error.code === 'ER_DUP_FIELDNAME') {
+      console.log(`ℹ️  ${name} column already exists`);
+      return;
+    }
+    throw error;
+  }
+};
+
+async function addBookingSuspensions() {
+  try {
+    console.log('🔄 Updating database for no-show suspensions...');
+
+    // Drivers who collected too many strikes can't book until ends_at, unless an admin lifts it earlier
+    console.log('📝 Creating booking_suspensions table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS booking_suspensions (
+        suspension_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        user_id BIGINT UNSIGNED NOT NULL,
+        strike_count INT UNSIGNED NOT NULL,
+        starts_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        ends_at TIMESTAMP NULL DEFAULT NULL,
+        lifted_at TIMESTAMP NULL DEFAULT NULL,
+        lifted_by BIGINT UNSIGNED NULL,
+        lift_reason VARCHAR(255) NULL,
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+        INDEX idx_user_ends (user_id, ends_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ booking_suspensions table ready');
+
+    // A strike stops counting once it has led to a suspension or an admin forgave it
+    await addColumn('suspension_id', 'BIGINT UNSIGNED NULL DEFAULT NULL AFTER reason');
+    await addColumn('forgiven_at', 'TIMESTAMP NULL DEFAULT NULL AFTER suspension_id');
+    await addColumn('forgiven_by', 'BIGINT UNSIGNED NULL DEFAULT NULL AFTER forgiven_at');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding booking suspensions:', error);
+    process.exit(1);
+  }
+}
+
+addBookingSuspensions();
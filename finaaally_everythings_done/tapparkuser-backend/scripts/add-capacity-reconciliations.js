@@ -0,0 +1,33 @@
+const db = require('../config/database');
+
+async function addCapacityReconciliations() {
+  try {
+    console.log('🔄 Updating database for capacity counter reconciliation...');
+
+    // Every parked_count/reserved_count mismatch found, and whether (and by whom) it was corrected
+    console.log('📝 Creating capacity_reconciliations table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS capacity_reconciliations (
+        reconciliation_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        parking_section_id BIGINT UNSIGNED NOT NULL,
+        recorded_reserved_count INT NOT NULL,
+        recorded_parked_count INT NOT NULL,
+        actual_reserved_count INT NOT NULL,
+        actual_parked_count INT NOT NULL,
+        corrected TINYINT(1) NOT NULL DEFAULT 0,
+        corrected_by BIGINT UNSIGNED NULL,
+        source ENUM('schedule', 'manual') NOT NULL DEFAULT 'schedule',
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_section_created (parking_section_id, created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ capacity_reconciliations table ready');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding capacity reconciliations:', error);
+    process.exit(1);
+  }
+}
+
+addCapacityReconciliations();
@@ -0,0 +1,50 @@
+const db = require('../config/database');
+
+const addColumn = async (name, definition) => {
+  try {
+    await db.query(`ALTER TABLE users ADD COLUMN ${name} ${definition}`);
+    console.log(`✅ Added ${name} column to users table`);
+    return true;
+  } catch (error) {
+    if (error.code === 'ER_DUP_FIELDNAME') {
+      console.log(`ℹ️  ${name} column already exists`);
+      return false;
+    }
+    throw error;
+  }
+};
+
+async function addEmailVerificationColumns() {
+  try {
+    console.log('🔄 Updating database for email verification...');
+
+    const isVerifiedAdded = await addColumn('is_verified', 'TINYINT(1) NOT NULL DEFAULT 0 AFTER password');
+    await addColumn('verification_token', 'CHAR(64) NULL DEFAULT NULL AFTER is_verified');
+    await addColumn('verification_expires_at', 'TIMESTAMP NULL DEFAULT NULL AFTER verification_token');
+    await addColumn('verification_sent_at', 'TIMESTAMP NULL DEFAULT NULL AFTER verification_expires_at');
+
+    // Accounts that existed before verification was introduced are trusted as-is
+    if (isVerifiedAdded) {
+      const result = await db.execute('UPDATE users SET is_verified = 1');
+      console.log(`✅ Marked ${result.affectedRows} existing users as verified`);
+    }
+
+    try {
+      await db.query('CREATE INDEX idx_verification_token ON users (verification_token)');
+      console.log('✅ Added verification_token index');
+    } catch (error) {
+      if (error.code === 'ER_DUP_KEYNAME') {
+        console.log('ℹ️  verification_token index already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding email verification columns:', error);
+    process.exit(1);
+  }
+}
+
+addEmailVerificationColumns();
@@ -0,0 +1,42 @@
+const db = require('../config/database');
+
+async function addGracePeriodRules() {
+  try {
+    console.log('🔄 Updating database for grace period rules...');
+
+    // Check-in windows per parking area and vehicle type. NULL area or vehicle type matches every area or type;
+    // starts_at/ends_at limit a rule to a time of day (ends_at before starts_at wraps past midnight).
+    console.log('📝 Creating grace_period_rules table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS grace_period_rules (
+        rule_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        parking_area_id BIGINT UNSIGNED NULL,
+        vehicle_type VARCHAR(32) NULL,
+        starts_at TIME NULL,
+        ends_at TIME NULL,
+        grace_minutes INT UNSIGNED NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_area_type (parking_area_id, vehicle_type)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ grace_period_rules table ready');
+
+    const existing = await db.query('SELECT COUNT(*) AS count FROM grace_period_rules');
+    if (existing[0].count === 0) {
+      // Start from the old single window so nothing changes until rules are added
+      const defaultMinutes = parseInt(process.env.GRACE_PERIOD_MINUTES) || 15;
+      await db.query('INSERT INTO grace_period_rules (grace_minutes) VALUES (?)', [defaultMinutes]);
+      console.log(`✅ Added the default rule: ${defaultMinutes} minutes for every area and vehicle type`);
+    } else {
+      console.log('ℹ️ grace_period_rules already has rules, leaving them as they are');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding grace period rules:', error);
+    process.exit(1);
+  }
+}
+
+addGracePeriodRules();
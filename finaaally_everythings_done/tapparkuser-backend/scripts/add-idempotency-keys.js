@@ -0,0 +1,35 @@
+const db = require('../config/database');
+
+async function addIdempotencyKeys() {
+  try {
+    console.log('🔄 Updating database for idempotency keys...');
+
+    // One row per Idempotency-Key a user sent, holding the response to replay when the request is retried
+    console.log('📝 Creating idempotency_keys table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        idempotency_key_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        user_id BIGINT UNSIGNED NOT NULL,
+        idempotency_key VARCHAR(255) NOT NULL,
+        endpoint VARCHAR(100) NOT NULL,
+        request_hash CHAR(64) NOT NULL,
+        status ENUM('processing', 'completed') NOT NULL DEFAULT 'processing',
+        response_status SMALLINT UNSIGNED NULL,
+        response_body MEDIUMTEXT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP NULL DEFAULT NULL,
+        UNIQUE KEY uniq_user_key (user_id, idempotency_key),
+        INDEX idx_created (created_at),
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ idempotency_keys table ready');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding idempotency keys:', error);
+    process.exit(1);
+  }
+}
+
+addIdempotencyKeys();
@@ -0,0 +1,25 @@
+const db = require('../config/database');
+
+async function addIntendedEndTimeColumn() {
+  try {
+    console.log('🔄 Updating database for planned parking end times...');
+
+    // End time the driver declared or extended to; scheduled bookings fall back to scheduled_end_time
+    try {
+      await db.query('ALTER TABLE reservations ADD COLUMN intended_end_time DATETIME NULL DEFAULT NULL AFTER start_time');
+      console.log('✅ Added intended_end_time column to reservations table');
+    } catch (error) {
+      if (error.code !== 'ER_DUP_FIELDNAME') {
+        throw error;
+      }
+      console.log('ℹ️  intended_end_time column already exists');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding intended_end_time column:', error);
+    process.exit(1);
+  }
+}
+
+addIntendedEndTimeColumn();
@@ -0,0 +1,46 @@
+const db = require('../config/database');
+
+async function addJobScheduler() {
+  try {
+    console.log('🔄 Updating database for the background job scheduler...');
+
+    // One lease per job: only the server instance holding an unexpired lease runs it
+    console.log('📝 Creating job_locks table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS job_locks (
+        job_name VARCHAR(64) NOT NULL PRIMARY KEY,
+        locked_by VARCHAR(128) NOT NULL,
+        locked_until TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ job_locks table ready');
+
+    // Every attempt of every job run, for the admin status endpoint
+    console.log('📝 Creating job_runs table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS job_runs (
+        run_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        job_name VARCHAR(64) NOT NULL,
+        instance_id VARCHAR(128) NOT NULL,
+        triggered_by ENUM('schedule', 'manual') NOT NULL DEFAULT 'schedule',
+        attempt INT UNSIGNED NOT NULL DEFAULT 1,
+        status ENUM('running', 'succeeded', 'failed') NOT NULL DEFAULT 'running',
+        started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP NULL DEFAULT NULL,
+        duration_ms INT UNSIGNED NULL,
+        result TEXT NULL,
+        error TEXT NULL,
+        INDEX idx_job_started (job_name, started_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ job_runs table ready');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding job scheduler tables:', error);
+    process.exit(1);
+  }
+}
+
+addJobScheduler();
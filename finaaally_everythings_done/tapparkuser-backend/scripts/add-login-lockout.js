@@ -0,0 +1,32 @@
+const db = require('../config/database');
+
+const addColumn = async (name, definition) => {
+  try {
+    await db.query(`ALTER TABLE users ADD COLUMN ${name} ${definition}`);
+    console.log(`✅ Added ${name} column to users table`);
+  } catch (error) {
+    if (error.code === 'ER_DUP_FIELDNAME') {
+      console.log(`ℹ️  ${name} column already exists`);
+      return;
+    }
+    throw error;
+  }
+};
+
+async function addLoginLockoutColumns() {
+  try {
+    console.log('🔄 Updating database for login lockout...');
+
+    await addColumn('failed_login_attempts', 'INT UNSIGNED NOT NULL DEFAULT 0');
+    await addColumn('last_failed_login_at', 'TIMESTAMP NULL DEFAULT NULL AFTER failed_login_attempts');
+    await addColumn('locked_until', 'TIMESTAMP NULL DEFAULT NULL AFTER last_failed_login_at');
+    await addColumn('lockout_count', 'INT UNSIGNED NOT NULL DEFAULT 0 AFTER locked_until');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding login lockout columns:', error);
+    process.exit(1);
+  }
+}
+
+addLoginLockoutColumns();
@@ -0,0 +1,31 @@
+const db = require('../config/database');
+
+async function addPasswordResetsTable() {
+  try {
+    console.log('🔄 Updating database for password reset...');
+
+    // One-time reset codes; only the SHA-256 hash of the code is stored
+    console.log('📝 Creating password_reset_tokens table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        password_reset_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        user_id BIGINT UNSIGNED NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP NULL DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id),
+        INDEX idx_token_hash (token_hash)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ password_reset_tokens table ready');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error creating password_reset_tokens table:', error);
+    process.exit(1);
+  }
+}
+
+addPasswordResetsTable();
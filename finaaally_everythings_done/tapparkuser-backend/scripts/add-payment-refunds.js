@@ -0,0 +1,38 @@
+const db = require('../config/database');
+
+async function addPaymentRefunds() {
+  try {
+    console.log('🔄 Updating database for payment refunds...');
+
+    // One row per refund of a PayPal purchase, issued by an admin (refunded_by) or in the PayPal dashboard (NULL)
+    console.log('📝 Creating payment_refunds table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS payment_refunds (
+        refund_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        paypal_transaction_id BIGINT UNSIGNED NOT NULL,
+        user_id BIGINT UNSIGNED NOT NULL,
+        subscription_id BIGINT UNSIGNED NULL,
+        payment_id BIGINT UNSIGNED NULL,
+        paypal_refund_id VARCHAR(100) NULL,
+        amount DECIMAL(10, 2) NOT NULL,
+        hours_revoked DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+        refunded_by BIGINT UNSIGNED NULL,
+        reason VARCHAR(255) NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_paypal_refund (paypal_refund_id),
+        INDEX idx_transaction (paypal_transaction_id),
+        INDEX idx_user_created (user_id, created_at),
+        FOREIGN KEY (paypal_transaction_id) REFERENCES paypal_transactions(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ payment_refunds table ready');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding payment refunds:', error);
+    process.exit(1);
+  }
+}
+
+addPaymentRefunds();
@@ -0,0 +1,65 @@
+const db = require('../config/database');
+
+const addColumn = async (name, definition) => {
+  try {
+    await db.query(`ALTER TABLE paypal_transactions ADD COLUMN ${name} ${definition}`);
+    console.log(`✅ Added ${name} column to paypal_transactions table`);
+  } catch (error) {
+    if (error.code === 'ER_DUP_FIELDNAME') {
+      console.log(`ℹ️  ${name} column already exists`);
+      return;
+    }
+    throw error;
+  }
+};
+
+async function addPayPalWebhooks() {
+  try {
+    console.log('🔄 Updating database for PayPal webhooks...');
+
+    // Captures refunded from the PayPal dashboard end up as 'refunded'
+    console.log('📝 Updating paypal_transactions status values...');
+    await db.query(`
+      ALTER TABLE paypal_transactions
+      MODIFY COLUMN status ENUM('created', 'approved', 'completed', 'cancelled', 'failed', 'refunded') DEFAULT 'created'
+    `);
+    console.log('✅ paypal_transactions status values updated');
+
+    // The subscription a capture activated, so the app, the webhook and reconciliation never activate it twice
+    await addColumn('subscription_id', 'BIGINT UNSIGNED NULL DEFAULT NULL AFTER capture_id');
+    await addColumn('refunded_amount', 'DECIMAL(10, 2) NOT NULL DEFAULT 0.00 AFTER amount');
+
+    try {
+      await db.query('ALTER TABLE paypal_transactions ADD INDEX idx_capture_id (capture_id)');
+      console.log('✅ Added capture_id index');
+    } catch (error) {
+      if (error.code !== 'ER_DUP_KEYNAME') {
+        throw error;
+      }
+      console.log('ℹ️  capture_id index already exists');
+    }
+
+    // Every webhook event received, so redeliveries are recognised
+    console.log('📝 Creating paypal_webhook_events table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS paypal_webhook_events (
+        event_id VARCHAR(64) PRIMARY KEY,
+        event_type VARCHAR(64) NOT NULL,
+        resource_id VARCHAR(100) NULL,
+        status ENUM('processed', 'ignored', 'failed') NOT NULL,
+        error TEXT NULL,
+        received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        processed_at TIMESTAMP NULL DEFAULT NULL,
+        INDEX idx_received (received_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ paypal_webhook_events table ready');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding PayPal webhooks:', error);
+    process.exit(1);
+  }
+}
+
+addPayPalWebhooks();
@@ -0,0 +1,94 @@
+const db = require('../config/database');
+
+const addColumn = async (table, name, definition) => {
+  try {
+    await db.query(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+    console.log(`✅ Added ${name} column to ${table} table`);
+  } catch (error) {
+    if (error.code === 'ER_DUP_FIELDNAME') {
+      console.log(`ℹ️  ${name} column already exists on ${table}`);
+      return;
+    }
+    throw error;
+  }
+};
+
+async function addPromoCodes() {
+  try {
+    console.log('🔄 Updating database for promo codes...');
+
+    // A percent or fixed discount off a plan's price, or bonus hours on top of its hours. NULL limits are unlimited
+    console.log('📝 Creating promo_codes table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS promo_codes (
+        promo_code_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        code VARCHAR(50) NOT NULL,
+        description VARCHAR(255) NULL,
+        discount_type ENUM('percent', 'fixed', 'bonus_hours') NOT NULL,
+        discount_value DECIMAL(10, 2) NOT NULL,
+        starts_at TIMESTAMP NULL DEFAULT NULL,
+        ends_at TIMESTAMP NULL DEFAULT NULL,
+        max_redemptions INT UNSIGNED NULL,
+        max_redemptions_per_user INT UNSIGNED NULL DEFAULT 1,
+        first_purchase_only TINYINT(1) NOT NULL DEFAULT 0,
+        is_active TINYINT(1) NOT NULL DEFAULT 1,
+        created_by BIGINT UNSIGNED NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_code (code)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ promo_codes table ready');
+
+    // Plans a code is limited to; a code without rows here works for every plan
+    console.log('📝 Creating promo_code_plans table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS promo_code_plans (
+        promo_code_id BIGINT UNSIGNED NOT NULL,
+        plan_id BIGINT UNSIGNED NOT NULL,
+        PRIMARY KEY (promo_code_id, plan_id),
+        FOREIGN KEY (promo_code_id) REFERENCES promo_codes(promo_code_id) ON DELETE CASCADE,
+        FOREIGN KEY (plan_id) REFERENCES plans(plan_id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ promo_code_plans table ready');
+
+    // A code applied to a PayPal order: reserved when the order is created so the usage caps hold, redeemed
+    // against the payment once it is captured, released if the order is cancelled or fails
+    console.log('📝 Creating promo_redemptions table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS promo_redemptions (
+        redemption_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        promo_code_id BIGINT UNSIGNED NOT NULL,
+        user_id BIGINT UNSIGNED NOT NULL,
+        paypal_transaction_id BIGINT UNSIGNED NOT NULL,
+        payment_id BIGINT UNSIGNED NULL,
+        subscription_id BIGINT UNSIGNED NULL,
+        status ENUM('reserved', 'redeemed', 'released') NOT NULL DEFAULT 'reserved',
+        original_amount DECIMAL(10, 2) NOT NULL,
+        discount_amount DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+        bonus_hours DECIMAL(10, 2) NOT NULL DEFAULT 0.00,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        redeemed_at TIMESTAMP NULL DEFAULT NULL,
+        UNIQUE KEY uniq_transaction (paypal_transaction_id),
+        INDEX idx_code_status (promo_code_id, status),
+        INDEX idx_user_code (user_id, promo_code_id),
+        INDEX idx_payment (payment_id),
+        FOREIGN KEY (promo_code_id) REFERENCES promo_codes(promo_code_id) ON DELETE RESTRICT,
+        FOREIGN KEY (paypal_transaction_id) REFERENCES paypal_transactions(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ promo_redemptions table ready');
+
+    // Bonus hours granted with the plan when the order is activated
+    await addColumn('paypal_transactions', 'bonus_hours', 'DECIMAL(10, 2) NOT NULL DEFAULT 0.00 AFTER amount');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding promo codes:', error);
+    process.exit(1);
+  }
+}
+
+addPromoCodes();
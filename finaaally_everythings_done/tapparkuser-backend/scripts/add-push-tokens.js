@@ -0,0 +1,31 @@
+const db = require('../config/database');
+
+async function addPushTokens() {
+  try {
+    console.log('🔄 Updating database for push notifications...');
+
+    // Expo push tokens of the devices a user is signed in on; notifications sent with push are delivered to each
+    console.log('📝 Creating push_tokens table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS push_tokens (
+        push_token_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        user_id BIGINT UNSIGNED NOT NULL,
+        token VARCHAR(255) NOT NULL,
+        platform VARCHAR(16) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_token (token),
+        INDEX idx_user_id (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ push_tokens table ready');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding push tokens:', error);
+    process.exit(1);
+  }
+}
+
+addPushTokens();
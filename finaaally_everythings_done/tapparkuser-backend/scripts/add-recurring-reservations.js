@@ -0,0 +1,57 @@
+const db = require('../config/database');
+
+async function addRecurringReservations() {
+  try {
+    console.log('🔄 Updating database for recurring reservations...');
+
+    // Weekly booking rules: the same window (server time) on the given weekdays (0 = Sunday ... 6 = Saturday)
+    console.log('📝 Creating recurring_reservations table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS recurring_reservations (
+        recurring_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        user_id BIGINT UNSIGNED NOT NULL,
+        vehicle_id BIGINT UNSIGNED NOT NULL,
+        parking_area_id BIGINT UNSIGNED NOT NULL,
+        parking_spot_id BIGINT UNSIGNED NULL,
+        parking_section_id BIGINT UNSIGNED NULL,
+        vehicle_type VARCHAR(32) NOT NULL,
+        days_of_week VARCHAR(16) NOT NULL,
+        start_time TIME NOT NULL,
+        end_time TIME NOT NULL,
+        status ENUM('active', 'cancelled') NOT NULL DEFAULT 'active',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+        INDEX idx_user_status (user_id, status),
+        INDEX idx_status (status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ recurring_reservations table ready');
+
+    // One row per date a rule applies to: the booking it produced, a conflict, or a skip
+    console.log('📝 Creating recurring_reservation_occurrences table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS recurring_reservation_occurrences (
+        occurrence_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        recurring_id BIGINT UNSIGNED NOT NULL,
+        occurrence_date DATE NOT NULL,
+        status ENUM('booked', 'fallback', 'conflict', 'skipped') NOT NULL,
+        reservation_id BIGINT UNSIGNED NULL,
+        message VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (recurring_id) REFERENCES recurring_reservations(recurring_id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_recurring_date (recurring_id, occurrence_date),
+        INDEX idx_reservation_id (reservation_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ recurring_reservation_occurrences table ready');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding recurring reservations:', error);
+    process.exit(1);
+  }
+}
+
+addRecurringReservations();
@@ -0,0 +1,62 @@
+const db = require('../config/database');
+
+async function addRefreshTokensTables() {
+  try {
+    console.log('🔄 Updating database for refresh tokens and revocation...');
+
+    // Step 1: Add tokens_valid_after column to users (used by "log out of all devices")
+    console.log('📝 Checking users table for tokens_valid_after column...');
+    try {
+      await db.query(`
+        ALTER TABLE users
+        ADD COLUMN tokens_valid_after TIMESTAMP NULL DEFAULT NULL AFTER last_activity_at
+      `);
+      console.log('✅ Added tokens_valid_after column to users table');
+    } catch (error) {
+      if (error.code === 'ER_DUP_FIELDNAME') {
+        console.log('ℹ️  tokens_valid_after column already exists');
+      } else {
+        throw error;
+      }
+    }
+
+    // Step 2: Create refresh_tokens table (one row per issued refresh token, rotated on use)
+    console.log('📝 Creating refresh_tokens table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        refresh_token_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        user_id BIGINT UNSIGNED NOT NULL,
+        session_id CHAR(36) NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP NULL DEFAULT NULL,
+        replaced_by_id BIGINT UNSIGNED DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id),
+        INDEX idx_session_id (session_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ refresh_tokens table ready');
+
+    // Step 3: Create revoked_tokens table (access token revocation list, keyed by jti)
+    console.log('📝 Creating revoked_tokens table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS revoked_tokens (
+        jti CHAR(36) NOT NULL PRIMARY KEY,
+        user_id BIGINT UNSIGNED NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_expires_at (expires_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ revoked_tokens table ready');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error creating refresh token tables:', error);
+    process.exit(1);
+  }
+}
+
+addRefreshTokensTables();
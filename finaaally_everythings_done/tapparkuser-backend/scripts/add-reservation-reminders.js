@@ -0,0 +1,28 @@
+const db = require('../config/database');
+
+async function addReservationReminders() {
+  try {
+    console.log('🔄 Updating database for reservation expiry reminders...');
+
+    // One row per reminder offset already sent for a reservation, so each is sent at most once
+    console.log('📝 Creating reservation_reminders table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS reservation_reminders (
+        reminder_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        reservation_id BIGINT UNSIGNED NOT NULL,
+        offset_minutes INT UNSIGNED NOT NULL,
+        notification_id BIGINT UNSIGNED NULL,
+        sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_reservation_offset (reservation_id, offset_minutes)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ reservation_reminders table ready');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding reservation reminders:', error);
+    process.exit(1);
+  }
+}
+
+addReservationReminders();
@@ -0,0 +1,48 @@
+const db = require('../config/database');
+
+const addColumn = async (name, definition) => {
+  try {
+    await db.query(`ALTER TABLE reservations ADD COLUMN ${name} ${definition}`);
+    console.log(`✅ Added ${name} column to reservations table`);
+  } catch (error) {
+    if (error.code === 'ER_DUP_FIELDNAME') {
+      console.log(`ℹ️  ${name} column already exists`);
+      return;
+    }
+    throw error;
+  }
+};
+
+const addIndex = async (name, columns) => {
+  try {
+    await db.query(`CREATE INDEX ${name} ON reservations (${columns})`);
+    console.log(`✅ Added ${name} index`);
+  } catch (error) {
+    if (error.code === 'ER_DUP_KEYNAME') {
+      console.log(`ℹ️  ${name} index already exists`);
+      return;
+    }
+    throw error;
+  }
+};
+
+async function addScheduledReservationColumns() {
+  try {
+    console.log('🔄 Updating database for scheduled reservations...');
+
+    // Window the driver booked in advance; NULL for "park now" bookings
+    await addColumn('scheduled_start_time', 'DATETIME NULL DEFAULT NULL AFTER time_stamp');
+    await addColumn('scheduled_end_time', 'DATETIME NULL DEFAULT NULL AFTER scheduled_start_time');
+
+    // Overlap checks look up open bookings per spot and per capacity section
+    await addIndex('idx_reservations_spot_schedule', 'parking_spots_id, booking_status, scheduled_start_time');
+    await addIndex('idx_reservations_section_schedule', 'parking_section_id, booking_status, scheduled_start_time');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding scheduled reservation columns:', error);
+    process.exit(1);
+  }
+}
+
+addScheduledReservationColumns();
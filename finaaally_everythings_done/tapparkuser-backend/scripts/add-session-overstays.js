@@ -0,0 +1,52 @@
+const db = require('../config/database');
+
+const addColumn = async (name, definition) => {
+  try {
+    await db.query(`ALTER TABLE parking_area ADD COLUMN ${name} ${definition}`);
+    console.log(`✅ Added ${name} column to parking_area table`);
+  } catch (error) {
+    if (error.code === 'ER_DUP_FIELDNAME') {
+      console.log(`ℹ️  ${name} column already exists`);
+      return;
+    }
+    throw error;
+  }
+};
+
+async function addSessionOverstays() {
+  try {
+    console.log('🔄 Updating database for overstay detection...');
+
+    // Longest a vehicle may stay parked in the area; NULL means only the driver's subscription hours limit it
+    await addColumn('max_stay_hours', 'DECIMAL(6,2) NULL DEFAULT NULL AFTER total_capacity');
+
+    // Active sessions past the driver's remaining hours or the area's maximum stay, until they end
+    console.log('📝 Creating session_overstays table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS session_overstays (
+        overstay_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        reservation_id BIGINT UNSIGNED NOT NULL,
+        user_id BIGINT UNSIGNED NOT NULL,
+        parking_area_id BIGINT UNSIGNED NULL,
+        reason ENUM('balance_exceeded', 'max_stay_exceeded') NOT NULL,
+        limit_hours DECIMAL(10,4) NOT NULL,
+        overstay_hours DECIMAL(10,4) NOT NULL DEFAULT 0,
+        accrued_penalty_hours DECIMAL(10,4) NOT NULL DEFAULT 0,
+        detected_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_checked_at TIMESTAMP NULL DEFAULT NULL,
+        resolved_at TIMESTAMP NULL DEFAULT NULL,
+        auto_closed_at TIMESTAMP NULL DEFAULT NULL,
+        UNIQUE KEY uniq_reservation (reservation_id),
+        INDEX idx_area_resolved (parking_area_id, resolved_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ session_overstays table ready');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding overstay detection:', error);
+    process.exit(1);
+  }
+}
+
+addSessionOverstays();
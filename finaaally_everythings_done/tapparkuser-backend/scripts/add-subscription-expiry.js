@@ -0,0 +1,46 @@
+const db = require('../config/database');
+
+const addColumn = async (table, name, definition) => {
+  try {
+    await db.query(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+    console.log(`✅ Added ${name} column to ${table} table`);
+  } catch (error) {
+    if (error.code === 'ER_DUP_FIELDNAME') {
+      console.log(`ℹ️  ${name} column already exists on ${table}`);
+      return;
+    }
+    throw error;
+  }
+};
+
+async function addSubscriptionExpiry() {
+  try {
+    console.log('🔄 Updating database for subscription expiry...');
+
+    // Days a purchased plan's hours stay usable; NULL keeps them until they are used up
+    await addColumn('plans', 'validity_days', 'INT UNSIGNED NULL DEFAULT NULL AFTER number_of_hours');
+
+    // When the subscription's remaining hours lapse, and when the driver was warned about it. Subscriptions
+    // bought before plans had a validity window are left without one and keep their hours.
+    await addColumn('subscriptions', 'expires_at', 'TIMESTAMP NULL DEFAULT NULL AFTER purchase_date');
+    await addColumn('subscriptions', 'expiry_notified_at', 'TIMESTAMP NULL DEFAULT NULL AFTER expires_at');
+
+    console.log('📝 Adding expiry index...');
+    try {
+      await db.query('CREATE INDEX idx_subscriptions_status_expires ON subscriptions (status, expires_at)');
+      console.log('✅ Expiry index added');
+    } catch (error) {
+      if (error.code !== 'ER_DUP_KEYNAME') {
+        throw error;
+      }
+      console.log('ℹ️  Expiry index already exists');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding subscription expiry:', error);
+    process.exit(1);
+  }
+}
+
+addSubscriptionExpiry();
@@ -0,0 +1,50 @@
+const db = require('../config/database');
+
+const addColumn = async (name, definition) => {
+  try {
+    await db.query(`ALTER TABLE users ADD COLUMN ${name} ${definition}`);
+    console.log(`✅ Added ${name} column to users table`);
+  } catch (error) {
+    if (error.code === 'ER_DUP_FIELDNAME') {
+      console.log(`ℹ️  ${name} column already exists`);
+      return;
+    }
+    throw error;
+  }
+};
+
+async function addTwoFactor() {
+  try {
+    console.log('🔄 Updating database for two-factor authentication...');
+
+    // two_factor_secret holds the encrypted TOTP secret; it is set during setup and
+    // only takes effect once two_factor_enabled is switched on
+    await addColumn('two_factor_enabled', 'TINYINT(1) NOT NULL DEFAULT 0');
+    await addColumn('two_factor_secret', 'VARCHAR(255) NULL DEFAULT NULL AFTER two_factor_enabled');
+    await addColumn('two_factor_last_step', 'BIGINT UNSIGNED NULL DEFAULT NULL AFTER two_factor_secret');
+    await addColumn('two_factor_enabled_at', 'TIMESTAMP NULL DEFAULT NULL AFTER two_factor_last_step');
+
+    // Single-use recovery codes; only the SHA-256 hash is stored
+    console.log('📝 Creating two_factor_recovery_codes table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        recovery_code_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        user_id BIGINT UNSIGNED NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        used_at TIMESTAMP NULL DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id),
+        INDEX idx_code_hash (code_hash)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ two_factor_recovery_codes table ready');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding two-factor authentication:', error);
+    process.exit(1);
+  }
+}
+
+addTwoFactor();
@@ -0,0 +1,44 @@
+const db = require('../config/database');
+
+async function addUserSessionsTable() {
+  try {
+    console.log('🔄 Updating database for session/device management...');
+
+    // Step 1: Create user_sessions table (one row per login, shared by all refresh tokens of that session)
+    console.log('📝 Creating user_sessions table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        session_id CHAR(36) NOT NULL PRIMARY KEY,
+        user_id BIGINT UNSIGNED NOT NULL,
+        device_name VARCHAR(100) DEFAULT NULL,
+        platform VARCHAR(20) DEFAULT NULL,
+        user_agent VARCHAR(255) DEFAULT NULL,
+        ip_address VARCHAR(45) DEFAULT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        revoked_at TIMESTAMP NULL DEFAULT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ user_sessions table ready');
+
+    // Step 2: Backfill sessions that were started before this table existed (no device info for those)
+    console.log('📝 Backfilling existing sessions from refresh_tokens...');
+    const result = await db.execute(`
+      INSERT IGNORE INTO user_sessions (session_id, user_id, created_at, last_seen_at)
+      SELECT session_id, user_id, MIN(created_at), MAX(created_at)
+      FROM refresh_tokens
+      WHERE revoked_at IS NULL AND expires_at > NOW()
+      GROUP BY session_id, user_id
+    `);
+    console.log(`✅ Backfilled ${result.affectedRows} active session(s)`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error creating user_sessions table:', error);
+    process.exit(1);
+  }
+}
+
+addUserSessionsTable();
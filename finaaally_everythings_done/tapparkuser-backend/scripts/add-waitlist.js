@@ -0,0 +1,40 @@
+const db = require('../config/database');
+
+async function addWaitlist() {
+  try {
+    console.log('🔄 Updating database for the parking waitlist...');
+
+    // Drivers waiting for a spot or section capacity in a full area, served oldest first per vehicle type.
+    // An offer holds a spot (offered_spot_id) or a unit of section capacity (offered_section_id) until offer_expires_at.
+    console.log('📝 Creating waitlist_entries table...');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS waitlist_entries (
+        waitlist_id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+        user_id BIGINT UNSIGNED NOT NULL,
+        vehicle_id BIGINT UNSIGNED NOT NULL,
+        parking_area_id BIGINT UNSIGNED NOT NULL,
+        parking_section_id BIGINT UNSIGNED NULL,
+        vehicle_type VARCHAR(32) NOT NULL,
+        status ENUM('waiting', 'offered', 'accepted', 'expired', 'cancelled') NOT NULL DEFAULT 'waiting',
+        offered_spot_id BIGINT UNSIGNED NULL,
+        offered_section_id BIGINT UNSIGNED NULL,
+        offer_expires_at TIMESTAMP NULL DEFAULT NULL,
+        reservation_id BIGINT UNSIGNED NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+        INDEX idx_queue (parking_area_id, vehicle_type, status, created_at),
+        INDEX idx_user_status (user_id, status),
+        INDEX idx_status_expires (status, offer_expires_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci
+    `);
+    console.log('✅ waitlist_entries table ready');
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error adding waitlist:', error);
+    process.exit(1);
+  }
+}
+
+addWaitlist();
@@ -0,0 +1,376 @@
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+require('dotenv').config();
+
+// A local stand-in for the parts of the PayPal REST API the backend uses, for trying the checkout, webhook,
+// reconciliation and auto-renew flows without a sandbox account. Start it, then run the backend with
+// PAYPAL_API_BASE=http://localhost:4010 (any PAYPAL_CLIENT_ID/SECRET/WEBHOOK_ID values will do).
+// Orders and saved accounts live in memory and are gone when it stops.
+const PORT = parseInt(process.env.PAYPAL_STAND_IN_PORT) || 4010;
+const WEBHOOK_URL = process.env.PAYPAL_STAND_IN_WEBHOOK_URL || 'http://localhost:3000/api/paypal/webhook';
+const BASE_URL = `http://localhost:${PORT}`;
+
+const orders = new Map();
+const captures = new Map();
+// Refunds by PayPal-Request-Id, so a retried refund call returns the first refund
+const refundRequests = new Map();
+// Saved PayPal accounts (vault): setup tokens awaiting approval and the payment tokens made from them
+const setupTokens = new Map();
+const paymentTokens = new Map();
+// Orders charged to a saved account by PayPal-Request-Id, so a retried charge returns the first order
+const orderRequests = new Map();
+
+const newId = (prefix) => `${prefix}${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+
+const paypalError = (res, status, issue, description) => res.status(status).json({
+  name: status === 404 ? 'RESOURCE_NOT_FOUND' : 'UNPROCESSABLE_ENTITY',
+  details: [{ issue, description }]
+});
+
+const orderView = (order) => ({
+  id: order.id,
+  status: order.status,
+  purchase_units: [{
+    amount: order.amount,
+    ...(order.captureId && { payments: { captures: [captureView(captures.get(order.captureId))] } })
+  }],
+  links: [
+    { rel: 'self', href: `${BASE_URL}/v2/checkout/orders/${order.id}`, method: 'GET' },
+    { rel: 'approve', href: `${BASE_URL}/checkoutnow?token=${order.id}`, method: 'GET' }
+  ]
+});
+
+const captureView = (capture) => ({
+  id: capture.id,
+  status: capture.status,
+  amount: capture.amount,
+  supplementary_data: { related_ids: { order_id: capture.orderId } }
+});
+
+const approveOrder = (order) => {
+  if (order.status === 'CREATED') {
+    order.status = 'APPROVED';
+  }
+};
+
+// Capture an approved order; captureStatus lets a test make it PENDING or DECLINED instead of COMPLETED
+const captureOrder = (order, captureStatus = 'COMPLETED') => {
+  const capture = { id: newId('CAP'), orderId: order.id, status: captureStatus, amount: order.amount, refunded: 0 };
+  captures.set(capture.id, capture);
+  order.captureId = capture.id;
+  order.status = 'COMPLETED';
+  return capture;
+};
+
+// Refund part or all of what's left of a capture
+const refundCapture = (capture, requestedAmount) => {
+  const total = parseFloat(capture.amount.value);
+  const amount = Math.min(parseFloat(requestedAmount || total), total - capture.refunded);
+  capture.refunded += amount;
+  capture.status = capture.refunded >= total ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+
+  return {
+    id: newId('REF'),
+    status: 'COMPLETED',
+    amount: { currency_code: capture.amount.currency_code, value: amount.toFixed(2) },
+    seller_payable_breakdown: {
+      total_refunded_amount: { currency_code: capture.amount.currency_code, value: capture.refunded.toFixed(2) }
+    },
+    links: [{ rel: 'up', href: `${BASE_URL}/v2/payments/captures/${capture.id}`, method: 'GET' }]
+  };
+};
+
+// Deliver a webhook event to the backend the way PayPal would, with transmission headers the stand-in accepts
+const sendWebhook = async (eventType, resource) => {
+  const event = {
+    id: newId('WH-'),
+    event_type: eventType,
+    resource_type: eventType === 'PAYMENT.CAPTURE.REFUNDED' ? 'refund' : 'capture',
+    create_time: new Date().toISOString(),
+    resource
+  };
+
+  try {
+    const response = await axios.post(WEBHOOK_URL, event, {
+      headers: {
+        'Content-Type': 'application/json',
+        'paypal-auth-algo': 'SHA256withRSA',
+        'paypal-cert-url': `${BASE_URL}/certs/stand-in`,
+        'paypal-transmission-id': event.id,
+        'paypal-transmission-sig': 'stand-in',
+        'paypal-transmission-time': event.create_time
+      }
+    });
+    console.log(`📤 Sent ${eventType} (${event.id}): ${response.status}`);
+    return { event, status: response.status, response: response.data };
+  } catch (error) {
+    console.error(`❌ Webhook ${eventType} failed:`, error.response?.status || error.message);
+    return { event, status: error.response?.status || null, response: error.response?.data || null };
+  }
+};
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+
+// PayPal REST API
+
+app.post('/v1/oauth2/token', (req, res) => {
+  res.json({ access_token: newId('A21'), token_type: 'Bearer', expires_in: 32400 });
+});
+
+app.post('/v2/checkout/orders', (req, res) => {
+  if (req.body.payment_source?.paypal?.vault_id) {
+    return createVaultedOrder(req, res);
+  }
+  const unit = req.body.purchase_units?.[0] || {};
+  const order = {
+    id: newId('ORD'),
+    status: 'CREATED',
+    amount: unit.amount,
+    returnUrl: req.body.application_context?.return_url,
+    cancelUrl: req.body.application_context?.cancel_url
+  };
+  orders.set(order.id, order);
+  console.log(`🧾 Order ${order.id} created for ${order.amount?.value} ${order.amount?.currency_code}`);
+  res.status(201).json(orderView(order));
+});
+
+// An order charged to a saved account (payment_source.paypal.vault_id) is captured as it is created
+const createVaultedOrder = (req, res) => {
+  const token = paymentTokens.get(req.body.payment_source.paypal.vault_id);
+  if (!token) {
+    return paypalError(res, 404, 'INVALID_RESOURCE_ID', 'Specified resource ID does not exist.');
+  }
+  if (token.decline) {
+    return paypalError(res, 422, 'INSTRUMENT_DECLINED', 'The instrument presented was either declined by the processor or bank.');
+  }
+
+  const requestId = req.get('PayPal-Request-Id');
+  if (requestId && orderRequests.has(requestId)) {
+    return res.status(200).json(orderView(orders.get(orderRequests.get(requestId))));
+  }
+
+  const order = { id: newId('ORD'), status: 'APPROVED', amount: req.body.purchase_units?.[0]?.amount };
+  orders.set(order.id, order);
+  captureOrder(order);
+  if (requestId) {
+    orderRequests.set(requestId, order.id);
+  }
+  console.log(`🔁 Order ${order.id} charged ${order.amount?.value} ${order.amount?.currency_code} to saved account ${token.id}`);
+  res.status(201).json(orderView(order));
+};
+
+app.get('/v2/checkout/orders/:orderId', (req, res) => {
+  const order = orders.get(req.params.orderId);
+  if (!order) {
+    return paypalError(res, 404, 'INVALID_RESOURCE_ID', 'Specified resource ID does not exist.');
+  }
+  res.json(orderView(order));
+});
+
+app.post('/v2/checkout/orders/:orderId/capture', (req, res) => {
+  const order = orders.get(req.params.orderId);
+  if (!order) {
+    return paypalError(res, 404, 'INVALID_RESOURCE_ID', 'Specified resource ID does not exist.');
+  }
+  if (order.status === 'COMPLETED') {
+    return paypalError(res, 422, 'ORDER_ALREADY_CAPTURED', 'Order already captured.');
+  }
+  if (order.status !== 'APPROVED') {
+    return paypalError(res, 422, 'ORDER_NOT_APPROVED', 'Payer has not yet approved the Order for payment.');
+  }
+  captureOrder(order, order.nextCaptureStatus);
+  console.log(`💰 Order ${order.id} captured`);
+  res.status(201).json(orderView(order));
+});
+
+app.post('/v2/payments/captures/:captureId/refund', (req, res) => {
+  const capture = captures.get(req.params.captureId);
+  if (!capture) {
+    return paypalError(res, 404, 'INVALID_RESOURCE_ID', 'Specified resource ID does not exist.');
+  }
+
+  const requestId = req.get('PayPal-Request-Id');
+  if (requestId && refundRequests.has(requestId)) {
+    return res.status(200).json(refundRequests.get(requestId));
+  }
+  const remaining = parseFloat(capture.amount.value) - capture.refunded;
+  if (remaining <= 0) {
+    return paypalError(res, 422, 'CAPTURE_FULLY_REFUNDED', 'The capture has already been fully refunded.');
+  }
+  if (req.body.amount && parseFloat(req.body.amount.value) > remaining + 0.001) {
+    return paypalError(res, 422, 'REFUND_AMOUNT_EXCEEDED', 'The refund amount must be less than or equal to the capture amount that has not yet been refunded.');
+  }
+
+  const refund = refundCapture(capture, req.body.amount?.value);
+  if (requestId) {
+    refundRequests.set(requestId, refund);
+  }
+  console.log(`↩️ Capture ${capture.id} refunded ${refund.amount.value}`);
+  res.status(201).json(refund);
+
+  // PayPal also announces refunds made through the API
+  sendWebhook('PAYMENT.CAPTURE.REFUNDED', refund);
+});
+
+app.post('/v3/vault/setup-tokens', (req, res) => {
+  const context = req.body.payment_source?.paypal?.experience_context || {};
+  const setupToken = { id: newId('SETUP'), status: 'PAYER_ACTION_REQUIRED', returnUrl: context.return_url, cancelUrl: context.cancel_url };
+  setupTokens.set(setupToken.id, setupToken);
+  console.log(`🔐 Setup token ${setupToken.id} created`);
+  res.status(201).json({
+    id: setupToken.id,
+    status: setupToken.status,
+    links: [{ rel: 'approve', href: `${BASE_URL}/agreements/approve?approval_token_id=${setupToken.id}`, method: 'GET' }]
+  });
+});
+
+app.post('/v3/vault/payment-tokens', (req, res) => {
+  const setupToken = setupTokens.get(req.body.payment_source?.token?.id);
+  if (!setupToken) {
+    return paypalError(res, 404, 'INVALID_RESOURCE_ID', 'Specified resource ID does not exist.');
+  }
+  if (setupToken.status !== 'APPROVED') {
+    return paypalError(res, 422, 'SETUP_TOKEN_NOT_APPROVED', 'The setup token has not been approved by the payer.');
+  }
+
+  const token = { id: newId('TOK'), customerId: newId('CUS'), decline: false };
+  paymentTokens.set(token.id, token);
+  setupTokens.delete(setupToken.id);
+  console.log(`🔐 Payment token ${token.id} saved`);
+  res.status(201).json({
+    id: token.id,
+    customer: { id: token.customerId },
+    payment_source: { paypal: { email_address: 'payer@stand-in.test' } }
+  });
+});
+
+app.delete('/v3/vault/payment-tokens/:tokenId', (req, res) => {
+  if (!paymentTokens.delete(req.params.tokenId)) {
+    return paypalError(res, 404, 'INVALID_RESOURCE_ID', 'Specified resource ID does not exist.');
+  }
+  console.log(`🗑️ Payment token ${req.params.tokenId} deleted`);
+  res.status(204).end();
+});
+
+// Every signature is valid except "invalid", to try the rejection path
+app.post('/v1/notifications/verify-webhook-signature', (req, res) => {
+  res.json({ verification_status: req.body.transmission_sig === 'invalid' ? 'FAILURE' : 'SUCCESS' });
+});
+
+// Buyer approval page the app's WebView opens; approving redirects to the order's return URL
+app.get('/checkoutnow', (req, res) => {
+  const order = orders.get(req.query.token);
+  if (!order) {
+    return res.status(404).send('Unknown order');
+  }
+  res.send(`<html><body style="font-family:sans-serif;padding:24px">
+    <h2>PayPal stand-in</h2><p>Order ${order.id}: ${order.amount?.value} ${order.amount?.currency_code}</p>
+    <form method="post" action="/checkoutnow/${order.id}/approve"><button style="font-size:18px">Pay now</button></form>
+    <p><a href="${order.cancelUrl}?token=${order.id}">Cancel and return</a></p>
+  </body></html>`);
+});
+
+app.post('/checkoutnow/:orderId/approve', (req, res) => {
+  const order = orders.get(req.params.orderId);
+  if (!order) {
+    return res.status(404).send('Unknown order');
+  }
+  approveOrder(order);
+  res.redirect(`${order.returnUrl}?token=${order.id}&PayerID=STANDINPAYER`);
+});
+
+// Approval page for saving the buyer's account; approving redirects to the setup token's return URL
+app.get('/agreements/approve', (req, res) => {
+  const setupToken = setupTokens.get(req.query.approval_token_id);
+  if (!setupToken) {
+    return res.status(404).send('Unknown setup token');
+  }
+  res.send(`<html><body style="font-family:sans-serif;padding:24px">
+    <h2>PayPal stand-in</h2><p>Let TapPark charge this account for plan renewals?</p>
+    <form method="post" action="/agreements/${setupToken.id}/approve"><button style="font-size:18px">Agree and continue</button></form>
+    <p><a href="${setupToken.cancelUrl}?approval_token_id=${setupToken.id}">Cancel and return</a></p>
+  </body></html>`);
+});
+
+app.post('/agreements/:setupTokenId/approve', (req, res) => {
+  const setupToken = setupTokens.get(req.params.setupTokenId);
+  if (!setupToken) {
+    return res.status(404).send('Unknown setup token');
+  }
+  setupToken.status = 'APPROVED';
+  res.redirect(`${setupToken.returnUrl}?approval_token_id=${setupToken.id}&approval_session_id=${newId('SES')}`);
+});
+
+// Test controls
+
+app.get('/stand-in/orders', (req, res) => {
+  res.json([...orders.values()].map(orderView));
+});
+
+// Approve without the checkout page, e.g. to leave an order for reconciliation to capture.
+// { "captureStatus": "PENDING" } makes its capture pending
+app.post('/stand-in/orders/:orderId/approve', (req, res) => {
+  const order = orders.get(req.params.orderId);
+  if (!order) {
+    return paypalError(res, 404, 'INVALID_RESOURCE_ID', 'Specified resource ID does not exist.');
+  }
+  approveOrder(order);
+  order.nextCaptureStatus = req.body.captureStatus || 'COMPLETED';
+  res.json(orderView(order));
+});
+
+// Approve and capture as if the app had been killed after paying, then send PAYMENT.CAPTURE.COMPLETED
+// ({ "webhook": false } skips the event, leaving it to reconciliation)
+app.post('/stand-in/orders/:orderId/complete', async (req, res) => {
+  const order = orders.get(req.params.orderId);
+  if (!order) {
+    return paypalError(res, 404, 'INVALID_RESOURCE_ID', 'Specified resource ID does not exist.');
+  }
+  approveOrder(order);
+  const capture = order.captureId ? captures.get(order.captureId) : captureOrder(order);
+  capture.status = 'COMPLETED';
+  const webhook = req.body.webhook === false ? null : await sendWebhook('PAYMENT.CAPTURE.COMPLETED', captureView(capture));
+  res.json({ order: orderView(order), webhook });
+});
+
+// Deny a pending capture and send PAYMENT.CAPTURE.DENIED
+app.post('/stand-in/captures/:captureId/deny', async (req, res) => {
+  const capture = captures.get(req.params.captureId);
+  if (!capture) {
+    return paypalError(res, 404, 'INVALID_RESOURCE_ID', 'Specified resource ID does not exist.');
+  }
+  capture.status = 'DECLINED';
+  res.json({ capture: captureView(capture), webhook: await sendWebhook('PAYMENT.CAPTURE.DENIED', captureView(capture)) });
+});
+
+// Refund a capture as if from the PayPal dashboard, in full or { "amount": "50.00" }, and send PAYMENT.CAPTURE.REFUNDED
+app.post('/stand-in/captures/:captureId/refund', async (req, res) => {
+  const capture = captures.get(req.params.captureId);
+  if (!capture) {
+    return paypalError(res, 404, 'INVALID_RESOURCE_ID', 'Specified resource ID does not exist.');
+  }
+  const refund = refundCapture(capture, req.body.amount);
+  res.json({ refund, webhook: await sendWebhook('PAYMENT.CAPTURE.REFUNDED', refund) });
+});
+
+app.get('/stand-in/payment-tokens', (req, res) => {
+  res.json([...paymentTokens.values()]);
+});
+
+// Make charges to a saved account fail (or { "decline": false } succeed again), to try renewal retries
+app.post('/stand-in/payment-tokens/:tokenId/decline', (req, res) => {
+  const token = paymentTokens.get(req.params.tokenId);
+  if (!token) {
+    return paypalError(res, 404, 'INVALID_RESOURCE_ID', 'Specified resource ID does not exist.');
+  }
+  token.decline = req.body.decline !== false;
+  res.json(token);
+});
+
+app.listen(PORT, () => {
+  console.log(`🅿️ PayPal stand-in listening on ${BASE_URL}`);
+  console.log(`📤 Webhooks go to ${WEBHOOK_URL}`);
+});
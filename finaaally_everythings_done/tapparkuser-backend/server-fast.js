@@ -5,11 +5,23 @@ const path = require('path');
 const fs = require('fs');
 require('dotenv').config();
 
-// Grace Period Checker
-const GracePeriodChecker = require('./grace_period_checker');
+// Background jobs
+const { registerJob, startScheduler, stopScheduler, pruneJobRuns } = require('./utils/jobScheduler');
+const { runGracePeriodSweep } = require('./utils/gracePeriodSweep');
+const { processDueAccountDeletions } = require('./utils/accountDeletion');
+const { expandRecurringReservations } = require('./utils/recurringReservations');
+const { sendExpiryReminders } = require('./utils/reservationReminders');
+const { detectOverstays } = require('./utils/overstay');
+const { reconcileCapacityCounts } = require('./utils/capacityReconciliation');
+const { pruneIdempotencyKeys } = require('./middleware/idempotency');
+const { reconcilePayPalTransactions } = require('./utils/paypalPayments');
+const { processSubscriptionExpiry } = require('./utils/subscriptionExpiry');
+const { processAutoRenewals } = require('./utils/autoRenewal');
 
 const db = require('./config/database');
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/two-factor');
+const sessionRoutes = require('./routes/sessions');
 const userRoutes = require('./routes/users');
 const vehicleRoutes = require('./routes/vehicles');
 const parkingRoutes = require('./routes/parking');
@@ -21,8 +33,10 @@ const historyRoutes = require('./routes/history');
 const subscriptionRoutes = require('./routes/subscriptions');
 const attendantRoutes = require('./routes/attendant');
 const paypalRoutes = require('./routes/paypal');
+const promoCodeRoutes = require('./routes/promo-codes');
 const capacityRoutes = require('./routes/capacity-management');
 const feedbackRoutes = require('./routes/feedback_v2');
+const jobRoutes = require('./routes/jobs');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -36,7 +50,8 @@ app.use(cors({
   origin: true, // Allow all origins for debugging
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 app.use(express.json({ 
   limit: '10mb',
@@ -98,6 +113,8 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/sessions', sessionRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/vehicles', vehicleRoutes);
 app.use('/api/parking', parkingRoutes);
@@ -109,8 +126,10 @@ app.use('/api/history', historyRoutes);
 app.use('/api/subscriptions', subscriptionRoutes);
 app.use('/api/attendant', attendantRoutes);
 app.use('/api/paypal', paypalRoutes);
+app.use('/api/promo-codes', promoCodeRoutes);
 app.use('/api/capacity', capacityRoutes);
 app.use('/api/feedback', feedbackRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -143,123 +162,128 @@ app.listen(PORT, '0.0.0.0', () => {
 // Database will connect automatically on first API call - no startup delay
 console.log('💡 Database connects automatically on first API call');
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  await db.disconnect();
-  process.exit(0);
+// Background jobs run inside the server; with several instances, a lease in job_locks keeps each job to one of them
+registerJob({
+  name: 'grace-period-sweep',
+  description: 'Place due scheduled bookings, expire reservations past their grace period and offer freed spots to the waitlist',
+  intervalMs: 30 * 1000,
+  initialDelayMs: 2000,
+  lockSeconds: 120,
+  maxAttempts: 2,
+  retryDelayMs: 5 * 1000,
+  handler: runGracePeriodSweep
 });
 
-process.on('SIGINT', async () => {
-  console.log('SIGINT received, shutting down gracefully');
-  await db.disconnect();
-  process.exit(0);
+registerJob({
+  name: 'reservation-reminders',
+  description: 'Remind drivers who have not checked in that their grace period is about to run out',
+  intervalMs: 30 * 1000,
+  initialDelayMs: 5000,
+  lockSeconds: 60,
+  handler: async () => ({ sent: await sendExpiryReminders() })
 });
 
-// Grace Period Checker - Simple Direct Approach
-console.log('🔧 Setting up grace period checker...');
-
-let isGracePeriodCheckRunning = false;
-
-const ensureDbPool = async () => {
-  if (!db.connection) {
-    await db.connect();
-  }
-  return db.connection;
-};
+registerJob({
+  name: 'overstay-check',
+  description: "Flag active sessions past the driver's remaining hours or the area's maximum stay, and close abandoned ones",
+  intervalMs: 5 * 60 * 1000,
+  initialDelayMs: 20 * 1000,
+  lockSeconds: 300,
+  handler: detectOverstays
+});
 
-const runGracePeriodCheck = async () => {
-  if (isGracePeriodCheckRunning) {
-    console.log('⏳ Grace period check already running. Skipping this interval.');
-    return;
+registerJob({
+  name: 'capacity-reconciliation',
+  description: "Compare capacity sections' parked and reserved counters with their bookings, fixing them if CAPACITY_RECONCILE_AUTO_CORRECT is on",
+  intervalMs: 15 * 60 * 1000,
+  initialDelayMs: 30 * 1000,
+  lockSeconds: 300,
+  handler: async () => {
+    const { checked, discrepancies, corrected } = await reconcileCapacityCounts();
+    return { checked, discrepancies: discrepancies.length, corrected };
   }
+});
 
-  isGracePeriodCheckRunning = true;
-
-  try {
-    console.log('🧪 Running simple grace period check...');
-
-    // Get grace period from environment or default to 15 minutes
-    const GRACE_PERIOD_MINUTES = parseInt(process.env.GRACE_PERIOD_MINUTES) || 15;
-    console.log(`⏰ Using grace period: ${GRACE_PERIOD_MINUTES} minutes`);
-
-    const pool = await ensureDbPool();
-
-    // Find expired reservations
-    const [expiredReservations] = await pool.execute(`
-      SELECT reservation_id, parking_spots_id, parking_section_id
-      FROM reservations 
-      WHERE booking_status = 'reserved' 
-        AND start_time IS NULL 
-        AND TIMESTAMPDIFF(MINUTE, time_stamp, NOW()) >= ?
-    `, [GRACE_PERIOD_MINUTES]);
-
-    console.log(`📊 Found ${expiredReservations.length} expired reservations`);
-
-    if (expiredReservations.length > 0) {
-      for (const reservation of expiredReservations) {
-        const connection = await pool.getConnection();
-        try {
-          await connection.beginTransaction();
-
-          await connection.execute(
-            'UPDATE reservations SET booking_status = ?, waiting_end_time = NOW(), updated_at = NOW() WHERE reservation_id = ?',
-            ['invalid', reservation.reservation_id]
-          );
-
-          if (reservation.parking_spots_id !== 0) {
-            await connection.execute(
-              'UPDATE parking_spot SET status = ?, is_occupied = 0 WHERE parking_spot_id = ?',
-              ['available', reservation.parking_spots_id]
-            );
-          }
+registerJob({
+  name: 'paypal-reconciliation',
+  description: 'Capture and activate PayPal orders the app never finished, and cancel abandoned ones',
+  intervalMs: 10 * 60 * 1000,
+  initialDelayMs: 40 * 1000,
+  lockSeconds: 300,
+  maxAttempts: 2,
+  retryDelayMs: 60 * 1000,
+  handler: reconcilePayPalTransactions
+});
 
-          if (reservation.parking_section_id) {
-            await connection.execute(
-              'UPDATE parking_section SET reserved_count = GREATEST(reserved_count - 1, 0) WHERE parking_section_id = ?',
-              [reservation.parking_section_id]
-            );
-            console.log(`✅ Decremented reserved_count for section ${reservation.parking_section_id}`);
-          }
+registerJob({
+  name: 'subscription-auto-renew',
+  description: 'Buy plans again for drivers with auto-renew whose hours ran low, retrying failed renewals',
+  intervalMs: 10 * 60 * 1000,
+  initialDelayMs: 50 * 1000,
+  lockSeconds: 600,
+  handler: processAutoRenewals
+});
 
-          await connection.commit();
-          console.log(`✅ Expired reservation #${reservation.reservation_id}`);
-        } catch (error) {
-          await connection.rollback();
-          console.error(`❌ Failed to expire reservation #${reservation.reservation_id}:`, error.message);
-        } finally {
-          connection.release();
-        }
-      }
-    }
+registerJob({
+  name: 'subscription-expiry',
+  description: 'Warn drivers about parking hours that expire soon and expire subscriptions past their validity',
+  intervalMs: 15 * 60 * 1000,
+  initialDelayMs: 45 * 1000,
+  lockSeconds: 300,
+  maxAttempts: 2,
+  retryDelayMs: 60 * 1000,
+  handler: processSubscriptionExpiry
+});
 
-    console.log('✅ Simple grace period check completed');
+registerJob({
+  name: 'account-deletions',
+  description: 'Anonymize accounts whose deletion cooling-off period has ended',
+  intervalMs: 60 * 60 * 1000,
+  initialDelayMs: 10 * 1000,
+  maxAttempts: 3,
+  retryDelayMs: 60 * 1000,
+  lockSeconds: 600,
+  handler: async () => ({ deleted: await processDueAccountDeletions() })
+});
 
-  } catch (error) {
-    console.error('❌ Simple grace period check failed:', error.message);
-    console.error('❌ Full error:', error);
-  } finally {
-    isGracePeriodCheckRunning = false;
-  }
-};
+registerJob({
+  name: 'recurring-reservations',
+  description: 'Turn weekly booking rules into scheduled bookings and retry earlier conflicts',
+  intervalMs: 60 * 60 * 1000,
+  initialDelayMs: 15 * 1000,
+  maxAttempts: 3,
+  retryDelayMs: 60 * 1000,
+  lockSeconds: 600,
+  handler: expandRecurringReservations
+});
 
-// Test run immediately
-setTimeout(runGracePeriodCheck, 2000);
+registerJob({
+  name: 'job-run-cleanup',
+  description: 'Prune old job run history',
+  cron: '30 3 * * *',
+  handler: pruneJobRuns
+});
 
-// Schedule every 30 seconds for testing (change to 5 * 60 * 1000 for production)
-const gracePeriodInterval = setInterval(() => {
-  console.log('⏰ Interval triggered - running grace period check...');
-  runGracePeriodCheck();
-}, 30 * 1000);
+registerJob({
+  name: 'idempotency-key-cleanup',
+  description: 'Delete idempotency keys past the replay window',
+  cron: '45 3 * * *',
+  handler: pruneIdempotencyKeys
+});
 
-console.log('⏰ Simple grace period checker scheduled to run every 30 seconds');
-console.log('⏰ Interval ID:', gracePeriodInterval);
+startScheduler();
 
-// Clean up on server shutdown
-process.on('SIGTERM', () => {
-  clearInterval(gracePeriodInterval);
+// Graceful shutdown
+process.on('SIGTERM', async () => {
+  console.log('SIGTERM received, shutting down gracefully');
+  stopScheduler();
+  await db.disconnect();
+  process.exit(0);
 });
 
-process.on('SIGINT', () => {
-  clearInterval(gracePeriodInterval);
+process.on('SIGINT', async () => {
+  console.log('SIGINT received, shutting down gracefully');
+  stopScheduler();
+  await db.disconnect();
+  process.exit(0);
 });
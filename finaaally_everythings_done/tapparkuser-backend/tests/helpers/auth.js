@@ -0,0 +1,57 @@
+const jwt = require('jsonwebtoken');
+const { Roles, PERMISSION_MATRIX } = require('../../utils/permissions');
+
+// One user per role; user_type_id stands in for the role's row in `types`
+const TEST_USERS = Object.values(Roles).map((role, index) => ({
+  user_id: 100 + index,
+  email: `${role.toLowerCase().replace(/ /g, '.')}@example.com`,
+  first_name: 'Test',
+  last_name: role,
+  user_type_id: index + 1,
+  is_verified: 1,
+  two_factor_enabled: 0,
+  tokens_valid_after: null,
+  account_type_name: role
+}));
+
+const userFor = (role) => TEST_USERS.find((user) => user.account_type_name === role);
+
+// An access token shaped like the ones tokenService issues at login
+const tokenFor = (role, claims = {}) => {
+  const user = userFor(role);
+  return jwt.sign(
+    { userId: user.user_id, email: user.email, sid: `session-${user.user_id}`, ...claims },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m', jwtid: `jti-${user.user_id}` }
+  );
+};
+
+/**
+ * A db.query implementation that answers authenticateToken's user lookup with the test users (with `overrides`
+ * applied) and hands every other query to `fallback` (no rows by default).
+ */
+const authQuery = (fallback = () => [], overrides = {}) => async (sql, params = []) => {
+  if (sql.includes('FROM users u') && sql.includes('LEFT JOIN types t')) {
+    return TEST_USERS.filter((user) => user.user_id === params[0]).map((user) => ({ ...user, ...overrides }));
+  }
+  return fallback(sql, params);
+};
+
+// Stand-in for getPermissionsForType: the default matrix instead of type_privileges
+const permissionsForType = async (typeId) => {
+  const user = TEST_USERS.find((candidate) => candidate.user_type_id === typeId);
+  return new Set(user ? PERMISSION_MATRIX[user.account_type_name] : []);
+};
+
+// Roles granted at least one of the permissions
+const rolesWith = (...permissions) => Object.values(Roles)
+  .filter((role) => permissions.some((permission) => PERMISSION_MATRIX[role].includes(permission)));
+
+module.exports = {
+  TEST_USERS,
+  userFor,
+  tokenFor,
+  authQuery,
+  permissionsForType,
+  rolesWith
+};
@@ -0,0 +1,19 @@
+/**
+ * A pooled connection (what db.connection.getConnection() hands out) whose execute answers with
+ * respond(sql, params): rows for a SELECT, {affectedRows, insertId} for anything else.
+ */
+const fakeConnection = (respond = () => ({ affectedRows: 1, insertId: 1 })) => ({
+  beginTransaction: jest.fn(),
+  execute: jest.fn(async (sql, params) => [await respond(sql, params)]),
+  commit: jest.fn(),
+  rollback: jest.fn(),
+  release: jest.fn()
+});
+
+// SQL of every statement run on the connection, in order
+const statementsOn = (connection) => connection.execute.mock.calls.map(([sql]) => sql);
+
+module.exports = {
+  fakeConnection,
+  statementsOn
+};
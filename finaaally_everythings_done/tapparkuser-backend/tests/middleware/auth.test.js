@@ -0,0 +1,119 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  execute: jest.fn(),
+  transaction: jest.fn(),
+  connect: jest.fn(),
+  connection: null
+}));
+jest.mock('../../utils/permissions', () => ({
+  ...jest.requireActual('../../utils/permissions'),
+  getPermissionsForType: jest.fn()
+}));
+
+// Read when utils/twoFactor is loaded
+process.env.TWO_FACTOR_REQUIRED_ROLES = 'Attendant';
+
+const db = require('../../config/database');
+const { Roles, Permissions, getPermissionsForType } = require('../../utils/permissions');
+const { authenticateToken, optionalAuth, requirePermission } = require('../../middleware/auth');
+const { signTwoFactorChallenge, verifyTwoFactorChallenge } = require('../../utils/tokenService');
+const { tokenFor, userFor, authQuery, permissionsForType } = require('../helpers/auth');
+
+const app = express();
+app.use(express.json());
+app.get('/protected', authenticateToken, (req, res) => res.json({ success: true, userId: req.user.user_id }));
+app.get('/optional', optionalAuth, (req, res) => res.json({ success: true, userId: req.user ? req.user.user_id : null }));
+app.get('/kiosk', authenticateToken, requirePermission(Permissions.OPERATE_KIOSK), (req, res) => res.json({ success: true }));
+app.use('/api/attendant', require('../../routes/attendant'));
+
+beforeEach(() => {
+  db.query.mockReset().mockImplementation(authQuery());
+  getPermissionsForType.mockReset().mockImplementation(permissionsForType);
+});
+
+describe('authenticateToken', () => {
+  it('accepts an access token', async () => {
+    const response = await request(app).get('/protected').set('Authorization', `Bearer ${tokenFor(Roles.DRIVER)}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.userId).toBe(userFor(Roles.DRIVER).user_id);
+  });
+
+  it('refuses a two-factor challenge token', async () => {
+    const challenge = signTwoFactorChallenge(userFor(Roles.ADMIN));
+    const response = await request(app).get('/protected').set('Authorization', `Bearer ${challenge}`);
+
+    expect(response.status).toBe(401);
+    expect(response.body.errorCode).toBe('TOKEN_INVALID');
+  });
+
+  it('refuses a two-factor challenge token on the attendant cancel route', async () => {
+    const challenge = signTwoFactorChallenge(userFor(Roles.ADMIN));
+    const response = await request(app)
+      .put('/api/attendant/cancel-booking/1')
+      .set('Authorization', `Bearer ${challenge}`)
+      .send({});
+
+    expect(response.status).toBe(401);
+  });
+
+  it('refuses a token without a session', async () => {
+    const response = await request(app)
+      .get('/protected')
+      .set('Authorization', `Bearer ${tokenFor(Roles.DRIVER, { sid: undefined })}`);
+
+    expect(response.status).toBe(401);
+    expect(response.body.errorCode).toBe('TOKEN_INVALID');
+  });
+});
+
+describe('optionalAuth', () => {
+  it('ignores a two-factor challenge token', async () => {
+    const challenge = signTwoFactorChallenge(userFor(Roles.DRIVER));
+    const response = await request(app).get('/optional').set('Authorization', `Bearer ${challenge}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.userId).toBeNull();
+  });
+});
+
+describe('two-factor challenge', () => {
+  it('is only accepted by verifyTwoFactorChallenge', () => {
+    const user = userFor(Roles.ADMIN);
+
+    expect(verifyTwoFactorChallenge(signTwoFactorChallenge(user))).toBe(user.user_id);
+    expect(verifyTwoFactorChallenge(tokenFor(Roles.ADMIN))).toBeNull();
+  });
+});
+
+describe('requirePermission with TWO_FACTOR_REQUIRED_ROLES', () => {
+  it('blocks a required role until it enrolls', async () => {
+    const response = await request(app).get('/kiosk').set('Authorization', `Bearer ${tokenFor(Roles.ATTENDANT)}`);
+
+    expect(response.status).toBe(403);
+    expect(response.body.errorCode).toBe('TWO_FACTOR_SETUP_REQUIRED');
+  });
+
+  it('lets a required role through once enrolled', async () => {
+    db.query.mockImplementation(authQuery(undefined, { two_factor_enabled: 1 }));
+    const response = await request(app).get('/kiosk').set('Authorization', `Bearer ${tokenFor(Roles.ATTENDANT)}`);
+
+    expect(response.status).toBe(200);
+  });
+
+  it('leaves roles that are not required alone', async () => {
+    const response = await request(app).get('/kiosk').set('Authorization', `Bearer ${tokenFor(Roles.AREA_MANAGER)}`);
+
+    expect(response.status).toBe(200);
+  });
+
+  it('still answers FORBIDDEN to roles without the privilege', async () => {
+    const response = await request(app).get('/kiosk').set('Authorization', `Bearer ${tokenFor(Roles.DRIVER)}`);
+
+    expect(response.status).toBe(403);
+    expect(response.body.errorCode).toBe('FORBIDDEN');
+  });
+});
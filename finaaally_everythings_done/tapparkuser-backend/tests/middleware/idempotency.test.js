@@ -0,0 +1,138 @@
+const express = require('express');
+const request = require('supertest');
+const crypto = require('crypto');
+
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  execute: jest.fn(),
+  transaction: jest.fn(),
+  connect: jest.fn(),
+  connection: null
+}));
+jest.mock('../../utils/permissions', () => ({
+  ...jest.requireActual('../../utils/permissions'),
+  getPermissionsForType: jest.fn()
+}));
+
+const db = require('../../config/database');
+const { Roles, getPermissionsForType } = require('../../utils/permissions');
+const { authenticateToken } = require('../../middleware/auth');
+const { idempotent } = require('../../middleware/idempotency');
+const { tokenFor, authQuery, permissionsForType } = require('../helpers/auth');
+
+const handler = jest.fn((req, res) => res.status(201).json({ success: true, data: { bookingId: 7 } }));
+
+const app = express();
+app.use(express.json());
+app.post('/book', authenticateToken, idempotent('book'), (req, res) => handler(req, res));
+
+const BODY = { spotId: 3 };
+const hashOf = (body) => crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+
+const book = (key, body = BODY) => {
+  const call = request(app).post('/book').set('Authorization', `Bearer ${tokenFor(Roles.DRIVER)}`);
+  return (key === undefined ? call : call.set('Idempotency-Key', key)).send(body);
+};
+
+// Answers the key claim: `inserted` for a fresh key, otherwise `stored` as the row someone else holds
+const keyStore = ({ inserted, stored = null }) => {
+  db.execute.mockImplementation(async (sql) => {
+    if (sql.includes('INSERT IGNORE INTO idempotency_keys')) {
+      return { affectedRows: inserted ? 1 : 0 };
+    }
+    return { affectedRows: sql.startsWith('UPDATE idempotency_keys') && sql.includes('processing') ? 0 : 1 };
+  });
+  db.query.mockImplementation(authQuery((sql) => (sql.includes('FROM idempotency_keys') && stored ? [stored] : [])));
+};
+
+const executedSql = () => db.execute.mock.calls.map(([sql]) => sql);
+
+beforeEach(() => {
+  handler.mockClear();
+  db.query.mockReset().mockImplementation(authQuery());
+  db.execute.mockReset().mockResolvedValue({ rows: [], affectedRows: 0, insertId: null });
+  getPermissionsForType.mockReset().mockImplementation(permissionsForType);
+});
+
+describe('idempotent', () => {
+  it('handles a request without the header as usual', async () => {
+    const response = await book();
+
+    expect(response.status).toBe(201);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(db.execute).not.toHaveBeenCalled();
+  });
+
+  it('refuses a key that is too long', async () => {
+    const response = await book('k'.repeat(256));
+
+    expect(response.status).toBe(400);
+    expect(response.body.errorCode).toBe('INVALID_IDEMPOTENCY_KEY');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('runs the first request and stores its response', async () => {
+    keyStore({ inserted: true });
+
+    const response = await book('key-1');
+
+    expect(response.status).toBe(201);
+    expect(handler).toHaveBeenCalledTimes(1);
+    const stored = db.execute.mock.calls.find(([sql]) => sql.includes("status = 'completed'"));
+    expect(stored[1]).toEqual([201, JSON.stringify(response.body), 100, 'key-1']);
+  });
+
+  it('replays a completed request instead of running it again', async () => {
+    keyStore({
+      inserted: false,
+      stored: {
+        endpoint: 'book',
+        request_hash: hashOf(BODY),
+        status: 'completed',
+        response_status: 201,
+        response_body: JSON.stringify({ success: true, data: { bookingId: 7 } })
+      }
+    });
+
+    const response = await book('key-1');
+
+    expect(response.status).toBe(201);
+    expect(response.headers['idempotent-replayed']).toBe('true');
+    expect(response.body.data.bookingId).toBe(7);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('answers 409 while the first request is still processing', async () => {
+    keyStore({ inserted: false, stored: { endpoint: 'book', request_hash: hashOf(BODY), status: 'processing' } });
+
+    const response = await book('key-1');
+
+    expect(response.status).toBe(409);
+    expect(response.body.errorCode).toBe('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('refuses a key reused for a different body', async () => {
+    keyStore({
+      inserted: false,
+      stored: { endpoint: 'book', request_hash: hashOf({ spotId: 4 }), status: 'completed' }
+    });
+
+    const response = await book('key-1');
+
+    expect(response.status).toBe(422);
+    expect(response.body.errorCode).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('releases the key after a server error so the request can be retried', async () => {
+    keyStore({ inserted: true });
+    handler.mockImplementationOnce((req, res) => res.status(500).json({ success: false }));
+
+    const response = await book('key-1');
+
+    expect(response.status).toBe(500);
+    expect(executedSql()).toContainEqual(expect.stringContaining('DELETE FROM idempotency_keys'));
+    expect(executedSql()).not.toContainEqual(expect.stringContaining("status = 'completed'"));
+  });
+});
@@ -0,0 +1,88 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  execute: jest.fn(),
+  transaction: jest.fn(),
+  connect: jest.fn(),
+  connection: null
+}));
+jest.mock('../../utils/permissions', () => ({
+  ...jest.requireActual('../../utils/permissions'),
+  getPermissionsForType: jest.fn()
+}));
+jest.mock('../../config/paypal', () => ({
+  createVaultSetupToken: jest.fn()
+}));
+
+const db = require('../../config/database');
+const paypal = require('../../config/paypal');
+const { Roles, getPermissionsForType } = require('../../utils/permissions');
+const { tokenFor, authQuery, permissionsForType } = require('../helpers/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/subscriptions', require('../../routes/subscriptions'));
+
+const PLANS = {
+  2: { plan_id: 2, plan_name: 'Monthly', number_of_hours: '20' },
+  3: { plan_id: 3, plan_name: 'Starter', number_of_hours: '5' }
+};
+
+// The plans, and the driver's auto-renew setting for Monthly below 8 hours
+const lookups = (sql, params) => {
+  if (sql.includes('FROM plans WHERE plan_id = ?')) {
+    return PLANS[params[0]] ? [PLANS[params[0]]] : [];
+  }
+  if (sql.includes('FROM subscription_auto_renewals r')) {
+    return [{ auto_renewal_id: 6, user_id: 100, status: 'active', hours_threshold: '8.00', ...PLANS[2] }];
+  }
+  return [];
+};
+
+const asDriver = (method) => request(app)[method]('/api/subscriptions/auto-renew')
+  .set('Authorization', `Bearer ${tokenFor(Roles.DRIVER)}`);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.query.mockImplementation(authQuery(lookups));
+  db.execute.mockResolvedValue({ affectedRows: 1 });
+  getPermissionsForType.mockImplementation(permissionsForType);
+  paypal.createVaultSetupToken.mockResolvedValue({ id: 'SETUP-1', links: [{ rel: 'approve', href: 'https://paypal.test/approve' }] });
+});
+
+describe('POST /api/subscriptions/auto-renew', () => {
+  it('refuses a threshold at the plan\'s hours', async () => {
+    const response = await asDriver('post').send({ plan_id: 2, hours_threshold: 20 });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ errorCode: 'HOURS_THRESHOLD_TOO_HIGH', data: { planHours: 20 } });
+    expect(paypal.createVaultSetupToken).not.toHaveBeenCalled();
+  });
+
+  it('starts the setup for a threshold below the plan\'s hours', async () => {
+    const response = await asDriver('post').send({ plan_id: 2, hours_threshold: 5 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({ setupTokenId: 'SETUP-1', approvalUrl: 'https://paypal.test/approve' });
+  });
+});
+
+describe('PATCH /api/subscriptions/auto-renew', () => {
+  it('refuses a switch to a plan with fewer hours than the current threshold', async () => {
+    const response = await asDriver('patch').send({ plan_id: 3 });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ errorCode: 'HOURS_THRESHOLD_TOO_HIGH', data: { hoursThreshold: 8, planHours: 5 } });
+    expect(db.execute).not.toHaveBeenCalled();
+  });
+
+  it('refuses a threshold above the renewed plan\'s hours', async () => {
+    const response = await asDriver('patch').send({ hours_threshold: 25 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errorCode).toBe('HOURS_THRESHOLD_TOO_HIGH');
+    expect(db.execute).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,100 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  execute: jest.fn(),
+  transaction: jest.fn(),
+  connect: jest.fn(),
+  connection: null
+}));
+jest.mock('../../utils/mailer', () => ({
+  sendMail: jest.fn()
+}));
+jest.mock('../../utils/userLogger', () => ({
+  ...jest.requireActual('../../utils/userLogger'),
+  logUserActivity: jest.fn()
+}));
+
+// Read when middleware/rateLimit is loaded
+process.env.PASSWORD_RESET_RATE_LIMIT_MAX = '6';
+
+const db = require('../../config/database');
+const { sendMail } = require('../../utils/mailer');
+const { fakeConnection, statementsOn } = require('../helpers/database');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', require('../../routes/auth'));
+
+const confirm = () => request(app)
+  .post('/api/auth/password-reset/confirm')
+  .send({ email: 'driver@example.com', token: 'ABCD-2345', newPassword: 'new-secret' });
+
+// A pool whose token UPDATE consumes the code (1) or finds it already used by another confirmation (0)
+const poolConsuming = (affectedRows) => {
+  const connection = fakeConnection((sql) => (sql.startsWith('UPDATE password_reset_tokens')
+    ? { affectedRows }
+    : { affectedRows: 1 }));
+  db.connection = { getConnection: jest.fn().mockResolvedValue(connection) };
+  return connection;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.query.mockImplementation(async (sql) => (sql.includes('FROM password_reset_tokens prt')
+    ? [{ password_reset_id: 4, user_id: 100 }]
+    : []));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  db.connection = null;
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/auth/password-reset/confirm', () => {
+  it('sets the new password once the code is consumed', async () => {
+    const connection = poolConsuming(1);
+
+    const response = await confirm();
+
+    expect(response.status).toBe(200);
+    expect(statementsOn(connection)).toEqual([
+      expect.stringContaining('UPDATE password_reset_tokens'),
+      expect.stringContaining('UPDATE users SET password')
+    ]);
+    expect(connection.commit).toHaveBeenCalled();
+    expect(connection.release).toHaveBeenCalled();
+  });
+
+  it('leaves the password alone when a concurrent confirmation used the code first', async () => {
+    const connection = poolConsuming(0);
+
+    const response = await confirm();
+
+    expect(response.status).toBe(400);
+    expect(response.body.errorCode).toBe('INVALID_RESET_TOKEN');
+    expect(statementsOn(connection)).not.toContainEqual(expect.stringContaining('UPDATE users'));
+    expect(connection.rollback).toHaveBeenCalled();
+    expect(connection.commit).not.toHaveBeenCalled();
+    expect(connection.release).toHaveBeenCalled();
+  });
+});
+
+describe('password reset rate limit', () => {
+  it('stops mailing codes once an IP has used up its requests', async () => {
+    const send = () => request(app).post('/api/auth/password-reset/request').send({ email: 'victim@example.com' });
+    db.query.mockResolvedValue([{ user_id: 100, email: 'victim@example.com', first_name: 'Test' }]);
+
+    // The two confirmations above count towards the same limit of 6
+    for (let i = 0; i < 4; i++) {
+      expect((await send()).status).toBe(200);
+    }
+    const limited = await send();
+
+    expect(limited.status).toBe(429);
+    expect(limited.body.errorCode).toBe('TOO_MANY_PASSWORD_RESET_ATTEMPTS');
+    expect(sendMail).toHaveBeenCalledTimes(4);
+  });
+});
@@ -0,0 +1,222 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  execute: jest.fn(),
+  transaction: jest.fn(),
+  connect: jest.fn(),
+  connection: null
+}));
+jest.mock('../../utils/permissions', () => ({
+  ...jest.requireActual('../../utils/permissions'),
+  getPermissionsForType: jest.fn()
+}));
+jest.mock('../../config/paypal', () => ({
+  createOrder: jest.fn(),
+  captureOrder: jest.fn(),
+  getOrderDetails: jest.fn()
+}));
+jest.mock('../../utils/notifications', () => ({
+  createNotification: jest.fn()
+}));
+
+const db = require('../../config/database');
+const paypal = require('../../config/paypal');
+const { Roles, getPermissionsForType } = require('../../utils/permissions');
+const { createNotification } = require('../../utils/notifications');
+const { reconcilePayPalTransactions } = require('../../utils/paypalPayments');
+const { tokenFor, authQuery, permissionsForType } = require('../helpers/auth');
+const { fakeConnection, statementsOn } = require('../helpers/database');
+
+const app = express();
+app.use(express.json());
+app.use('/api/paypal', require('../../routes/paypal'));
+
+const PLAN = { plan_id: 2, plan_name: 'Monthly', cost: '50.00', number_of_hours: '20' };
+
+const promoRow = (overrides = {}) => ({
+  promo_code_id: 3,
+  code: 'WELCOME',
+  discount_type: 'percent',
+  discount_value: '20',
+  is_active: 1,
+  not_started: 0,
+  ended: 0,
+  plan_restrictions: 0,
+  plan_allowed: 0,
+  first_purchase_only: 0,
+  max_redemptions: null,
+  max_redemptions_per_user: 1,
+  ...overrides
+});
+
+// Answers the plan and promo code lookups, on the pool and on a transaction's connection
+const promoLookups = (promo) => (sql) => {
+  if (sql.includes('FROM plans')) {
+    return [PLAN];
+  }
+  if (sql.includes('FROM promo_codes pc') && sql.includes('pc.code = ?')) {
+    return [promo];
+  }
+  if (sql.includes('AS total_uses')) {
+    return [{ total_uses: 0, user_uses: 0, has_purchased: 0, has_pending_order: 0 }];
+  }
+  return [];
+};
+
+const usePool = (connection) => {
+  db.connection = { getConnection: jest.fn().mockResolvedValue(connection) };
+  return connection;
+};
+
+const asDriver = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${tokenFor(Roles.DRIVER)}`);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.query.mockImplementation(authQuery());
+  db.execute.mockResolvedValue({ affectedRows: 1 });
+  getPermissionsForType.mockImplementation(permissionsForType);
+  paypal.createOrder.mockResolvedValue({ id: 'ORDER-1', links: [{ rel: 'approve', href: 'https://paypal.test/approve' }] });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  db.connection = null;
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/paypal/create-order with a promo code', () => {
+  const createOrder = () => asDriver('post', '/api/paypal/create-order').send({ plan_id: 2, promo_code: 'welcome' });
+
+  it('records the order and reserves the code at the locked quote', async () => {
+    db.query.mockImplementation(authQuery(promoLookups(promoRow())));
+    const connection = usePool(fakeConnection((sql) => (sql.startsWith('SELECT')
+      ? promoLookups(promoRow())(sql)
+      : { affectedRows: 1, insertId: 8 })));
+
+    const response = await createOrder();
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.promo).toMatchObject({ code: 'WELCOME', amount: 40 });
+    expect(paypal.createOrder).toHaveBeenCalledWith(40, 'USD', expect.any(Object));
+    const [, transactionParams] = connection.execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO paypal_transactions'));
+    expect(transactionParams).toEqual([100, 2, 'ORDER-1', 40, 0]);
+    const [, redemptionParams] = connection.execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO promo_redemptions'));
+    expect(redemptionParams).toEqual([3, 100, 8, 50, 10, 0]);
+    expect(connection.commit).toHaveBeenCalled();
+  });
+
+  it('refuses the order when the code changed before it was locked', async () => {
+    db.query.mockImplementation(authQuery(promoLookups(promoRow())));
+    // An admin raised the discount while the PayPal order was being created
+    const connection = usePool(fakeConnection((sql) => (sql.startsWith('SELECT')
+      ? promoLookups(promoRow({ discount_value: '50' }))(sql)
+      : { affectedRows: 1, insertId: 8 })));
+
+    const response = await createOrder();
+
+    expect(response.status).toBe(409);
+    expect(response.body.errorCode).toBe('PROMO_CODE_CHANGED');
+    expect(statementsOn(connection).filter((sql) => !sql.startsWith('SELECT'))).toEqual([]);
+    expect(connection.rollback).toHaveBeenCalled();
+  });
+
+  it('refuses the order when the code was used up before it was locked', async () => {
+    db.query.mockImplementation(authQuery(promoLookups(promoRow())));
+    const connection = usePool(fakeConnection((sql) => (sql.startsWith('SELECT')
+      ? promoLookups(promoRow({ is_active: 0 }))(sql)
+      : { affectedRows: 1, insertId: 8 })));
+
+    const response = await createOrder();
+
+    expect(response.status).toBe(409);
+    expect(response.body.errorCode).toBe('PROMO_CODE_INVALID');
+    expect(connection.rollback).toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/paypal/capture-order with a promo code', () => {
+  it('cancels the order instead of capturing it once the code has expired', async () => {
+    db.query.mockImplementation(authQuery((sql) => {
+      if (sql.includes('FROM paypal_transactions WHERE paypal_order_id')) {
+        return [{ id: 8, user_id: 100, plan_id: 2, paypal_order_id: 'ORDER-1', amount: '40.00', status: 'created' }];
+      }
+      if (sql.includes('JOIN promo_redemptions pr')) {
+        return [{ code: 'WELCOME', is_active: 1, not_started: 0, ended: 1 }];
+      }
+      return [];
+    }));
+
+    const response = await asDriver('post', '/api/paypal/capture-order').send({ orderId: 'ORDER-1' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.errorCode).toBe('PROMO_CODE_EXPIRED');
+    expect(paypal.captureOrder).not.toHaveBeenCalled();
+    expect(db.execute.mock.calls.map(([sql]) => sql)).toContainEqual(expect.stringContaining("SET pr.status = 'released'"));
+  });
+});
+
+describe('POST /api/paypal/cancel-order', () => {
+  const cancelOrder = () => asDriver('post', '/api/paypal/cancel-order').send({ orderId: 'ORDER-1' });
+  const statements = () => db.execute.mock.calls.map(([sql, params]) => [sql, params]);
+
+  it('gives back the promo code reserved for the driver\'s order', async () => {
+    const response = await cancelOrder();
+
+    expect(response.status).toBe(200);
+    expect(statements()).toContainEqual([expect.stringContaining('AND user_id = ?'), ['cancelled', 'ORDER-1', 100]]);
+    expect(statements()).toContainEqual([expect.stringContaining("SET pr.status = 'released'"), ['ORDER-1']]);
+  });
+
+  it('leaves the promo code alone when the order was not the driver\'s or was already paid', async () => {
+    db.execute.mockResolvedValue({ affectedRows: 0 });
+
+    const response = await cancelOrder();
+
+    expect(response.status).toBe(200);
+    expect(statements()).not.toContainEqual([expect.stringContaining("SET pr.status = 'released'"), expect.anything()]);
+  });
+});
+
+describe('reconcilePayPalTransactions', () => {
+  const stuckOrder = (promoCode) => db.query.mockImplementation(async (sql) => {
+    if (sql.includes("status IN ('created', 'approved')")) {
+      return [{ paypal_order_id: 'ORDER-1', user_id: 100, age_minutes: 30 }];
+    }
+    if (sql.includes('JOIN promo_redemptions pr')) {
+      return promoCode ? [promoCode] : [];
+    }
+    return [];
+  });
+
+  it('cancels an approved order whose promo code was switched off instead of capturing it', async () => {
+    stuckOrder({ code: 'WELCOME', is_active: 0, not_started: 0, ended: 0 });
+    paypal.getOrderDetails.mockResolvedValue({ id: 'ORDER-1', status: 'APPROVED' });
+
+    const summary = await reconcilePayPalTransactions();
+
+    expect(summary).toMatchObject({ checked: 1, cancelled: 1, activated: 0 });
+    expect(paypal.captureOrder).not.toHaveBeenCalled();
+    const statements = db.execute.mock.calls.map(([sql, params]) => [sql, params]);
+    expect(statements).toContainEqual([expect.stringContaining('UPDATE paypal_transactions SET status'), ['cancelled', 'ORDER-1']]);
+    expect(statements).toContainEqual([expect.stringContaining("SET pr.status = 'released'"), ['ORDER-1']]);
+    expect(createNotification).toHaveBeenCalledWith(100, expect.objectContaining({ title: 'PayPal order cancelled' }));
+  });
+
+  it('captures an approved order whose promo code is still valid', async () => {
+    stuckOrder(null);
+    paypal.getOrderDetails.mockResolvedValue({ id: 'ORDER-1', status: 'APPROVED' });
+    paypal.captureOrder.mockResolvedValue({
+      id: 'ORDER-1',
+      status: 'COMPLETED',
+      purchase_units: [{ payments: { captures: [{ id: 'CAPTURE-1', status: 'PENDING' }] } }]
+    });
+
+    const summary = await reconcilePayPalTransactions();
+
+    expect(paypal.captureOrder).toHaveBeenCalledWith('ORDER-1');
+    expect(summary).toMatchObject({ checked: 1, pending: 1, cancelled: 0 });
+  });
+});
@@ -0,0 +1,155 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  execute: jest.fn(),
+  transaction: jest.fn(),
+  connect: jest.fn(),
+  connection: null
+}));
+jest.mock('../../config/paypal', () => ({
+  verifyWebhookSignature: jest.fn(),
+  captureOrder: jest.fn(),
+  getOrderDetails: jest.fn()
+}));
+jest.mock('../../utils/notifications', () => ({
+  createNotification: jest.fn()
+}));
+jest.mock('../../utils/userLogger', () => ({
+  ...jest.requireActual('../../utils/userLogger'),
+  logUserActivity: jest.fn()
+}));
+jest.mock('../../utils/penaltyHelper', () => ({
+  settlePenaltyWithHours: jest.fn().mockResolvedValue(null)
+}));
+
+const db = require('../../config/database');
+const paypal = require('../../config/paypal');
+const { createNotification } = require('../../utils/notifications');
+const { WebhookEvents } = require('../../utils/paypalPayments');
+const { fakeConnection, statementsOn } = require('../helpers/database');
+
+const app = express();
+app.use(express.json());
+app.use('/api/paypal', require('../../routes/paypal'));
+
+const captureCompleted = {
+  id: 'WH-1',
+  event_type: WebhookEvents.CAPTURE_COMPLETED,
+  resource: { id: 'CAPTURE-1', supplementary_data: { related_ids: { order_id: 'ORDER-1' } } }
+};
+
+const paypalTransaction = (status) => ({
+  id: 5,
+  user_id: 100,
+  plan_id: 2,
+  amount: '10.00',
+  bonus_hours: '0',
+  status,
+  subscription_id: status === 'completed' ? 30 : null,
+  capture_id: null,
+  plan_name: 'Monthly',
+  number_of_hours: '20',
+  validity_days: 30,
+  promo_code: null
+});
+
+// A pool whose paypal_transactions lookup finds the transaction in `status`
+const poolWithTransaction = (status) => {
+  const connection = fakeConnection((sql) => (sql.includes('FROM paypal_transactions pt')
+    ? [paypalTransaction(status)]
+    : { affectedRows: 1, insertId: 30 }));
+  db.connection = { getConnection: jest.fn().mockResolvedValue(connection) };
+  return connection;
+};
+
+const deliver = (event) => request(app).post('/api/paypal/webhook').send(event);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.query.mockResolvedValue([]);
+  db.execute.mockResolvedValue({ affectedRows: 1 });
+  paypal.verifyWebhookSignature.mockResolvedValue(true);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  db.connection = null;
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/paypal/webhook', () => {
+  it('rejects an event whose signature PayPal does not confirm', async () => {
+    paypal.verifyWebhookSignature.mockResolvedValue(false);
+    const connection = poolWithTransaction('created');
+
+    const response = await deliver(captureCompleted);
+
+    expect(response.status).toBe(400);
+    expect(response.body.errorCode).toBe('INVALID_WEBHOOK_SIGNATURE');
+    expect(connection.execute).not.toHaveBeenCalled();
+  });
+
+  it('rejects a body that is not an event', async () => {
+    const response = await deliver({ resource: {} });
+
+    expect(response.status).toBe(400);
+    expect(paypal.verifyWebhookSignature).not.toHaveBeenCalled();
+  });
+
+  it('activates the subscription of a completed capture and tells the driver', async () => {
+    const connection = poolWithTransaction('created');
+
+    const response = await deliver(captureCompleted);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({ status: 'processed', duplicate: false });
+    expect(statementsOn(connection)).toContainEqual(expect.stringContaining('INSERT INTO subscriptions'));
+    expect(connection.commit).toHaveBeenCalled();
+    expect(createNotification).toHaveBeenCalledWith(100, expect.objectContaining({ title: 'Subscription activated' }));
+  });
+
+  it('does not activate an order the app already captured', async () => {
+    const connection = poolWithTransaction('completed');
+
+    const response = await deliver(captureCompleted);
+
+    expect(response.status).toBe(200);
+    expect(statementsOn(connection)).not.toContainEqual(expect.stringContaining('INSERT INTO subscriptions'));
+    expect(createNotification).not.toHaveBeenCalled();
+  });
+
+  it('skips a redelivered event that was already handled', async () => {
+    db.query.mockResolvedValue([{ status: 'processed' }]);
+    const connection = poolWithTransaction('created');
+
+    const response = await deliver(captureCompleted);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toEqual({ status: 'processed', duplicate: true });
+    expect(connection.execute).not.toHaveBeenCalled();
+  });
+
+  it('records a failed event and answers 500 so PayPal delivers it again', async () => {
+    const connection = poolWithTransaction('created');
+    connection.execute.mockRejectedValueOnce(new Error('Deadlock found'));
+
+    const response = await deliver(captureCompleted);
+
+    expect(response.status).toBe(500);
+    expect(connection.rollback).toHaveBeenCalled();
+    const recorded = db.execute.mock.calls.find(([sql]) => sql.includes('INSERT INTO paypal_webhook_events'));
+    expect(recorded[1]).toEqual(['WH-1', WebhookEvents.CAPTURE_COMPLETED, 'CAPTURE-1', 'failed', 'Deadlock found']);
+  });
+
+  it('marks the order failed when PayPal denies the capture', async () => {
+    const response = await deliver({ ...captureCompleted, id: 'WH-2', event_type: WebhookEvents.CAPTURE_DENIED });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe('processed');
+    const update = db.execute.mock.calls.find(([sql]) => sql.startsWith('UPDATE paypal_transactions'));
+    expect(update[1]).toEqual(['failed', 'ORDER-1']);
+  });
+});
@@ -0,0 +1,189 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  execute: jest.fn(),
+  transaction: jest.fn(),
+  connect: jest.fn(),
+  connection: null
+}));
+jest.mock('../../utils/permissions', () => ({
+  ...jest.requireActual('../../utils/permissions'),
+  getPermissionsForType: jest.fn()
+}));
+
+const db = require('../../config/database');
+const { Roles, Permissions, getPermissionsForType } = require('../../utils/permissions');
+const { tokenFor, authQuery, permissionsForType, rolesWith } = require('../helpers/auth');
+
+const ALL_ROLES = Object.values(Roles);
+
+// Who may call each mutating route; ALL_ROLES marks routes that only need a valid token
+const ROUTE_ROLES = {
+  '/api/attendant': {
+    'PUT /notification-settings': rolesWith(Permissions.OPERATE_KIOSK),
+    'POST /start-parking-session': rolesWith(Permissions.OPERATE_KIOSK),
+    'POST /end-parking-session': rolesWith(Permissions.OPERATE_KIOSK),
+    'POST /create-guest-booking': rolesWith(Permissions.OPERATE_KIOSK),
+    'PUT /end-parking-session/:reservationId': rolesWith(Permissions.OVERRIDE_SPOT),
+    'PUT /cancel-booking/:reservationId': rolesWith(Permissions.OVERRIDE_SPOT)
+  },
+  '/api/capacity': {
+    'POST /sections/:sectionId/reserve': rolesWith(Permissions.RESERVE_SPOT),
+    'POST /sections/:sectionId/confirm-parking': rolesWith(Permissions.OPERATE_KIOSK, Permissions.RESERVE_SPOT),
+    'POST /sections/:sectionId/end-reservation': rolesWith(Permissions.RESERVE_SPOT),
+    'POST /sections/:sectionId/spots/:spotNumber/assign': rolesWith(Permissions.RESERVE_SPOT, Permissions.OVERRIDE_SPOT),
+    'POST /sections/:sectionId/spots/:spotNumber/guest-assign': rolesWith(Permissions.OPERATE_KIOSK),
+    'POST /sections/:sectionId/spots/:spotNumber/release': rolesWith(Permissions.RESERVE_SPOT, Permissions.OVERRIDE_SPOT),
+    'PUT /sections/:sectionId/spots/:spotNumber/status': rolesWith(Permissions.OVERRIDE_SPOT),
+    'PUT /sections/:sectionId/status': rolesWith(Permissions.OVERRIDE_SPOT),
+    'POST /reconcile': rolesWith(Permissions.MANAGE_AREA)
+  },
+  '/api/parking': {
+    'PUT /spots/:spotId/status': rolesWith(Permissions.OVERRIDE_SPOT),
+    'POST /start': rolesWith(Permissions.RESERVE_SPOT),
+    'POST /end/:sessionId': rolesWith(Permissions.RESERVE_SPOT)
+  },
+  '/api/payments': {
+    'POST /topup': rolesWith(Permissions.PAY_ONLINE),
+    'POST /parking/:sessionId': rolesWith(Permissions.PAY_ONLINE)
+  },
+  '/api/paypal': {
+    'POST /create-order': rolesWith(Permissions.PAY_ONLINE),
+    'POST /capture-order': rolesWith(Permissions.PAY_ONLINE),
+    'POST /cancel-order': rolesWith(Permissions.PAY_ONLINE)
+  },
+  '/api/subscriptions': {
+    'POST /purchase': rolesWith(Permissions.PAY_ONLINE),
+    'POST /auto-renew': rolesWith(Permissions.PAY_ONLINE),
+    'POST /auto-renew/confirm': rolesWith(Permissions.PAY_ONLINE),
+    'PATCH /auto-renew': rolesWith(Permissions.PAY_ONLINE),
+    // Turning auto-renew off only needs a token
+    'DELETE /auto-renew': ALL_ROLES,
+    'POST /admin/:subscriptionId/refund': rolesWith(Permissions.MANAGE_MASTERS)
+  },
+  '/api/users': {
+    'PATCH /notifications/:id/read': ALL_ROLES,
+    'PATCH /notifications/read-all': ALL_ROLES,
+    'DELETE /notifications/:id': ALL_ROLES,
+    'POST /push-tokens': ALL_ROLES,
+    'DELETE /push-tokens': ALL_ROLES,
+    'PUT /profile-image': ALL_ROLES,
+    'POST /me/deletion': [Roles.DRIVER],
+    'DELETE /me/deletion': ALL_ROLES,
+    'POST /admin/:userId/lift-suspension': rolesWith(Permissions.MANAGE_MASTERS),
+    'POST /admin/:userId/unlock': rolesWith(Permissions.MANAGE_MASTERS)
+  },
+  '/api/qr': {
+    'POST /generate': ALL_ROLES,
+    'POST /scan': rolesWith(Permissions.OPERATE_KIOSK),
+    'POST /validate': rolesWith(Permissions.OPERATE_KIOSK)
+  }
+};
+
+// PayPal's signed webhook deliveries carry no user token
+const UNAUTHENTICATED_ROUTES = ['POST /api/paypal/webhook'];
+
+const ROUTERS = {
+  '/api/attendant': require('../../routes/attendant'),
+  '/api/capacity': require('../../routes/capacity-management'),
+  '/api/parking': require('../../routes/parking'),
+  '/api/payments': require('../../routes/payments'),
+  '/api/paypal': require('../../routes/paypal'),
+  '/api/subscriptions': require('../../routes/subscriptions'),
+  '/api/users': require('../../routes/users'),
+  '/api/qr': require('../../routes/qr')
+};
+
+const app = express();
+app.use(express.json());
+Object.entries(ROUTERS).forEach(([prefix, router]) => app.use(prefix, router));
+
+const mutatingRoutes = (router) => router.stack
+  .filter((layer) => layer.route)
+  .flatMap((layer) => Object.keys(layer.route.methods)
+    .filter((method) => method !== 'get')
+    .map((method) => `${method.toUpperCase()} ${layer.route.path}`));
+
+const samplePath = (path) => path.replace(/:[A-Za-z]+/g, '1');
+
+beforeEach(() => {
+  db.query.mockReset().mockImplementation(authQuery());
+  db.execute.mockReset().mockResolvedValue({ rows: [], affectedRows: 0, insertId: null });
+  getPermissionsForType.mockReset().mockImplementation(permissionsForType);
+});
+
+describe('route permissions', () => {
+  describe.each(Object.keys(ROUTERS))('%s', (prefix) => {
+    it('lists every mutating route', () => {
+      const declared = Object.keys(ROUTE_ROLES[prefix]);
+      const actual = mutatingRoutes(ROUTERS[prefix])
+        .filter((route) => !UNAUTHENTICATED_ROUTES.includes(`${route.split(' ')[0]} ${prefix}${route.split(' ')[1]}`));
+      expect(actual.sort()).toEqual(declared.sort());
+    });
+
+    const denied = Object.entries(ROUTE_ROLES[prefix]).flatMap(([route, allowed]) => ALL_ROLES
+      .filter((role) => !allowed.includes(role))
+      .map((role) => [route, role]));
+
+    if (denied.length > 0) {
+      it.each(denied)('%s rejects %s with 403 FORBIDDEN', async (route, role) => {
+        const [method, path] = route.split(' ');
+        const response = await request(app)[method.toLowerCase()](`${prefix}${samplePath(path)}`)
+          .set('Authorization', `Bearer ${tokenFor(role)}`)
+          .send({});
+
+        expect(response.status).toBe(403);
+        expect(response.body).toMatchObject({ success: false, errorCode: 'FORBIDDEN' });
+      });
+    }
+
+    it.each(Object.keys(ROUTE_ROLES[prefix]))('%s requires a token', async (route) => {
+      const [method, path] = route.split(' ');
+      const response = await request(app)[method.toLowerCase()](`${prefix}${samplePath(path)}`).send({});
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
+
+describe('POST /api/capacity/sections/:sectionId/confirm-parking', () => {
+  const confirmWith = (role) => {
+    const connection = {
+      beginTransaction: jest.fn(),
+      execute: jest.fn().mockResolvedValue([{ affectedRows: 1 }]),
+      commit: jest.fn(),
+      rollback: jest.fn(),
+      release: jest.fn()
+    };
+    db.connection = { getConnection: jest.fn().mockResolvedValue(connection) };
+    return request(app)
+      .post('/api/capacity/sections/7/confirm-parking')
+      .set('Authorization', `Bearer ${tokenFor(role)}`)
+      .send({ reservationId: 42 })
+      .then((response) => ({ response, connection }));
+  };
+
+  afterEach(() => {
+    db.connection = null;
+  });
+
+  it('lets an attendant confirm any driver\'s reservation', async () => {
+    const { response, connection } = await confirmWith(Roles.ATTENDANT);
+
+    expect(response.status).toBe(200);
+    const [sql, params] = connection.execute.mock.calls[0];
+    expect(sql).not.toContain('user_id');
+    expect(params).toEqual([42]);
+  });
+
+  it('limits a driver to their own reservation', async () => {
+    const { response, connection } = await confirmWith(Roles.DRIVER);
+
+    expect(response.status).toBe(200);
+    const [sql, params] = connection.execute.mock.calls[0];
+    expect(sql).toContain('user_id = ?');
+    expect(params).toEqual([42, 100]);
+  });
+});
@@ -0,0 +1,173 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  execute: jest.fn(),
+  transaction: jest.fn(),
+  connect: jest.fn(),
+  connection: null
+}));
+jest.mock('../../utils/permissions', () => ({
+  ...jest.requireActual('../../utils/permissions'),
+  getPermissionsForType: jest.fn()
+}));
+jest.mock('../../config/paypal', () => ({
+  refundCapture: jest.fn()
+}));
+jest.mock('../../utils/notifications', () => ({
+  createNotification: jest.fn()
+}));
+jest.mock('../../utils/userLogger', () => ({
+  ...jest.requireActual('../../utils/userLogger'),
+  logUserActivity: jest.fn()
+}));
+
+const db = require('../../config/database');
+const paypal = require('../../config/paypal');
+const { Roles, getPermissionsForType } = require('../../utils/permissions');
+const { createNotification } = require('../../utils/notifications');
+const { applyCaptureRefund } = require('../../utils/paypalPayments');
+const { tokenFor, authQuery, permissionsForType } = require('../helpers/auth');
+const { fakeConnection, statementsOn } = require('../helpers/database');
+
+const app = express();
+app.use(express.json());
+app.use('/api/subscriptions', require('../../routes/subscriptions'));
+
+// A ₱100 purchase of 20 hours, 18 of them left
+const purchase = (overrides = {}) => ({
+  id: 5,
+  user_id: 100,
+  plan_id: 2,
+  amount: '100.00',
+  refunded_amount: '0.00',
+  status: 'completed',
+  capture_id: 'CAPTURE-1',
+  subscription_id: 30,
+  email: 'subscriber@example.com',
+  ...overrides
+});
+
+const refundPool = ({ recordedRefund = false } = {}) => {
+  const connection = fakeConnection((sql) => {
+    if (sql.includes('FROM paypal_transactions pt')) {
+      return [{ ...purchase(), plan_name: 'Monthly', number_of_hours: '20' }];
+    }
+    if (sql.includes('FROM payment_refunds')) {
+      return recordedRefund ? [{ refund_id: 9 }] : [];
+    }
+    if (sql.includes('FROM subscriptions')) {
+      return [{ hours_remaining: '18' }];
+    }
+    return { affectedRows: 1, insertId: 77 };
+  });
+  db.connection = { getConnection: jest.fn().mockResolvedValue(connection) };
+  return connection;
+};
+
+const paymentEntry = (connection) => connection.execute.mock.calls
+  .find(([sql]) => sql.startsWith('INSERT INTO payments'));
+
+const refund = (body, transaction = purchase()) => {
+  db.query.mockImplementation(authQuery((sql) => (sql.includes('FROM paypal_transactions pt') ? [transaction] : [])));
+  return request(app)
+    .post('/api/subscriptions/admin/30/refund')
+    .set('Authorization', `Bearer ${tokenFor(Roles.ADMIN)}`)
+    .send(body);
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.query.mockImplementation(authQuery());
+  db.execute.mockResolvedValue({ affectedRows: 1 });
+  getPermissionsForType.mockImplementation(permissionsForType);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  db.connection = null;
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/subscriptions/admin/:subscriptionId/refund', () => {
+  it('refunds part of a purchase and revokes hours in proportion', async () => {
+    paypal.refundCapture.mockResolvedValue({
+      id: 'REFUND-1',
+      seller_payable_breakdown: { total_refunded_amount: { value: '25.00' } }
+    });
+    const connection = refundPool();
+
+    const response = await refund({ amount: 25, reason: 'Lot closed' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ amount: 25, hoursRevoked: 5, hoursRemaining: 13, fullyRefunded: false });
+    expect(paypal.refundCapture).toHaveBeenCalledWith('CAPTURE-1', 25, expect.objectContaining({ noteToPayer: 'Lot closed' }));
+    expect(paymentEntry(connection)[1]).toEqual([100, -25, 'Partial refund of Monthly', 'REFUND-1', 30]);
+    expect(createNotification).toHaveBeenCalledWith(100, expect.objectContaining({ title: 'Payment refunded' }));
+  });
+
+  it('refunds the rest of a purchase and withdraws every hour left when no amount is given', async () => {
+    paypal.refundCapture.mockResolvedValue({
+      id: 'REFUND-2',
+      seller_payable_breakdown: { total_refunded_amount: { value: '100.00' } }
+    });
+    const connection = refundPool();
+
+    const response = await refund({});
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ amount: 100, hoursRevoked: 18, hoursRemaining: 0, fullyRefunded: true });
+    expect(paypal.refundCapture).toHaveBeenCalledWith('CAPTURE-1', 100, expect.any(Object));
+    const subscriptionUpdate = connection.execute.mock.calls.find(([sql]) => sql.startsWith('UPDATE subscriptions'));
+    expect(subscriptionUpdate[1]).toEqual([0, 1, 30]);
+  });
+
+  it('refuses more than is left to refund without calling PayPal', async () => {
+    const response = await refund({ amount: 80 }, purchase({ refunded_amount: '25.00' }));
+
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({ errorCode: 'INVALID_REFUND_AMOUNT', data: { refundable: 75 } });
+    expect(paypal.refundCapture).not.toHaveBeenCalled();
+  });
+
+  it('refuses a purchase that was already refunded in full', async () => {
+    const response = await refund({}, purchase({ status: 'refunded', refunded_amount: '100.00' }));
+
+    expect(response.status).toBe(409);
+    expect(response.body.errorCode).toBe('NOT_REFUNDABLE');
+    expect(paypal.refundCapture).not.toHaveBeenCalled();
+  });
+
+  it('answers 502 with PayPal\'s reason when PayPal refuses the refund', async () => {
+    const error = new Error('Request failed with status code 422');
+    error.response = { data: { details: [{ description: 'Capture has already been fully refunded' }] } };
+    paypal.refundCapture.mockRejectedValue(error);
+    const connection = refundPool();
+
+    const response = await refund({ amount: 10 });
+
+    expect(response.status).toBe(502);
+    expect(response.body.message).toContain('Capture has already been fully refunded');
+    expect(connection.execute).not.toHaveBeenCalled();
+  });
+
+  it('refuses a non-positive amount', async () => {
+    const response = await refund({ amount: 0 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Validation failed');
+  });
+});
+
+describe('applyCaptureRefund', () => {
+  it('changes nothing for a refund that was already recorded', async () => {
+    const connection = refundPool({ recordedRefund: true });
+
+    const result = await applyCaptureRefund('CAPTURE-1', 25, { paypalRefundId: 'REFUND-1' });
+
+    expect(result).toBeNull();
+    expect(statementsOn(connection).filter((sql) => !sql.startsWith('SELECT'))).toEqual([]);
+    expect(connection.commit).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,4 @@
+// Set before any module reads them; dotenv leaves variables that are already set alone
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.JOB_SCHEDULER_ENABLED = 'false';
+process.env.NODE_ENV = 'test';
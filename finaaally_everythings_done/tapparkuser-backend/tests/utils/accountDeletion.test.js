@@ -0,0 +1,48 @@
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  execute: jest.fn(),
+  transaction: jest.fn(),
+  connect: jest.fn(),
+  connection: null
+}));
+jest.mock('../../utils/autoRenewal', () => ({
+  cancelAutoRenewal: jest.fn()
+}));
+jest.mock('../../utils/userLogger', () => ({
+  ...jest.requireActual('../../utils/userLogger'),
+  logUserActivity: jest.fn()
+}));
+
+const db = require('../../config/database');
+const { anonymizeAccount } = require('../../utils/accountDeletion');
+const { expandRecurringReservations } = require('../../utils/recurringReservations');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.query.mockResolvedValue([]);
+});
+
+describe('anonymizeAccount', () => {
+  it('stops the account\'s weekly booking rules along with deleting its vehicles', async () => {
+    db.query.mockResolvedValueOnce([{ profile_picture: null }]);
+
+    expect(await anonymizeAccount(100)).toBe(true);
+
+    const statements = db.transaction.mock.calls[0][0];
+    expect(statements).toContainEqual({
+      sql: expect.stringContaining("UPDATE recurring_reservations SET status = 'cancelled'"),
+      params: [100]
+    });
+    expect(statements).toContainEqual({ sql: expect.stringContaining('DELETE FROM vehicles'), params: [100] });
+  });
+});
+
+describe('expandRecurringReservations', () => {
+  it('leaves out the rules of deleted accounts and accounts awaiting deletion', async () => {
+    await expandRecurringReservations();
+
+    const [sql] = db.query.mock.calls[0];
+    expect(sql).toContain('u.deleted_at IS NULL');
+    expect(sql).toContain('u.deletion_scheduled_for IS NULL');
+  });
+});
@@ -0,0 +1,72 @@
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  execute: jest.fn(),
+  connect: jest.fn(),
+  connection: null
+}));
+jest.mock('../../config/paypal', () => ({
+  createVaultedOrder: jest.fn(),
+  deleteVaultPaymentToken: jest.fn()
+}));
+jest.mock('../../utils/notifications', () => ({
+  createNotification: jest.fn()
+}));
+
+const db = require('../../config/database');
+const paypal = require('../../config/paypal');
+const { createNotification } = require('../../utils/notifications');
+const { processAutoRenewals } = require('../../utils/autoRenewal');
+
+const HOUR = 60 * 60 * 1000;
+
+const dueRenewal = (overrides = {}) => ({
+  auto_renewal_id: 6,
+  user_id: 100,
+  plan_id: 2,
+  plan_name: 'Monthly',
+  cost: '50.00',
+  number_of_hours: '20',
+  hours_threshold: '1.00',
+  status: 'active',
+  paypal_payment_token_id: 'TOKEN-1',
+  renewal_count: 1,
+  failed_attempts: 0,
+  last_renewed_at: null,
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  db.execute.mockResolvedValue({ affectedRows: 1 });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('processAutoRenewals', () => {
+  it('holds off a driver renewed within the cooldown instead of charging them again', async () => {
+    db.query.mockResolvedValue([dueRenewal({ last_renewed_at: new Date(Date.now() - 2 * HOUR) })]);
+
+    const summary = await processAutoRenewals();
+
+    expect(summary).toMatchObject({ checked: 1, deferred: 1, renewed: 0 });
+    expect(paypal.createVaultedOrder).not.toHaveBeenCalled();
+    const [sql, params] = db.execute.mock.calls[0];
+    expect(sql).toContain('next_attempt_at = DATE_ADD(last_renewed_at');
+    expect(params).toEqual([24 * 60, 6]);
+    expect(createNotification).toHaveBeenCalledWith(100, expect.objectContaining({ title: 'Plan renewal on hold' }));
+  });
+
+  it('charges a driver whose last renewal is older than the cooldown', async () => {
+    db.query.mockResolvedValue([dueRenewal({ last_renewed_at: new Date(Date.now() - 30 * HOUR) })]);
+    paypal.createVaultedOrder.mockRejectedValue(new Error('PayPal unavailable'));
+
+    const summary = await processAutoRenewals();
+
+    expect(paypal.createVaultedOrder).toHaveBeenCalledWith('50.00', 'USD', expect.objectContaining({ vaultId: 'TOKEN-1' }));
+    expect(summary).toMatchObject({ deferred: 0, failed: 1 });
+  });
+});
@@ -0,0 +1,57 @@
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  execute: jest.fn(),
+  connect: jest.fn(),
+  connection: null
+}));
+
+// The policy is read from the environment when the module loads
+const loadWithEnv = (env) => {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  let cancellation;
+  jest.isolateModules(() => {
+    cancellation = require('../../utils/bookingCancellation');
+  });
+  process.env = saved;
+  return cancellation;
+};
+
+const reservedBooking = (minutesAgo) => ({
+  booking_status: 'reserved',
+  time_stamp: new Date(Date.now() - minutesAgo * 60 * 1000),
+  scheduled_start_time: null
+});
+
+describe('cancellation policy settings', () => {
+  it('defaults to 5 free minutes and a 0.5 hour fee', () => {
+    const { CANCELLATION_FREE_MINUTES, CANCELLATION_FEE_HOURS } = loadWithEnv({});
+
+    expect(CANCELLATION_FREE_MINUTES).toBe(5);
+    expect(CANCELLATION_FEE_HOURS).toBe(0.5);
+  });
+
+  it('accepts 0 free minutes', () => {
+    const { CANCELLATION_FREE_MINUTES, getCancellationTerms } = loadWithEnv({ CANCELLATION_FREE_MINUTES: '0' });
+
+    expect(CANCELLATION_FREE_MINUTES).toBe(0);
+    expect(getCancellationTerms(reservedBooking(1))).toMatchObject({ free: false, policy: 'fee', feeHours: 0.5 });
+  });
+
+  it('accepts a 0 hour fee', () => {
+    const { CANCELLATION_FEE_HOURS, getCancellationTerms } = loadWithEnv({ CANCELLATION_FEE_HOURS: '0' });
+
+    expect(CANCELLATION_FEE_HOURS).toBe(0);
+    expect(getCancellationTerms(reservedBooking(10))).toMatchObject({ free: false, feeHours: 0 });
+  });
+
+  it('falls back to the defaults for values that are not numbers', () => {
+    const { CANCELLATION_FREE_MINUTES, CANCELLATION_FEE_HOURS } = loadWithEnv({
+      CANCELLATION_FREE_MINUTES: 'soon',
+      CANCELLATION_FEE_HOURS: ''
+    });
+
+    expect(CANCELLATION_FREE_MINUTES).toBe(5);
+    expect(CANCELLATION_FEE_HOURS).toBe(0.5);
+  });
+});
@@ -0,0 +1,103 @@
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  execute: jest.fn(),
+  connect: jest.fn(),
+  connection: null
+}));
+jest.mock('../../utils/reservationSchedule', () => ({
+  holdDueScheduledReservations: jest.fn().mockResolvedValue({ held: 0, cancelled: 0 })
+}));
+jest.mock('../../utils/waitlist', () => ({
+  processWaitlist: jest.fn().mockResolvedValue({ offers: 0, expiredOffers: 0, removed: 0 })
+}));
+jest.mock('../../utils/gracePeriod', () => ({
+  ...jest.requireActual('../../utils/gracePeriod'),
+  loadGracePeriodRules: jest.fn().mockResolvedValue([]),
+  gracePeriodMinutesForRow: jest.fn().mockReturnValue(15)
+}));
+jest.mock('../../utils/noShowStrikes', () => ({
+  ...jest.requireActual('../../utils/noShowStrikes'),
+  recordStrike: jest.fn(),
+  enforceStrikeThreshold: jest.fn()
+}));
+jest.mock('../../utils/userLogger', () => ({
+  ...jest.requireActual('../../utils/userLogger'),
+  logUserActivity: jest.fn()
+}));
+
+const db = require('../../config/database');
+const { recordStrike } = require('../../utils/noShowStrikes');
+const { runGracePeriodSweep } = require('../../utils/gracePeriodSweep');
+const GracePeriodChecker = require('../../grace_period_checker');
+const { fakeConnection, statementsOn } = require('../helpers/database');
+
+const reservation = {
+  reservation_id: 11,
+  user_id: 100,
+  parking_spots_id: 7,
+  parking_section_id: 4,
+  spot_number: 'A-7',
+  grace_waited_minutes: 20
+};
+
+// A connection whose guarded expiry UPDATE finds the booking still waiting (1) or already cancelled (0)
+const connectionExpiring = (affectedRows) => fakeConnection((sql) => (sql.includes('UPDATE reservations')
+  ? { affectedRows }
+  : { affectedRows: 1 }));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  db.connection = null;
+  jest.restoreAllMocks();
+});
+
+describe('runGracePeriodSweep', () => {
+  const sweepWith = (connection) => {
+    db.connection = {
+      execute: jest.fn().mockResolvedValue([[reservation]]),
+      getConnection: jest.fn().mockResolvedValue(connection)
+    };
+    return runGracePeriodSweep();
+  };
+
+  it('expires a reservation still waiting for check-in and records the strike', async () => {
+    const connection = connectionExpiring(1);
+
+    const result = await sweepWith(connection);
+
+    expect(result.expired).toBe(1);
+    expect(connection.execute.mock.calls[0][0]).toContain("booking_status = 'reserved'");
+    expect(statementsOn(connection)).toContainEqual(expect.stringContaining('UPDATE parking_section'));
+    expect(recordStrike).toHaveBeenCalledWith(connection, 100, 11, expect.any(String));
+  });
+
+  it('leaves a reservation the driver cancelled in the meantime alone', async () => {
+    const connection = connectionExpiring(0);
+
+    const result = await sweepWith(connection);
+
+    expect(result).toMatchObject({ expired: 0, failed: 0 });
+    expect(statementsOn(connection)).toHaveLength(1);
+    expect(recordStrike).not.toHaveBeenCalled();
+    expect(connection.rollback).toHaveBeenCalled();
+  });
+});
+
+describe('GracePeriodChecker.processExpiredReservation', () => {
+  it('skips a reservation that was cancelled or checked in after it was found', async () => {
+    const checker = new GracePeriodChecker();
+    checker.connection = connectionExpiring(0);
+
+    const result = await checker.processExpiredReservation({ ...reservation, grace_minutes: 15 });
+
+    expect(result).toMatchObject({ success: true, skipped: true });
+    expect(checker.connection.execute.mock.calls[0][0]).toContain("booking_status = 'reserved'");
+    expect(statementsOn(checker.connection)).toHaveLength(1);
+    expect(recordStrike).not.toHaveBeenCalled();
+    expect(checker.connection.commit).not.toHaveBeenCalled();
+  });
+});
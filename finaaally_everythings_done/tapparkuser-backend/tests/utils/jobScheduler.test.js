@@ -0,0 +1,71 @@
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  execute: jest.fn(),
+  connect: jest.fn(),
+  connection: null
+}));
+
+const db = require('../../config/database');
+const { INSTANCE_ID, JobRunStatus, registerJob, runJob } = require('../../utils/jobScheduler');
+
+// Answers the lease check with each owner in turn, then keeps the last one
+const leaseOwners = (...owners) => {
+  let call = 0;
+  db.query.mockImplementation(async (sql) => {
+    if (sql.includes('FROM job_locks')) {
+      const owner = owners[Math.min(call++, owners.length - 1)];
+      return [{ locked_by: owner }];
+    }
+    return [];
+  });
+};
+
+const failingJob = (name) => {
+  const handler = jest.fn().mockRejectedValue(new Error('boom'));
+  registerJob({ name, intervalMs: 60 * 1000, handler, maxAttempts: 3, retryDelayMs: 0 });
+  return handler;
+};
+
+beforeEach(() => {
+  db.query.mockReset();
+  db.execute.mockReset().mockResolvedValue({ rows: [], affectedRows: 1, insertId: 1 });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('runJob', () => {
+  it('skips the run when another instance holds the lease', async () => {
+    const handler = jest.fn();
+    registerJob({ name: 'locked-job', intervalMs: 60 * 1000, handler });
+    leaseOwners('other-instance');
+
+    const outcome = await runJob('locked-job');
+
+    expect(outcome).toEqual({ ran: false, skipped: 'locked' });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('retries a failed attempt while it keeps the lease', async () => {
+    const handler = failingJob('retried-job');
+    leaseOwners(INSTANCE_ID);
+
+    const outcome = await runJob('retried-job');
+
+    expect(handler).toHaveBeenCalledTimes(3);
+    expect(outcome).toMatchObject({ ran: true, status: JobRunStatus.FAILED });
+  });
+
+  it('stops retrying once the lease is lost during the retry wait', async () => {
+    const handler = failingJob('lost-lease-job');
+    leaseOwners(INSTANCE_ID, 'other-instance');
+
+    const outcome = await runJob('lost-lease-job');
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(outcome).toMatchObject({ ran: true, status: JobRunStatus.FAILED, error: 'boom' });
+  });
+});
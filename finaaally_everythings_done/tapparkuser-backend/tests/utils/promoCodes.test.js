@@ -0,0 +1,116 @@
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  execute: jest.fn(),
+  connect: jest.fn(),
+  connection: null
+}));
+
+const db = require('../../config/database');
+const { quotePromoCode, checkOrderPromoCode } = require('../../utils/promoCodes');
+
+const PLAN = { plan_id: 2, cost: '50.00', number_of_hours: '20' };
+
+const promoRow = (overrides = {}) => ({
+  promo_code_id: 3,
+  code: 'WELCOME',
+  description: null,
+  discount_type: 'percent',
+  discount_value: '20',
+  is_active: 1,
+  not_started: 0,
+  ended: 0,
+  plan_restrictions: 0,
+  plan_allowed: 0,
+  first_purchase_only: 0,
+  max_redemptions: null,
+  max_redemptions_per_user: 1,
+  ...overrides
+});
+
+const usageRow = (overrides = {}) => ({ total_uses: 0, user_uses: 0, has_purchased: 0, has_pending_order: 0, ...overrides });
+
+// The code's row, then its usage
+const promoLookup = (promo, usage = usageRow()) => {
+  db.query.mockResolvedValueOnce([promo]).mockResolvedValueOnce([usage]);
+};
+
+const quote = (code = 'welcome') => quotePromoCode(code, { userId: 100, plan: PLAN });
+
+beforeEach(() => {
+  db.query.mockReset();
+});
+
+describe('quotePromoCode', () => {
+  it('takes a percentage off the plan', async () => {
+    promoLookup(promoRow());
+
+    const { quote: result } = await quote();
+
+    expect(result).toMatchObject({ code: 'WELCOME', originalAmount: 50, discountAmount: 10, amount: 40, bonusHours: 0 });
+    expect(db.query.mock.calls[0][1]).toEqual([2, 'WELCOME']);
+  });
+
+  it('never brings the price below the minimum charge', async () => {
+    promoLookup(promoRow({ discount_type: 'fixed', discount_value: '80' }));
+
+    const { quote: result } = await quote();
+
+    expect(result).toMatchObject({ discountAmount: 49, amount: 1 });
+  });
+
+  it('adds bonus hours without changing the price', async () => {
+    promoLookup(promoRow({ discount_type: 'bonus_hours', discount_value: '5' }));
+
+    const { quote: result } = await quote();
+
+    expect(result).toMatchObject({ amount: 50, bonusHours: 5, hours: 25 });
+  });
+
+  it('refuses a first-purchase code to a driver who has bought a plan', async () => {
+    promoLookup(promoRow({ first_purchase_only: 1 }), usageRow({ has_purchased: 1 }));
+
+    const result = await quote();
+
+    expect(result).toMatchObject({ quote: null, errorCode: 'PROMO_CODE_FIRST_PURCHASE_ONLY' });
+  });
+
+  it('refuses a first-purchase code while another order with a code waits for payment', async () => {
+    promoLookup(promoRow({ first_purchase_only: 1 }), usageRow({ has_pending_order: 1 }));
+
+    const result = await quote();
+
+    expect(result).toMatchObject({ quote: null, errorCode: 'PROMO_CODE_FIRST_PURCHASE_ONLY' });
+    expect(db.query.mock.calls[1][0]).toContain("status = 'reserved'");
+  });
+
+  it('counts reserved uses towards the caps', async () => {
+    promoLookup(promoRow({ max_redemptions: 10 }), usageRow({ total_uses: 10 }));
+
+    const result = await quote();
+
+    expect(result).toMatchObject({ quote: null, errorCode: 'PROMO_CODE_USED_UP' });
+    expect(db.query.mock.calls[1][0]).toContain("status IN ('reserved', 'redeemed')");
+  });
+
+  it('refuses a code that was switched off', async () => {
+    promoLookup(promoRow({ is_active: 0 }));
+
+    const result = await quote();
+
+    expect(result).toMatchObject({ quote: null, errorCode: 'PROMO_CODE_INVALID' });
+  });
+});
+
+describe('checkOrderPromoCode', () => {
+  it('passes an order without a code', async () => {
+    db.query.mockResolvedValueOnce([]);
+
+    expect(await checkOrderPromoCode('ORDER-1')).toEqual({});
+  });
+
+  it('flags a code that expired after the order was created', async () => {
+    db.query.mockResolvedValueOnce([{ code: 'WELCOME', is_active: 1, not_started: 0, ended: 1 }]);
+
+    expect(await checkOrderPromoCode('ORDER-1')).toMatchObject({ errorCode: 'PROMO_CODE_EXPIRED' });
+  });
+});
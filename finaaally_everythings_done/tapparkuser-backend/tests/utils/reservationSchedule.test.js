@@ -0,0 +1,104 @@
+jest.mock('../../config/database', () => ({
+  query: jest.fn(),
+  execute: jest.fn(),
+  connect: jest.fn(),
+  connection: null
+}));
+jest.mock('../../utils/notifications', () => ({
+  createNotification: jest.fn()
+}));
+jest.mock('../../utils/userLogger', () => ({
+  ...jest.requireActual('../../utils/userLogger'),
+  logUserActivity: jest.fn()
+}));
+jest.mock('../../utils/gracePeriod', () => ({
+  ...jest.requireActual('../../utils/gracePeriod'),
+  loadGracePeriodRules: jest.fn().mockResolvedValue([]),
+  gracePeriodMinutesForRow: jest.fn().mockReturnValue(15)
+}));
+
+const db = require('../../config/database');
+const { createNotification } = require('../../utils/notifications');
+const {
+  SCHEDULED_BOOKING_WALK_IN_HOURS,
+  countSectionOverlaps,
+  sectionWindowOccupancySql,
+  holdDueScheduledReservations
+} = require('../../utils/reservationSchedule');
+
+const HOUR_MS = 60 * 60 * 1000;
+const windowStartingIn = (hours) => {
+  const start = new Date(Date.now() + hours * HOUR_MS);
+  return { start, end: new Date(start.getTime() + 2 * HOUR_MS) };
+};
+
+describe('countSectionOverlaps', () => {
+  const connectionReturning = (row) => ({ execute: jest.fn().mockResolvedValue([[row]]) });
+
+  it('adds the walk-ins in the section for a window that starts soon', async () => {
+    const connection = connectionReturning({ scheduled_count: 2, walk_in_count: 3 });
+
+    const count = await countSectionOverlaps(connection, 5, windowStartingIn(SCHEDULED_BOOKING_WALK_IN_HOURS / 2));
+
+    expect(count).toBe(5);
+    expect(connection.execute.mock.calls[0][0]).toContain('ps.parked_count + ps.reserved_count');
+  });
+
+  it('leaves walk-ins out for a window further ahead', async () => {
+    const connection = connectionReturning({ scheduled_count: 2, walk_in_count: 0 });
+
+    const count = await countSectionOverlaps(connection, 5, windowStartingIn(SCHEDULED_BOOKING_WALK_IN_HOURS + 24));
+
+    expect(count).toBe(2);
+    expect(connection.execute.mock.calls[0][0]).not.toContain('ps.parked_count');
+  });
+});
+
+describe('sectionWindowOccupancySql', () => {
+  it('counts current occupancy only for windows that start soon', () => {
+    expect(sectionWindowOccupancySql(windowStartingIn(0.5))).toContain('ps.parked_count + ps.reserved_count');
+    expect(sectionWindowOccupancySql(windowStartingIn(48))).not.toContain('ps.parked_count');
+  });
+});
+
+describe('holdDueScheduledReservations', () => {
+  const reservation = {
+    reservation_id: 11,
+    user_id: 100,
+    parking_spots_id: 0,
+    parking_section_id: 4,
+    spot_number: 'M1-3',
+    scheduled_start_time: new Date(Date.now() - 20 * 60 * 1000),
+    scheduled_end_time: new Date(Date.now() + HOUR_MS)
+  };
+
+  afterEach(() => {
+    db.connection = null;
+  });
+
+  it('cancels a booking that could not be placed in time and notifies the driver', async () => {
+    // The section and every fallback stay full
+    const connection = {
+      beginTransaction: jest.fn(),
+      execute: jest.fn(async (sql) => (sql.startsWith('SELECT') ? [[]] : [{ affectedRows: 0 }])),
+      commit: jest.fn(),
+      rollback: jest.fn(),
+      release: jest.fn()
+    };
+    db.connection = {
+      getConnection: jest.fn().mockResolvedValue(connection),
+      execute: jest.fn()
+        .mockResolvedValueOnce([[reservation]])
+        .mockResolvedValueOnce([{ affectedRows: 1 }])
+    };
+
+    const result = await holdDueScheduledReservations();
+
+    expect(result).toEqual({ held: 0, cancelled: 1 });
+    expect(createNotification).toHaveBeenCalledWith(100, expect.objectContaining({
+      title: 'Booking cancelled',
+      push: true,
+      data: expect.objectContaining({ reservationId: 11 })
+    }));
+  });
+});
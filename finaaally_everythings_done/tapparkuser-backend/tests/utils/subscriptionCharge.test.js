@@ -0,0 +1,62 @@
+const { chargeSubscriptionHours } = require('../../utils/subscriptionCharge');
+const { fakeConnection } = require('../helpers/database');
+
+// Subscriptions in the order the charge query returns them (soonest-expiring first)
+const connectionWith = (subscriptions) => fakeConnection((sql) => (sql.startsWith('SELECT')
+  ? subscriptions
+  : { affectedRows: 1 }));
+
+const deductions = (connection) => connection.execute.mock.calls
+  .filter(([sql]) => sql.includes('UPDATE subscriptions'))
+  .map(([, params]) => [params[2], params[0]]);
+
+const penalties = (connection) => connection.execute.mock.calls
+  .filter(([sql]) => sql.includes('INSERT INTO penalty'))
+  .map(([, params]) => params[1]);
+
+describe('chargeSubscriptionHours', () => {
+  it('moves on to the next subscription when the soonest-expiring one runs out', async () => {
+    const connection = connectionWith([
+      { subscription_id: 1, hours_remaining: '1.5' },
+      { subscription_id: 2, hours_remaining: '10' }
+    ]);
+
+    const outcome = await chargeSubscriptionHours(connection, 100, 4);
+
+    expect(outcome).toEqual({ deductedHours: 4, penaltyHours: 0, subscriptionId: 1 });
+    expect(deductions(connection)).toEqual([[1, 1.5], [2, 2.5]]);
+    expect(penalties(connection)).toEqual([]);
+    expect(connection.execute.mock.calls[0][0]).not.toContain('LIMIT');
+  });
+
+  it('leaves later subscriptions alone once the hours are covered', async () => {
+    const connection = connectionWith([
+      { subscription_id: 1, hours_remaining: '5' },
+      { subscription_id: 2, hours_remaining: '10' }
+    ]);
+
+    await chargeSubscriptionHours(connection, 100, 2);
+
+    expect(deductions(connection)).toEqual([[1, 2]]);
+  });
+
+  it('records only what every subscription together can\'t cover as penalty hours', async () => {
+    const connection = connectionWith([
+      { subscription_id: 1, hours_remaining: '1' },
+      { subscription_id: 2, hours_remaining: '0.75' }
+    ]);
+
+    const outcome = await chargeSubscriptionHours(connection, 100, 3);
+
+    expect(outcome).toEqual({ deductedHours: 1.75, penaltyHours: 1.25, subscriptionId: 1 });
+    expect(penalties(connection)).toEqual([1.25]);
+  });
+
+  it('records the whole charge as penalty hours without a subscription', async () => {
+    const connection = connectionWith([]);
+
+    const outcome = await chargeSubscriptionHours(connection, 100, 0.5);
+
+    expect(outcome).toEqual({ deductedHours: 0, penaltyHours: 0.5, subscriptionId: null });
+  });
+});
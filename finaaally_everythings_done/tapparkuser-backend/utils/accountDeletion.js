@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const db = require('../config/database');
+const { revokeAllSessions } = require('./tokenService');
+const { logUserActivity, ActionTypes } = require('./userLogger');
+const { cancelAutoRenewal } = require('./autoRenewal');
+
+// Days between the deletion request and the actual anonymization; the user can cancel until then
+const ACCOUNT_DELETION_COOLING_OFF_DAYS = parseInt(process.env.ACCOUNT_DELETION_COOLING_OFF_DAYS) || 14;
+
+const PROFILE_PICTURE_DIR = path.join(__dirname, '../uploads/profile-pictures');
+
+// Bookings that still hold a spot; the account can't be closed while one exists
+const OPEN_BOOKING_STATUSES = ['reserved', 'active'];
+
+const countOpenBookings = async (userId) => {
+  const rows = await db.query(
+    `SELECT COUNT(*) as count FROM reservations
+     WHERE user_id = ? AND booking_status IN (${OPEN_BOOKING_STATUSES.map(() => '?').join(', ')})`,
+    [userId, ...OPEN_BOOKING_STATUSES]
+  );
+  return Number(rows[0].count) || 0;
+};
+
+/**
+ * Remove a user's personal data while keeping the rows that other records depend on.
+ * Reservations, payments and subscriptions stay (for revenue reports and occupancy history) but now point at
+ * an anonymous user; vehicles are deleted, which clears reservations.vehicle_id via ON DELETE SET NULL.
+ */
+const anonymizeAccount = async (userId) => {
+  const users = await db.query('SELECT profile_picture FROM users WHERE user_id = ? AND deleted_at IS NULL', [userId]);
+  if (users.length === 0) {
+    return false;
+  }
+
+  // Stop auto-renew and remove the saved PayPal account; the renewal job already skips accounts awaiting deletion
+  await cancelAutoRenewal(userId, 'account_deleted');
+
+  // Nobody knows this password, so the account can never be logged into again
+  const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+  await db.transaction([
+    {
+      sql: `UPDATE users
+            SET email = ?, first_name = 'Deleted', last_name = 'User', password = ?, profile_picture = NULL,
+                external_user_id = NULL, hour_balance = 0, status = 'inactive', is_online = 0,
+                verification_token = NULL, verification_expires_at = NULL,
+                two_factor_enabled = 0, two_factor_secret = NULL, two_factor_last_step = NULL,
+                deletion_scheduled_for = NULL, deleted_at = NOW()
+            WHERE user_id = ?`,
+      params: [`deleted-user-${userId}@deleted.invalid`, unusablePassword, userId]
+    },
+    { sql: 'UPDATE reservations SET QR = NULL WHERE user_id = ?', params: [userId] },
+    // Advance bookings that haven't started yet are given up
+    { sql: "UPDATE reservations SET booking_status = 'cancelled' WHERE user_id = ? AND booking_status = 'scheduled'", params: [userId] },
+    // So the recurring booking job stops placing bookings for the account (its vehicles are deleted below)
+    { sql: "UPDATE recurring_reservations SET status = 'cancelled' WHERE user_id = ? AND status = 'active'", params: [userId] },
+    { sql: 'UPDATE subscription_auto_renewals SET payer_email = NULL WHERE user_id = ?', params: [userId] },
+    { sql: 'DELETE FROM vehicles WHERE user_id = ?', params: [userId] },
+    { sql: 'DELETE FROM favorites WHERE user_id = ?', params: [userId] },
+    { sql: 'DELETE FROM notifications WHERE user_id = ?', params: [userId] },
+    { sql: "UPDATE feedback SET content = NULL, status = 'deleted' WHERE user_id = ?", params: [userId] },
+    { sql: "UPDATE feedback_comments SET comment = '[deleted]' WHERE user_id = ?", params: [userId] },
+    { sql: 'DELETE FROM two_factor_recovery_codes WHERE user_id = ?', params: [userId] },
+    { sql: 'DELETE FROM password_reset_tokens WHERE user_id = ?', params: [userId] },
+    { sql: 'DELETE FROM user_logs WHERE user_id = ?', params: [userId] },
+    {
+      sql: 'UPDATE user_sessions SET device_name = NULL, user_agent = NULL, ip_address = NULL WHERE user_id = ?',
+      params: [userId]
+    }
+  ]);
+
+  await revokeAllSessions(userId);
+
+  if (users[0].profile_picture) {
+    fs.promises.unlink(path.join(PROFILE_PICTURE_DIR, users[0].profile_picture)).catch(() => {});
+  }
+
+  await logUserActivity(userId, ActionTypes.ACCOUNT_DELETED, 'Account deleted and personal data anonymized');
+
+  return true;
+};
+
+let isDeletionRunRunning = false;
+
+// Anonymize every account whose cooling-off period has ended
+const processDueAccountDeletions = async () => {
+  if (isDeletionRunRunning) {
+    return 0;
+  }
+
+  isDeletionRunRunning = true;
+
+  try {
+    const dueUsers = await db.query(`
+      SELECT user_id FROM users
+      WHERE deletion_scheduled_for IS NOT NULL AND deletion_scheduled_for <= NOW() AND deleted_at IS NULL
+    `);
+
+    let deletedCount = 0;
+    for (const { user_id: userId } of dueUsers) {
+      try {
+        // Let a booking made during the cooling-off period finish first; picked up again on a later run
+        if (await countOpenBookings(userId) > 0) {
+          console.log(`⏳ Account #${userId} is due for deletion but still has an open booking`);
+          continue;
+        }
+
+        if (await anonymizeAccount(userId)) {
+          deletedCount++;
+          console.log(`🗑️ Deleted account #${userId} after cooling-off period`);
+        }
+      } catch (error) {
+        console.error(`❌ Failed to delete account #${userId}:`, error.message);
+      }
+    }
+
+    return deletedCount;
+  } finally {
+    isDeletionRunRunning = false;
+  }
+};
+
+module.exports = {
+  ACCOUNT_DELETION_COOLING_OFF_DAYS,
+  countOpenBookings,
+  anonymizeAccount,
+  processDueAccountDeletions
+};
@@ -0,0 +1,334 @@
+const db = require('../config/database');
+const paypal = require('../config/paypal');
+const { createNotification } = require('./notifications');
+const { logUserActivity, ActionTypes } = require('./userLogger');
+const { NOT_LAPSED_SQL } = require('./subscriptionExpiry');
+const { getOrderCapture, captureApprovedOrder, setTransactionStatus, activatePayPalOrder } = require('./paypalPayments');
+
+// Usable hours below which the plan is bought again, unless the driver picks their own threshold
+const AUTO_RENEW_DEFAULT_THRESHOLD_HOURS = parseFloat(process.env.AUTO_RENEW_DEFAULT_THRESHOLD_HOURS || '1');
+// Hours to wait before each retry of a failed renewal, e.g. "6,24,48"; auto-renew is turned off after the last one
+const AUTO_RENEW_RETRY_HOURS = (process.env.AUTO_RENEW_RETRY_HOURS || '6,24,48')
+  .split(',')
+  .map((hours) => parseFloat(hours))
+  .filter((hours) => hours > 0);
+// Hours after a renewal before the plan can be bought again, so hours that never climb back above the threshold
+// (e.g. penalties paid in hours) don't charge the driver on every run
+const AUTO_RENEW_COOLDOWN_HOURS = parseFloat(process.env.AUTO_RENEW_COOLDOWN_HOURS || '24');
+
+const AUTO_RENEWAL_SELECT_SQL = `
+  SELECT r.*, p.plan_name, p.cost, p.number_of_hours, p.validity_days
+  FROM subscription_auto_renewals r
+  JOIN plans p ON r.plan_id = p.plan_id`;
+
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+// What PayPal said went wrong, short enough for last_error
+const describePayPalError = (error) => {
+  const details = error.response?.data?.details?.[0];
+  const message = details ? `${details.issue}: ${details.description}` : error.response?.data?.message || error.message;
+  return String(message).slice(0, 255);
+};
+
+const getAutoRenewal = async (userId) => {
+  const rows = await db.query(`${AUTO_RENEWAL_SELECT_SQL} WHERE r.user_id = ?`, [userId]);
+  return rows[0] || null;
+};
+
+/**
+ * Start turning on auto-renew (or switching the PayPal account it charges): PayPal is asked for a setup token,
+ * which the driver approves at approvalUrl before confirmAutoRenewal saves their account. A setting that is
+ * already renewing keeps its current account until then.
+ * @returns {Promise<{setupTokenId: string, approvalUrl: string}>}
+ */
+const startAutoRenewalSetup = async (userId, { planId, hoursThreshold, returnUrl, cancelUrl }) => {
+  const setupToken = await paypal.createVaultSetupToken({ returnUrl, cancelUrl });
+  const approvalUrl = setupToken.links?.find((link) => link.rel === 'approve')?.href;
+
+  await db.execute(
+    `INSERT INTO subscription_auto_renewals (user_id, plan_id, hours_threshold, status, paypal_setup_token_id)
+     VALUES (?, ?, ?, 'pending_approval', ?)
+     ON DUPLICATE KEY UPDATE
+       plan_id = VALUES(plan_id),
+       hours_threshold = VALUES(hours_threshold),
+       paypal_setup_token_id = VALUES(paypal_setup_token_id),
+       status = IF(status IN ('active', 'past_due'), status, 'pending_approval'),
+       cancel_reason = IF(status IN ('active', 'past_due'), cancel_reason, NULL),
+       cancelled_at = IF(status IN ('active', 'past_due'), cancelled_at, NULL)`,
+    [userId, planId, hoursThreshold, setupToken.id]
+  );
+
+  return { setupTokenId: setupToken.id, approvalUrl };
+};
+
+/**
+ * Save the PayPal account the driver approved and turn auto-renew on. A past-due setting starts over with the new
+ * account, and the account it charged before is removed from the vault.
+ * @returns {Promise<Object|null>} The setting, or null if setupTokenId isn't the driver's latest setup
+ */
+const confirmAutoRenewal = async (userId, setupTokenId) => {
+  const renewal = await getAutoRenewal(userId);
+  if (!renewal || renewal.paypal_setup_token_id !== setupTokenId) {
+    return null;
+  }
+
+  const paymentToken = await paypal.createVaultPaymentToken(setupTokenId);
+  const payerEmail = paymentToken.payment_source?.paypal?.email_address || null;
+
+  await db.execute(
+    `UPDATE subscription_auto_renewals
+     SET status = 'active', paypal_payment_token_id = ?, paypal_setup_token_id = NULL, payer_email = ?,
+         failed_attempts = 0, next_attempt_at = NULL, last_error = NULL, cancel_reason = NULL, cancelled_at = NULL
+     WHERE auto_renewal_id = ?`,
+    [paymentToken.id, payerEmail, renewal.auto_renewal_id]
+  );
+
+  if (renewal.paypal_payment_token_id && renewal.paypal_payment_token_id !== paymentToken.id) {
+    paypal.deleteVaultPaymentToken(renewal.paypal_payment_token_id).catch(() => {});
+  }
+
+  await logUserActivity(
+    userId,
+    ActionTypes.SUBSCRIPTION_AUTO_RENEW_ON,
+    `Auto-renew turned on: ${renewal.plan_name} when below ${parseFloat(renewal.hours_threshold)} hours`,
+    renewal.auto_renewal_id
+  );
+
+  return getAutoRenewal(userId);
+};
+
+// Change the plan or threshold of a setting that is on, without approving the PayPal account again
+const updateAutoRenewal = async (userId, { planId, hoursThreshold }) => {
+  const result = await db.execute(
+    `UPDATE subscription_auto_renewals
+     SET plan_id = COALESCE(?, plan_id), hours_threshold = COALESCE(?, hours_threshold)
+     WHERE user_id = ? AND status IN ('active', 'past_due')`,
+    [planId ?? null, hoursThreshold ?? null, userId]
+  );
+  return result.affectedRows > 0 ? getAutoRenewal(userId) : null;
+};
+
+/**
+ * Turn auto-renew off and remove the saved PayPal account from the vault.
+ * @param {'user'|'payment_failed'|'account_deleted'} reason
+ * @returns {Promise<boolean>} false if it wasn't on
+ */
+const cancelAutoRenewal = async (userId, reason = 'user') => {
+  const renewal = await getAutoRenewal(userId);
+  if (!renewal || renewal.status === 'cancelled') {
+    return false;
+  }
+
+  await db.execute(
+    `UPDATE subscription_auto_renewals
+     SET status = 'cancelled', cancel_reason = ?, cancelled_at = NOW(), next_attempt_at = NULL,
+         paypal_setup_token_id = NULL, paypal_payment_token_id = NULL
+     WHERE auto_renewal_id = ?`,
+    [reason, renewal.auto_renewal_id]
+  );
+
+  if (renewal.paypal_payment_token_id) {
+    paypal.deleteVaultPaymentToken(renewal.paypal_payment_token_id).catch(() => {});
+  }
+
+  await logUserActivity(
+    userId,
+    ActionTypes.SUBSCRIPTION_AUTO_RENEW_OFF,
+    reason === 'payment_failed'
+      ? `Auto-renew turned off after ${renewal.failed_attempts} failed renewals: ${renewal.plan_name}`
+      : `Auto-renew turned off: ${renewal.plan_name}`,
+    renewal.auto_renewal_id
+  );
+
+  return true;
+};
+
+// Count a failed renewal and schedule the next retry, or give up once AUTO_RENEW_RETRY_HOURS is used up
+const recordRenewalFailure = async (renewal, reason) => {
+  const failedAttempts = renewal.failed_attempts + 1;
+  const retryHours = AUTO_RENEW_RETRY_HOURS[failedAttempts - 1];
+  console.warn(`⚠️ Auto-renew #${renewal.auto_renewal_id} for user ${renewal.user_id} failed (attempt ${failedAttempts}): ${reason}`);
+
+  if (retryHours === undefined) {
+    await db.execute(
+      'UPDATE subscription_auto_renewals SET failed_attempts = ?, last_error = ? WHERE auto_renewal_id = ?',
+      [failedAttempts, reason, renewal.auto_renewal_id]
+    );
+    await cancelAutoRenewal(renewal.user_id, 'payment_failed');
+    await createNotification(renewal.user_id, {
+      title: 'Auto-renew turned off',
+      message: `We couldn't charge your PayPal account for ${renewal.plan_name} after ${failedAttempts} tries, so auto-renew is off. Buy a plan or turn auto-renew on again to keep parking.`,
+      type: 'error',
+      data: { autoRenewalId: renewal.auto_renewal_id, planId: renewal.plan_id },
+      push: true
+    });
+    return 'stopped';
+  }
+
+  await db.execute(
+    `UPDATE subscription_auto_renewals
+     SET status = 'past_due', failed_attempts = ?, last_error = ?,
+         next_attempt_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+     WHERE auto_renewal_id = ?`,
+    [failedAttempts, reason, Math.round(retryHours * 60), renewal.auto_renewal_id]
+  );
+  const nextAttemptAt = new Date(Date.now() + retryHours * 60 * 60 * 1000);
+  await createNotification(renewal.user_id, {
+    title: 'Plan renewal failed',
+    message: `We couldn't charge your PayPal account ₱${renewal.cost} for ${renewal.plan_name}. We'll try again on ${formatDateTime(nextAttemptAt)}; you can also update your PayPal account or turn auto-renew off in the app.`,
+    type: 'warning',
+    data: { autoRenewalId: renewal.auto_renewal_id, planId: renewal.plan_id, nextAttemptAt },
+    push: true
+  });
+  return 'failed';
+};
+
+// Hold off a renewal that is due again within AUTO_RENEW_COOLDOWN_HOURS of the last one, until the cooldown ends
+const deferRenewal = async (renewal) => {
+  await db.execute(
+    `UPDATE subscription_auto_renewals
+     SET next_attempt_at = DATE_ADD(last_renewed_at, INTERVAL ? MINUTE)
+     WHERE auto_renewal_id = ?`,
+    [Math.round(AUTO_RENEW_COOLDOWN_HOURS * 60), renewal.auto_renewal_id]
+  );
+  const nextAttemptAt = new Date(new Date(renewal.last_renewed_at).getTime() + AUTO_RENEW_COOLDOWN_HOURS * 60 * 60 * 1000);
+  console.log(`⏸️ Auto-renew #${renewal.auto_renewal_id}: renewed less than ${AUTO_RENEW_COOLDOWN_HOURS} hours ago, waiting until ${nextAttemptAt.toISOString()}`);
+  await createNotification(renewal.user_id, {
+    title: 'Plan renewal on hold',
+    message: `Your hours dropped below ${parseFloat(renewal.hours_threshold)} again within ${AUTO_RENEW_COOLDOWN_HOURS} hours of renewing ${renewal.plan_name}, so your PayPal account wasn't charged. Auto-renew will check again on ${formatDateTime(nextAttemptAt)}; buy a plan if you need hours before then.`,
+    type: 'warning',
+    data: { autoRenewalId: renewal.auto_renewal_id, planId: renewal.plan_id, nextAttemptAt },
+    push: true
+  });
+  return 'deferred';
+};
+
+/**
+ * Buy the driver's auto-renew plan again through their saved PayPal account. The order is recorded in
+ * paypal_transactions and activated like a checkout, so the webhook and reconciliation can finish it too. The
+ * PayPal request ID is derived from the renewal and attempt, so a run that died halfway gets the same order back
+ * instead of charging again.
+ * @returns {Promise<'renewed'|'pending'|'failed'|'stopped'>}
+ */
+const renewSubscription = async (renewal) => {
+  const requestId = `auto-renew-${renewal.auto_renewal_id}-${renewal.renewal_count + 1}-${renewal.failed_attempts}`;
+  let order;
+  try {
+    order = await paypal.createVaultedOrder(renewal.cost, 'USD', {
+      vaultId: renewal.paypal_payment_token_id,
+      requestId
+    });
+  } catch (error) {
+    return recordRenewalFailure(renewal, describePayPalError(error));
+  }
+
+  await db.execute(
+    `INSERT IGNORE INTO paypal_transactions (user_id, plan_id, paypal_order_id, amount, status, auto_renewal_id, created_at)
+     VALUES (?, ?, ?, ?, 'created', ?, NOW())`,
+    [renewal.user_id, renewal.plan_id, order.id, renewal.cost, renewal.auto_renewal_id]
+  );
+
+  try {
+    if (order.status === 'APPROVED') {
+      order = await captureApprovedOrder(order.id);
+    }
+  } catch (error) {
+    await setTransactionStatus(order.id, 'failed');
+    return recordRenewalFailure(renewal, describePayPalError(error));
+  }
+
+  const capture = getOrderCapture(order);
+  const captureStatus = capture ? capture.status : order.status;
+
+  if (captureStatus !== 'COMPLETED' && captureStatus !== 'PENDING') {
+    await setTransactionStatus(order.id, 'failed');
+    return recordRenewalFailure(renewal, `Payment ${String(captureStatus).toLowerCase()}`);
+  }
+
+  await db.execute(
+    `UPDATE subscription_auto_renewals
+     SET status = 'active', renewal_count = renewal_count + 1, last_renewed_at = NOW(),
+         failed_attempts = 0, next_attempt_at = NULL, last_error = NULL
+     WHERE auto_renewal_id = ?`,
+    [renewal.auto_renewal_id]
+  );
+
+  if (captureStatus === 'PENDING') {
+    // PayPal is reviewing the payment; the webhook or reconciliation activates it and notifies the driver
+    await setTransactionStatus(order.id, 'approved');
+    console.log(`⏳ Auto-renew #${renewal.auto_renewal_id}: PayPal order ${order.id} is pending review`);
+    await createNotification(renewal.user_id, {
+      title: 'Plan renewal in review',
+      message: `Your ${renewal.plan_name} renewal of ₱${renewal.cost} is being reviewed by PayPal. The hours will be added as soon as it is confirmed.`,
+      type: 'info',
+      data: { autoRenewalId: renewal.auto_renewal_id, orderId: order.id },
+      push: true
+    });
+    return 'pending';
+  }
+
+  const activation = await activatePayPalOrder(order.id, { captureId: capture ? capture.id : null });
+  await logUserActivity(
+    renewal.user_id,
+    ActionTypes.SUBSCRIPTION_RENEW,
+    `Subscription auto-renewed via PayPal: ${renewal.plan_name} - ${renewal.number_of_hours} hours for ₱${renewal.cost}`,
+    activation.subscriptionId
+  );
+  await createNotification(renewal.user_id, {
+    title: 'Plan renewed',
+    message: `Your hours were running low, so ${renewal.plan_name} was renewed: ${parseFloat(renewal.number_of_hours)} hours added and ₱${renewal.cost} charged to your PayPal account.`,
+    type: 'success',
+    data: { autoRenewalId: renewal.auto_renewal_id, subscriptionId: activation.subscriptionId, orderId: order.id },
+    push: true
+  });
+  return 'renewed';
+};
+
+/**
+ * Renew the plan of every driver with auto-renew on whose usable hours (active, not past their expiry) have dropped
+ * below their threshold, which includes a plan period ending. Past-due settings are retried once next_attempt_at
+ * has passed, and drivers with a renewal still pending at PayPal are skipped. A driver renewed within
+ * AUTO_RENEW_COOLDOWN_HOURS isn't charged again; they are notified and checked once the cooldown ends.
+ * @returns {Promise<{checked: number, renewed: number, pending: number, deferred: number, failed: number, stopped: number}>}
+ */
+const processAutoRenewals = async () => {
+  const due = await db.query(
+    `${AUTO_RENEWAL_SELECT_SQL}
+     JOIN users u ON r.user_id = u.user_id
+     WHERE r.status IN ('active', 'past_due') AND r.paypal_payment_token_id IS NOT NULL
+       AND (r.next_attempt_at IS NULL OR r.next_attempt_at <= NOW())
+       AND u.deleted_at IS NULL AND u.deletion_scheduled_for IS NULL
+       AND (SELECT COALESCE(SUM(s.hours_remaining), 0) FROM subscriptions s
+            WHERE s.user_id = r.user_id AND s.status = 'active' AND ${NOT_LAPSED_SQL}) < r.hours_threshold
+       AND NOT EXISTS (SELECT 1 FROM paypal_transactions pt
+                       WHERE pt.auto_renewal_id = r.auto_renewal_id AND pt.status IN ('created', 'approved'))
+     ORDER BY r.auto_renewal_id
+     LIMIT 50`
+  );
+  const summary = { checked: due.length, renewed: 0, pending: 0, deferred: 0, failed: 0, stopped: 0 };
+  const cooldownMs = AUTO_RENEW_COOLDOWN_HOURS * 60 * 60 * 1000;
+
+  for (const renewal of due) {
+    try {
+      const coolingDown = renewal.last_renewed_at && Date.now() - new Date(renewal.last_renewed_at).getTime() < cooldownMs;
+      const outcome = coolingDown ? await deferRenewal(renewal) : await renewSubscription(renewal);
+      summary[outcome]++;
+    } catch (error) {
+      console.error(`❌ Auto-renew #${renewal.auto_renewal_id} failed:`, error.response?.data || error.message);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  AUTO_RENEW_DEFAULT_THRESHOLD_HOURS,
+  AUTO_RENEW_RETRY_HOURS,
+  getAutoRenewal,
+  startAutoRenewalSetup,
+  confirmAutoRenewal,
+  updateAutoRenewal,
+  cancelAutoRenewal,
+  processAutoRenewals
+};
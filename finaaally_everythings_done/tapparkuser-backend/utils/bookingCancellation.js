@@ -0,0 +1,106 @@
+const { SCHEDULED_BOOKING_HOLD_MINUTES } = require('./reservationSchedule');
+const { StrikeReasons, recordStrike } = require('./noShowStrikes');
+const { chargeSubscriptionHours } = require('./subscriptionCharge');
+
+// Drivers can cancel for free this many minutes after their spot starts being held (0 = never free once held)
+const CANCELLATION_FREE_MINUTES = Number.isNaN(parseInt(process.env.CANCELLATION_FREE_MINUTES, 10))
+  ? 5
+  : parseInt(process.env.CANCELLATION_FREE_MINUTES, 10);
+// What a later cancellation costs: 'fee' (subscription hours), 'strike' (a no-show strike) or 'none'
+const CANCELLATION_LATE_POLICY = ['fee', 'strike', 'none'].includes(process.env.CANCELLATION_LATE_POLICY)
+  ? process.env.CANCELLATION_LATE_POLICY
+  : 'fee';
+const CANCELLATION_FEE_HOURS = Number.isNaN(parseFloat(process.env.CANCELLATION_FEE_HOURS))
+  ? 0.5
+  : parseFloat(process.env.CANCELLATION_FEE_HOURS);
+
+// Bookings a driver can still cancel; active sessions are ended by the attendant instead
+const CANCELLABLE_BOOKING_STATUSES = ['scheduled', 'reserved'];
+
+/**
+ * What cancelling a booking right now would cost (policy/feeHours) and what it will cost once the free window
+ * ends (latePolicy/lateFeeHours).
+ * Scheduled bookings don't hold anything yet and are always free; otherwise the free window starts when the spot
+ * started being held (at booking time, or SCHEDULED_BOOKING_HOLD_MINUTES before a scheduled start).
+ * @returns {{free: boolean, freeUntil: Date|null, policy: string, feeHours: number, latePolicy: string, lateFeeHours: number}}
+ */
+const getCancellationTerms = (reservation, now = new Date()) => {
+  if (reservation.booking_status === 'scheduled') {
+    return { free: true, freeUntil: null, policy: 'none', feeHours: 0, latePolicy: 'none', lateFeeHours: 0 };
+  }
+
+  let heldSince = new Date(reservation.time_stamp);
+  if (reservation.scheduled_start_time) {
+    const holdStart = new Date(new Date(reservation.scheduled_start_time).getTime() - SCHEDULED_BOOKING_HOLD_MINUTES * 60 * 1000);
+    heldSince = holdStart > heldSince ? holdStart : heldSince;
+  }
+
+  const freeUntil = new Date(heldSince.getTime() + CANCELLATION_FREE_MINUTES * 60 * 1000);
+  const lateFeeHours = CANCELLATION_LATE_POLICY === 'fee' ? CANCELLATION_FEE_HOURS : 0;
+  const free = now <= freeUntil || CANCELLATION_LATE_POLICY === 'none';
+
+  return {
+    free,
+    freeUntil,
+    policy: free ? 'none' : CANCELLATION_LATE_POLICY,
+    feeHours: free ? 0 : lateFeeHours,
+    latePolicy: CANCELLATION_LATE_POLICY,
+    lateFeeHours
+  };
+};
+
+// Give back the spot or the unit of section capacity a reserved booking holds; scheduled ones hold nothing yet
+const releaseReservationHold = async (connection, reservation) => {
+  if (reservation.booking_status !== 'reserved') {
+    return;
+  }
+
+  if (reservation.parking_spots_id === 0 && reservation.parking_section_id) {
+    await connection.execute(
+      'UPDATE parking_section SET reserved_count = GREATEST(0, reserved_count - 1) WHERE parking_section_id = ?',
+      [reservation.parking_section_id]
+    );
+    return;
+  }
+
+  await connection.execute(
+    "UPDATE parking_spot SET status = 'available' WHERE parking_spot_id = ? AND status = 'reserved'",
+    [reservation.parking_spots_id]
+  );
+};
+
+/**
+ * Charge the late-cancellation fee or record a strike, inside the cancellation transaction (call
+ * enforceStrikeThreshold after it commits when a strike was recorded).
+ * The fee comes out of the driver's subscriptions like a parking charge (see chargeSubscriptionHours).
+ * @returns {{feeHours: number, deductedHours: number, penaltyHours: number, strike: boolean}}
+ */
+const applyCancellationPolicy = async (connection, reservation, terms) => {
+  const outcome = { feeHours: terms.feeHours, deductedHours: 0, penaltyHours: 0, strike: false };
+
+  if (terms.policy === 'strike') {
+    await recordStrike(connection, reservation.user_id, reservation.reservation_id, StrikeReasons.LATE_CANCELLATION);
+    outcome.strike = true;
+    return outcome;
+  }
+
+  if (terms.feeHours <= 0) {
+    return outcome;
+  }
+
+  const { deductedHours, penaltyHours } = await chargeSubscriptionHours(connection, reservation.user_id, terms.feeHours);
+  outcome.deductedHours = deductedHours;
+  outcome.penaltyHours = penaltyHours;
+
+  return outcome;
+};
+
+module.exports = {
+  CANCELLATION_FREE_MINUTES,
+  CANCELLATION_LATE_POLICY,
+  CANCELLATION_FEE_HOURS,
+  CANCELLABLE_BOOKING_STATUSES,
+  getCancellationTerms,
+  releaseReservationHold,
+  applyCancellationPolicy
+};
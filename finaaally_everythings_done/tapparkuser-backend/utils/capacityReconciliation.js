@@ -0,0 +1,163 @@
+const db = require('../config/database');
+
+// Let the scheduled run fix the mismatches it finds instead of only recording them
+const CAPACITY_RECONCILE_AUTO_CORRECT = process.env.CAPACITY_RECONCILE_AUTO_CORRECT === 'true';
+
+const getPool = async () => {
+  if (!db.connection) {
+    await db.connect();
+  }
+  return db.connection;
+};
+
+/**
+ * What a capacity section's counters should be, read on the caller's connection: reserved bookings and waitlist
+ * offers holding a unit of the section, and active sessions parked in it. Only capacity bookings
+ * (parking_spots_id = 0) use the counters; bookings of a real spot hold the spot itself.
+ */
+const countActualUsage = async (connection, sectionId) => {
+  const [[usage]] = await connection.execute(
+    `SELECT
+       (SELECT COUNT(*) FROM reservations
+        WHERE parking_section_id = ? AND parking_spots_id = 0 AND booking_status = 'reserved')
+       + (SELECT COUNT(*) FROM waitlist_entries
+          WHERE offered_section_id = ? AND offered_spot_id IS NULL AND status = 'offered') AS reserved_count,
+       (SELECT COUNT(*) FROM reservations
+        WHERE parking_section_id = ? AND parking_spots_id = 0 AND booking_status = 'active') AS parked_count`,
+    [sectionId, sectionId, sectionId]
+  );
+  return { reserved: Number(usage.reserved_count), parked: Number(usage.parked_count) };
+};
+
+/**
+ * Compare one section's parked_count/reserved_count with its bookings, with the section row locked so bookings
+ * in flight can't change the counts mid-check. Mismatches are recorded in capacity_reconciliations and, with
+ * correct, fixed in the same transaction.
+ * @returns {Promise<Object|null>} The discrepancy, or null if the counters are right
+ */
+const reconcileSection = async (pool, section, { correct, correctedBy, source }) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [locked] = await connection.execute(
+      'SELECT reserved_count, parked_count FROM parking_section WHERE parking_section_id = ? FOR UPDATE',
+      [section.parking_section_id]
+    );
+    const recorded = { reserved: Number(locked[0].reserved_count), parked: Number(locked[0].parked_count) };
+    const actual = await countActualUsage(connection, section.parking_section_id);
+
+    if (recorded.reserved === actual.reserved && recorded.parked === actual.parked) {
+      await connection.commit();
+      return null;
+    }
+
+    if (correct) {
+      await connection.execute(
+        'UPDATE parking_section SET reserved_count = ?, parked_count = ? WHERE parking_section_id = ?',
+        [actual.reserved, actual.parked, section.parking_section_id]
+      );
+    }
+
+    const [audit] = await connection.execute(
+      `INSERT INTO capacity_reconciliations
+         (parking_section_id, recorded_reserved_count, recorded_parked_count, actual_reserved_count, actual_parked_count,
+          corrected, corrected_by, source)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [section.parking_section_id, recorded.reserved, recorded.parked, actual.reserved, actual.parked,
+        correct ? 1 : 0, correct ? correctedBy : null, source]
+    );
+
+    await connection.commit();
+
+    console.log(`🧮 Section #${section.parking_section_id} (${section.section_name}): reserved ${recorded.reserved} -> ${actual.reserved}, parked ${recorded.parked} -> ${actual.parked}${correct ? ' (corrected)' : ''}`);
+    return {
+      reconciliationId: audit.insertId,
+      sectionId: section.parking_section_id,
+      sectionName: section.section_name,
+      areaId: section.parking_area_id,
+      recorded,
+      actual,
+      corrected: correct
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Check the counters of every capacity section (or only those of areaId / sectionId).
+ * @param {{correct?: boolean, correctedBy?: number|null, source?: 'schedule'|'manual', areaId?: number, sectionId?: number}} options
+ * @returns {Promise<{checked: number, discrepancies: Object[], corrected: number}>}
+ */
+const reconcileCapacityCounts = async ({
+  correct = CAPACITY_RECONCILE_AUTO_CORRECT,
+  correctedBy = null,
+  source = 'schedule',
+  areaId = null,
+  sectionId = null
+} = {}) => {
+  const pool = await getPool();
+  const [sections] = await pool.execute(
+    `SELECT parking_section_id, section_name, parking_area_id
+     FROM parking_section
+     WHERE section_mode = 'capacity_only'
+       AND (? IS NULL OR parking_area_id = ?)
+       AND (? IS NULL OR parking_section_id = ?)
+     ORDER BY parking_section_id`,
+    [areaId, areaId, sectionId, sectionId]
+  );
+
+  const discrepancies = [];
+  for (const section of sections) {
+    try {
+      const discrepancy = await reconcileSection(pool, section, { correct, correctedBy, source });
+      if (discrepancy) {
+        discrepancies.push(discrepancy);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to reconcile section #${section.parking_section_id}:`, error.message);
+    }
+  }
+
+  return {
+    checked: sections.length,
+    discrepancies,
+    corrected: discrepancies.filter((discrepancy) => discrepancy.corrected).length
+  };
+};
+
+// Recent entries of the audit trail, newest first
+const getReconciliationHistory = async ({ sectionId = null, limit = 50 } = {}) => {
+  const rows = await db.query(
+    `SELECT cr.*, ps.section_name, ps.parking_area_id
+     FROM capacity_reconciliations cr
+     JOIN parking_section ps ON ps.parking_section_id = cr.parking_section_id
+     WHERE (? IS NULL OR cr.parking_section_id = ?)
+     ORDER BY cr.reconciliation_id DESC
+     LIMIT ${Math.min(Math.max(parseInt(limit) || 50, 1), 200)}`,
+    [sectionId, sectionId]
+  );
+
+  return rows.map((row) => ({
+    reconciliationId: row.reconciliation_id,
+    sectionId: row.parking_section_id,
+    sectionName: row.section_name,
+    areaId: row.parking_area_id,
+    recorded: { reserved: row.recorded_reserved_count, parked: row.recorded_parked_count },
+    actual: { reserved: row.actual_reserved_count, parked: row.actual_parked_count },
+    corrected: !!row.corrected,
+    correctedBy: row.corrected_by,
+    source: row.source,
+    createdAt: row.created_at
+  }));
+};
+
+module.exports = {
+  CAPACITY_RECONCILE_AUTO_CORRECT,
+  reconcileCapacityCounts,
+  getReconciliationHistory
+};
@@ -0,0 +1,117 @@
+const db = require('../config/database');
+const { createZip } = require('./zipArchive');
+
+// Everything we hold about a user, one entry per file in the ZIP bundle.
+// Secrets (password hash, 2FA secret, token hashes) are never exported.
+const EXPORT_SECTIONS = {
+  profile: `
+    SELECT u.user_id, u.email, u.first_name, u.last_name, u.profile_picture, u.hour_balance,
+           t.account_type_name, u.is_verified, u.status, u.created_at, u.updated_at, u.last_activity_at
+    FROM users u
+    LEFT JOIN types t ON u.user_type_id = t.type_id
+    WHERE u.user_id = ?
+  `,
+  vehicles: `
+    SELECT vehicle_id, vehicle_type, brand, model, color, plate_number
+    FROM vehicles
+    WHERE user_id = ?
+  `,
+  reservations: `
+    SELECT r.reservation_id, r.vehicle_id, pa.parking_area_name, r.spot_number, r.booking_status,
+           r.time_stamp, r.scheduled_start_time, r.scheduled_end_time, r.start_time, r.end_time, r.waiting_end_time,
+           r.created_at, r.updated_at
+    FROM reservations r
+    LEFT JOIN parking_spot ps ON r.parking_spots_id = ps.parking_spot_id
+    LEFT JOIN parking_section sec ON COALESCE(r.parking_section_id, ps.parking_section_id) = sec.parking_section_id
+    LEFT JOIN parking_area pa ON sec.parking_area_id = pa.parking_area_id
+    WHERE r.user_id = ?
+    ORDER BY r.time_stamp DESC
+  `,
+  subscriptions: `
+    SELECT s.subscription_id, p.plan_name, s.status, s.purchase_date, s.hours_remaining, s.hours_used
+    FROM subscriptions s
+    LEFT JOIN plans p ON s.plan_id = p.plan_id
+    WHERE s.user_id = ?
+    ORDER BY s.purchase_date DESC
+  `,
+  payments: `
+    SELECT p.payment_id, p.amount, p.status, p.description, p.reference_number, p.payment_type,
+           pm.method_name as payment_method, p.subscription_id, p.payment_date
+    FROM payments p
+    LEFT JOIN payment_method pm ON p.payment_method_id = pm.id
+    WHERE p.user_id = ?
+    ORDER BY p.payment_date DESC
+  `,
+  paypalTransactions: `
+    SELECT id, plan_id, paypal_order_id, capture_id, amount, status, created_at, updated_at
+    FROM paypal_transactions
+    WHERE user_id = ?
+    ORDER BY created_at DESC
+  `,
+  feedback: `
+    SELECT feedback_id, subscription_id, rating, content, status, created_at
+    FROM feedback
+    WHERE user_id = ?
+    ORDER BY created_at DESC
+  `,
+  feedbackComments: `
+    SELECT feedback_comment_id, feedback_id, role, comment, created_at
+    FROM feedback_comments
+    WHERE user_id = ?
+    ORDER BY created_at DESC
+  `,
+  favorites: `
+    SELECT favorites_id, parking_spot_id, created_at
+    FROM favorites
+    WHERE user_id = ?
+  `,
+  notifications: `
+    SELECT id, title, message, type, is_read, created_at
+    FROM notifications
+    WHERE user_id = ?
+    ORDER BY created_at DESC
+  `,
+  sessions: `
+    SELECT device_name, platform, user_agent, ip_address, created_at, last_seen_at, revoked_at
+    FROM user_sessions
+    WHERE user_id = ?
+    ORDER BY created_at DESC
+  `,
+  activityLog: `
+    SELECT logs_id, action_type, change_field, description, timestamp
+    FROM user_logs
+    WHERE user_id = ?
+    ORDER BY timestamp DESC
+  `
+};
+
+const buildDataExport = async (userId) => {
+  const data = {};
+  for (const [section, sql] of Object.entries(EXPORT_SECTIONS)) {
+    data[section] = await db.query(sql, [userId]);
+  }
+  data.profile = data.profile[0] || null;
+
+  return {
+    exportedAt: new Date().toISOString(),
+    userId,
+    data
+  };
+};
+
+// One JSON file per section so the bundle is easy to browse
+const buildDataExportZip = (dataExport) => createZip([
+  {
+    name: 'export-info.json',
+    content: JSON.stringify({ exportedAt: dataExport.exportedAt, userId: dataExport.userId }, null, 2)
+  },
+  ...Object.entries(dataExport.data).map(([section, rows]) => ({
+    name: `${section}.json`,
+    content: JSON.stringify(rows, null, 2)
+  }))
+]);
+
+module.exports = {
+  buildDataExport,
+  buildDataExportZip
+};
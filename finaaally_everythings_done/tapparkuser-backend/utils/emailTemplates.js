@@ -0,0 +1,63 @@
+// Email templates. Each returns { subject, text, html } ready for sendMail().
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const layout = (title, bodyHtml) => `
+<div style="font-family: Arial, sans-serif; max-width: 480px; margin: 0 auto; color: #1F2937;">
+  <h2 style="color: #800000;">${escapeHtml(title)}</h2>
+  ${bodyHtml}
+  <p style="color: #6B7280; font-size: 12px; margin-top: 32px;">Tappark - Park with ease!</p>
+</div>`;
+
+const codeBlock = (code) =>
+  `<p style="font-size: 28px; font-weight: bold; letter-spacing: 4px; color: #800000;">${escapeHtml(code)}</p>`;
+
+const passwordResetEmail = ({ firstName, code, expiresMinutes }) => ({
+  subject: 'Reset your Tappark password',
+  text: [
+    `Hi ${firstName || 'there'},`,
+    '',
+    'We received a request to reset your Tappark password.',
+    `Enter this code in the app to choose a new password: ${code}`,
+    '',
+    `The code expires in ${expiresMinutes} minutes and can only be used once.`,
+    'If you did not request a password reset, you can ignore this email.'
+  ].join('\n'),
+  html: layout('Reset your password', `
+  <p>Hi ${escapeHtml(firstName || 'there')},</p>
+  <p>We received a request to reset your Tappark password. Enter this code in the app to choose a new password:</p>
+  ${codeBlock(code)}
+  <p>The code expires in ${expiresMinutes} minutes and can only be used once.</p>
+  <p>If you did not request a password reset, you can ignore this email.</p>`)
+});
+
+const verificationEmail = ({ firstName, verifyUrl, expiresHours }) => ({
+  subject: 'Verify your Tappark email address',
+  text: [
+    `Hi ${firstName || 'there'},`,
+    '',
+    'Welcome to Tappark! Please confirm your email address by opening this link:',
+    verifyUrl,
+    '',
+    `The link expires in ${expiresHours} hours. You need a verified email to reserve parking.`
+  ].join('\n'),
+  html: layout('Verify your email', `
+  <p>Hi ${escapeHtml(firstName || 'there')},</p>
+  <p>Welcome to Tappark! Please confirm your email address:</p>
+  <p>
+    <a href="${escapeHtml(verifyUrl)}"
+       style="display: inline-block; background: #800000; color: #FFFFFF; padding: 12px 24px; border-radius: 8px; text-decoration: none;">
+      Verify Email
+    </a>
+  </p>
+  <p>The link expires in ${expiresHours} hours. You need a verified email to reserve parking.</p>`)
+});
+
+module.exports = {
+  passwordResetEmail,
+  verificationEmail
+};
@@ -0,0 +1,172 @@
+const db = require('../config/database');
+
+// Used when no rule in grace_period_rules matches a reservation
+const DEFAULT_GRACE_PERIOD_MINUTES = parseInt(process.env.GRACE_PERIOD_MINUTES) || 15;
+
+// When the check-in window of reservation alias r opens: booking time for "park now", scheduled start otherwise
+const GRACE_START_SQL = 'COALESCE(r.scheduled_start_time, r.time_stamp)';
+
+// What resolveGracePeriodMinutes needs about reservation alias r, joined to its spot ps (if any) and section psec
+const GRACE_RULE_COLUMNS_SQL = `
+  psec.parking_area_id AS grace_area_id,
+  LOWER(COALESCE(ps.spot_type, psec.vehicle_type)) AS grace_vehicle_type,
+  TIME(${GRACE_START_SQL}) AS grace_start_time,
+  TIMESTAMPDIFF(MINUTE, ${GRACE_START_SQL}, NOW()) AS grace_waited_minutes
+`;
+
+// Longest check-in window a rule can grant
+const MAX_GRACE_PERIOD_MINUTES = 240;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(:00)?$/;
+
+const RULE_SELECT = `
+  SELECT rule_id, parking_area_id, vehicle_type, starts_at, ends_at, grace_minutes
+  FROM grace_period_rules
+  ORDER BY rule_id
+`;
+
+/**
+ * All grace period rules. Pass a mysql2 connection to read them on it (e.g. from a standalone script),
+ * otherwise the shared pool is used.
+ */
+const loadGracePeriodRules = async (connection = null) => {
+  if (connection) {
+    const [rows] = await connection.execute(RULE_SELECT);
+    return rows;
+  }
+  return db.query(RULE_SELECT);
+};
+
+/**
+ * Validate a grace period rule sent by an area manager. Leave out areaId or vehicleType to cover every area or
+ * type, and startTime/endTime (HH:MM, both or neither) to apply all day.
+ * @returns {{rule: {areaId: number|null, vehicleType: string|null, startTime: string|null, endTime: string|null, graceMinutes: number}|null, error?: string}}
+ */
+const parseGracePeriodRule = ({ areaId, vehicleType, startTime, endTime, graceMinutes }) => {
+  const minutes = Number(graceMinutes);
+  if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_GRACE_PERIOD_MINUTES) {
+    return { rule: null, error: `graceMinutes must be a whole number of minutes between 1 and ${MAX_GRACE_PERIOD_MINUTES}` };
+  }
+
+  if (areaId != null && !(Number.isInteger(Number(areaId)) && Number(areaId) > 0)) {
+    return { rule: null, error: 'areaId must be a parking area id' };
+  }
+
+  if (vehicleType != null && (typeof vehicleType !== 'string' || vehicleType.trim() === '')) {
+    return { rule: null, error: 'vehicleType must be a vehicle type such as car or motorcycle' };
+  }
+
+  const hasStart = startTime != null && startTime !== '';
+  const hasEnd = endTime != null && endTime !== '';
+  if (hasStart !== hasEnd) {
+    return { rule: null, error: 'startTime and endTime must be given together' };
+  }
+  if (hasStart && (typeof startTime !== 'string' || typeof endTime !== 'string' ||
+      !TIME_PATTERN.test(startTime) || !TIME_PATTERN.test(endTime))) {
+    return { rule: null, error: 'startTime and endTime must be times of day in HH:MM format' };
+  }
+  if (hasStart && startTime.slice(0, 5) === endTime.slice(0, 5)) {
+    return { rule: null, error: 'startTime and endTime must differ; leave both out for an all-day rule' };
+  }
+
+  return {
+    rule: {
+      areaId: areaId != null ? Number(areaId) : null,
+      vehicleType: vehicleType != null ? vehicleType.trim().toLowerCase() : null,
+      startTime: hasStart ? `${startTime.slice(0, 5)}:00` : null,
+      endTime: hasEnd ? `${endTime.slice(0, 5)}:00` : null,
+      graceMinutes: minutes
+    }
+  };
+};
+
+// Whether a "HH:MM:SS" time of day falls in a rule's window; windows ending before they start wrap past midnight
+const isInRuleWindow = (rule, timeOfDay) => {
+  if (!rule.starts_at || !rule.ends_at) {
+    return true;
+  }
+  if (!timeOfDay) {
+    return false;
+  }
+  if (rule.starts_at <= rule.ends_at) {
+    return timeOfDay >= rule.starts_at && timeOfDay < rule.ends_at;
+  }
+  return timeOfDay >= rule.starts_at || timeOfDay < rule.ends_at;
+};
+
+/**
+ * Check-in window in minutes for a reservation in areaId for vehicleType whose grace period starts at timeOfDay.
+ * The most specific matching rule wins: one for the area beats one for the vehicle type, which beats a catch-all,
+ * and at the same level a time-of-day rule overrides the all-day one. Falls back to GRACE_PERIOD_MINUTES.
+ */
+const resolveGracePeriodMinutes = (rules, { areaId, vehicleType, timeOfDay }) => {
+  let best = null;
+  let bestScore = -1;
+
+  for (const rule of rules) {
+    if (rule.parking_area_id !== null && Number(rule.parking_area_id) !== Number(areaId)) {
+      continue;
+    }
+    if (rule.vehicle_type !== null && rule.vehicle_type.toLowerCase() !== (vehicleType || '').toLowerCase()) {
+      continue;
+    }
+    if (!isInRuleWindow(rule, timeOfDay)) {
+      continue;
+    }
+
+    const score = (rule.parking_area_id !== null ? 4 : 0) +
+      (rule.vehicle_type !== null ? 2 : 0) +
+      (rule.starts_at && rule.ends_at ? 1 : 0);
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  }
+
+  return best ? best.grace_minutes : DEFAULT_GRACE_PERIOD_MINUTES;
+};
+
+// Grace minutes for a row selected with GRACE_RULE_COLUMNS_SQL
+const gracePeriodMinutesForRow = (rules, row) => resolveGracePeriodMinutes(rules, {
+  areaId: row.grace_area_id,
+  vehicleType: row.grace_vehicle_type,
+  timeOfDay: row.grace_start_time
+});
+
+/**
+ * The check-in window of one reservation: how many minutes it gets and when they run out.
+ * @returns {Promise<{minutes: number, startsAt: Date, expiresAt: Date}|null>} null if the reservation doesn't exist
+ */
+const getReservationGracePeriod = async (reservationId) => {
+  const rows = await db.query(`
+    SELECT ${GRACE_START_SQL} AS grace_starts_at, ${GRACE_RULE_COLUMNS_SQL}
+    FROM reservations r
+    LEFT JOIN parking_spot ps ON r.parking_spots_id = ps.parking_spot_id
+    LEFT JOIN parking_section psec ON psec.parking_section_id = COALESCE(ps.parking_section_id, r.parking_section_id)
+    WHERE r.reservation_id = ?
+  `, [reservationId]);
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const minutes = gracePeriodMinutesForRow(await loadGracePeriodRules(), rows[0]);
+  const startsAt = new Date(rows[0].grace_starts_at);
+  return {
+    minutes,
+    startsAt,
+    expiresAt: new Date(startsAt.getTime() + minutes * 60 * 1000)
+  };
+};
+
+module.exports = {
+  DEFAULT_GRACE_PERIOD_MINUTES,
+  GRACE_START_SQL,
+  GRACE_RULE_COLUMNS_SQL,
+  MAX_GRACE_PERIOD_MINUTES,
+  parseGracePeriodRule,
+  loadGracePeriodRules,
+  resolveGracePeriodMinutes,
+  gracePeriodMinutesForRow,
+  getReservationGracePeriod
+};
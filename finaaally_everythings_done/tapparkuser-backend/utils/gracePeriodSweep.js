@@ -0,0 +1,139 @@
+const db = require('../config/database');
+const { holdDueScheduledReservations } = require('./reservationSchedule');
+const { processWaitlist } = require('./waitlist');
+const { loadGracePeriodRules, gracePeriodMinutesForRow, GRACE_RULE_COLUMNS_SQL } = require('./gracePeriod');
+const { StrikeReasons, recordStrike, enforceStrikeThreshold } = require('./noShowStrikes');
+const { logUserActivity, ActionTypes } = require('./userLogger');
+
+const getPool = async () => {
+  if (!db.connection) {
+    await db.connect();
+  }
+  return db.connection;
+};
+
+/**
+ * Release the spot of a reservation whose grace period ran out and record the no-show.
+ * @returns {Promise<boolean>} false if the driver cancelled or checked in after the sweep found it
+ */
+const expireReservation = async (pool, reservation, graceMinutes) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [expired] = await connection.execute(
+      `UPDATE reservations SET booking_status = ?, waiting_end_time = NOW(), updated_at = NOW()
+       WHERE reservation_id = ? AND booking_status = 'reserved' AND start_time IS NULL`,
+      ['invalid', reservation.reservation_id]
+    );
+    if (expired.affectedRows === 0) {
+      // The cancellation or check-in already took care of the spot
+      await connection.rollback();
+      return false;
+    }
+
+    if (reservation.parking_spots_id !== 0) {
+      await connection.execute(
+        'UPDATE parking_spot SET status = ?, is_occupied = 0 WHERE parking_spot_id = ?',
+        ['available', reservation.parking_spots_id]
+      );
+    }
+
+    if (reservation.parking_section_id) {
+      await connection.execute(
+        'UPDATE parking_section SET reserved_count = GREATEST(reserved_count - 1, 0) WHERE parking_section_id = ?',
+        [reservation.parking_section_id]
+      );
+      console.log(`✅ Decremented reserved_count for section ${reservation.parking_section_id}`);
+    }
+
+    await recordStrike(connection, reservation.user_id, reservation.reservation_id, StrikeReasons.NO_SHOW);
+
+    await connection.commit();
+    console.log(`✅ Expired reservation #${reservation.reservation_id}`);
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  await logUserActivity(
+    reservation.user_id,
+    ActionTypes.RESERVATION_EXPIRED,
+    `Reservation for ${reservation.spot_number} expired: no check-in within ${graceMinutes} minutes. A no-show strike was recorded.`,
+    reservation.reservation_id
+  );
+
+  try {
+    await enforceStrikeThreshold(reservation.user_id);
+  } catch (error) {
+    console.error(`❌ Failed to check the no-show strike threshold for user ${reservation.user_id}:`, error.message);
+  }
+
+  return true;
+};
+
+/**
+ * The grace period sweep: place scheduled bookings that are about to start, expire reservations nobody checked in
+ * for, then hand what was freed to the waitlist.
+ * A reservation that fails to expire is retried on the next sweep.
+ * @returns {Promise<Object>} Counts of what the sweep did
+ */
+const runGracePeriodSweep = async () => {
+  const pool = await getPool();
+
+  // Scheduled bookings starting soon take hold of their spot before expiry is checked
+  const { held, cancelled } = await holdDueScheduledReservations();
+  if (held > 0 || cancelled > 0) {
+    console.log(`📅 Scheduled reservations: ${held} now holding a spot, ${cancelled} cancelled`);
+  }
+
+  // Each reservation gets the grace period of the rule for its area, vehicle type and time of day
+  // (the grace period of a scheduled booking runs from its scheduled start)
+  const gracePeriodRules = await loadGracePeriodRules();
+  const [waitingReservations] = await pool.execute(`
+    SELECT r.reservation_id, r.user_id, r.parking_spots_id, r.parking_section_id, r.spot_number, ${GRACE_RULE_COLUMNS_SQL}
+    FROM reservations r
+    LEFT JOIN parking_spot ps ON r.parking_spots_id = ps.parking_spot_id
+    LEFT JOIN parking_section psec ON psec.parking_section_id = COALESCE(ps.parking_section_id, r.parking_section_id)
+    WHERE r.booking_status = 'reserved'
+      AND r.start_time IS NULL
+  `);
+  const expiredReservations = waitingReservations.filter(reservation =>
+    reservation.grace_waited_minutes >= gracePeriodMinutesForRow(gracePeriodRules, reservation)
+  );
+
+  let expired = 0;
+  let failed = 0;
+  for (const reservation of expiredReservations) {
+    try {
+      if (await expireReservation(pool, reservation, gracePeriodMinutesForRow(gracePeriodRules, reservation))) {
+        expired++;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to expire reservation #${reservation.reservation_id}:`, error.message);
+      failed++;
+    }
+  }
+
+  // Expire unanswered waitlist offers and offer what the expired reservations above freed to waiting drivers
+  const waitlist = await processWaitlist();
+  if (waitlist.expiredOffers > 0 || waitlist.removed > 0 || waitlist.offers > 0) {
+    console.log(`🔔 Waitlist: ${waitlist.offers} offers made, ${waitlist.expiredOffers} offers expired, ${waitlist.removed} drivers timed out`);
+  }
+
+  return {
+    held,
+    cancelled,
+    expired,
+    failed,
+    waitlistOffers: waitlist.offers,
+    waitlistExpiredOffers: waitlist.expiredOffers,
+    waitlistRemoved: waitlist.removed
+  };
+};
+
+module.exports = {
+  runGracePeriodSweep
+};
@@ -0,0 +1,297 @@
+const os = require('os');
+const crypto = require('crypto');
+const cron = require('node-cron');
+const db = require('../config/database');
+
+// Identifies this server process in job_locks and job_runs
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+// Run history older than this is pruned by the job-run-cleanup job
+const JOB_RUN_HISTORY_DAYS = parseInt(process.env.JOB_RUN_HISTORY_DAYS) || 14;
+// Set to false on instances that should serve requests only
+const JOB_SCHEDULER_ENABLED = process.env.JOB_SCHEDULER_ENABLED !== 'false';
+
+const JobRunStatus = {
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+const jobs = new Map();
+let started = false;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Add a background job. Give it either intervalMs or a cron expression (server time).
+ * The handler may return a small summary object, which is kept in the run history.
+ * @param {{name: string, description?: string, intervalMs?: number, cron?: string, handler: Function,
+ *   lockSeconds?: number, maxAttempts?: number, retryDelayMs?: number, initialDelayMs?: number}} job
+ *   lockSeconds must outlast a run (attempts included); initialDelayMs runs the job that long after start
+ */
+const registerJob = ({
+  name,
+  description = '',
+  intervalMs = null,
+  cron: cronExpression = null,
+  handler,
+  lockSeconds = 300,
+  maxAttempts = 1,
+  retryDelayMs = 30 * 1000,
+  initialDelayMs = null
+}) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job ${name} is already registered`);
+  }
+  if (!intervalMs === !cronExpression) {
+    throw new Error(`Job ${name} needs either intervalMs or cron`);
+  }
+  if (cronExpression && !cron.validate(cronExpression)) {
+    throw new Error(`Job ${name} has an invalid cron expression: ${cronExpression}`);
+  }
+
+  jobs.set(name, {
+    name,
+    description,
+    intervalMs,
+    cron: cronExpression,
+    handler,
+    lockSeconds,
+    maxAttempts: Math.max(1, maxAttempts),
+    retryDelayMs,
+    initialDelayMs,
+    timers: [],
+    task: null,
+    running: false,
+    nextRunAt: null
+  });
+};
+
+/**
+ * Take (or extend) the job's lease for lockSeconds. Another instance's lease is only taken over once it expired.
+ * ON DUPLICATE KEY UPDATE assigns left to right, so locked_until sees the locked_by just written.
+ */
+const acquireLease = async (job) => {
+  await db.execute(
+    `INSERT INTO job_locks (job_name, locked_by, locked_until)
+     VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))
+     ON DUPLICATE KEY UPDATE
+       locked_by = IF(locked_until < NOW() OR locked_by = VALUES(locked_by), VALUES(locked_by), locked_by),
+       locked_until = IF(locked_by = VALUES(locked_by), VALUES(locked_until), locked_until)`,
+    [job.name, INSTANCE_ID, job.lockSeconds]
+  );
+  const rows = await db.query('SELECT locked_by FROM job_locks WHERE job_name = ?', [job.name]);
+  return rows.length > 0 && rows[0].locked_by === INSTANCE_ID;
+};
+
+const releaseLease = async (job) => {
+  await db.execute(
+    'UPDATE job_locks SET locked_until = NOW() WHERE job_name = ? AND locked_by = ?',
+    [job.name, INSTANCE_ID]
+  );
+};
+
+const startRun = async (job, triggeredBy, attempt) => {
+  const result = await db.execute(
+    'INSERT INTO job_runs (job_name, instance_id, triggered_by, attempt, status) VALUES (?, ?, ?, ?, ?)',
+    [job.name, INSTANCE_ID, triggeredBy, attempt, JobRunStatus.RUNNING]
+  );
+  return result.insertId;
+};
+
+const finishRun = async (runId, startedAt, { status, result = null, error = null }) => {
+  await db.execute(
+    `UPDATE job_runs SET status = ?, finished_at = NOW(), duration_ms = ?, result = ?, error = ?
+     WHERE run_id = ?`,
+    [status, Date.now() - startedAt, result == null ? null : JSON.stringify(result), error, runId]
+  );
+};
+
+/**
+ * Run a job now, if this instance can get its lease. Failed attempts are retried up to maxAttempts, waiting
+ * retryDelayMs longer after each one. Never throws: failures end up in job_runs and the log.
+ * @param {string} name
+ * @param {{triggeredBy?: 'schedule'|'manual'}} options
+ * @returns {Promise<{ran: boolean, skipped?: 'running'|'locked', status?: string, result?: Object, error?: string}>}
+ */
+const runJob = async (name, { triggeredBy = 'schedule' } = {}) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+  if (job.running) {
+    return { ran: false, skipped: 'running' };
+  }
+
+  job.running = true;
+  try {
+    if (!(await acquireLease(job))) {
+      return { ran: false, skipped: 'locked' };
+    }
+
+    let outcome = null;
+    try {
+      for (let attempt = 1; attempt <= job.maxAttempts; attempt++) {
+        const startedAt = Date.now();
+        const runId = await startRun(job, triggeredBy, attempt);
+        try {
+          const result = await job.handler();
+          await finishRun(runId, startedAt, { status: JobRunStatus.SUCCEEDED, result });
+          outcome = { ran: true, status: JobRunStatus.SUCCEEDED, result };
+          break;
+        } catch (error) {
+          console.error(`❌ Job ${name} failed (attempt ${attempt}/${job.maxAttempts}):`, error.message);
+          await finishRun(runId, startedAt, { status: JobRunStatus.FAILED, error: error.stack || error.message });
+          outcome = { ran: true, status: JobRunStatus.FAILED, error: error.message };
+
+          if (attempt < job.maxAttempts) {
+            await wait(job.retryDelayMs * attempt);
+            // The lease may have run out during the wait and been taken over by another instance
+            if (!(await acquireLease(job))) {
+              console.warn(`⚠️ Job ${name} lost its lease before attempt ${attempt + 1}; leaving the retry to the owner`);
+              break;
+            }
+          }
+        }
+      }
+    } finally {
+      await releaseLease(job);
+    }
+
+    return outcome;
+  } catch (error) {
+    // The lock or history tables are unreachable (e.g. the database is down); try again on the next tick
+    console.error(`❌ Job ${name} could not run:`, error.message);
+    return { ran: false, status: JobRunStatus.FAILED, error: error.message };
+  } finally {
+    job.running = false;
+  }
+};
+
+const scheduleJob = (job) => {
+  const tick = () => {
+    if (job.intervalMs) {
+      job.nextRunAt = new Date(Date.now() + job.intervalMs);
+    }
+    runJob(job.name);
+  };
+
+  if (job.intervalMs) {
+    job.timers.push(setInterval(tick, job.intervalMs));
+    job.nextRunAt = new Date(Date.now() + job.intervalMs);
+  } else {
+    job.task = cron.schedule(job.cron, tick);
+  }
+
+  if (job.initialDelayMs != null) {
+    job.timers.push(setTimeout(() => runJob(job.name), job.initialDelayMs));
+  }
+};
+
+// Start every registered job's schedule. Does nothing when JOB_SCHEDULER_ENABLED is false.
+const startScheduler = () => {
+  if (started || !JOB_SCHEDULER_ENABLED) {
+    return;
+  }
+  started = true;
+
+  for (const job of jobs.values()) {
+    scheduleJob(job);
+    console.log(`⏰ Job ${job.name} scheduled ${job.intervalMs ? `every ${job.intervalMs / 1000}s` : `at "${job.cron}"`}`);
+  }
+  console.log(`⏰ Job scheduler started on ${INSTANCE_ID}`);
+};
+
+const stopScheduler = () => {
+  for (const job of jobs.values()) {
+    job.timers.forEach((timer) => clearInterval(timer));
+    job.timers = [];
+    if (job.task) {
+      job.task.stop();
+      job.task = null;
+    }
+    job.nextRunAt = null;
+  }
+  started = false;
+};
+
+const formatRun = (run) => run && ({
+  runId: run.run_id,
+  instanceId: run.instance_id,
+  triggeredBy: run.triggered_by,
+  attempt: run.attempt,
+  status: run.status,
+  startedAt: run.started_at,
+  finishedAt: run.finished_at,
+  durationMs: run.duration_ms,
+  result: run.result ? JSON.parse(run.result) : null,
+  error: run.error
+});
+
+const isKnownJob = (name) => jobs.has(name);
+
+/**
+ * Every registered job with its schedule, its lease and its latest run on any instance.
+ */
+const getJobStatuses = async () => {
+  const [locks, lastRuns, lastSuccesses] = await Promise.all([
+    db.query('SELECT job_name, locked_by, locked_until, locked_until > NOW() AS is_locked FROM job_locks'),
+    db.query(`
+      SELECT jr.* FROM job_runs jr
+      JOIN (SELECT job_name, MAX(run_id) AS run_id FROM job_runs GROUP BY job_name) latest
+        ON latest.run_id = jr.run_id
+    `),
+    db.query(`
+      SELECT job_name, MAX(finished_at) AS finished_at FROM job_runs
+      WHERE status = ? GROUP BY job_name
+    `, [JobRunStatus.SUCCEEDED])
+  ]);
+
+  return Array.from(jobs.values()).map((job) => {
+    const lock = locks.find((row) => row.job_name === job.name);
+    const lastSuccess = lastSuccesses.find((row) => row.job_name === job.name);
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: job.intervalMs ? { intervalMs: job.intervalMs } : { cron: job.cron },
+      maxAttempts: job.maxAttempts,
+      runningHere: job.running,
+      nextRunAt: job.nextRunAt,
+      lock: lock && lock.is_locked ? { lockedBy: lock.locked_by, lockedUntil: lock.locked_until } : null,
+      lastRun: formatRun(lastRuns.find((row) => row.job_name === job.name)) || null,
+      lastSucceededAt: lastSuccess ? lastSuccess.finished_at : null
+    };
+  });
+};
+
+// Most recent runs of a job, newest first
+const getJobRuns = async (name, limit = 20) => {
+  const runs = await db.query(
+    `SELECT * FROM job_runs WHERE job_name = ? ORDER BY run_id DESC LIMIT ${Math.min(Math.max(parseInt(limit) || 20, 1), 100)}`,
+    [name]
+  );
+  return runs.map(formatRun);
+};
+
+// Drop run history older than JOB_RUN_HISTORY_DAYS
+const pruneJobRuns = async () => {
+  const result = await db.execute(
+    'DELETE FROM job_runs WHERE started_at < DATE_SUB(NOW(), INTERVAL ? DAY)',
+    [JOB_RUN_HISTORY_DAYS]
+  );
+  return { deleted: result.affectedRows };
+};
+
+module.exports = {
+  INSTANCE_ID,
+  JOB_RUN_HISTORY_DAYS,
+  JOB_SCHEDULER_ENABLED,
+  JobRunStatus,
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler,
+  isKnownJob,
+  getJobStatuses,
+  getJobRuns,
+  pruneJobRuns
+};
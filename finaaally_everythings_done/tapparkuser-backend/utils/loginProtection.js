@@ -0,0 +1,90 @@
+const db = require('../config/database');
+const { logUserActivity, ActionTypes } = require('./userLogger');
+
+const LOGIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '5', 10);
+const LOGIN_ATTEMPT_WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || '15', 10);
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+const LOGIN_MAX_LOCKOUT_MINUTES = 24 * 60;
+
+// Failed attempts before responses start slowing down, and the longest delay
+const FREE_ATTEMPTS = 2;
+const MAX_DELAY_MS = 8000;
+
+// 1s, 2s, 4s, 8s... after the free attempts
+const getFailureDelayMs = (attempts) => {
+  if (attempts <= FREE_ATTEMPTS) {
+    return 0;
+  }
+  return Math.min(1000 * 2 ** (attempts - FREE_ATTEMPTS - 1), MAX_DELAY_MS);
+};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Record a wrong password; locks the account once the limit is reached within the window.
+// Each consecutive lockout doubles in length (capped at a day) until the next successful login.
+const recordFailedLogin = async (user) => {
+  await db.query(`
+    UPDATE users
+    SET failed_login_attempts = IF(
+          last_failed_login_at IS NULL OR last_failed_login_at < DATE_SUB(NOW(), INTERVAL ? MINUTE),
+          1,
+          failed_login_attempts + 1
+        ),
+        last_failed_login_at = NOW()
+    WHERE user_id = ?
+  `, [LOGIN_ATTEMPT_WINDOW_MINUTES, user.user_id]);
+
+  const rows = await db.query(
+    'SELECT failed_login_attempts, lockout_count FROM users WHERE user_id = ?',
+    [user.user_id]
+  );
+  const { failed_login_attempts: attempts, lockout_count: lockoutCount } = rows[0];
+
+  if (attempts < LOGIN_MAX_FAILED_ATTEMPTS) {
+    return {
+      attempts,
+      attemptsRemaining: LOGIN_MAX_FAILED_ATTEMPTS - attempts,
+      lockedUntil: null
+    };
+  }
+
+  const lockoutMinutes = Math.min(LOGIN_LOCKOUT_MINUTES * 2 ** lockoutCount, LOGIN_MAX_LOCKOUT_MINUTES);
+  await db.query(`
+    UPDATE users
+    SET locked_until = DATE_ADD(NOW(), INTERVAL ? MINUTE),
+        lockout_count = lockout_count + 1,
+        failed_login_attempts = 0
+    WHERE user_id = ?
+  `, [lockoutMinutes, user.user_id]);
+
+  const lockedRows = await db.query('SELECT locked_until FROM users WHERE user_id = ?', [user.user_id]);
+  const lockedUntil = lockedRows[0].locked_until;
+
+  console.log(`🔒 Account ${user.email} locked for ${lockoutMinutes} minutes after ${attempts} failed logins`);
+  await logUserActivity(
+    user.user_id,
+    ActionTypes.ACCOUNT_LOCKED,
+    `Account locked for ${lockoutMinutes} minutes after ${attempts} failed login attempts`,
+    null,
+    'locked_until'
+  );
+
+  return { attempts, attemptsRemaining: 0, lockedUntil };
+};
+
+// Forget failed attempts after a successful login or password reset
+const clearFailedLogins = async (userId) => {
+  await db.query(`
+    UPDATE users
+    SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL, lockout_count = 0
+    WHERE user_id = ?
+  `, [userId]);
+};
+
+module.exports = {
+  LOGIN_MAX_FAILED_ATTEMPTS,
+  getFailureDelayMs,
+  delay,
+  recordFailedLogin,
+  clearFailedLogins
+};
@@ -0,0 +1,85 @@
+const nodemailer = require('nodemailer');
+const fs = require('fs');
+const path = require('path');
+
+// MAIL_TRANSPORT selects how mail leaves the server:
+//   smtp    - real delivery through EMAIL_HOST/EMAIL_PORT (default when EMAIL_HOST is set)
+//   file    - write each message as an .eml file into MAIL_OUTPUT_DIR (dev and tests)
+//   console - print each message to the server log (default otherwise)
+const getTransportType = () =>
+  (process.env.MAIL_TRANSPORT || (process.env.EMAIL_HOST ? 'smtp' : 'console')).toLowerCase();
+
+const getOutputDir = () =>
+  process.env.MAIL_OUTPUT_DIR || path.join(__dirname, '../tmp/mail');
+
+let customTransport = null;
+let transporter = null;
+
+const getTransporter = () => {
+  if (customTransport) return customTransport;
+  if (transporter) return transporter;
+
+  if (getTransportType() === 'smtp') {
+    const port = parseInt(process.env.EMAIL_PORT) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,
+      port,
+      secure: port === 465,
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS || process.env.EMAIL_PASSWORD
+      }
+    });
+  } else {
+    // Render the full RFC 822 message without sending it anywhere
+    transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+
+  return transporter;
+};
+
+/**
+ * Replace the mail transport (e.g. with a stub in tests). Pass null to restore the configured one.
+ * @param {object|null} transport - Any object with a nodemailer-compatible sendMail(message) method
+ */
+const setMailTransport = (transport) => {
+  customTransport = transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {object} message - { to, subject, text, html }
+ * @returns {Promise<object>} nodemailer info object
+ */
+async function sendMail({ to, subject, text, html }) {
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || process.env.EMAIL_USER || 'Tappark <no-reply@tappark.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (!customTransport) {
+    const type = getTransportType();
+    if (type === 'file') {
+      const outputDir = getOutputDir();
+      fs.mkdirSync(outputDir, { recursive: true });
+      const safeRecipient = String(to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+      const filePath = path.join(outputDir, `${Date.now()}-${safeRecipient}.eml`);
+      fs.writeFileSync(filePath, info.message);
+      console.log(`📧 Email to ${to} written to ${filePath}`);
+    } else if (type === 'console') {
+      console.log(`📧 Email to ${to}: ${subject}\n${text}`);
+    } else {
+      console.log(`📧 Email sent to ${to}: ${subject}`);
+    }
+  }
+
+  return info;
+}
+
+module.exports = {
+  sendMail,
+  setMailTransport
+};
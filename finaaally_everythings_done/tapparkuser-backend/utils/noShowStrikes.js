@@ -0,0 +1,209 @@
+const db = require('../config/database');
+const { createNotification } = require('./notifications');
+const { logUserActivity, ActionTypes } = require('./userLogger');
+
+// Strikes count toward a suspension for this many days
+const NO_SHOW_STRIKE_WINDOW_DAYS = parseInt(process.env.NO_SHOW_STRIKE_WINDOW_DAYS) || 30;
+// Reaching this many counting strikes suspends booking for BOOKING_SUSPENSION_DAYS
+const NO_SHOW_STRIKE_THRESHOLD = parseInt(process.env.NO_SHOW_STRIKE_THRESHOLD) || 3;
+const BOOKING_SUSPENSION_DAYS = parseInt(process.env.BOOKING_SUSPENSION_DAYS) || 7;
+
+const StrikeReasons = {
+  NO_SHOW: 'no_show',
+  LATE_CANCELLATION: 'late_cancellation'
+};
+
+// Strikes of alias s that still count: inside the window, not forgiven and not used up by an earlier suspension
+const COUNTING_STRIKE_SQL = `
+  s.suspension_id IS NULL AND s.forgiven_at IS NULL
+  AND s.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+`;
+
+const ACTIVE_SUSPENSION_SQL = 'lifted_at IS NULL AND ends_at > NOW()';
+
+const getPool = async () => {
+  if (!db.connection) {
+    await db.connect();
+  }
+  return db.connection;
+};
+
+/**
+ * Record a strike inside the transaction of what caused it (an expired reservation or a late cancellation).
+ * Call enforceStrikeThreshold once that transaction has committed.
+ */
+const recordStrike = async (connection, userId, reservationId, reason) => {
+  await connection.execute(
+    'INSERT INTO no_show_strikes (user_id, reservation_id, reason) VALUES (?, ?, ?)',
+    [userId, reservationId, reason]
+  );
+};
+
+// The suspension currently keeping the driver from booking, or null
+const getActiveSuspension = async (userId) => {
+  const rows = await db.query(
+    `SELECT suspension_id, strike_count, starts_at, ends_at
+     FROM booking_suspensions
+     WHERE user_id = ? AND ${ACTIVE_SUSPENSION_SQL}
+     ORDER BY ends_at DESC
+     LIMIT 1`,
+    [userId]
+  );
+  return rows[0] || null;
+};
+
+/**
+ * Suspend the driver's booking privileges for BOOKING_SUSPENSION_DAYS once their counting strikes reach
+ * NO_SHOW_STRIKE_THRESHOLD. The strikes are tied to the suspension so they don't count toward the next one;
+ * strikes collected while already suspended wait for the next check.
+ * @returns {Promise<{suspensionId: number, strikeCount: number, endsAt: Date}|null>} The new suspension, if any
+ */
+const enforceStrikeThreshold = async (userId) => {
+  const pool = await getPool();
+  const connection = await pool.getConnection();
+  let suspension = null;
+
+  try {
+    await connection.beginTransaction();
+
+    const [active] = await connection.execute(
+      `SELECT suspension_id FROM booking_suspensions WHERE user_id = ? AND ${ACTIVE_SUSPENSION_SQL} FOR UPDATE`,
+      [userId]
+    );
+
+    if (active.length === 0) {
+      const [strikes] = await connection.execute(
+        `SELECT s.strike_id FROM no_show_strikes s WHERE s.user_id = ? AND ${COUNTING_STRIKE_SQL} FOR UPDATE`,
+        [userId, NO_SHOW_STRIKE_WINDOW_DAYS]
+      );
+
+      if (strikes.length >= NO_SHOW_STRIKE_THRESHOLD) {
+        const [insertResult] = await connection.execute(
+          `INSERT INTO booking_suspensions (user_id, strike_count, starts_at, ends_at)
+           VALUES (?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? DAY))`,
+          [userId, strikes.length, BOOKING_SUSPENSION_DAYS]
+        );
+        const strikeIds = strikes.map((strike) => strike.strike_id);
+        await connection.execute(
+          `UPDATE no_show_strikes SET suspension_id = ? WHERE strike_id IN (${strikeIds.map(() => '?').join(', ')})`,
+          [insertResult.insertId, ...strikeIds]
+        );
+        const [created] = await connection.execute(
+          'SELECT ends_at FROM booking_suspensions WHERE suspension_id = ?',
+          [insertResult.insertId]
+        );
+        suspension = { suspensionId: insertResult.insertId, strikeCount: strikes.length, endsAt: created[0].ends_at };
+      }
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  if (suspension) {
+    console.log(`🚷 User ${userId} suspended from booking until ${suspension.endsAt.toISOString()} (${suspension.strikeCount} strikes)`);
+    await logUserActivity(
+      userId,
+      ActionTypes.BOOKING_SUSPENDED,
+      `Booking suspended for ${BOOKING_SUSPENSION_DAYS} days after ${suspension.strikeCount} no-show strikes within ${NO_SHOW_STRIKE_WINDOW_DAYS} days`,
+      suspension.suspensionId
+    );
+    await createNotification(userId, {
+      title: 'Booking suspended',
+      message: `You collected ${suspension.strikeCount} no-show strikes within ${NO_SHOW_STRIKE_WINDOW_DAYS} days, so you can't book a spot for the next ${BOOKING_SUSPENSION_DAYS} days. Bookings you already have are not affected.`,
+      type: 'error',
+      data: { suspensionId: suspension.suspensionId, endsAt: suspension.endsAt }
+    });
+  }
+
+  return suspension;
+};
+
+const formatStrike = (strike) => ({
+  strikeId: strike.strike_id,
+  reservationId: strike.reservation_id,
+  spotNumber: strike.spot_number || null,
+  reason: strike.reason,
+  createdAt: strike.created_at,
+  // Whether it still counts toward the next suspension
+  counting: !strike.suspension_id && !strike.forgiven_at,
+  forgiven: !!strike.forgiven_at,
+  suspensionId: strike.suspension_id
+});
+
+const formatSuspension = (suspension) => suspension && ({
+  suspensionId: suspension.suspension_id,
+  strikeCount: suspension.strike_count,
+  startsAt: suspension.starts_at,
+  endsAt: suspension.ends_at
+});
+
+/**
+ * The driver's strikes inside the window, how many still count and any suspension in force, with the rules
+ * so the app can explain them.
+ */
+const getStrikeStatus = async (userId) => {
+  const strikes = await db.query(
+    `SELECT s.strike_id, s.reservation_id, s.reason, s.suspension_id, s.forgiven_at, s.created_at, r.spot_number
+     FROM no_show_strikes s
+     LEFT JOIN reservations r ON s.reservation_id = r.reservation_id
+     WHERE s.user_id = ? AND s.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+     ORDER BY s.created_at DESC`,
+    [userId, NO_SHOW_STRIKE_WINDOW_DAYS]
+  );
+  const formatted = strikes.map(formatStrike);
+
+  return {
+    strikes: formatted,
+    countingStrikes: formatted.filter((strike) => strike.counting).length,
+    threshold: NO_SHOW_STRIKE_THRESHOLD,
+    windowDays: NO_SHOW_STRIKE_WINDOW_DAYS,
+    suspensionDays: BOOKING_SUSPENSION_DAYS,
+    suspension: formatSuspension(await getActiveSuspension(userId))
+  };
+};
+
+/**
+ * Admin override: end the driver's suspension now and, with forgiveStrikes, forgive every strike in the window
+ * so they start from zero.
+ * @returns {Promise<{liftedSuspensions: number, forgivenStrikes: number}>}
+ */
+const liftSuspension = async (userId, adminId, { reason = null, forgiveStrikes = false } = {}) => {
+  const queries = [
+    {
+      sql: `UPDATE booking_suspensions SET lifted_at = NOW(), lifted_by = ?, lift_reason = ?
+            WHERE user_id = ? AND ${ACTIVE_SUSPENSION_SQL}`,
+      params: [adminId, reason, userId]
+    }
+  ];
+
+  if (forgiveStrikes) {
+    queries.push({
+      sql: `UPDATE no_show_strikes SET forgiven_at = NOW(), forgiven_by = ?
+            WHERE user_id = ? AND forgiven_at IS NULL AND created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)`,
+      params: [adminId, userId, NO_SHOW_STRIKE_WINDOW_DAYS]
+    });
+  }
+
+  const [liftResult, forgiveResult] = await db.transaction(queries);
+  return {
+    liftedSuspensions: liftResult.affectedRows,
+    forgivenStrikes: forgiveResult ? forgiveResult.affectedRows : 0
+  };
+};
+
+module.exports = {
+  NO_SHOW_STRIKE_WINDOW_DAYS,
+  NO_SHOW_STRIKE_THRESHOLD,
+  BOOKING_SUSPENSION_DAYS,
+  StrikeReasons,
+  recordStrike,
+  getActiveSuspension,
+  enforceStrikeThreshold,
+  getStrikeStatus,
+  liftSuspension
+};
@@ -0,0 +1,31 @@
+const db = require('../config/database');
+const { sendPushNotification } = require('./pushNotifications');
+
+const NOTIFICATION_TYPES = ['info', 'warning', 'success', 'error'];
+
+/**
+ * Add a notification to the user's inbox (GET /api/users/notifications), and with push also send it to their
+ * devices. Failures are logged and swallowed so a notification never breaks the action that triggered it.
+ * @param {number} userId
+ * @param {{title: string, message: string, type?: string, data?: Object, push?: boolean}} notification
+ * @returns {Promise<number|null>} The notification id
+ */
+const createNotification = async (userId, { title, message, type = 'info', data = null, push = false }) => {
+  try {
+    const result = await db.execute(
+      'INSERT INTO notifications (user_id, title, message, type, data) VALUES (?, ?, ?, ?, ?)',
+      [userId, title, message, NOTIFICATION_TYPES.includes(type) ? type : 'info', data ? JSON.stringify(data) : null]
+    );
+    if (push) {
+      await sendPushNotification(userId, { title, message, data: { ...data, notificationId: result.insertId } });
+    }
+    return result.insertId;
+  } catch (error) {
+    console.error('Error creating notification:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  createNotification
+};
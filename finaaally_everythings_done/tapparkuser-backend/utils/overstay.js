@@ -0,0 +1,295 @@
+const db = require('../config/database');
+const { createNotification } = require('./notifications');
+const { logUserActivity, ActionTypes } = require('./userLogger');
+const { CHARGE_START_SQL } = require('./reservationSchedule');
+const { chargeSubscriptionHours } = require('./subscriptionCharge');
+const { NOT_LAPSED_SQL } = require('./subscriptionExpiry');
+const { offerReleasedCapacity } = require('./waitlist');
+
+// Sessions still open this many hours past their limit are treated as abandoned and closed; 0 turns it off
+const OVERSTAY_AUTO_CLOSE_HOURS = parseFloat(process.env.OVERSTAY_AUTO_CLOSE_HOURS) || 0;
+
+const OverstayReasons = {
+  BALANCE_EXCEEDED: 'balance_exceeded',
+  MAX_STAY_EXCEEDED: 'max_stay_exceeded'
+};
+
+const REASON_LABELS = {
+  [OverstayReasons.BALANCE_EXCEEDED]: 'is past the remaining subscription hours',
+  [OverstayReasons.MAX_STAY_EXCEEDED]: 'is past the maximum stay for the area'
+};
+
+const getPool = async () => {
+  if (!db.connection) {
+    await db.connect();
+  }
+  return db.connection;
+};
+
+const formatHours = (hours) => {
+  const minutes = Math.round(hours * 60);
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+// Attendants assigned to the area, who get told about overstays there
+const notifyAreaAttendants = async (areaId, notification) => {
+  if (!areaId) {
+    return;
+  }
+  const attendants = await db.query('SELECT user_id FROM users WHERE assigned_area_id = ?', [areaId]);
+  for (const { user_id: attendantId } of attendants) {
+    await createNotification(attendantId, notification);
+  }
+};
+
+/**
+ * Which limit an active session has gone past, if any: the hours left on the driver's subscriptions (against the
+ * billed time so far) or the area's maximum stay (against the time parked). When both are exceeded the one
+ * exceeded by more wins.
+ * @returns {{reason: string, limitHours: number, overstayHours: number, accruedPenaltyHours: number}|null}
+ */
+const evaluateSession = (session) => {
+  const billedHours = parseFloat(session.billed_hours) || 0;
+  const parkedHours = parseFloat(session.parked_hours) || 0;
+  const balanceHours = parseFloat(session.balance_hours) || 0;
+  const maxStayHours = session.max_stay_hours != null ? parseFloat(session.max_stay_hours) : null;
+
+  const accruedPenaltyHours = Math.max(0, billedHours - balanceHours);
+  const candidates = [];
+  if (accruedPenaltyHours > 0) {
+    candidates.push({ reason: OverstayReasons.BALANCE_EXCEEDED, limitHours: balanceHours, overstayHours: accruedPenaltyHours });
+  }
+  if (maxStayHours != null && parkedHours > maxStayHours) {
+    candidates.push({ reason: OverstayReasons.MAX_STAY_EXCEEDED, limitHours: maxStayHours, overstayHours: parkedHours - maxStayHours });
+  }
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const worst = candidates.reduce((a, b) => (b.overstayHours > a.overstayHours ? b : a));
+  return { ...worst, accruedPenaltyHours };
+};
+
+/**
+ * End an abandoned session as if the attendant had scanned the exit: bill the time parked, charging what the
+ * subscriptions can't cover as penalty hours, and free the spot or section unit. Audited as SESSION_AUTO_CLOSED.
+ * @returns {Promise<{chargedHours: number, deductedHours: number, penaltyHours: number}|null>} null if the
+ *   session had already ended
+ */
+const closeAbandonedSession = async (session, overstay) => {
+  const pool = await getPool();
+  const connection = await pool.getConnection();
+  let outcome = null;
+
+  try {
+    await connection.beginTransaction();
+
+    const [ended] = await connection.execute(
+      `UPDATE reservations SET booking_status = 'completed', end_time = NOW(), updated_at = NOW()
+       WHERE reservation_id = ? AND booking_status = 'active'`,
+      [session.reservation_id]
+    );
+    if (ended.affectedRows === 0) {
+      await connection.rollback();
+      return null;
+    }
+
+    if (session.parking_spots_id) {
+      await connection.execute(
+        "UPDATE parking_spot SET status = 'available' WHERE parking_spot_id = ?",
+        [session.parking_spots_id]
+      );
+    } else if (session.parking_section_id) {
+      await connection.execute(
+        'UPDATE parking_section SET parked_count = GREATEST(0, parked_count - 1) WHERE parking_section_id = ?',
+        [session.parking_section_id]
+      );
+    }
+
+    // Billed the same way as end-parking-session, with a one-minute minimum
+    const [billing] = await connection.execute(
+      `SELECT ROUND(TIMESTAMPDIFF(SECOND, ${CHARGE_START_SQL}, r.end_time) / 3600, 4) AS total_hours
+       FROM reservations r WHERE r.reservation_id = ?`,
+      [session.reservation_id]
+    );
+    const chargedHours = Math.max(0.0167, parseFloat(billing[0].total_hours) || 0);
+    const { deductedHours, penaltyHours } = await chargeSubscriptionHours(connection, session.user_id, chargedHours);
+
+    await connection.execute(
+      `UPDATE session_overstays SET auto_closed_at = NOW(), resolved_at = NOW(), accrued_penalty_hours = ?
+       WHERE reservation_id = ?`,
+      [penaltyHours, session.reservation_id]
+    );
+
+    await connection.commit();
+    outcome = { chargedHours, deductedHours, penaltyHours };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  offerReleasedCapacity({ spotId: session.parking_spots_id, sectionId: session.parking_section_id });
+
+  const where = `${session.spot_number} at ${session.parking_area_name || 'the parking area'}`;
+  await logUserActivity(
+    session.user_id,
+    ActionTypes.SESSION_AUTO_CLOSED,
+    `Parking session at ${where} closed automatically after it ${REASON_LABELS[overstay.reason]} by ${formatHours(overstay.overstayHours)}. ` +
+      `${outcome.chargedHours} hours charged: ${outcome.deductedHours} deducted, ${outcome.penaltyHours} penalty`,
+    session.reservation_id
+  );
+  await createNotification(session.user_id, {
+    title: 'Parking session closed',
+    message: `Your session at ${where} was still open ${formatHours(overstay.overstayHours)} past its limit, so it was closed automatically. ` +
+      (outcome.penaltyHours > 0
+        ? `${formatHours(outcome.penaltyHours)} not covered by your subscription will be deducted from your next plan.`
+        : 'The time parked was deducted from your subscription.'),
+    type: 'error',
+    data: { reservationId: session.reservation_id, ...outcome },
+    push: true
+  });
+  await notifyAreaAttendants(session.parking_area_id, {
+    title: 'Abandoned session closed',
+    message: `The session on ${where} (${session.plate_number || 'unknown plate'}) was closed automatically; the spot is free again.`,
+    type: 'info',
+    data: { reservationId: session.reservation_id, spotId: session.parking_spots_id || null }
+  });
+
+  return outcome;
+};
+
+/**
+ * The overstay check: flag active sessions past the driver's remaining subscription hours or the area's maximum
+ * stay, notify the driver and the area's attendants the first time, keep the accrued penalty of flagged sessions
+ * current and, with OVERSTAY_AUTO_CLOSE_HOURS set, close sessions that far past their limit.
+ * Flags of sessions that ended are resolved.
+ * @returns {Promise<{flagged: number, open: number, autoClosed: number, resolved: number}>}
+ */
+const detectOverstays = async () => {
+  const totals = { flagged: 0, open: 0, autoClosed: 0, resolved: 0 };
+
+  const resolved = await db.execute(`
+    UPDATE session_overstays so
+    JOIN reservations r ON r.reservation_id = so.reservation_id
+    SET so.resolved_at = NOW()
+    WHERE so.resolved_at IS NULL AND r.booking_status <> 'active'
+  `);
+  totals.resolved = resolved.affectedRows;
+
+  const sessions = await db.query(`
+    SELECT r.reservation_id, r.user_id, r.parking_spots_id, r.parking_section_id, r.spot_number,
+      v.plate_number, pa.parking_area_id, pa.parking_area_name, pa.max_stay_hours,
+      TIMESTAMPDIFF(SECOND, ${CHARGE_START_SQL}, NOW()) / 3600 AS billed_hours,
+      TIMESTAMPDIFF(SECOND, r.start_time, NOW()) / 3600 AS parked_hours,
+      (SELECT COALESCE(SUM(s.hours_remaining), 0) FROM subscriptions s
+       WHERE s.user_id = r.user_id AND s.status = 'active' AND ${NOT_LAPSED_SQL}) AS balance_hours,
+      so.overstay_id
+    FROM reservations r
+    LEFT JOIN vehicles v ON r.vehicle_id = v.vehicle_id
+    LEFT JOIN parking_spot ps ON r.parking_spots_id = ps.parking_spot_id
+    LEFT JOIN parking_section psec ON psec.parking_section_id = COALESCE(ps.parking_section_id, r.parking_section_id)
+    LEFT JOIN parking_area pa ON psec.parking_area_id = pa.parking_area_id
+    LEFT JOIN session_overstays so ON so.reservation_id = r.reservation_id AND so.resolved_at IS NULL
+    WHERE r.booking_status = 'active'
+      AND r.start_time IS NOT NULL
+      AND r.end_time IS NULL
+  `);
+
+  for (const session of sessions) {
+    const overstay = evaluateSession(session);
+    if (!overstay) {
+      continue;
+    }
+
+    try {
+      await db.execute(
+        `INSERT INTO session_overstays
+           (reservation_id, user_id, parking_area_id, reason, limit_hours, overstay_hours, accrued_penalty_hours, last_checked_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+         ON DUPLICATE KEY UPDATE reason = VALUES(reason), limit_hours = VALUES(limit_hours),
+           overstay_hours = VALUES(overstay_hours), accrued_penalty_hours = VALUES(accrued_penalty_hours),
+           last_checked_at = NOW()`,
+        [session.reservation_id, session.user_id, session.parking_area_id || null, overstay.reason,
+          overstay.limitHours, overstay.overstayHours, overstay.accruedPenaltyHours]
+      );
+
+      if (!session.overstay_id) {
+        totals.flagged++;
+        const where = `${session.spot_number} at ${session.parking_area_name || 'the parking area'}`;
+        console.log(`⏱️ Overstay on reservation #${session.reservation_id} (${overstay.reason}, ${formatHours(overstay.overstayHours)} over)`);
+        await logUserActivity(
+          session.user_id,
+          ActionTypes.SESSION_OVERSTAY,
+          `Parking session at ${where} ${REASON_LABELS[overstay.reason]} (limit ${overstay.limitHours} hours)`,
+          session.reservation_id
+        );
+        await createNotification(session.user_id, {
+          title: 'You are over your parking time',
+          message: overstay.reason === OverstayReasons.BALANCE_EXCEEDED
+            ? `Your session at ${where} has used up your remaining subscription hours. Time from now on is charged as penalty hours against your next plan, so please head to the exit.`
+            : `Your session at ${where} is past the ${overstay.limitHours}-hour maximum stay for this area. Please move your vehicle.`,
+          type: 'warning',
+          data: { reservationId: session.reservation_id, reason: overstay.reason },
+          push: true
+        });
+        await notifyAreaAttendants(session.parking_area_id, {
+          title: `Overstay on ${session.spot_number}`,
+          message: `The vehicle on ${where} (${session.plate_number || 'unknown plate'}) ${REASON_LABELS[overstay.reason]}.`,
+          type: 'warning',
+          data: { reservationId: session.reservation_id, spotId: session.parking_spots_id || null, reason: overstay.reason }
+        });
+      }
+
+      if (OVERSTAY_AUTO_CLOSE_HOURS > 0 && overstay.overstayHours >= OVERSTAY_AUTO_CLOSE_HOURS) {
+        if (await closeAbandonedSession(session, overstay)) {
+          totals.autoClosed++;
+          console.log(`🔒 Auto-closed abandoned session #${session.reservation_id}`);
+          continue;
+        }
+      }
+
+      totals.open++;
+    } catch (error) {
+      console.error(`❌ Failed to process overstay on reservation #${session.reservation_id}:`, error.message);
+    }
+  }
+
+  return totals;
+};
+
+/**
+ * Unresolved overstays of the area's spots, keyed by parking_spot_id, for the attendant dashboard.
+ */
+const getAreaOverstays = async (areaId) => {
+  const rows = await db.query(`
+    SELECT so.reservation_id, so.reason, so.limit_hours, so.overstay_hours, so.accrued_penalty_hours,
+      so.detected_at, r.parking_spots_id
+    FROM session_overstays so
+    JOIN reservations r ON r.reservation_id = so.reservation_id
+    WHERE so.parking_area_id = ? AND so.resolved_at IS NULL AND r.booking_status = 'active'
+  `, [areaId]);
+
+  const bySpot = new Map();
+  for (const row of rows) {
+    bySpot.set(row.parking_spots_id, {
+      reservationId: row.reservation_id,
+      reason: row.reason,
+      limitHours: parseFloat(row.limit_hours),
+      overstayHours: parseFloat(row.overstay_hours),
+      accruedPenaltyHours: parseFloat(row.accrued_penalty_hours),
+      detectedAt: row.detected_at
+    });
+  }
+  return bySpot;
+};
+
+module.exports = {
+  OVERSTAY_AUTO_CLOSE_HOURS,
+  OverstayReasons,
+  evaluateSession,
+  detectOverstays,
+  closeAbandonedSession,
+  getAreaOverstays
+};
@@ -0,0 +1,525 @@
+const db = require('../config/database');
+const paypal = require('../config/paypal');
+const { createNotification } = require('./notifications');
+const { logUserActivity, ActionTypes } = require('./userLogger');
+const { settlePenaltyWithHours } = require('./penaltyHelper');
+const { EXPIRES_AT_SQL } = require('./subscriptionExpiry');
+const { releasePromoRedemption, checkOrderPromoCode } = require('./promoCodes');
+
+// Orders still 'created' or 'approved' this long after checkout started are checked with PayPal
+const PAYPAL_RECONCILE_AFTER_MINUTES = parseInt(process.env.PAYPAL_RECONCILE_AFTER_MINUTES) || 15;
+// Orders the driver never approved are given up after this long (PayPal lets them expire too)
+const PAYPAL_ORDER_ABANDON_HOURS = parseInt(process.env.PAYPAL_ORDER_ABANDON_HOURS) || 3;
+
+const WebhookEvents = {
+  CAPTURE_COMPLETED: 'PAYMENT.CAPTURE.COMPLETED',
+  CAPTURE_REFUNDED: 'PAYMENT.CAPTURE.REFUNDED',
+  CAPTURE_DENIED: 'PAYMENT.CAPTURE.DENIED'
+};
+
+const getPool = async () => {
+  if (!db.connection) {
+    await db.connect();
+  }
+  return db.connection;
+};
+
+// The capture of a captured order, as returned by the capture and order details calls
+const getOrderCapture = (order) => order?.purchase_units?.[0]?.payments?.captures?.[0] || null;
+
+// Capture an approved order; an order someone else captured first is looked up instead
+const captureApprovedOrder = async (orderId) => {
+  try {
+    return await paypal.captureOrder(orderId);
+  } catch (error) {
+    if (error.response?.data?.details?.[0]?.issue === 'ORDER_ALREADY_CAPTURED') {
+      console.log(`ℹ️ PayPal order ${orderId} was already captured`);
+      return paypal.getOrderDetails(orderId);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Move a transaction that hasn't activated anything yet to another status ('approved' while a capture is pending,
+ * 'failed' or 'cancelled'). Completed and refunded transactions are left alone. A promo code use reserved for a
+ * failed or cancelled order is given back.
+ * @param {{userId?: number}} options - userId only touches the transaction if it is that driver's
+ * @returns {Promise<boolean>} false if no transaction was moved
+ */
+const setTransactionStatus = async (orderId, status, { userId = null } = {}) => {
+  const result = await db.execute(
+    `UPDATE paypal_transactions SET status = ?, updated_at = NOW()
+     WHERE paypal_order_id = ? AND status IN ('created', 'approved')${userId !== null ? ' AND user_id = ?' : ''}`,
+    userId !== null ? [status, orderId, userId] : [status, orderId]
+  );
+  if (result.affectedRows > 0 && (status === 'failed' || status === 'cancelled')) {
+    await releasePromoRedemption(orderId);
+  }
+  return result.affectedRows > 0;
+};
+
+/**
+ * Activate the subscription paid for by a completed capture. The app (capture-order), the webhook and
+ * reconciliation all end up here, and the transaction row is locked so only the first of them creates the
+ * subscription and payment; the others get alreadyActivated.
+ * @param {string} orderId - PayPal order ID
+ * @param {{captureId?: string|null, notify?: boolean}} options - notify tells the driver, for activations they
+ *   didn't wait for in the app
+ * @returns {Promise<Object|null>} null if the order isn't one of ours
+ */
+const activatePayPalOrder = async (orderId, { captureId = null, notify = false } = {}) => {
+  const pool = await getPool();
+  const connection = await pool.getConnection();
+  let activation;
+
+  try {
+    await connection.beginTransaction();
+
+    const [transactions] = await connection.execute(
+      `SELECT pt.id, pt.user_id, pt.plan_id, pt.amount, pt.bonus_hours, pt.status, pt.subscription_id, pt.capture_id,
+              p.plan_name, p.number_of_hours, p.validity_days,
+              (SELECT pc.code FROM promo_redemptions pr JOIN promo_codes pc ON pr.promo_code_id = pc.promo_code_id
+               WHERE pr.paypal_transaction_id = pt.id) AS promo_code
+       FROM paypal_transactions pt
+       JOIN plans p ON pt.plan_id = p.plan_id
+       WHERE pt.paypal_order_id = ?
+       FOR UPDATE`,
+      [orderId]
+    );
+
+    if (transactions.length === 0) {
+      await connection.commit();
+      return null;
+    }
+
+    const transaction = transactions[0];
+    activation = {
+      userId: transaction.user_id,
+      plan: { plan_id: transaction.plan_id, plan_name: transaction.plan_name, number_of_hours: parseFloat(transaction.number_of_hours) },
+      amount: parseFloat(transaction.amount),
+      // The plan's hours plus any promo code bonus
+      hoursAdded: parseFloat(transaction.number_of_hours) + parseFloat(transaction.bonus_hours || 0),
+      promoCode: transaction.promo_code,
+      captureId: captureId || transaction.capture_id,
+      subscriptionId: transaction.subscription_id,
+      alreadyActivated: transaction.status === 'completed' || transaction.status === 'refunded'
+    };
+
+    if (activation.alreadyActivated) {
+      await connection.commit();
+      return activation;
+    }
+
+    const [subscription] = await connection.execute(
+      `INSERT INTO subscriptions (user_id, plan_id, hours_remaining, hours_used, status, purchase_date, expires_at)
+       VALUES (?, ?, ?, 0, 'active', NOW(), ${EXPIRES_AT_SQL})`,
+      [transaction.user_id, transaction.plan_id, activation.hoursAdded, transaction.validity_days]
+    );
+    activation.subscriptionId = subscription.insertId;
+
+    const [payment] = await connection.execute(
+      `INSERT INTO payments (user_id, amount, status, payment_date, payment_method_id, subscription_id, payment_type, description)
+       VALUES (?, ?, 'completed', NOW(), 1, ?, 'paypal', ?)`,
+      [
+        transaction.user_id,
+        transaction.amount,
+        activation.subscriptionId,
+        transaction.promo_code ? `Promo code ${transaction.promo_code}` : null
+      ]
+    );
+
+    // The code's use, reserved with the order (or released if the order was given up before PayPal completed it)
+    await connection.execute(
+      `UPDATE promo_redemptions
+       SET status = 'redeemed', payment_id = ?, subscription_id = ?, redeemed_at = NOW()
+       WHERE paypal_transaction_id = ? AND status IN ('reserved', 'released')`,
+      [payment.insertId, activation.subscriptionId, transaction.id]
+    );
+
+    await connection.execute(
+      `UPDATE paypal_transactions
+       SET status = 'completed', capture_id = ?, subscription_id = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [activation.captureId, activation.subscriptionId, transaction.id]
+    );
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  const { userId, plan } = activation;
+  console.log(`💳 PayPal order ${orderId} activated subscription #${activation.subscriptionId} for user ${userId}`);
+
+  activation.penaltyAdjustment = await settlePenaltyWithHours(userId, activation.hoursAdded, activation.subscriptionId);
+
+  await logUserActivity(
+    userId,
+    ActionTypes.SUBSCRIPTION_PURCHASE,
+    `Subscription purchased via PayPal: ${plan.plan_name} - ${activation.hoursAdded} hours for ₱${activation.amount}${activation.promoCode ? ` (promo code ${activation.promoCode})` : ''}`,
+    activation.subscriptionId
+  );
+
+  if (notify) {
+    await createNotification(userId, {
+      title: 'Subscription activated',
+      message: `Your PayPal payment for ${plan.plan_name} went through and ${activation.hoursAdded} hours were added to your account.`,
+      type: 'success',
+      data: { subscriptionId: activation.subscriptionId, orderId },
+      push: true
+    });
+  }
+
+  return activation;
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Record a refund of a capture, whether an admin issued it (refundPayPalPurchase) or it was made in the PayPal
+ * dashboard (the PAYMENT.CAPTURE.REFUNDED webhook). totalRefunded is the capture's cumulative refunded amount, so
+ * the same refund seen twice changes nothing. The subscription loses hours in proportion to the refunded share of
+ * the price (never more than it has left); a full refund withdraws all of them. The refund is written to
+ * `payments` as a negative 'refund' entry and to `payment_refunds`.
+ * @param {{paypalRefundId?: string|null, refundedBy?: number|null, reason?: string|null}} options - refundedBy is
+ *   the admin who issued it, null for refunds made at PayPal
+ * @returns {Promise<Object|null>} null if the capture isn't ours or the refund was already recorded
+ */
+const applyCaptureRefund = async (captureId, totalRefunded, { paypalRefundId = null, refundedBy = null, reason = null } = {}) => {
+  const pool = await getPool();
+  const connection = await pool.getConnection();
+  let refund = null;
+
+  try {
+    await connection.beginTransaction();
+
+    const [transactions] = await connection.execute(
+      `SELECT pt.id, pt.user_id, pt.amount, pt.refunded_amount, pt.subscription_id, p.plan_name,
+              p.number_of_hours + pt.bonus_hours AS number_of_hours
+       FROM paypal_transactions pt
+       JOIN plans p ON pt.plan_id = p.plan_id
+       WHERE pt.capture_id = ?
+       FOR UPDATE`,
+      [captureId]
+    );
+    const transaction = transactions[0];
+    const [recorded] = paypalRefundId
+      ? await connection.execute('SELECT refund_id FROM payment_refunds WHERE paypal_refund_id = ?', [paypalRefundId])
+      : [[]];
+
+    const price = transaction ? parseFloat(transaction.amount) : 0;
+    const alreadyRefunded = transaction ? parseFloat(transaction.refunded_amount) : 0;
+    const newTotal = roundAmount(Math.min(totalRefunded, price));
+
+    if (transaction && recorded.length === 0 && newTotal > alreadyRefunded) {
+      const amount = roundAmount(newTotal - alreadyRefunded);
+      const fullyRefunded = newTotal >= price;
+
+      let hoursRevoked = 0;
+      let hoursRemaining = null;
+      if (transaction.subscription_id) {
+        const [subscriptions] = await connection.execute(
+          'SELECT hours_remaining FROM subscriptions WHERE subscription_id = ? FOR UPDATE',
+          [transaction.subscription_id]
+        );
+        const available = subscriptions.length > 0 ? parseFloat(subscriptions[0].hours_remaining) : 0;
+        hoursRevoked = fullyRefunded
+          ? available
+          : Math.min(available, roundAmount(parseFloat(transaction.number_of_hours) * amount / price));
+        hoursRemaining = roundAmount(available - hoursRevoked);
+
+        await connection.execute(
+          `UPDATE subscriptions SET hours_remaining = ?, status = IF(?, 'refunded', status)
+           WHERE subscription_id = ?`,
+          [hoursRemaining, fullyRefunded ? 1 : 0, transaction.subscription_id]
+        );
+        await connection.execute(
+          `UPDATE payments SET status = ?
+           WHERE subscription_id = ? AND payment_type = 'paypal'`,
+          [fullyRefunded ? 'refunded' : 'partially_refunded', transaction.subscription_id]
+        );
+      }
+
+      // Negative entry so the refund shows in the driver's payment history next to the purchase
+      const [payment] = await connection.execute(
+        `INSERT INTO payments (user_id, amount, status, description, reference_number, payment_date, payment_method_id, subscription_id, payment_type)
+         VALUES (?, ?, 'completed', ?, ?, NOW(), 1, ?, 'refund')`,
+        [
+          transaction.user_id,
+          -amount,
+          `${fullyRefunded ? 'Refund' : 'Partial refund'} of ${transaction.plan_name}`,
+          paypalRefundId,
+          transaction.subscription_id
+        ]
+      );
+
+      await connection.execute(
+        `UPDATE paypal_transactions
+         SET refunded_amount = ?, status = IF(?, 'refunded', status), updated_at = NOW()
+         WHERE id = ?`,
+        [newTotal, fullyRefunded ? 1 : 0, transaction.id]
+      );
+
+      const [refundRecord] = await connection.execute(
+        `INSERT INTO payment_refunds
+           (paypal_transaction_id, user_id, subscription_id, payment_id, paypal_refund_id, amount, hours_revoked, refunded_by, reason)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [transaction.id, transaction.user_id, transaction.subscription_id, payment.insertId, paypalRefundId,
+          amount, hoursRevoked, refundedBy, reason]
+      );
+
+      refund = {
+        refundId: refundRecord.insertId,
+        paypalRefundId,
+        userId: transaction.user_id,
+        subscriptionId: transaction.subscription_id,
+        paymentId: payment.insertId,
+        amount,
+        totalRefunded: newTotal,
+        fullyRefunded,
+        hoursRevoked,
+        hoursRemaining
+      };
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  if (refund) {
+    console.log(`↩️ PayPal capture ${captureId} refunded ₱${refund.amount}${refund.fullyRefunded ? ' (full)' : ''}, ${refund.hoursRevoked} hours revoked`);
+    await logUserActivity(
+      refund.userId,
+      ActionTypes.PAYMENT_REFUND,
+      `PayPal payment refunded: ₱${refund.amount}, ${refund.hoursRevoked} hours removed from the subscription${reason ? ` (${reason})` : ''}`,
+      refund.subscriptionId
+    );
+    await createNotification(refund.userId, {
+      title: 'Payment refunded',
+      message: refund.fullyRefunded
+        ? `Your PayPal payment was refunded in full (₱${refund.amount}), and the hours left on that subscription were removed.`
+        : `₱${refund.amount} of your PayPal payment was refunded, and ${refund.hoursRevoked} hours were removed from that subscription.`,
+      type: 'info',
+      data: { subscriptionId: refund.subscriptionId, refundId: refund.refundId },
+      push: true
+    });
+  }
+
+  return refund;
+};
+
+/**
+ * Admin refund of a PayPal purchase, in full (amount left out) or in part, through the PayPal refunds API.
+ * The refund is recorded straight away; the webhook PayPal sends for it afterwards finds it already recorded.
+ * @param {Object} transaction - paypal_transactions row of a completed purchase
+ * @returns {Promise<Object|null>} What applyCaptureRefund recorded
+ */
+const refundPayPalPurchase = async (transaction, { amount = null, reason = null, refundedBy }) => {
+  const refundable = roundAmount(parseFloat(transaction.amount) - parseFloat(transaction.refunded_amount));
+  const refundAmount = amount === null ? refundable : roundAmount(amount);
+
+  const paypalRefund = await paypal.refundCapture(transaction.capture_id, refundAmount, {
+    // Same request ID for a retry of the same refund, so PayPal doesn't pay it out twice
+    requestId: `refund-${transaction.id}-${Math.round(parseFloat(transaction.refunded_amount) * 100)}-${Math.round(refundAmount * 100)}`,
+    noteToPayer: reason
+  });
+
+  const totalRefunded = parseFloat(
+    paypalRefund.seller_payable_breakdown?.total_refunded_amount?.value ??
+    parseFloat(transaction.refunded_amount) + refundAmount
+  );
+
+  const refund = await applyCaptureRefund(transaction.capture_id, totalRefunded, {
+    paypalRefundId: paypalRefund.id,
+    refundedBy,
+    reason
+  });
+  if (refund) {
+    return refund;
+  }
+
+  // The webhook for this refund got here first; credit the admin on its record
+  await db.execute(
+    'UPDATE payment_refunds SET refunded_by = ?, reason = ? WHERE paypal_refund_id = ? AND refunded_by IS NULL',
+    [refundedBy, reason, paypalRefund.id]
+  );
+  const rows = await db.query(
+    `SELECT pr.*, s.hours_remaining, pt.refunded_amount AS total_refunded, pt.status AS transaction_status
+     FROM payment_refunds pr
+     JOIN paypal_transactions pt ON pr.paypal_transaction_id = pt.id
+     LEFT JOIN subscriptions s ON pr.subscription_id = s.subscription_id
+     WHERE pr.paypal_refund_id = ?`,
+    [paypalRefund.id]
+  );
+  const row = rows[0];
+  return row ? {
+    refundId: row.refund_id,
+    paypalRefundId: row.paypal_refund_id,
+    userId: row.user_id,
+    subscriptionId: row.subscription_id,
+    paymentId: row.payment_id,
+    amount: parseFloat(row.amount),
+    totalRefunded: parseFloat(row.total_refunded),
+    fullyRefunded: row.transaction_status === 'refunded',
+    hoursRevoked: parseFloat(row.hours_revoked),
+    hoursRemaining: row.hours_remaining !== null ? parseFloat(row.hours_remaining) : null
+  } : null;
+};
+
+// Capture ID of the capture a refund belongs to, from its "up" link (/v2/payments/captures/{id})
+const getRefundedCaptureId = (refund) => {
+  const link = (refund.links || []).find((item) => item.rel === 'up');
+  const match = link && link.href.match(/\/captures\/([^/?]+)/);
+  return match ? match[1] : null;
+};
+
+const processWebhookEvent = async (event) => {
+  const resource = event.resource || {};
+
+  switch (event.event_type) {
+    case WebhookEvents.CAPTURE_COMPLETED: {
+      const orderId = resource.supplementary_data?.related_ids?.order_id;
+      const activation = orderId && await activatePayPalOrder(orderId, { captureId: resource.id, notify: true });
+      return activation ? 'processed' : 'ignored';
+    }
+    case WebhookEvents.CAPTURE_DENIED: {
+      const orderId = resource.supplementary_data?.related_ids?.order_id;
+      return orderId && await setTransactionStatus(orderId, 'failed') ? 'processed' : 'ignored';
+    }
+    case WebhookEvents.CAPTURE_REFUNDED: {
+      const captureId = getRefundedCaptureId(resource);
+      const totalRefunded = parseFloat(
+        resource.seller_payable_breakdown?.total_refunded_amount?.value ?? resource.amount?.value
+      );
+      const recorded = captureId && totalRefunded > 0 &&
+        await applyCaptureRefund(captureId, totalRefunded, { paypalRefundId: resource.id || null });
+      return recorded ? 'processed' : 'ignored';
+    }
+    default:
+      return 'ignored';
+  }
+};
+
+/**
+ * Act on a verified webhook event once. Redeliveries of an event already handled are skipped; a failed event is
+ * recorded and rethrown so PayPal delivers it again.
+ * @returns {Promise<{status: string, duplicate: boolean}>}
+ */
+const handlePayPalWebhookEvent = async (event) => {
+  const seen = await db.query('SELECT status FROM paypal_webhook_events WHERE event_id = ?', [event.id]);
+  if (seen.length > 0 && seen[0].status !== 'failed') {
+    return { status: seen[0].status, duplicate: true };
+  }
+
+  const record = (status, error = null) => db.execute(
+    `INSERT INTO paypal_webhook_events (event_id, event_type, resource_id, status, error, processed_at)
+     VALUES (?, ?, ?, ?, ?, NOW())
+     ON DUPLICATE KEY UPDATE status = VALUES(status), error = VALUES(error), processed_at = NOW()`,
+    [event.id, event.event_type, event.resource?.id || null, status, error]
+  );
+
+  try {
+    const status = await processWebhookEvent(event);
+    await record(status);
+    console.log(`🔔 PayPal webhook ${event.event_type} (${event.id}): ${status}`);
+    return { status, duplicate: false };
+  } catch (error) {
+    await record('failed', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Settle PayPal orders the app never finished: approved orders are captured, captured ones activate their
+ * subscription, and orders that were voided, never approved in time, unknown to PayPal or approved with a promo
+ * code that is no longer valid are cancelled.
+ * @returns {Promise<{checked: number, activated: number, pending: number, cancelled: number, declined: number}>}
+ */
+const reconcilePayPalTransactions = async () => {
+  const stuck = await db.query(
+    `SELECT paypal_order_id, user_id, TIMESTAMPDIFF(MINUTE, created_at, NOW()) AS age_minutes
+     FROM paypal_transactions
+     WHERE status IN ('created', 'approved') AND created_at < DATE_SUB(NOW(), INTERVAL ? MINUTE)
+     ORDER BY id
+     LIMIT 50`,
+    [PAYPAL_RECONCILE_AFTER_MINUTES]
+  );
+  const summary = { checked: stuck.length, activated: 0, pending: 0, cancelled: 0, declined: 0 };
+
+  for (const { paypal_order_id: orderId, user_id: userId, age_minutes: ageMinutes } of stuck) {
+    try {
+      let order;
+      try {
+        order = await paypal.getOrderDetails(orderId);
+      } catch (error) {
+        if (error.response?.status !== 404) {
+          throw error;
+        }
+        await setTransactionStatus(orderId, 'cancelled');
+        summary.cancelled++;
+        continue;
+      }
+
+      if (order.status === 'APPROVED') {
+        // Same check as capture-order: the code may have been switched off or expired since checkout
+        const promoCheck = await checkOrderPromoCode(orderId);
+        if (promoCheck.error) {
+          await setTransactionStatus(orderId, 'cancelled');
+          await createNotification(userId, {
+            title: 'PayPal order cancelled',
+            message: `${promoCheck.error}, so your PayPal order was cancelled and you were not charged. Please start a new order.`,
+            type: 'warning',
+            data: { orderId },
+            push: true
+          });
+          summary.cancelled++;
+          continue;
+        }
+        order = await captureApprovedOrder(orderId);
+      }
+
+      const capture = getOrderCapture(order);
+      if (order.status === 'COMPLETED' && capture) {
+        if (capture.status === 'COMPLETED') {
+          await activatePayPalOrder(orderId, { captureId: capture.id, notify: true });
+          summary.activated++;
+        } else if (capture.status === 'PENDING') {
+          await setTransactionStatus(orderId, 'approved');
+          summary.pending++;
+        } else {
+          await setTransactionStatus(orderId, 'failed');
+          summary.declined++;
+        }
+      } else if (order.status === 'VOIDED' || ageMinutes >= PAYPAL_ORDER_ABANDON_HOURS * 60) {
+        await setTransactionStatus(orderId, 'cancelled');
+        summary.cancelled++;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to reconcile PayPal order ${orderId}:`, error.response?.data || error.message);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  PAYPAL_RECONCILE_AFTER_MINUTES,
+  PAYPAL_ORDER_ABANDON_HOURS,
+  WebhookEvents,
+  getOrderCapture,
+  captureApprovedOrder,
+  setTransactionStatus,
+  activatePayPalOrder,
+  applyCaptureRefund,
+  refundPayPalPurchase,
+  handlePayPalWebhookEvent,
+  reconcilePayPalTransactions
+};
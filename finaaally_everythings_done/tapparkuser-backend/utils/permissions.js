@@ -0,0 +1,82 @@
+const db = require('../config/database');
+
+// Roles map to rows in the `types` table (types.account_type_name)
+const Roles = {
+  DRIVER: 'Subscriber',
+  ATTENDANT: 'Attendant',
+  ADMIN: 'Admin',
+  AREA_MANAGER: 'Area Manager',
+  GUEST: 'Guest'
+};
+
+// Permissions map to rows in the `privileges` table (privileges.privileges_name)
+const Permissions = {
+  RESERVE_SPOT: 'Reserve Spot',
+  PAY_ONLINE: 'Pay Online',
+  FAVORITE_SPOTS: 'Favorite Spots',
+  VIEW_OWN_HISTORY: 'View Own History',
+  OPERATE_KIOSK: 'Operate Kiosk',
+  OVERRIDE_SPOT: 'Override Spot',
+  VIEW_ALL_RESERVATIONS: 'View All Reservations',
+  MANAGE_MASTERS: 'Manage Masters',
+  MANAGE_AREA: 'Manage Area'
+};
+
+// Default matrix seeded into `type_privileges` by scripts/add-area-manager-role.js.
+// At runtime the database is the source of truth, so admins can adjust it there.
+const PERMISSION_MATRIX = {
+  [Roles.DRIVER]: [
+    Permissions.RESERVE_SPOT,
+    Permissions.PAY_ONLINE,
+    Permissions.FAVORITE_SPOTS,
+    Permissions.VIEW_OWN_HISTORY
+  ],
+  [Roles.ATTENDANT]: [
+    Permissions.OPERATE_KIOSK,
+    Permissions.OVERRIDE_SPOT,
+    Permissions.VIEW_ALL_RESERVATIONS
+  ],
+  [Roles.AREA_MANAGER]: [
+    Permissions.OPERATE_KIOSK,
+    Permissions.OVERRIDE_SPOT,
+    Permissions.VIEW_ALL_RESERVATIONS,
+    Permissions.MANAGE_AREA
+  ],
+  [Roles.ADMIN]: Object.values(Permissions),
+  [Roles.GUEST]: []
+};
+
+// type_privileges is edited in the database directly, so grants are only cached briefly (0 turns the cache off)
+const PERMISSION_CACHE_TTL_SECONDS = parseInt(process.env.PERMISSION_CACHE_TTL_SECONDS || '60', 10);
+const permissionCache = new Map();
+
+// Privilege names granted to a user type, cached briefly to avoid a query per request
+const getPermissionsForType = async (typeId) => {
+  if (!typeId) {
+    return new Set();
+  }
+
+  const cached = permissionCache.get(typeId);
+  if (cached && Date.now() - cached.loadedAt < PERMISSION_CACHE_TTL_SECONDS * 1000) {
+    return cached.permissions;
+  }
+
+  const rows = await db.query(
+    `SELECT p.privileges_name
+     FROM type_privileges tp
+     JOIN privileges p ON tp.privilege_id = p.privilege_id
+     WHERE tp.type_id = ?`,
+    [typeId]
+  );
+
+  const permissions = new Set(rows.map(row => row.privileges_name));
+  permissionCache.set(typeId, { permissions, loadedAt: Date.now() });
+  return permissions;
+};
+
+module.exports = {
+  Roles,
+  Permissions,
+  PERMISSION_MATRIX,
+  getPermissionsForType
+};
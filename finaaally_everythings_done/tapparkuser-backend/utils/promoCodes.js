@@ -0,0 +1,294 @@
+const db = require('../config/database');
+
+const PROMO_DISCOUNT_TYPES = ['percent', 'fixed', 'bonus_hours'];
+// Discounts stop here: PayPal can't take a zero payment
+const PROMO_MIN_CHARGE = 1;
+// Redemptions that count towards a code's usage caps
+const COUNTED_REDEMPTION_SQL = "status IN ('reserved', 'redeemed')";
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const normalizePromoCode = (code) => String(code || '').trim().toUpperCase();
+
+const promoError = (errorCode, error) => ({ quote: null, errorCode, error });
+
+// Run a query on the caller's transaction when there is one, otherwise on the pool
+const queryRows = async (connection, sql, params) => {
+  if (!connection) {
+    return db.query(sql, params);
+  }
+  const [rows] = await connection.execute(sql, params);
+  return rows;
+};
+
+/**
+ * Work out what a promo code does for a driver buying a plan, checking that it is active and within its validity
+ * window, allowed for the plan, not limited to first purchases the driver has already made (or has an order with a
+ * code waiting for payment), and not used up overall
+ * or by the driver. Passing a transaction's connection locks the code until it commits, so two orders can't both
+ * take its last use.
+ * @param {{plan_id: number, cost: number|string, number_of_hours: number|string}} plan
+ * @returns {Promise<{quote: Object|null, error?: string, errorCode?: string}>} quote has the discounted amount to
+ *   charge and the bonus hours; error and errorCode say why the code can't be used
+ */
+const quotePromoCode = async (code, { userId, plan }, connection = null) => {
+  const normalized = normalizePromoCode(code);
+  const promos = await queryRows(
+    connection,
+    `SELECT pc.*,
+            (pc.starts_at IS NOT NULL AND pc.starts_at > NOW()) AS not_started,
+            (pc.ends_at IS NOT NULL AND pc.ends_at <= NOW()) AS ended,
+            (SELECT COUNT(*) FROM promo_code_plans pcp WHERE pcp.promo_code_id = pc.promo_code_id) AS plan_restrictions,
+            EXISTS (SELECT 1 FROM promo_code_plans pcp
+                    WHERE pcp.promo_code_id = pc.promo_code_id AND pcp.plan_id = ?) AS plan_allowed
+     FROM promo_codes pc
+     WHERE pc.code = ?${connection ? '\n     FOR UPDATE' : ''}`,
+    [plan.plan_id, normalized]
+  );
+  const promo = promos[0];
+
+  if (!promo || !promo.is_active) {
+    return promoError('PROMO_CODE_INVALID', 'This promo code is not valid');
+  }
+  if (Number(promo.not_started)) {
+    return promoError('PROMO_CODE_NOT_STARTED', 'This promo code is not valid yet');
+  }
+  if (Number(promo.ended)) {
+    return promoError('PROMO_CODE_EXPIRED', 'This promo code has expired');
+  }
+  if (Number(promo.plan_restrictions) > 0 && !Number(promo.plan_allowed)) {
+    return promoError('PROMO_CODE_PLAN_NOT_ELIGIBLE', 'This promo code does not apply to this plan');
+  }
+
+  const [usage] = await queryRows(
+    connection,
+    `SELECT
+       (SELECT COUNT(*) FROM promo_redemptions WHERE promo_code_id = ? AND ${COUNTED_REDEMPTION_SQL}) AS total_uses,
+       (SELECT COUNT(*) FROM promo_redemptions
+        WHERE promo_code_id = ? AND user_id = ? AND ${COUNTED_REDEMPTION_SQL}) AS user_uses,
+       EXISTS (SELECT 1 FROM subscriptions WHERE user_id = ?) AS has_purchased,
+       EXISTS (SELECT 1 FROM promo_redemptions WHERE user_id = ? AND status = 'reserved') AS has_pending_order`,
+    [promo.promo_code_id, promo.promo_code_id, userId, userId, userId]
+  );
+
+  // An order still waiting for payment with a code will be the driver's first purchase if it goes through
+  if (promo.first_purchase_only && (Number(usage.has_purchased) || Number(usage.has_pending_order))) {
+    return promoError('PROMO_CODE_FIRST_PURCHASE_ONLY', 'This promo code is only for your first plan');
+  }
+  if (promo.max_redemptions !== null && Number(usage.total_uses) >= promo.max_redemptions) {
+    return promoError('PROMO_CODE_USED_UP', 'This promo code has been fully redeemed');
+  }
+  if (promo.max_redemptions_per_user !== null && Number(usage.user_uses) >= promo.max_redemptions_per_user) {
+    return promoError('PROMO_CODE_ALREADY_USED', 'You have already used this promo code');
+  }
+
+  const originalAmount = roundAmount(parseFloat(plan.cost));
+  const value = parseFloat(promo.discount_value);
+  let discountAmount = 0;
+  let bonusHours = 0;
+
+  if (promo.discount_type === 'percent') {
+    discountAmount = roundAmount(originalAmount * value / 100);
+  } else if (promo.discount_type === 'fixed') {
+    discountAmount = value;
+  } else {
+    bonusHours = value;
+  }
+  discountAmount = roundAmount(Math.max(0, Math.min(discountAmount, originalAmount - PROMO_MIN_CHARGE)));
+
+  return {
+    quote: {
+      promoCodeId: promo.promo_code_id,
+      code: promo.code,
+      description: promo.description,
+      discountType: promo.discount_type,
+      originalAmount,
+      discountAmount,
+      amount: roundAmount(originalAmount - discountAmount),
+      bonusHours,
+      hours: parseFloat(plan.number_of_hours) + bonusHours
+    }
+  };
+};
+
+/**
+ * Hold a use of the code for a PayPal order, inside the transaction that locked the code in quotePromoCode and
+ * recorded the order.
+ */
+const reservePromoRedemption = async (connection, { quote, userId, transactionId }) => {
+  await connection.execute(
+    `INSERT INTO promo_redemptions
+       (promo_code_id, user_id, paypal_transaction_id, status, original_amount, discount_amount, bonus_hours)
+     VALUES (?, ?, ?, 'reserved', ?, ?, ?)`,
+    [quote.promoCodeId, userId, transactionId, quote.originalAmount, quote.discountAmount, quote.bonusHours]
+  );
+};
+
+/**
+ * Check, before capturing, that the code on an order is still usable: an admin may have switched it off or its
+ * window may have closed since the order was created. The use itself was already reserved with the order.
+ * @returns {Promise<{error?: string, errorCode?: string}>} empty when the order has no code or it is still valid
+ */
+const checkOrderPromoCode = async (orderId) => {
+  const rows = await db.query(
+    `SELECT pc.code, pc.is_active,
+            (pc.starts_at IS NOT NULL AND pc.starts_at > NOW()) AS not_started,
+            (pc.ends_at IS NOT NULL AND pc.ends_at <= NOW()) AS ended
+     FROM paypal_transactions pt
+     JOIN promo_redemptions pr ON pr.paypal_transaction_id = pt.id
+     JOIN promo_codes pc ON pr.promo_code_id = pc.promo_code_id
+     WHERE pt.paypal_order_id = ? AND pr.status = 'reserved'`,
+    [orderId]
+  );
+  const promo = rows[0];
+
+  if (!promo) {
+    return {};
+  }
+  if (!promo.is_active || Number(promo.not_started)) {
+    return { errorCode: 'PROMO_CODE_INVALID', error: `Promo code ${promo.code} is no longer valid` };
+  }
+  if (Number(promo.ended)) {
+    return { errorCode: 'PROMO_CODE_EXPIRED', error: `Promo code ${promo.code} has expired` };
+  }
+  return {};
+};
+
+// Give back the use reserved for an order that was cancelled or failed
+const releasePromoRedemption = async (orderId) => {
+  await db.execute(
+    `UPDATE promo_redemptions pr
+     JOIN paypal_transactions pt ON pr.paypal_transaction_id = pt.id
+     SET pr.status = 'released'
+     WHERE pt.paypal_order_id = ? AND pr.status = 'reserved'`,
+    [orderId]
+  );
+};
+
+// Admin: every code (or just promoCodeId) with its plan restrictions and how often it was used
+const listPromoCodes = async (promoCodeId = null) => {
+  const promos = await db.query(`
+    SELECT pc.*,
+      (SELECT GROUP_CONCAT(pcp.plan_id) FROM promo_code_plans pcp
+       WHERE pcp.promo_code_id = pc.promo_code_id) AS plan_ids,
+      (SELECT COUNT(*) FROM promo_redemptions pr
+       WHERE pr.promo_code_id = pc.promo_code_id AND pr.status = 'redeemed') AS redeemed_count,
+      (SELECT COUNT(*) FROM promo_redemptions pr
+       WHERE pr.promo_code_id = pc.promo_code_id AND pr.status = 'reserved') AS reserved_count,
+      (SELECT COALESCE(SUM(pr.discount_amount), 0) FROM promo_redemptions pr
+       WHERE pr.promo_code_id = pc.promo_code_id AND pr.status = 'redeemed') AS total_discount
+    FROM promo_codes pc
+    ${promoCodeId ? 'WHERE pc.promo_code_id = ?' : ''}
+    ORDER BY pc.created_at DESC
+  `, promoCodeId ? [promoCodeId] : []);
+
+  return promos.map((promo) => ({
+    ...promo,
+    plan_ids: promo.plan_ids ? String(promo.plan_ids).split(',').map(Number) : []
+  }));
+};
+
+const getPromoCode = async (promoCodeId) => {
+  const promos = await listPromoCodes(promoCodeId);
+  return promos[0] || null;
+};
+
+// Fields an admin sets on a code, as columns
+const PROMO_CODE_FIELDS = [
+  'description',
+  'discount_type',
+  'discount_value',
+  'starts_at',
+  'ends_at',
+  'max_redemptions',
+  'max_redemptions_per_user',
+  'first_purchase_only',
+  'is_active'
+];
+
+const setPromoCodePlans = async (connection, promoCodeId, planIds) => {
+  await connection.execute('DELETE FROM promo_code_plans WHERE promo_code_id = ?', [promoCodeId]);
+  for (const planId of planIds) {
+    await connection.execute(
+      'INSERT INTO promo_code_plans (promo_code_id, plan_id) VALUES (?, ?)',
+      [promoCodeId, planId]
+    );
+  }
+};
+
+/**
+ * Admin: create a code, or change one with promoCodeId. planIds replaces its plan restrictions when given
+ * (an empty list allows every plan).
+ * @returns {Promise<number>} The code's promo_code_id
+ */
+const savePromoCode = async ({ promoCodeId = null, code, fields, planIds, createdBy = null }) => {
+  if (!db.connection) {
+    await db.connect();
+  }
+  const connection = await db.connection.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const columns = PROMO_CODE_FIELDS.filter((field) => fields[field] !== undefined);
+    const values = columns.map((field) => fields[field]);
+
+    if (promoCodeId) {
+      if (columns.length > 0) {
+        await connection.execute(
+          `UPDATE promo_codes SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE promo_code_id = ?`,
+          [...values, promoCodeId]
+        );
+      }
+    } else {
+      const [result] = await connection.execute(
+        `INSERT INTO promo_codes (code, created_by${columns.map((column) => `, ${column}`).join('')})
+         VALUES (?, ?${columns.map(() => ', ?').join('')})`,
+        [normalizePromoCode(code), createdBy, ...values]
+      );
+      promoCodeId = result.insertId;
+    }
+
+    if (planIds !== undefined) {
+      await setPromoCodePlans(connection, promoCodeId, planIds);
+    }
+
+    await connection.commit();
+    return promoCodeId;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// Admin: a code's redemptions, newest first
+const getPromoRedemptions = async (promoCodeId, { limit = 50 } = {}) => {
+  return db.query(
+    `SELECT pr.redemption_id, pr.user_id, u.email, pr.status, pr.original_amount, pr.discount_amount, pr.bonus_hours,
+            pr.payment_id, pr.subscription_id, pt.paypal_order_id, p.plan_name, pr.created_at, pr.redeemed_at
+     FROM promo_redemptions pr
+     JOIN users u ON pr.user_id = u.user_id
+     JOIN paypal_transactions pt ON pr.paypal_transaction_id = pt.id
+     JOIN plans p ON pt.plan_id = p.plan_id
+     WHERE pr.promo_code_id = ?
+     ORDER BY pr.created_at DESC
+     LIMIT ${Math.min(Math.max(parseInt(limit) || 50, 1), 200)}`,
+    [promoCodeId]
+  );
+};
+
+module.exports = {
+  PROMO_DISCOUNT_TYPES,
+  PROMO_MIN_CHARGE,
+  normalizePromoCode,
+  quotePromoCode,
+  reservePromoRedemption,
+  checkOrderPromoCode,
+  releasePromoRedemption,
+  listPromoCodes,
+  getPromoCode,
+  savePromoCode,
+  getPromoRedemptions
+};
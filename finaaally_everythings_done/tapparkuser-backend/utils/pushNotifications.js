@@ -0,0 +1,82 @@
+const axios = require('axios');
+const db = require('../config/database');
+
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+// Only needed when push security is enabled for the Expo project
+const EXPO_ACCESS_TOKEN = process.env.EXPO_ACCESS_TOKEN;
+
+const expoClient = axios.create({
+  timeout: 10000,
+  headers: {
+    Accept: 'application/json',
+    'Content-Type': 'application/json',
+    ...(EXPO_ACCESS_TOKEN ? { Authorization: `Bearer ${EXPO_ACCESS_TOKEN}` } : {})
+  }
+});
+
+const EXPO_TOKEN_PATTERN = /^Expo(nent)?PushToken\[.+\]$/;
+
+const isExpoPushToken = (token) => typeof token === 'string' && EXPO_TOKEN_PATTERN.test(token);
+
+// Remember the device's token for the user; a token that moved to another account is taken over
+const registerPushToken = async (userId, token, platform = null) => {
+  await db.execute(
+    `INSERT INTO push_tokens (user_id, token, platform) VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE user_id = VALUES(user_id), platform = VALUES(platform), updated_at = NOW()`,
+    [userId, token, platform]
+  );
+};
+
+const unregisterPushToken = async (userId, token) => {
+  const result = await db.execute('DELETE FROM push_tokens WHERE user_id = ? AND token = ?', [userId, token]);
+  return result.affectedRows;
+};
+
+/**
+ * Deliver a notification to every device the user registered through the Expo push service.
+ * Tokens Expo reports as no longer registered are dropped. Failures are logged and swallowed.
+ * @returns {Promise<number>} How many devices Expo accepted it for
+ */
+const sendPushNotification = async (userId, { title, message, data = null }) => {
+  try {
+    const tokens = await db.query('SELECT token FROM push_tokens WHERE user_id = ?', [userId]);
+    if (tokens.length === 0) {
+      return 0;
+    }
+
+    const response = await expoClient.post(EXPO_PUSH_URL, tokens.map(({ token }) => ({
+      to: token,
+      title,
+      body: message,
+      data: data || {},
+      sound: 'default',
+      priority: 'high'
+    })));
+
+    const tickets = (response.data && response.data.data) || [];
+    const staleTokens = tickets
+      .map((ticket, index) => (ticket.status === 'error' && ticket.details && ticket.details.error === 'DeviceNotRegistered'
+        ? tokens[index].token
+        : null))
+      .filter(Boolean);
+
+    if (staleTokens.length > 0) {
+      await db.execute(
+        `DELETE FROM push_tokens WHERE token IN (${staleTokens.map(() => '?').join(', ')})`,
+        staleTokens
+      );
+    }
+
+    return tickets.filter((ticket) => ticket.status === 'ok').length;
+  } catch (error) {
+    console.error('Error sending push notification:', error.response ? error.response.data : error.message);
+    return 0;
+  }
+};
+
+module.exports = {
+  isExpoPushToken,
+  registerPushToken,
+  unregisterPushToken,
+  sendPushNotification
+};
@@ -0,0 +1,380 @@
+const QRCode = require('qrcode');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const { logUserActivity, ActionTypes } = require('./userLogger');
+const { createNotification } = require('./notifications');
+const {
+  SCHEDULED_BOOKING_HOLD_MINUTES,
+  SCHEDULED_BOOKING_MAX_DAYS_AHEAD,
+  SCHEDULED_BOOKING_MAX_HOURS,
+  SCHEDULABLE_SPOT_STATUSES,
+  hasSpotConflict,
+  countSectionOverlaps,
+  hasUserOverlap
+} = require('./reservationSchedule');
+const { getActiveSuspension } = require('./noShowStrikes');
+
+// How many days ahead recurring rules are turned into scheduled bookings (capped at the advance booking limit)
+const RECURRING_BOOKING_DAYS_AHEAD = Math.min(
+  parseInt(process.env.RECURRING_BOOKING_DAYS_AHEAD) || SCHEDULED_BOOKING_MAX_DAYS_AHEAD,
+  SCHEDULED_BOOKING_MAX_DAYS_AHEAD
+);
+
+const CAPACITY_VEHICLE_TYPES = ['motorcycle', 'bicycle'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(:00)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return parseInt(hours) * 60 + parseInt(minutes);
+};
+
+/**
+ * Validate the weekdays and daily window of a recurring booking rule.
+ * @returns {{rule: {daysOfWeek: number[], startTime: string, endTime: string}|null, error?: string}}
+ */
+const parseRecurringRule = ({ daysOfWeek, startTime, endTime }) => {
+  if (!Array.isArray(daysOfWeek) || daysOfWeek.length === 0 ||
+      !daysOfWeek.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    return { rule: null, error: 'daysOfWeek must list at least one weekday (0 = Sunday ... 6 = Saturday)' };
+  }
+
+  if (typeof startTime !== 'string' || typeof endTime !== 'string' ||
+      !TIME_PATTERN.test(startTime) || !TIME_PATTERN.test(endTime)) {
+    return { rule: null, error: 'startTime and endTime must be times of day in HH:MM format' };
+  }
+
+  const duration = toMinutes(endTime) - toMinutes(startTime);
+  if (duration <= 0) {
+    return { rule: null, error: 'endTime must be after startTime on the same day' };
+  }
+
+  if (duration > SCHEDULED_BOOKING_MAX_HOURS * 60) {
+    return { rule: null, error: `A recurring booking can last at most ${SCHEDULED_BOOKING_MAX_HOURS} hours` };
+  }
+
+  return {
+    rule: {
+      daysOfWeek: [...new Set(daysOfWeek)].sort((a, b) => a - b),
+      startTime: `${startTime.slice(0, 5)}:00`,
+      endTime: `${endTime.slice(0, 5)}:00`
+    }
+  };
+};
+
+const formatDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+const parseDate = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return null;
+  }
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return formatDate(date) === value ? date : null;
+};
+
+// The rule's window on a given date, in server time
+const occurrenceWindow = (rule, date) => {
+  const start = new Date(date);
+  start.setHours(0, toMinutes(rule.start_time), 0, 0);
+  const end = new Date(date);
+  end.setHours(0, toMinutes(rule.end_time), 0, 0);
+  return { start, end };
+};
+
+const ruleDays = (rule) => rule.days_of_week.split(',').map(Number);
+
+// Dates the rule applies to that are still far enough ahead to be booked as scheduled bookings
+const upcomingOccurrences = (rule, now = new Date()) => {
+  const earliestStart = now.getTime() + SCHEDULED_BOOKING_HOLD_MINUTES * 60 * 1000;
+  const days = ruleDays(rule);
+  const occurrences = [];
+
+  for (let offset = 0; offset <= RECURRING_BOOKING_DAYS_AHEAD; offset++) {
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    if (!days.includes(date.getDay())) {
+      continue;
+    }
+
+    const window = occurrenceWindow(rule, date);
+    if (window.start.getTime() >= earliestStart) {
+      occurrences.push({ date: formatDate(date), window });
+    }
+  }
+
+  return occurrences;
+};
+
+// The preferred spot if it's free during the window, else any free spot of the same type in the area
+const findSpotForOccurrence = async (connection, rule, window) => {
+  if (rule.parking_spot_id) {
+    const [spots] = await connection.execute(
+      `SELECT ps.parking_spot_id, ps.parking_section_id, ps.spot_number, psec.section_name
+       FROM parking_spot ps
+       JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
+       WHERE ps.parking_spot_id = ? AND ps.status IN (${SCHEDULABLE_SPOT_STATUSES.map(() => '?').join(', ')})
+         AND psec.status != 'unavailable'
+       FOR UPDATE`,
+      [rule.parking_spot_id, ...SCHEDULABLE_SPOT_STATUSES]
+    );
+
+    if (spots.length > 0 && !(await hasSpotConflict(connection, rule.parking_spot_id, window))) {
+      return { ...spots[0], fallback: false };
+    }
+  }
+
+  const [fallbacks] = await connection.execute(
+    `SELECT ps.parking_spot_id, ps.parking_section_id, ps.spot_number, psec.section_name
+     FROM parking_spot ps
+     JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
+     WHERE psec.parking_area_id = ?
+       AND LOWER(ps.spot_type) = ?
+       AND ps.status IN (${SCHEDULABLE_SPOT_STATUSES.map(() => '?').join(', ')})
+       AND psec.status != 'unavailable'
+       AND NOT EXISTS (
+         SELECT 1 FROM reservations r
+         WHERE r.parking_spots_id = ps.parking_spot_id
+           AND r.booking_status IN ('scheduled', 'reserved', 'active')
+           AND r.scheduled_start_time IS NOT NULL
+           AND r.scheduled_start_time < ?
+           AND r.scheduled_end_time > ?
+       )
+     ORDER BY (ps.parking_section_id = ?) DESC, ps.spot_number
+     LIMIT 1
+     FOR UPDATE`,
+    [
+      rule.parking_area_id,
+      rule.vehicle_type,
+      ...SCHEDULABLE_SPOT_STATUSES,
+      window.end,
+      window.start,
+      rule.parking_section_id || 0
+    ]
+  );
+
+  return fallbacks.length > 0 ? { ...fallbacks[0], fallback: !!rule.parking_spot_id } : null;
+};
+
+// The preferred section if it has room during the window, else another section for the vehicle type in the area
+const findSectionForOccurrence = async (connection, rule, window) => {
+  const [sections] = await connection.execute(
+    `SELECT parking_section_id, section_name, capacity
+     FROM parking_section
+     WHERE parking_area_id = ? AND vehicle_type = ? AND section_mode = 'capacity_only' AND status != 'unavailable'
+     ORDER BY (parking_section_id = ?) DESC, section_name
+     FOR UPDATE`,
+    [rule.parking_area_id, rule.vehicle_type, rule.parking_section_id || 0]
+  );
+
+  for (const section of sections) {
+    const overlapping = await countSectionOverlaps(connection, section.parking_section_id, window);
+    if (overlapping < section.capacity) {
+      return {
+        parking_spot_id: 0,
+        parking_section_id: section.parking_section_id,
+        spot_number: `${overlapping + 1}`,
+        section_name: section.section_name,
+        fallback: !!rule.parking_section_id && section.parking_section_id !== rule.parking_section_id
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Book one date of a rule as a scheduled reservation, or record why it couldn't be booked.
+ * Dates that already have an occurrence are left alone, except earlier conflicts which are retried.
+ * Dates starting before suspendedUntil (the driver's booking suspension) are recorded as conflicts.
+ * @returns {{status: string, reservationId?: number, spotNumber?: string, message?: string, retried: boolean}|null}
+ */
+const bookOccurrence = async (pool, rule, occurrence, suspendedUntil = null) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [existing] = await connection.execute(
+      'SELECT status FROM recurring_reservation_occurrences WHERE recurring_id = ? AND occurrence_date = ? FOR UPDATE',
+      [rule.recurring_id, occurrence.date]
+    );
+
+    if (existing.length > 0 && existing[0].status !== 'conflict') {
+      await connection.commit();
+      return null;
+    }
+
+    let outcome;
+    if (suspendedUntil && occurrence.window.start < new Date(suspendedUntil)) {
+      outcome = { status: 'conflict', message: 'Your booking privileges are suspended because of no-show strikes' };
+    } else if (await hasUserOverlap(connection, rule.user_id, occurrence.window)) {
+      outcome = { status: 'conflict', message: 'You already have a booking at that time' };
+    } else {
+      const unit = CAPACITY_VEHICLE_TYPES.includes(rule.vehicle_type)
+        ? await findSectionForOccurrence(connection, rule, occurrence.window)
+        : await findSpotForOccurrence(connection, rule, occurrence.window);
+
+      if (!unit) {
+        outcome = { status: 'conflict', message: `No compatible spot is free at ${rule.parking_area_name} at that time` };
+      } else {
+        const spotNumber = `${unit.section_name}-${unit.spot_number}`;
+        const qrKey = uuidv4();
+        const qrCodeDataURL = await QRCode.toDataURL(JSON.stringify({ qr_key: qrKey }), {
+          width: 256,
+          margin: 2,
+          color: {
+            dark: '#000000',
+            light: '#FFFFFF'
+          }
+        });
+
+        const [insertResult] = await connection.execute(`
+          INSERT INTO reservations (
+            user_id, vehicle_id, parking_spots_id, parking_section_id, spot_number,
+            time_stamp, scheduled_start_time, scheduled_end_time, start_time, booking_status, QR, qr_key
+          ) VALUES (?, ?, ?, ?, ?, NOW(), ?, ?, NULL, 'scheduled', ?, ?)
+        `, [
+          rule.user_id,
+          rule.vehicle_id,
+          unit.parking_spot_id,
+          unit.parking_section_id,
+          spotNumber,
+          occurrence.window.start,
+          occurrence.window.end,
+          qrCodeDataURL,
+          qrKey
+        ]);
+
+        outcome = {
+          status: unit.fallback ? 'fallback' : 'booked',
+          reservationId: insertResult.insertId,
+          spotNumber,
+          message: unit.fallback ? `Your preferred spot was taken, so ${spotNumber} was booked instead` : null
+        };
+      }
+    }
+
+    await connection.execute(
+      `INSERT INTO recurring_reservation_occurrences (recurring_id, occurrence_date, status, reservation_id, message)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE status = VALUES(status), reservation_id = VALUES(reservation_id), message = VALUES(message)`,
+      [rule.recurring_id, occurrence.date, outcome.status, outcome.reservationId || null, outcome.message]
+    );
+
+    await connection.commit();
+    return { ...outcome, retried: existing.length > 0 };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Turn one rule's upcoming dates into scheduled bookings and tell the driver about fallbacks and conflicts.
+ * @returns {Promise<{booked: number, fallback: number, conflicts: number}>}
+ */
+const expandRecurringRule = async (rule) => {
+  if (!db.connection) {
+    await db.connect();
+  }
+  const pool = db.connection;
+  const counts = { booked: 0, fallback: 0, conflicts: 0 };
+  // Recurring bookings skip requireBookingEligibility, so a suspension has to hold them back here
+  const suspension = await getActiveSuspension(rule.user_id);
+
+  for (const occurrence of upcomingOccurrences(rule)) {
+    const outcome = await bookOccurrence(pool, rule, occurrence, suspension ? suspension.ends_at : null);
+    if (!outcome) {
+      continue;
+    }
+
+    if (outcome.status === 'conflict') {
+      // Conflicts are retried on every run; only tell the driver the first time
+      if (!outcome.retried) {
+        counts.conflicts++;
+        await createNotification(rule.user_id, {
+          title: 'Recurring booking not placed',
+          message: `We couldn't book ${rule.parking_area_name} for ${occurrence.date}: ${outcome.message}. We'll keep trying and let you know if a spot frees up.`,
+          type: 'warning',
+          data: { recurringId: rule.recurring_id, date: occurrence.date }
+        });
+      }
+      continue;
+    }
+
+    counts[outcome.status === 'fallback' ? 'fallback' : 'booked']++;
+    await logUserActivity(
+      rule.user_id,
+      ActionTypes.PARKING_BOOK,
+      `Recurring booking placed: ${outcome.spotNumber} at ${rule.parking_area_name} from ${occurrence.window.start.toISOString()} to ${occurrence.window.end.toISOString()}`,
+      outcome.reservationId
+    );
+
+    if (outcome.status === 'fallback' || outcome.retried) {
+      await createNotification(rule.user_id, {
+        title: 'Recurring booking placed',
+        message: `${rule.parking_area_name} on ${occurrence.date}: ${outcome.message || `${outcome.spotNumber} is booked for you`}.`,
+        type: 'info',
+        data: { recurringId: rule.recurring_id, date: occurrence.date, reservationId: outcome.reservationId }
+      });
+    }
+  }
+
+  return counts;
+};
+
+let isExpansionRunning = false;
+
+/**
+ * Expand every active recurring rule RECURRING_BOOKING_DAYS_AHEAD days ahead. Rules of accounts awaiting deletion
+ * are skipped, so new bookings don't keep postponing it; they resume if the driver cancels the deletion.
+ */
+const expandRecurringReservations = async () => {
+  const totals = { booked: 0, fallback: 0, conflicts: 0 };
+  if (isExpansionRunning) {
+    return totals;
+  }
+
+  isExpansionRunning = true;
+
+  try {
+    const rules = await db.query(`
+      SELECT rr.*, pa.parking_area_name
+      FROM recurring_reservations rr
+      JOIN parking_area pa ON rr.parking_area_id = pa.parking_area_id
+      JOIN users u ON rr.user_id = u.user_id
+      WHERE rr.status = 'active'
+        AND u.deleted_at IS NULL AND u.deletion_scheduled_for IS NULL
+    `);
+
+    for (const rule of rules) {
+      try {
+        const counts = await expandRecurringRule(rule);
+        totals.booked += counts.booked;
+        totals.fallback += counts.fallback;
+        totals.conflicts += counts.conflicts;
+      } catch (error) {
+        console.error(`❌ Failed to expand recurring reservation #${rule.recurring_id}:`, error.message);
+      }
+    }
+
+    return totals;
+  } finally {
+    isExpansionRunning = false;
+  }
+};
+
+module.exports = {
+  RECURRING_BOOKING_DAYS_AHEAD,
+  parseRecurringRule,
+  parseDate,
+  formatDate,
+  ruleDays,
+  expandRecurringRule,
+  expandRecurringReservations
+};
@@ -0,0 +1,94 @@
+const db = require('../config/database');
+const { createNotification } = require('./notifications');
+const { GRACE_START_SQL, GRACE_RULE_COLUMNS_SQL, loadGracePeriodRules, gracePeriodMinutesForRow } = require('./gracePeriod');
+
+// Minutes before the grace deadline at which a driver who hasn't checked in is reminded, e.g. "10,3"
+const RESERVATION_REMINDER_OFFSETS = (process.env.RESERVATION_REMINDER_OFFSETS || '10,3')
+  .split(',')
+  .map((offset) => parseInt(offset, 10))
+  .filter((offset) => Number.isInteger(offset) && offset > 0)
+  .sort((a, b) => b - a);
+
+/**
+ * Remind drivers whose reserved spot is about to be released because they haven't checked in. Each offset in
+ * RESERVATION_REMINDER_OFFSETS is sent at most once per reservation, to the inbox and by push; offsets that don't
+ * fit in the reservation's grace period are skipped. When several offsets are due at once (e.g. after downtime)
+ * only the latest is sent and the earlier ones are marked as sent.
+ * @returns {Promise<number>} How many reminders were sent
+ */
+const sendExpiryReminders = async () => {
+  if (RESERVATION_REMINDER_OFFSETS.length === 0) {
+    return 0;
+  }
+
+  const gracePeriodRules = await loadGracePeriodRules();
+  const reservations = await db.query(`
+    SELECT r.reservation_id, r.user_id, r.spot_number, pa.parking_area_name,
+      ${GRACE_START_SQL} AS grace_starts_at, ${GRACE_RULE_COLUMNS_SQL},
+      (SELECT GROUP_CONCAT(rr.offset_minutes) FROM reservation_reminders rr
+       WHERE rr.reservation_id = r.reservation_id) AS sent_offsets
+    FROM reservations r
+    LEFT JOIN parking_spot ps ON r.parking_spots_id = ps.parking_spot_id
+    LEFT JOIN parking_section psec ON psec.parking_section_id = COALESCE(ps.parking_section_id, r.parking_section_id)
+    LEFT JOIN parking_area pa ON psec.parking_area_id = pa.parking_area_id
+    WHERE r.booking_status = 'reserved'
+      AND r.start_time IS NULL
+  `);
+
+  let sent = 0;
+  const now = Date.now();
+
+  for (const reservation of reservations) {
+    const graceMinutes = gracePeriodMinutesForRow(gracePeriodRules, reservation);
+    const expiresAt = new Date(new Date(reservation.grace_starts_at).getTime() + graceMinutes * 60 * 1000);
+    const secondsLeft = Math.floor((expiresAt.getTime() - now) / 1000);
+    if (secondsLeft <= 0) {
+      continue;
+    }
+
+    const sentOffsets = reservation.sent_offsets ? String(reservation.sent_offsets).split(',').map(Number) : [];
+    const dueOffsets = RESERVATION_REMINDER_OFFSETS.filter((offset) =>
+      offset < graceMinutes && secondsLeft <= offset * 60 && !sentOffsets.includes(offset)
+    );
+    if (dueOffsets.length === 0) {
+      continue;
+    }
+
+    // Claim the offsets first so a reminder isn't sent twice if two checks overlap
+    const claimed = await db.execute(
+      `INSERT IGNORE INTO reservation_reminders (reservation_id, offset_minutes) VALUES ${dueOffsets.map(() => '(?, ?)').join(', ')}`,
+      dueOffsets.flatMap((offset) => [reservation.reservation_id, offset])
+    );
+    if (claimed.affectedRows === 0) {
+      continue;
+    }
+
+    const minutesLeft = Math.max(1, Math.ceil(secondsLeft / 60));
+    const location = reservation.parking_area_name
+      ? `${reservation.spot_number} at ${reservation.parking_area_name}`
+      : reservation.spot_number;
+    const notificationId = await createNotification(reservation.user_id, {
+      title: 'Your reservation is about to expire',
+      message: `Check in at ${location} within ${minutesLeft} minute${minutesLeft === 1 ? '' : 's'} or the spot will be released and a no-show strike recorded.`,
+      type: 'warning',
+      data: { reservationId: reservation.reservation_id, expiresAt, minutesLeft },
+      push: true
+    });
+
+    if (notificationId) {
+      await db.execute(
+        `UPDATE reservation_reminders SET notification_id = ?
+         WHERE reservation_id = ? AND offset_minutes = ?`,
+        [notificationId, reservation.reservation_id, Math.min(...dueOffsets)]
+      );
+    }
+    sent++;
+  }
+
+  return sent;
+};
+
+module.exports = {
+  RESERVATION_REMINDER_OFFSETS,
+  sendExpiryReminders
+};
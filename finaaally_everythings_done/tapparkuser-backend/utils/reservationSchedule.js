@@ -0,0 +1,393 @@
+const db = require('../config/database');
+const { logUserActivity, ActionTypes } = require('./userLogger');
+const { createNotification } = require('./notifications');
+const { GRACE_RULE_COLUMNS_SQL, loadGracePeriodRules, gracePeriodMinutesForRow } = require('./gracePeriod');
+
+// A scheduled booking takes hold of its spot (or section capacity) this many minutes before it starts,
+// which is also the minimum lead time; anything sooner is booked as "park now"
+const SCHEDULED_BOOKING_HOLD_MINUTES = parseInt(process.env.SCHEDULED_BOOKING_HOLD_MINUTES) || 30;
+const SCHEDULED_BOOKING_MAX_DAYS_AHEAD = parseInt(process.env.SCHEDULED_BOOKING_MAX_DAYS_AHEAD) || 7;
+const SCHEDULED_BOOKING_MAX_HOURS = parseInt(process.env.SCHEDULED_BOOKING_MAX_HOURS) || 12;
+// Cars parked or held in a capacity section right now (walk-ins, which have no window of their own) are assumed to
+// still be there for windows starting within this many hours; 0 ignores them
+const SCHEDULED_BOOKING_WALK_IN_HOURS = process.env.SCHEDULED_BOOKING_WALK_IN_HOURS === undefined
+  || Number.isNaN(parseFloat(process.env.SCHEDULED_BOOKING_WALK_IN_HOURS))
+  ? 2
+  : parseFloat(process.env.SCHEDULED_BOOKING_WALK_IN_HOURS);
+
+// Spot statuses that can still be booked for a later window (the current occupant will have left by then)
+const SCHEDULABLE_SPOT_STATUSES = ['available', 'reserved', 'occupied'];
+
+// When billing starts for reservation alias r: booking time for "park now", scheduled start for advance bookings,
+// or check-in if the driver arrived before the scheduled start
+const CHARGE_START_SQL = 'LEAST(COALESCE(r.scheduled_start_time, r.time_stamp), COALESCE(r.start_time, r.end_time, NOW()))';
+
+// When the driver plans to leave: the end they declared or extended to, else the end of the scheduled window
+const PLANNED_END_SQL = 'COALESCE(r.intended_end_time, r.scheduled_end_time)';
+
+// Seconds parked past the planned end (0 when no end was planned); needs r.end_time to be set
+const OVERSTAY_SECONDS_SQL = `GREATEST(0, COALESCE(TIMESTAMPDIFF(SECOND, ${PLANNED_END_SQL}, r.end_time), 0))`;
+
+// Open bookings whose scheduled window overlaps [start, end); expects params [end, start]
+const OVERLAPPING_WINDOW_SQL = `
+  booking_status IN ('scheduled', 'reserved', 'active')
+  AND scheduled_start_time IS NOT NULL
+  AND scheduled_start_time < ?
+  AND scheduled_end_time > ?
+`;
+
+// Current walk-in occupancy of capacity section alias ps: its counters minus the held scheduled bookings in them,
+// which are already counted by their windows
+const SECTION_WALK_IN_SQL = `GREATEST(0, ps.parked_count + ps.reserved_count - (
+  SELECT COUNT(*) FROM reservations wr
+  WHERE wr.parking_spots_id = 0 AND wr.parking_section_id = ps.parking_section_id
+    AND wr.booking_status IN ('reserved', 'active') AND wr.scheduled_start_time IS NOT NULL
+))`;
+
+// Whether a window starts soon enough that today's walk-ins count against it
+const windowIncludesWalkIns = (window) =>
+  window.start.getTime() < Date.now() + SCHEDULED_BOOKING_WALK_IN_HOURS * 60 * 60 * 1000;
+
+// SQL for the units of capacity section alias ps taken during a window: overlapping bookings, plus walk-ins for
+// windows that start soon. Expects params [end, start]
+const sectionWindowOccupancySql = (window) => `((
+  SELECT COUNT(*) FROM reservations r
+  WHERE r.parking_spots_id = 0 AND r.parking_section_id = ps.parking_section_id
+    AND r.booking_status IN ('scheduled', 'reserved', 'active')
+    AND r.scheduled_start_time IS NOT NULL
+    AND r.scheduled_start_time < ? AND r.scheduled_end_time > ?
+) + ${windowIncludesWalkIns(window) ? SECTION_WALK_IN_SQL : '0'})`;
+
+/**
+ * Validate the optional startTime/endTime of a booking request.
+ * @returns {{window: {start: Date, end: Date}|null, error?: string}}
+ */
+const parseScheduleWindow = (startTime, endTime) => {
+  if (!startTime && !endTime) {
+    return { window: null };
+  }
+
+  if (!startTime || !endTime) {
+    return { window: null, error: 'Both startTime and endTime are required for a scheduled booking' };
+  }
+
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { window: null, error: 'startTime and endTime must be valid ISO 8601 dates' };
+  }
+
+  if (end <= start) {
+    return { window: null, error: 'endTime must be after startTime' };
+  }
+
+  if (end - start > SCHEDULED_BOOKING_MAX_HOURS * 60 * 60 * 1000) {
+    return { window: null, error: `A scheduled booking can last at most ${SCHEDULED_BOOKING_MAX_HOURS} hours` };
+  }
+
+  const now = Date.now();
+  if (start.getTime() < now + SCHEDULED_BOOKING_HOLD_MINUTES * 60 * 1000) {
+    return {
+      window: null,
+      error: `Scheduled bookings must start at least ${SCHEDULED_BOOKING_HOLD_MINUTES} minutes from now. Book now instead.`
+    };
+  }
+
+  if (start.getTime() > now + SCHEDULED_BOOKING_MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000) {
+    return { window: null, error: `You can book at most ${SCHEDULED_BOOKING_MAX_DAYS_AHEAD} days ahead` };
+  }
+
+  return { window: { start, end } };
+};
+
+// All helpers below take a pool connection so they can run inside the booking transaction
+
+const hasSpotConflict = async (connection, spotId, window, excludeReservationId = 0) => {
+  const [rows] = await connection.execute(
+    `SELECT reservation_id FROM reservations
+     WHERE parking_spots_id = ? AND reservation_id != ? AND ${OVERLAPPING_WINDOW_SQL}
+     LIMIT 1`,
+    [spotId, excludeReservationId, window.end, window.start]
+  );
+  return rows.length > 0;
+};
+
+// Counts every overlapping booking, so it never undercounts the peak occupancy during the window, plus the
+// section's current walk-ins when the window starts soon
+const countSectionOverlaps = async (connection, sectionId, window, excludeReservationId = 0) => {
+  const [rows] = await connection.execute(
+    `SELECT
+       (SELECT COUNT(*) FROM reservations
+        WHERE parking_spots_id = 0 AND parking_section_id = ps.parking_section_id AND reservation_id != ?
+          AND ${OVERLAPPING_WINDOW_SQL}) as scheduled_count,
+       ${windowIncludesWalkIns(window) ? SECTION_WALK_IN_SQL : '0'} as walk_in_count
+     FROM parking_section ps
+     WHERE ps.parking_section_id = ?`,
+    [excludeReservationId, window.end, window.start, sectionId]
+  );
+  if (rows.length === 0) {
+    return 0;
+  }
+  return (Number(rows[0].scheduled_count) || 0) + (Number(rows[0].walk_in_count) || 0);
+};
+
+// A driver can't hold two bookings for the same time
+const hasUserOverlap = async (connection, userId, window) => {
+  const [rows] = await connection.execute(
+    `SELECT reservation_id FROM reservations
+     WHERE user_id = ? AND ${OVERLAPPING_WINDOW_SQL}
+     LIMIT 1`,
+    [userId, window.end, window.start]
+  );
+  return rows.length > 0;
+};
+
+// Another spot of the same type in the same area that is free now and not booked during the window
+const findFallbackSpot = async (connection, reservation) => {
+  const [spots] = await connection.execute(
+    `SELECT ps.parking_spot_id, ps.spot_number, ps.parking_section_id, psec.section_name
+     FROM parking_spot ps
+     JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
+     WHERE psec.parking_area_id = ?
+       AND ps.spot_type = ?
+       AND ps.status = 'available'
+       AND psec.status != 'unavailable'
+       AND NOT EXISTS (
+         SELECT 1 FROM reservations r
+         WHERE r.parking_spots_id = ps.parking_spot_id
+           AND r.reservation_id != ?
+           AND r.booking_status IN ('scheduled', 'reserved', 'active')
+           AND r.scheduled_start_time IS NOT NULL
+           AND r.scheduled_start_time < ?
+           AND r.scheduled_end_time > ?
+       )
+     ORDER BY ps.spot_number
+     LIMIT 1
+     FOR UPDATE`,
+    [
+      reservation.parking_area_id,
+      reservation.spot_type,
+      reservation.reservation_id,
+      reservation.scheduled_end_time,
+      reservation.scheduled_start_time
+    ]
+  );
+  return spots[0] || null;
+};
+
+const findFallbackSection = async (connection, reservation) => {
+  const [sections] = await connection.execute(
+    `SELECT parking_section_id, section_name, reserved_count
+     FROM parking_section
+     WHERE parking_area_id = ?
+       AND vehicle_type = ?
+       AND section_mode = 'capacity_only'
+       AND status != 'unavailable'
+       AND parking_section_id != ?
+       AND (capacity - parked_count - reserved_count) > 0
+     ORDER BY section_name
+     LIMIT 1
+     FOR UPDATE`,
+    [reservation.parking_area_id, reservation.section_vehicle_type, reservation.parking_section_id]
+  );
+  return sections[0] || null;
+};
+
+/**
+ * Move one scheduled booking to 'reserved' by taking its spot or a unit of section capacity.
+ * Falls back to a compatible spot/section in the same area when the booked one is still taken.
+ * @returns {'held'|'reassigned'|'waiting'}
+ */
+const holdScheduledReservation = async (pool, reservation) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    let outcome = 'waiting';
+    let spotNumber = reservation.spot_number;
+
+    if (reservation.parking_spots_id !== 0) {
+      const [updateResult] = await connection.execute(
+        "UPDATE parking_spot SET status = 'reserved' WHERE parking_spot_id = ? AND status = 'available'",
+        [reservation.parking_spots_id]
+      );
+
+      if (updateResult.affectedRows > 0) {
+        outcome = 'held';
+      } else {
+        const fallback = await findFallbackSpot(connection, reservation);
+        if (fallback) {
+          await connection.execute(
+            "UPDATE parking_spot SET status = 'reserved' WHERE parking_spot_id = ?",
+            [fallback.parking_spot_id]
+          );
+          spotNumber = `${fallback.section_name}-${fallback.spot_number}`;
+          await connection.execute(
+            'UPDATE reservations SET parking_spots_id = ?, parking_section_id = ?, spot_number = ? WHERE reservation_id = ?',
+            [fallback.parking_spot_id, fallback.parking_section_id, spotNumber, reservation.reservation_id]
+          );
+          outcome = 'reassigned';
+        }
+      }
+    } else {
+      const [updateResult] = await connection.execute(
+        `UPDATE parking_section SET reserved_count = reserved_count + 1
+         WHERE parking_section_id = ? AND (capacity - parked_count - reserved_count) > 0 AND status != 'unavailable'`,
+        [reservation.parking_section_id]
+      );
+
+      if (updateResult.affectedRows > 0) {
+        outcome = 'held';
+      } else {
+        const fallback = await findFallbackSection(connection, reservation);
+        if (fallback) {
+          await connection.execute(
+            'UPDATE parking_section SET reserved_count = reserved_count + 1 WHERE parking_section_id = ?',
+            [fallback.parking_section_id]
+          );
+          spotNumber = `${fallback.section_name}-${fallback.reserved_count + 1}`;
+          await connection.execute(
+            'UPDATE reservations SET parking_section_id = ?, spot_number = ? WHERE reservation_id = ?',
+            [fallback.parking_section_id, spotNumber, reservation.reservation_id]
+          );
+          outcome = 'reassigned';
+        }
+      }
+    }
+
+    if (outcome !== 'waiting') {
+      await connection.execute(
+        "UPDATE reservations SET booking_status = 'reserved' WHERE reservation_id = ? AND booking_status = 'scheduled'",
+        [reservation.reservation_id]
+      );
+    }
+
+    await connection.commit();
+
+    if (outcome === 'reassigned') {
+      await logUserActivity(
+        reservation.user_id,
+        ActionTypes.PARKING_REASSIGN,
+        `Scheduled booking moved to ${spotNumber} because ${reservation.spot_number} was still taken`,
+        reservation.reservation_id
+      );
+    }
+
+    return outcome;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+let isHoldRunRunning = false;
+
+/**
+ * Hold every scheduled booking that starts within SCHEDULED_BOOKING_HOLD_MINUTES.
+ * Bookings that still can't be placed once their grace period has run out are cancelled without charge.
+ */
+const holdDueScheduledReservations = async () => {
+  if (isHoldRunRunning) {
+    return { held: 0, cancelled: 0 };
+  }
+
+  isHoldRunRunning = true;
+
+  try {
+    if (!db.connection) {
+      await db.connect();
+    }
+    const pool = db.connection;
+
+    const [dueReservations] = await pool.execute(`
+      SELECT
+        r.reservation_id,
+        r.user_id,
+        r.parking_spots_id,
+        r.parking_section_id,
+        r.spot_number,
+        r.scheduled_start_time,
+        r.scheduled_end_time,
+        ps.spot_type,
+        psec.parking_area_id,
+        psec.vehicle_type as section_vehicle_type,
+        ${GRACE_RULE_COLUMNS_SQL}
+      FROM reservations r
+      LEFT JOIN parking_spot ps ON r.parking_spots_id = ps.parking_spot_id
+      JOIN parking_section psec ON psec.parking_section_id = COALESCE(ps.parking_section_id, r.parking_section_id)
+      WHERE r.booking_status = 'scheduled'
+        AND r.scheduled_start_time <= DATE_ADD(NOW(), INTERVAL ? MINUTE)
+      ORDER BY r.scheduled_start_time
+    `, [SCHEDULED_BOOKING_HOLD_MINUTES]);
+
+    let held = 0;
+    let cancelled = 0;
+    const gracePeriodRules = dueReservations.length > 0 ? await loadGracePeriodRules() : [];
+
+    for (const reservation of dueReservations) {
+      try {
+        const outcome = await holdScheduledReservation(pool, reservation);
+        if (outcome !== 'waiting') {
+          held++;
+          console.log(`📅 Scheduled reservation #${reservation.reservation_id} is now holding its ${outcome === 'reassigned' ? 'fallback ' : ''}spot`);
+          continue;
+        }
+
+        const [cancelResult] = await pool.execute(
+          `UPDATE reservations SET booking_status = 'cancelled', updated_at = NOW()
+           WHERE reservation_id = ? AND booking_status = 'scheduled'
+             AND TIMESTAMPDIFF(MINUTE, scheduled_start_time, NOW()) >= ?`,
+          [reservation.reservation_id, gracePeriodMinutesForRow(gracePeriodRules, reservation)]
+        );
+
+        if (cancelResult.affectedRows > 0) {
+          cancelled++;
+          console.log(`⚠️ Cancelled scheduled reservation #${reservation.reservation_id}: no spot freed up in time`);
+          await logUserActivity(
+            reservation.user_id,
+            ActionTypes.PARKING_CANCEL,
+            `Scheduled booking for ${reservation.spot_number} cancelled because no spot was free at the booked time. No hours were charged.`,
+            reservation.reservation_id
+          );
+          await createNotification(reservation.user_id, {
+            title: 'Booking cancelled',
+            message: `No spot freed up for your booking at ${reservation.spot_number}, so it was cancelled. No hours were charged.`,
+            type: 'warning',
+            data: {
+              reservationId: reservation.reservation_id,
+              scheduledStartTime: reservation.scheduled_start_time
+            },
+            push: true
+          });
+        } else {
+          console.log(`⏳ Scheduled reservation #${reservation.reservation_id} is waiting for ${reservation.spot_number} to free up`);
+        }
+      } catch (error) {
+        console.error(`❌ Failed to hold scheduled reservation #${reservation.reservation_id}:`, error.message);
+      }
+    }
+
+    return { held, cancelled };
+  } finally {
+    isHoldRunRunning = false;
+  }
+};
+
+module.exports = {
+  SCHEDULED_BOOKING_HOLD_MINUTES,
+  SCHEDULED_BOOKING_MAX_DAYS_AHEAD,
+  SCHEDULED_BOOKING_MAX_HOURS,
+  SCHEDULED_BOOKING_WALK_IN_HOURS,
+  SCHEDULABLE_SPOT_STATUSES,
+  CHARGE_START_SQL,
+  PLANNED_END_SQL,
+  OVERSTAY_SECONDS_SQL,
+  parseScheduleWindow,
+  sectionWindowOccupancySql,
+  hasSpotConflict,
+  countSectionOverlaps,
+  hasUserOverlap,
+  holdDueScheduledReservations
+};
@@ -0,0 +1,59 @@
+const { NOT_LAPSED_SQL, SOONEST_EXPIRING_FIRST_SQL } = require('./subscriptionExpiry');
+
+// Keeps float noise out of the sums at the precision charges are billed in (see overstay.js)
+const roundHours = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Charge hours to the driver's active subscriptions inside the caller's transaction, like a parking charge: the
+ * soonest-expiring one first, then the next, until the hours are covered. Only what all of them together can't
+ * cover is recorded as penalty hours for their next plan.
+ * @param {Object} connection - mysql2 connection with an open transaction
+ * @returns {Promise<{deductedHours: number, penaltyHours: number, subscriptionId: number|null}>} subscriptionId is
+ *   the first subscription charged
+ */
+const chargeSubscriptionHours = async (connection, userId, hours) => {
+  const outcome = { deductedHours: 0, penaltyHours: 0, subscriptionId: null };
+  if (hours <= 0) {
+    return outcome;
+  }
+
+  const [subscriptions] = await connection.execute(
+    `SELECT subscription_id, hours_remaining
+     FROM subscriptions
+     WHERE user_id = ? AND status = 'active' AND hours_remaining > 0 AND ${NOT_LAPSED_SQL}
+     ORDER BY ${SOONEST_EXPIRING_FIRST_SQL}
+     FOR UPDATE`,
+    [userId]
+  );
+
+  for (const subscription of subscriptions) {
+    const owed = roundHours(hours - outcome.deductedHours);
+    if (owed <= 0) {
+      break;
+    }
+
+    const deducted = Math.min(owed, parseFloat(subscription.hours_remaining));
+    await connection.execute(
+      `UPDATE subscriptions
+       SET hours_remaining = GREATEST(0, hours_remaining - ?), hours_used = hours_used + ?
+       WHERE subscription_id = ?`,
+      [deducted, deducted, subscription.subscription_id]
+    );
+    outcome.subscriptionId = outcome.subscriptionId || subscription.subscription_id;
+    outcome.deductedHours = roundHours(outcome.deductedHours + deducted);
+  }
+
+  outcome.penaltyHours = Math.max(0, roundHours(hours - outcome.deductedHours));
+  if (outcome.penaltyHours > 0) {
+    await connection.execute(
+      'INSERT INTO penalty (user_id, penalty_time) VALUES (?, ?)',
+      [userId, outcome.penaltyHours]
+    );
+  }
+
+  return outcome;
+};
+
+module.exports = {
+  chargeSubscriptionHours
+};
@@ -0,0 +1,130 @@
+const db = require('../config/database');
+const { createNotification } = require('./notifications');
+const { logUserActivity, ActionTypes } = require('./userLogger');
+
+// Days before a subscription expires at which the driver is warned about the hours they still have on it
+const SUBSCRIPTION_EXPIRY_NOTICE_DAYS = parseInt(process.env.SUBSCRIPTION_EXPIRY_NOTICE_DAYS || '3', 10);
+
+// Subscriptions past expires_at that the expiry job hasn't marked as expired yet
+const NOT_LAPSED_SQL = '(expires_at IS NULL OR expires_at > NOW())';
+// Hours are charged to the subscription that expires soonest; ones without an expiry go last, oldest first
+const SOONEST_EXPIRING_FIRST_SQL = 'expires_at IS NULL, expires_at ASC, purchase_date ASC';
+// expires_at for a subscription bought now, given the plan's validity_days as the parameter (NULL never expires)
+const EXPIRES_AT_SQL = 'DATE_ADD(NOW(), INTERVAL ? DAY)';
+
+const formatHours = (hours) => {
+  const value = parseFloat(hours);
+  return `${Number.isInteger(value) ? value : value.toFixed(2)} hour${value === 1 ? '' : 's'}`;
+};
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+// Warn drivers once per subscription that its remaining hours expire within SUBSCRIPTION_EXPIRY_NOTICE_DAYS
+const sendExpiryNotices = async () => {
+  if (!(SUBSCRIPTION_EXPIRY_NOTICE_DAYS > 0)) {
+    return 0;
+  }
+
+  const subscriptions = await db.query(
+    `SELECT s.subscription_id, s.user_id, s.hours_remaining, s.expires_at, p.plan_name
+     FROM subscriptions s
+     JOIN plans p ON s.plan_id = p.plan_id
+     WHERE s.status = 'active' AND s.hours_remaining > 0 AND s.expiry_notified_at IS NULL
+       AND s.expires_at > NOW() AND s.expires_at <= DATE_ADD(NOW(), INTERVAL ? DAY)`,
+    [SUBSCRIPTION_EXPIRY_NOTICE_DAYS]
+  );
+
+  let notified = 0;
+  for (const subscription of subscriptions) {
+    // Claim the notice first so it isn't sent twice if two runs overlap
+    const claimed = await db.execute(
+      'UPDATE subscriptions SET expiry_notified_at = NOW() WHERE subscription_id = ? AND expiry_notified_at IS NULL',
+      [subscription.subscription_id]
+    );
+    if (claimed.affectedRows === 0) {
+      continue;
+    }
+
+    await createNotification(subscription.user_id, {
+      title: 'Your parking hours expire soon',
+      message: `${formatHours(subscription.hours_remaining)} left on your ${subscription.plan_name} plan expire on ${formatDate(subscription.expires_at)}. They are used first when you park.`,
+      type: 'warning',
+      data: {
+        subscriptionId: subscription.subscription_id,
+        expiresAt: subscription.expires_at,
+        hoursRemaining: parseFloat(subscription.hours_remaining)
+      },
+      push: true
+    });
+    notified++;
+  }
+
+  return notified;
+};
+
+// Mark subscriptions past their expiry as expired, which takes their remaining hours out of the balance
+const expireLapsedSubscriptions = async () => {
+  const subscriptions = await db.query(
+    `SELECT s.subscription_id, s.user_id, s.hours_remaining, s.expires_at, p.plan_name
+     FROM subscriptions s
+     JOIN plans p ON s.plan_id = p.plan_id
+     WHERE s.status = 'active' AND s.expires_at IS NOT NULL AND s.expires_at <= NOW()`
+  );
+
+  let expired = 0;
+  for (const subscription of subscriptions) {
+    const result = await db.execute(
+      "UPDATE subscriptions SET status = 'expired' WHERE subscription_id = ? AND status = 'active'",
+      [subscription.subscription_id]
+    );
+    if (result.affectedRows === 0) {
+      continue;
+    }
+    expired++;
+
+    const hoursRemaining = parseFloat(subscription.hours_remaining);
+    console.log(`⌛ Subscription #${subscription.subscription_id} of user ${subscription.user_id} expired with ${hoursRemaining} hours left`);
+    await logUserActivity(
+      subscription.user_id,
+      ActionTypes.SUBSCRIPTION_EXPIRE,
+      `Subscription expired: ${subscription.plan_name} - ${hoursRemaining} unused hours`,
+      subscription.subscription_id
+    );
+
+    if (hoursRemaining > 0) {
+      await createNotification(subscription.user_id, {
+        title: 'Parking hours expired',
+        message: `Your ${subscription.plan_name} plan expired with ${formatHours(hoursRemaining)} unused. Buy a new plan to keep parking.`,
+        type: 'info',
+        data: {
+          subscriptionId: subscription.subscription_id,
+          expiresAt: subscription.expires_at,
+          hoursExpired: hoursRemaining
+        },
+        push: true
+      });
+    }
+  }
+
+  return expired;
+};
+
+/**
+ * Warn drivers about subscriptions expiring within SUBSCRIPTION_EXPIRY_NOTICE_DAYS, then expire the ones whose
+ * expires_at has passed. Subscriptions without an expires_at never expire.
+ * @returns {Promise<{notified: number, expired: number}>}
+ */
+const processSubscriptionExpiry = async () => {
+  const notified = await sendExpiryNotices();
+  const expired = await expireLapsedSubscriptions();
+  return { notified, expired };
+};
+
+module.exports = {
+  SUBSCRIPTION_EXPIRY_NOTICE_DAYS,
+  NOT_LAPSED_SQL,
+  SOONEST_EXPIRING_FIRST_SQL,
+  EXPIRES_AT_SQL,
+  processSubscriptionExpiry
+};
@@ -0,0 +1,284 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+
+// Access tokens are short-lived; refresh tokens are long-lived, stored hashed and rotated on every use
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// last_seen_at is only written once per interval so authenticated requests don't all hit the table
+const SESSION_TOUCH_INTERVAL_SECONDS = 60;
+
+const ensurePool = async () => {
+  if (!db.connection) {
+    await db.connect();
+  }
+  return db.connection;
+};
+
+// Access tokens always belong to a session; anything else signed with JWT_SECRET (e.g. a two-factor challenge) has a
+// purpose or audience of its own and must not be accepted in their place
+const isAccessTokenPayload = (decoded) => !!(decoded && decoded.userId && decoded.sid && !decoded.purpose && !decoded.aud);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, sessionId) => {
+  const jti = uuidv4();
+  const token = jwt.sign(
+    { userId: user.user_id, email: user.email, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: jti }
+  );
+  const { iat, exp } = jwt.decode(token);
+  return { token, jti, expiresIn: exp - iat };
+};
+
+const insertRefreshToken = async (executor, userId, sessionId) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const [result] = await executor.execute(
+    `INSERT INTO refresh_tokens (user_id, session_id, token_hash, expires_at)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [userId, sessionId, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS]
+  );
+  return { refreshToken, refreshTokenId: result.insertId };
+};
+
+const truncate = (value, length) => (value ? String(value).slice(0, length) : null);
+
+// Device details for the sessions list; the app sends deviceName/platform with login and register
+const getClientInfo = (req) => ({
+  deviceName: truncate(req.body && req.body.deviceName, 100),
+  platform: truncate(req.body && req.body.platform, 20),
+  userAgent: truncate(req.get('user-agent'), 255),
+  ipAddress: truncate(req.ip, 45)
+});
+
+// Start a new session (login/register) and return an access + refresh token pair
+const issueTokens = async (user, client = {}) => {
+  const pool = await ensurePool();
+  const sessionId = uuidv4();
+  await pool.execute(
+    `INSERT INTO user_sessions (session_id, user_id, device_name, platform, user_agent, ip_address)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      sessionId,
+      user.user_id,
+      client.deviceName || null,
+      client.platform || null,
+      client.userAgent || null,
+      client.ipAddress || null
+    ]
+  );
+  const { refreshToken } = await insertRefreshToken(pool, user.user_id, sessionId);
+  const { token, expiresIn } = signAccessToken(user, sessionId);
+
+  return { token, refreshToken, expiresIn, sessionId };
+};
+
+// Short-lived proof that the password step of a two-factor login succeeded. It has its own audience and no
+// session, so authenticateToken refuses it as an access token
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const TWO_FACTOR_CHALLENGE_AUDIENCE = 'two_factor';
+
+const signTwoFactorChallenge = (user) => jwt.sign(
+  { userId: user.user_id, purpose: 'two_factor' },
+  process.env.JWT_SECRET,
+  { expiresIn: TWO_FACTOR_CHALLENGE_TTL, audience: TWO_FACTOR_CHALLENGE_AUDIENCE }
+);
+
+// Returns the user id from a valid challenge token, or null
+const verifyTwoFactorChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET, { audience: TWO_FACTOR_CHALLENGE_AUDIENCE });
+    return decoded.purpose === 'two_factor' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Exchange a refresh token for a new pair. A reused (already rotated) token revokes the whole session.
+const rotateRefreshToken = async (refreshToken, client = {}) => {
+  const pool = await ensurePool();
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(
+      `SELECT rt.refresh_token_id, rt.user_id, rt.session_id, rt.revoked_at, rt.created_at,
+              rt.expires_at <= NOW() AS is_expired, u.email, u.tokens_valid_after
+       FROM refresh_tokens rt
+       JOIN users u ON u.user_id = rt.user_id
+       WHERE rt.token_hash = ?
+       FOR UPDATE`,
+      [hashToken(refreshToken)]
+    );
+
+    if (rows.length === 0) {
+      await connection.rollback();
+      return { success: false, reason: 'invalid' };
+    }
+
+    const stored = rows[0];
+
+    if (stored.revoked_at) {
+      await connection.execute(
+        'UPDATE refresh_tokens SET revoked_at = COALESCE(revoked_at, NOW()) WHERE session_id = ?',
+        [stored.session_id]
+      );
+      await connection.commit();
+      return { success: false, reason: 'reused', userId: stored.user_id };
+    }
+
+    if (stored.is_expired || (stored.tokens_valid_after && stored.created_at < stored.tokens_valid_after)) {
+      await connection.rollback();
+      return { success: false, reason: 'expired' };
+    }
+
+    const { refreshToken: nextRefreshToken, refreshTokenId } = await insertRefreshToken(
+      connection,
+      stored.user_id,
+      stored.session_id
+    );
+
+    await connection.execute(
+      'UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by_id = ? WHERE refresh_token_id = ?',
+      [refreshTokenId, stored.refresh_token_id]
+    );
+
+    await connection.execute(
+      'UPDATE user_sessions SET last_seen_at = NOW(), ip_address = COALESCE(?, ip_address) WHERE session_id = ?',
+      [client.ipAddress || null, stored.session_id]
+    );
+
+    await connection.commit();
+
+    const user = { user_id: stored.user_id, email: stored.email };
+    const { token, expiresIn } = signAccessToken(user, stored.session_id);
+
+    return {
+      success: true,
+      userId: stored.user_id,
+      sessionId: stored.session_id,
+      token,
+      refreshToken: nextRefreshToken,
+      expiresIn
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+// Put an access token on the revocation list until it would have expired anyway
+const revokeAccessToken = async (decoded) => {
+  if (!decoded || !decoded.jti) return;
+  await db.query(
+    `INSERT IGNORE INTO revoked_tokens (jti, user_id, expires_at)
+     VALUES (?, ?, FROM_UNIXTIME(?))`,
+    [decoded.jti, decoded.userId, decoded.exp]
+  );
+};
+
+// Ends one session: its refresh tokens stop working and its access tokens are rejected by the auth middleware
+const revokeSession = async (userId, sessionId) => {
+  if (!sessionId) return false;
+  const result = await db.execute(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = ? AND session_id = ? AND revoked_at IS NULL',
+    [userId, sessionId]
+  );
+  await db.query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND session_id = ? AND revoked_at IS NULL',
+    [userId, sessionId]
+  );
+  return result.affectedRows > 0;
+};
+
+// "Log out of other devices": ends every session except the one making the request
+const revokeOtherSessions = async (userId, currentSessionId) => {
+  const result = await db.execute(
+    `UPDATE user_sessions SET revoked_at = NOW()
+     WHERE user_id = ? AND session_id <> ? AND revoked_at IS NULL`,
+    [userId, currentSessionId || '']
+  );
+  await db.query(
+    `UPDATE refresh_tokens SET revoked_at = NOW()
+     WHERE user_id = ? AND session_id <> ? AND revoked_at IS NULL`,
+    [userId, currentSessionId || '']
+  );
+  return result.affectedRows;
+};
+
+// Active sessions, most recently used first
+const listSessions = async (userId) => db.query(
+  `SELECT session_id, device_name, platform, user_agent, ip_address, created_at, last_seen_at
+   FROM user_sessions
+   WHERE user_id = ? AND revoked_at IS NULL
+     AND EXISTS (
+       SELECT 1 FROM refresh_tokens rt
+       WHERE rt.session_id = user_sessions.session_id AND rt.revoked_at IS NULL AND rt.expires_at > NOW()
+     )
+   ORDER BY last_seen_at DESC`,
+  [userId]
+);
+
+const touchSession = async (sessionId, ipAddress) => {
+  if (!sessionId) return;
+  await db.query(
+    `UPDATE user_sessions SET last_seen_at = NOW(), ip_address = COALESCE(?, ip_address)
+     WHERE session_id = ? AND revoked_at IS NULL
+       AND last_seen_at < DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+    [ipAddress || null, sessionId, SESSION_TOUCH_INTERVAL_SECONDS]
+  );
+};
+
+// "Log out of all devices": every token issued before now stops working
+const revokeAllSessions = async (userId) => {
+  await db.query('UPDATE users SET tokens_valid_after = NOW() WHERE user_id = ?', [userId]);
+  await db.query(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+  await db.query(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+    [userId]
+  );
+};
+
+const isAccessTokenRevoked = async (decoded, tokensValidAfter) => {
+  if (tokensValidAfter && decoded.iat * 1000 < new Date(tokensValidAfter).getTime()) {
+    return true;
+  }
+
+  if (decoded.sid) {
+    const sessions = await db.query('SELECT revoked_at FROM user_sessions WHERE session_id = ?', [decoded.sid]);
+    if (sessions.length > 0 && sessions[0].revoked_at) {
+      return true;
+    }
+  }
+
+  if (!decoded.jti) return false;
+
+  const rows = await db.query('SELECT 1 FROM revoked_tokens WHERE jti = ? LIMIT 1', [decoded.jti]);
+  return rows.length > 0;
+};
+
+module.exports = {
+  hashToken,
+  getClientInfo,
+  issueTokens,
+  isAccessTokenPayload,
+  rotateRefreshToken,
+  revokeAccessToken,
+  revokeSession,
+  revokeAllSessions,
+  revokeOtherSessions,
+  listSessions,
+  touchSession,
+  isAccessTokenRevoked,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge
+};
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const db = require('../config/database');
+const { hashToken } = require('./tokenService');
+
+// RFC 6238 TOTP (HMAC-SHA1, 6 digits, 30 second steps) as used by Google Authenticator, Authy, etc.
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+const TOTP_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Tappark';
+const RECOVERY_CODE_COUNT = 10;
+
+// Account types (types.account_type_name) that must enroll, e.g. "Attendant,Admin"
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[^A-Z2-7]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Check a TOTP code, allowing one step of clock drift either way.
+ * Returns the matched time step (store it to reject replays) or null.
+ */
+const verifyTotp = (secret, code, lastUsedStep = null) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const now = currentStep();
+  for (let step = now - 1; step <= now + 1; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+const buildOtpauthUrl = (accountName, secret) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Secrets are encrypted at rest (AES-256-GCM) so a database leak alone can't mint codes
+const getEncryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes look like "K7PM-Q2XA"; no look-alike characters (0/O, 1/I/L)
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => Array.from({ length: count }, () => {
+  const bytes = crypto.randomBytes(8);
+  const chars = Array.from(bytes, byte => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]).join('');
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+});
+
+const normalizeRecoveryCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const isTwoFactorRequired = (accountTypeName) => TWO_FACTOR_REQUIRED_ROLES.includes(accountTypeName);
+
+// Replace all of a user's recovery codes; the plain codes are only ever returned here
+const replaceRecoveryCodes = async (userId) => {
+  const codes = generateRecoveryCodes();
+  await db.transaction([
+    { sql: 'DELETE FROM two_factor_recovery_codes WHERE user_id = ?', params: [userId] },
+    ...codes.map(code => ({
+      sql: 'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+      params: [userId, hashToken(normalizeRecoveryCode(code))]
+    }))
+  ]);
+  return codes;
+};
+
+/**
+ * Check a second factor for a user with 2FA set up: a current TOTP code or an unused recovery code.
+ * Both are single use. Returns 'totp', 'recovery' or null.
+ */
+const verifySecondFactor = async (userId, code) => {
+  const rows = await db.query(
+    'SELECT two_factor_secret, two_factor_last_step FROM users WHERE user_id = ?',
+    [userId]
+  );
+  if (rows.length === 0 || !rows[0].two_factor_secret) {
+    return null;
+  }
+
+  const lastStep = rows[0].two_factor_last_step === null ? null : Number(rows[0].two_factor_last_step);
+  const step = verifyTotp(decryptSecret(rows[0].two_factor_secret), code, lastStep);
+  if (step !== null) {
+    // Guarded so the same code can't be accepted twice, even by parallel requests
+    const result = await db.execute(
+      `UPDATE users SET two_factor_last_step = ?
+       WHERE user_id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)`,
+      [step, userId, step]
+    );
+    return result.affectedRows > 0 ? 'totp' : null;
+  }
+
+  const recoveryCode = normalizeRecoveryCode(code);
+  if (recoveryCode.length !== 8) {
+    return null;
+  }
+
+  const result = await db.execute(
+    `UPDATE two_factor_recovery_codes SET used_at = NOW()
+     WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+     LIMIT 1`,
+    [userId, hashToken(recoveryCode)]
+  );
+  return result.affectedRows > 0 ? 'recovery' : null;
+};
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  isTwoFactorRequired,
+  replaceRecoveryCodes,
+  verifySecondFactor
+};
@@ -32,10 +32,26 @@ const ActionTypes = {
   LOGIN: 'LOGIN',
   REGISTER: 'REGISTER',
   LOGOUT: 'LOGOUT',
+  LOGOUT_ALL: 'LOGOUT_ALL',
   PROFILE_UPDATE: 'PROFILE_UPDATE',
   PASSWORD_CHANGE: 'PASSWORD_CHANGE',
+  PASSWORD_RESET_REQUEST: 'PASSWORD_RESET_REQUEST',
+  PASSWORD_RESET: 'PASSWORD_RESET',
   PROFILE_IMAGE_UPDATE: 'PROFILE_IMAGE_UPDATE',
   TERMS_ACCEPTED: 'TERMS_ACCEPTED',
+  EMAIL_VERIFICATION_SENT: 'EMAIL_VERIFICATION_SENT',
+  EMAIL_VERIFIED: 'EMAIL_VERIFIED',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  ACCOUNT_UNLOCKED: 'ACCOUNT_UNLOCKED',
+  TWO_FACTOR_ENABLED: 'TWO_FACTOR_ENABLED',
+  TWO_FACTOR_DISABLED: 'TWO_FACTOR_DISABLED',
+  TWO_FACTOR_RECOVERY_USED: 'TWO_FACTOR_RECOVERY_USED',
+  TWO_FACTOR_RECOVERY_CODES_REGENERATED: 'TWO_FACTOR_RECOVERY_CODES_REGENERATED',
+  SESSION_REVOKED: 'SESSION_REVOKED',
+  DATA_EXPORTED: 'DATA_EXPORTED',
+  ACCOUNT_DELETION_REQUESTED: 'ACCOUNT_DELETION_REQUESTED',
+  ACCOUNT_DELETION_CANCELLED: 'ACCOUNT_DELETION_CANCELLED',
+  ACCOUNT_DELETED: 'ACCOUNT_DELETED',
   
   // Vehicles
   VEHICLE_CREATE: 'VEHICLE_CREATE',
@@ -48,6 +64,17 @@ const ActionTypes = {
   PARKING_START: 'PARKING_START',
   PARKING_END: 'PARKING_END',
   PARKING_CANCEL: 'PARKING_CANCEL',
+  PARKING_REASSIGN: 'PARKING_REASSIGN',
+  PARKING_EXTEND: 'PARKING_EXTEND',
+  SESSION_OVERSTAY: 'SESSION_OVERSTAY',
+  SESSION_AUTO_CLOSED: 'SESSION_AUTO_CLOSED',
+  RESERVATION_EXPIRED: 'RESERVATION_EXPIRED',
+  BOOKING_SUSPENDED: 'BOOKING_SUSPENDED',
+  BOOKING_SUSPENSION_LIFTED: 'BOOKING_SUSPENSION_LIFTED',
+  PARKING_RECURRING_CREATE: 'PARKING_RECURRING_CREATE',
+  PARKING_RECURRING_CANCEL: 'PARKING_RECURRING_CANCEL',
+  WAITLIST_JOIN: 'WAITLIST_JOIN',
+  WAITLIST_LEAVE: 'WAITLIST_LEAVE',
   
   // Payments
   PAYMENT_TOPUP: 'PAYMENT_TOPUP',
@@ -58,6 +85,9 @@ const ActionTypes = {
   SUBSCRIPTION_PURCHASE: 'SUBSCRIPTION_PURCHASE',
   SUBSCRIPTION_RENEW: 'SUBSCRIPTION_RENEW',
   SUBSCRIPTION_CANCEL: 'SUBSCRIPTION_CANCEL',
+  SUBSCRIPTION_EXPIRE: 'SUBSCRIPTION_EXPIRE',
+  SUBSCRIPTION_AUTO_RENEW_ON: 'SUBSCRIPTION_AUTO_RENEW_ON',
+  SUBSCRIPTION_AUTO_RENEW_OFF: 'SUBSCRIPTION_AUTO_RENEW_OFF',
   
   // Favorites
   FAVORITE_ADD: 'FAVORITE_ADD',
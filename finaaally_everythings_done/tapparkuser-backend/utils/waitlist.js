@@ -0,0 +1,279 @@
+const db = require('../config/database');
+const { createNotification } = require('./notifications');
+
+// How long a waitlisted driver has to accept an offered spot before it goes to the next driver
+const WAITLIST_OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES) || 10;
+// Drivers still waiting after this long are taken off the waitlist
+const WAITLIST_MAX_WAIT_MINUTES = parseInt(process.env.WAITLIST_MAX_WAIT_MINUTES) || 120;
+
+// Vehicle types parked by section capacity rather than by individual spot
+const CAPACITY_VEHICLE_TYPES = ['motorcycle', 'bicycle'];
+
+// Waitlist entries that still count against the driver (one per area)
+const OPEN_WAITLIST_STATUSES = ['waiting', 'offered'];
+
+const getPool = async () => {
+  if (!db.connection) {
+    await db.connect();
+  }
+  return db.connection;
+};
+
+// A free spot or unit of section capacity matching the entry's area, vehicle type and section preference
+const findFreeUnit = async (connection, entry) => {
+  if (CAPACITY_VEHICLE_TYPES.includes(entry.vehicle_type)) {
+    const [sections] = await connection.execute(
+      `SELECT parking_section_id, section_name
+       FROM parking_section
+       WHERE parking_area_id = ? AND vehicle_type = ? AND section_mode = 'capacity_only'
+         AND status != 'unavailable' AND (capacity - parked_count - reserved_count) > 0
+         AND (? IS NULL OR parking_section_id = ?)
+       ORDER BY (capacity - parked_count - reserved_count) DESC
+       LIMIT 1
+       FOR UPDATE`,
+      [entry.parking_area_id, entry.vehicle_type, entry.parking_section_id, entry.parking_section_id]
+    );
+    return sections.length > 0 ? { sectionId: sections[0].parking_section_id, spotId: null } : null;
+  }
+
+  const [spots] = await connection.execute(
+    `SELECT ps.parking_spot_id, ps.parking_section_id
+     FROM parking_spot ps
+     JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
+     WHERE psec.parking_area_id = ? AND LOWER(ps.spot_type) = ? AND ps.status = 'available'
+       AND (? IS NULL OR ps.parking_section_id = ?)
+     ORDER BY ps.parking_spot_id
+     LIMIT 1
+     FOR UPDATE`,
+    [entry.parking_area_id, entry.vehicle_type, entry.parking_section_id, entry.parking_section_id]
+  );
+  return spots.length > 0 ? { sectionId: spots[0].parking_section_id, spotId: spots[0].parking_spot_id } : null;
+};
+
+// Hold a unit for an offer the same way a "park now" booking holds it
+const holdUnit = async (connection, unit) => {
+  if (unit.spotId) {
+    await connection.execute(
+      "UPDATE parking_spot SET status = 'reserved' WHERE parking_spot_id = ?",
+      [unit.spotId]
+    );
+    return;
+  }
+
+  await connection.execute(
+    'UPDATE parking_section SET reserved_count = reserved_count + 1 WHERE parking_section_id = ?',
+    [unit.sectionId]
+  );
+};
+
+/**
+ * Give back what an offer was holding; call inside a transaction when an offer expires or is turned down.
+ * Accepted offers hand their hold over to the reservation instead.
+ */
+const releaseOfferHold = async (connection, entry) => {
+  if (entry.offered_spot_id) {
+    await connection.execute(
+      "UPDATE parking_spot SET status = 'available' WHERE parking_spot_id = ? AND status = 'reserved'",
+      [entry.offered_spot_id]
+    );
+  } else if (entry.offered_section_id) {
+    await connection.execute(
+      'UPDATE parking_section SET reserved_count = GREATEST(0, reserved_count - 1) WHERE parking_section_id = ?',
+      [entry.offered_section_id]
+    );
+  }
+};
+
+// Offer one free unit to the longest-waiting driver it suits; returns the offered entry, or null if nobody got one
+const offerNextUnit = async (pool, areaId, vehicleType) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [entries] = await connection.execute(
+      `SELECT waitlist_id, user_id, parking_area_id, parking_section_id, vehicle_type
+       FROM waitlist_entries
+       WHERE parking_area_id = ? AND vehicle_type = ? AND status = 'waiting'
+       ORDER BY created_at ASC, waitlist_id ASC
+       FOR UPDATE`,
+      [areaId, vehicleType]
+    );
+
+    let offered = null;
+    for (const entry of entries) {
+      const unit = await findFreeUnit(connection, entry);
+      if (!unit) {
+        continue;
+      }
+
+      await holdUnit(connection, unit);
+      await connection.execute(
+        `UPDATE waitlist_entries
+         SET status = 'offered', offered_spot_id = ?, offered_section_id = ?,
+             offer_expires_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+         WHERE waitlist_id = ?`,
+        [unit.spotId, unit.sectionId, WAITLIST_OFFER_MINUTES, entry.waitlist_id]
+      );
+      offered = { ...entry, ...unit };
+      break;
+    }
+
+    await connection.commit();
+    return offered;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Offer every free spot or unit of section capacity in an area to the waitlist for that vehicle type, oldest entry
+ * first. Each offer holds the unit for WAITLIST_OFFER_MINUTES and notifies the driver.
+ * @returns {Promise<number>} How many offers were made
+ */
+const offerFreedCapacity = async (areaId, vehicleType) => {
+  const pool = await getPool();
+  let offers = 0;
+
+  for (;;) {
+    const offered = await offerNextUnit(pool, areaId, vehicleType);
+    if (!offered) {
+      return offers;
+    }
+
+    offers++;
+    console.log(`🔔 Waitlist entry #${offered.waitlist_id} offered ${offered.spotId ? `spot #${offered.spotId}` : `section #${offered.sectionId}`}`);
+    await createNotification(offered.user_id, {
+      title: 'A parking spot is available',
+      message: `A spot opened up for you. Accept it within ${WAITLIST_OFFER_MINUTES} minutes or it goes to the next driver.`,
+      type: 'success',
+      data: { waitlistId: offered.waitlist_id, areaId: offered.parking_area_id, expiresInMinutes: WAITLIST_OFFER_MINUTES }
+    });
+  }
+};
+
+/**
+ * Offer a just-released spot or section unit to the waitlist. Meant to be called after the releasing transaction
+ * commits and not awaited; failures are logged and never reach the caller.
+ * @param {{spotId?: number, sectionId?: number}} released - parking_spots_id (0 for capacity bookings) and section
+ */
+const offerReleasedCapacity = async ({ spotId, sectionId }) => {
+  try {
+    const rows = spotId
+      ? await db.query(
+        `SELECT psec.parking_area_id, LOWER(ps.spot_type) as vehicle_type
+         FROM parking_spot ps
+         JOIN parking_section psec ON ps.parking_section_id = psec.parking_section_id
+         WHERE ps.parking_spot_id = ?`,
+        [spotId]
+      )
+      : await db.query(
+        'SELECT parking_area_id, vehicle_type FROM parking_section WHERE parking_section_id = ?',
+        [sectionId]
+      );
+
+    if (rows.length === 0) {
+      return 0;
+    }
+
+    return await offerFreedCapacity(rows[0].parking_area_id, rows[0].vehicle_type);
+  } catch (error) {
+    console.error('❌ Error offering released capacity to the waitlist:', error.message);
+    return 0;
+  }
+};
+
+/**
+ * Expire offers that weren't accepted in time (releasing their hold and offering it on), drop drivers who have
+ * waited longer than WAITLIST_MAX_WAIT_MINUTES, and offer any capacity freed without a release hook (e.g. an
+ * admin reopening a section).
+ */
+const processWaitlist = async () => {
+  const pool = await getPool();
+
+  const [expiredOffers] = await pool.execute(
+    "SELECT waitlist_id FROM waitlist_entries WHERE status = 'offered' AND offer_expires_at <= NOW()"
+  );
+
+  for (const { waitlist_id: waitlistId } of expiredOffers) {
+    const connection = await pool.getConnection();
+    let entry = null;
+    try {
+      await connection.beginTransaction();
+      const [entries] = await connection.execute(
+        "SELECT * FROM waitlist_entries WHERE waitlist_id = ? AND status = 'offered' AND offer_expires_at <= NOW() FOR UPDATE",
+        [waitlistId]
+      );
+
+      if (entries.length > 0) {
+        entry = entries[0];
+        await releaseOfferHold(connection, entry);
+        await connection.execute(
+          "UPDATE waitlist_entries SET status = 'expired' WHERE waitlist_id = ?",
+          [waitlistId]
+        );
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      console.error(`❌ Failed to expire waitlist offer #${waitlistId}:`, error.message);
+    } finally {
+      connection.release();
+    }
+
+    if (entry) {
+      console.log(`⏰ Waitlist offer #${waitlistId} expired`);
+      await createNotification(entry.user_id, {
+        title: 'Parking offer expired',
+        message: 'The spot we held for you was not accepted in time and has been offered to the next driver.',
+        type: 'warning',
+        data: { waitlistId }
+      });
+    }
+  }
+
+  const [staleEntries] = await pool.execute(
+    `SELECT waitlist_id, user_id FROM waitlist_entries
+     WHERE status = 'waiting' AND created_at <= DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+    [WAITLIST_MAX_WAIT_MINUTES]
+  );
+
+  for (const { waitlist_id: waitlistId, user_id: userId } of staleEntries) {
+    const [result] = await pool.execute(
+      "UPDATE waitlist_entries SET status = 'expired' WHERE waitlist_id = ? AND status = 'waiting'",
+      [waitlistId]
+    );
+    if (result.affectedRows > 0) {
+      await createNotification(userId, {
+        title: 'Removed from waitlist',
+        message: `No spot opened up within ${WAITLIST_MAX_WAIT_MINUTES} minutes, so you have been taken off the waitlist. You can join again at any time.`,
+        type: 'info',
+        data: { waitlistId }
+      });
+    }
+  }
+
+  const [queues] = await pool.execute(
+    "SELECT DISTINCT parking_area_id, vehicle_type FROM waitlist_entries WHERE status = 'waiting'"
+  );
+
+  let offers = 0;
+  for (const queue of queues) {
+    offers += await offerFreedCapacity(queue.parking_area_id, queue.vehicle_type);
+  }
+
+  return { expiredOffers: expiredOffers.length, removed: staleEntries.length, offers };
+};
+
+module.exports = {
+  WAITLIST_OFFER_MINUTES,
+  WAITLIST_MAX_WAIT_MINUTES,
+  OPEN_WAITLIST_STATUSES,
+  releaseOfferHold,
+  offerFreedCapacity,
+  offerReleasedCapacity,
+  processWaitlist
+};
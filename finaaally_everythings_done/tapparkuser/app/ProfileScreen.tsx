@@ -28,6 +28,10 @@ import {
   maroonTestPaperIconSvg,
   maroonDebitIconSvg,
   maroonInfoIconSvg,
+  maroonDevicesIconSvg,
+  maroonDownloadIconSvg,
+  maroonBinIconSvg,
+  maroonTimeIconSvg,
   writeMaroonIconSvg,
   whiteCustomerServiceIconSvg,
   whiteStarIconSvg,
@@ -57,6 +61,9 @@ const ProfileScreen: React.FC = () => {
   const [uploading, setUploading] = useState(false);
   const [showProfileModal, setShowProfileModal] = useState(false);
   const [showRatingModal, setShowRatingModal] = useState(false);
+  const [showDevicesModal, setShowDevicesModal] = useState(false);
+  const [sessions, setSessions] = useState<any[]>([]);
+  const [loadingSessions, setLoadingSessions] = useState(false);
   const [rating, setRating] = useState(0);
   const [feedback, setFeedback] = useState('');
 
@@ -189,6 +196,90 @@ const ProfileScreen: React.FC = () => {
     }
   };
 
+  // Devices (active login sessions)
+  const loadSessions = async () => {
+    try {
+      setLoadingSessions(true);
+      const response = await ApiService.getSessions();
+      if (response.success) {
+        setSessions(response.data.sessions);
+      }
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+      Alert.alert('Error', 'Failed to load your devices');
+    } finally {
+      setLoadingSessions(false);
+    }
+  };
+
+  const handleOpenDevices = () => {
+    setShowDevicesModal(true);
+    loadSessions();
+  };
+
+  const getDeviceLabel = (session: any) => {
+    if (session.deviceName) return session.deviceName;
+    if (session.platform === 'ios') return 'iPhone / iPad';
+    if (session.platform === 'android') return 'Android device';
+    if (session.platform === 'web') return 'Web browser';
+    return 'Unknown device';
+  };
+
+  const getDeviceDetails = (session: any) => {
+    const lastSeen = new Date(session.lastSeenAt).toLocaleString([], {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    return [session.ipAddress, `Last active ${lastSeen}`].filter(Boolean).join(' • ');
+  };
+
+  const handleLogoutDevice = (session: any) => {
+    Alert.alert(
+      'Log Out Device',
+      `Log out ${getDeviceLabel(session)}? It will need to sign in again.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Log Out',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await ApiService.revokeSession(session.sessionId);
+              setSessions(prev => prev.filter(item => item.sessionId !== session.sessionId));
+            } catch (error: any) {
+              Alert.alert('Error', error.message || 'Failed to log out device');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const handleLogoutOtherDevices = () => {
+    Alert.alert(
+      'Log Out Other Devices',
+      'Log out of every device except this one?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Log Out',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const response = await ApiService.revokeOtherSessions();
+              setSessions(prev => prev.filter(item => item.current));
+              Alert.alert('Done', response.message);
+            } catch (error: any) {
+              Alert.alert('Error', error.message || 'Failed to log out other devices');
+            }
+          }
+        }
+      ]
+    );
+  };
+
   const menuItems = [
     {
       id: 'changePassword',
@@ -200,6 +291,12 @@ const ProfileScreen: React.FC = () => {
         setTimeout(() => hideLoading(), 500);
       }
     },
+    {
+      id: 'devices',
+      title: 'Devices',
+      icon: maroonDevicesIconSvg,
+      onPress: handleOpenDevices
+    },
     {
       id: 'registeredVehicles',
       title: 'Registered Vehicles',
@@ -210,6 +307,16 @@ const ProfileScreen: React.FC = () => {
         setTimeout(() => hideLoading(), 500);
       }
     },
+    {
+      id: 'recurringBookings',
+      title: 'Recurring Bookings',
+      icon: maroonTimeIconSvg,
+      onPress: () => {
+        showLoading();
+        router.push('/screens/RecurringBookingsScreen' as any);
+        setTimeout(() => hideLoading(), 500);
+      }
+    },
     {
       id: 'termsConditions',
       title: 'Terms & Conditions',
@@ -249,6 +356,26 @@ const ProfileScreen: React.FC = () => {
         router.push('/screens/MyFeedbackScreen');
         setTimeout(() => hideLoading(), 500);
       }
+    },
+    {
+      id: 'downloadData',
+      title: 'Download My Data',
+      icon: maroonDownloadIconSvg,
+      onPress: () => {
+        showLoading();
+        router.push('/screens/DownloadDataScreen' as any);
+        setTimeout(() => hideLoading(), 500);
+      }
+    },
+    {
+      id: 'deleteAccount',
+      title: 'Delete Account',
+      icon: maroonBinIconSvg,
+      onPress: () => {
+        showLoading();
+        router.push('/screens/DeleteAccountScreen' as any);
+        setTimeout(() => hideLoading(), 500);
+      }
     }
   ];
 
@@ -534,6 +661,66 @@ const ProfileScreen: React.FC = () => {
         </TouchableOpacity>
       </Modal>
 
+      {/* Devices Modal */}
+      <Modal
+        visible={showDevicesModal}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={() => setShowDevicesModal(false)}
+      >
+        <TouchableOpacity 
+          activeOpacity={1}
+          style={profileScreenStyles.modalOverlay}
+          onPress={() => setShowDevicesModal(false)}
+        >
+          <TouchableOpacity activeOpacity={1} style={profileScreenStyles.ratingModalContainer}>
+            <View style={profileScreenStyles.ratingModalHeader}>
+              <Text style={profileScreenStyles.ratingModalTitle}>Devices</Text>
+              <TouchableOpacity onPress={() => setShowDevicesModal(false)}>
+                <Text style={profileScreenStyles.ratingModalCloseButton}>✕</Text>
+              </TouchableOpacity>
+            </View>
+
+            {loadingSessions ? (
+              <ActivityIndicator size="small" color={colors.primary} />
+            ) : sessions.length === 0 ? (
+              <Text style={profileScreenStyles.devicesEmptyText}>No active devices found</Text>
+            ) : (
+              <ScrollView style={profileScreenStyles.devicesList}>
+                {sessions.map((session) => (
+                  <View key={session.sessionId} style={profileScreenStyles.deviceItem}>
+                    <View style={profileScreenStyles.deviceInfo}>
+                      <Text style={profileScreenStyles.deviceName}>{getDeviceLabel(session)}</Text>
+                      {session.current && (
+                        <Text style={profileScreenStyles.deviceCurrentLabel}>This device</Text>
+                      )}
+                      <Text style={profileScreenStyles.deviceDetails}>{getDeviceDetails(session)}</Text>
+                    </View>
+                    {!session.current && (
+                      <TouchableOpacity
+                        style={profileScreenStyles.deviceLogoutButton}
+                        onPress={() => handleLogoutDevice(session)}
+                      >
+                        <Text style={profileScreenStyles.deviceLogoutButtonText}>Log Out</Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                ))}
+              </ScrollView>
+            )}
+
+            {sessions.some(session => !session.current) && (
+              <TouchableOpacity 
+                style={[profileScreenStyles.modalButton, { marginTop: 16, marginBottom: 0 }]}
+                onPress={handleLogoutOtherDevices}
+              >
+                <Text style={profileScreenStyles.modalButtonText}>Log Out Other Devices</Text>
+              </TouchableOpacity>
+            )}
+          </TouchableOpacity>
+        </TouchableOpacity>
+      </Modal>
+
       {/* Rating Modal */}
       <Modal
         visible={showRatingModal}
@@ -64,6 +64,24 @@ function RootLayoutNav() {
 						animation: 'fade',
 					}}
 				/>
+				<Stack.Screen 
+					name="screens/RecurringBookingsScreen" 
+					options={{
+						animation: 'fade',
+					}}
+				/>
+				<Stack.Screen 
+					name="screens/DownloadDataScreen" 
+					options={{
+						animation: 'fade',
+					}}
+				/>
+				<Stack.Screen 
+					name="screens/DeleteAccountScreen" 
+					options={{
+						animation: 'fade',
+					}}
+				/>
 				<Stack.Screen 
 					name="(tabs)" 
 					options={{
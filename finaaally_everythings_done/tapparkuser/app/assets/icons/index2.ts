@@ -242,6 +242,15 @@ export const maroonInfoIconSvg = `<svg width="22" height="22" viewBox="0 0 22 22
 <path d="M11 7V11M11 15H11.01M21 11C21 16.5228 16.5228 21 11 21C5.47715 21 1 16.5228 1 11C1 5.47715 5.47715 1 11 1C16.5228 1 21 5.47715 21 11Z" stroke="#800000" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
 </svg>`;
 
+export const maroonDevicesIconSvg = `<svg width="22" height="22" viewBox="0 0 22 22" fill="none" xmlns="http://www.w3.org/2000/svg">
+<path d="M15 1H7C5.89543 1 5 1.89543 5 3V19C5 20.1046 5.89543 21 7 21H15C16.1046 21 17 20.1046 17 19V3C17 1.89543 16.1046 1 15 1Z" stroke="#800000" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+<path d="M11 17H11.01" stroke="#800000" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+</svg>`;
+
+export const maroonDownloadIconSvg = `<svg width="22" height="22" viewBox="0 0 22 22" fill="none" xmlns="http://www.w3.org/2000/svg">
+<path d="M21 14V15.2C21 16.8802 21 17.7202 20.673 18.362C20.3854 18.9265 19.9265 19.3854 19.362 19.673C18.7202 20 17.8802 20 16.2 20H5.8C4.11984 20 3.27976 20 2.63803 19.673C2.07354 19.3854 1.6146 18.9265 1.32698 18.362C1 17.7202 1 16.8802 1 15.2V14M16 9L11 14M11 14L6 9M11 14V2" stroke="#800000" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+</svg>`;
+
 export const maroonLockIconSvg = `<svg width="25" height="25" viewBox="0 0 25 25" fill="none" xmlns="http://www.w3.org/2000/svg">
 <path d="M12.5 24C18.8513 24 24 18.8513 24 12.5C24 6.14873 18.8513 1 12.5 1C6.14873 1 1 6.14873 1 12.5C1 18.8513 6.14873 24 12.5 24Z" stroke="#800000" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
 <path d="M14.4913 13.8739C14.4102 13.6305 14.3696 13.5088 14.3717 13.4093C14.3739 13.3046 14.3879 13.2497 14.4361 13.1567C14.482 13.0683 14.6045 12.9543 14.8497 12.7262C15.5266 12.0963 15.95 11.1976 15.95 10.2C15.95 8.29462 14.4054 6.75 12.5 6.75C10.5946 6.75 9.05 8.29462 9.05 10.2C9.05 11.1976 9.47341 12.0963 10.1503 12.7262C10.3955 12.9543 10.518 13.0683 10.5639 13.1567C10.6121 13.2497 10.6261 13.3046 10.6283 13.4093C10.6304 13.5088 10.5898 13.6305 10.5087 13.8739L9.45364 17.0391C9.31736 17.4479 9.24923 17.6523 9.29008 17.815C9.32585 17.9575 9.41475 18.0808 9.53856 18.1598C9.68001 18.25 9.89548 18.25 10.3264 18.25H14.6736C15.1045 18.25 15.32 18.25 15.4614 18.1598C15.5852 18.0808 15.6742 17.9575 15.7099 17.815C15.7508 17.6523 15.6826 17.4479 15.5464 17.0391L14.4913 13.8739Z" stroke="#800000" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
@@ -2,7 +2,7 @@ import { useNavigation } from '@react-navigation/native';
 import { useRouter } from 'expo-router';
 import { useAuth } from '../../contexts/AuthContext';
 import React, { useState, useEffect, useRef, useCallback } from 'react';
-import ApiService from '../../services/api';
+import ApiService, { SlotOverstay } from '../../services/api';
 import {
   Alert,
   Animated,
@@ -34,6 +34,7 @@ import {
 import { dashboardScreenStyles } from './styles/dashboardStyles';
 import { ThemedText } from '../../components/themed-text';
 import { ThemedView } from '../../components/themed-view';
+import TwoFactorSettings from '../../components/TwoFactorSettings';
 import { Colors } from '../../constants/theme';
 import { useScreenDimensions, getAdaptiveColumns, getAdaptiveFontSize, getAdaptiveSpacing, getAdaptivePadding } from '../../hooks/use-screen-dimensions';
 
@@ -72,8 +73,15 @@ interface ParkingSlot {
   section: string;
   occupantName?: string;
   plateNumber?: string;
+  overstay?: SlotOverstay | null;
 }
 
+// Short label for the overstay flag on a slot, e.g. "Over 1h 20m"
+const formatOverstay = (overstay: SlotOverstay) => {
+  const minutes = Math.round(overstay.overstayHours * 60);
+  return minutes < 60 ? `Over ${minutes}m` : `Over ${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
 interface ActivityRecord {
   id: string;
   reservationId: number;
@@ -280,7 +288,7 @@ const DashboardScreen: React.FC = () => {
 
   const handleMotorcycleSpotPress = async (spot: any, sectionId: number, sectionName: string) => {
     // Check if user is admin/attendant
-    const isAdminOrAttendant = user?.account_type_name === 'Admin' || user?.account_type_name === 'Attendant' || user?.type_id === 3 || user?.type_id === 2;
+    const isAdminOrAttendant = user?.account_type_name === 'Admin' || user?.account_type_name === 'Attendant' || user?.account_type_name === 'Area Manager' || user?.type_id === 3 || user?.type_id === 2;
     
     if (isAdminOrAttendant && spot.status === 'available') {
       // Show attendant action modal with two choices for available spots
@@ -634,7 +642,7 @@ const DashboardScreen: React.FC = () => {
 
   const handleSlotPress = async (slot: ParkingSlot) => {
     // Check if user is admin/attendant
-    const isAdminOrAttendant = user?.account_type_name === 'Admin' || user?.account_type_name === 'Attendant' || user?.type_id === 3 || user?.type_id === 2;
+    const isAdminOrAttendant = user?.account_type_name === 'Admin' || user?.account_type_name === 'Attendant' || user?.account_type_name === 'Area Manager' || user?.type_id === 3 || user?.type_id === 2;
     
     if (isAdminOrAttendant && (slot.status === 'available' || slot.status === 'unavailable')) {
       // Show attendant action modal for available and unavailable spots
@@ -1268,7 +1276,8 @@ const DashboardScreen: React.FC = () => {
             return !currentSlot || 
                    currentSlot.status !== newSlot.status ||
                    currentSlot.occupantName !== newSlot.occupantName ||
-                   currentSlot.plateNumber !== newSlot.plateNumber;
+                   currentSlot.plateNumber !== newSlot.plateNumber ||
+                   currentSlot.overstay?.overstayHours !== newSlot.overstay?.overstayHours;
           });
           
           if (hasChanges) {
@@ -1624,7 +1633,8 @@ const DashboardScreen: React.FC = () => {
               width: screenDimensions.isTablet ? 120 : 102,
               height: screenDimensions.isTablet ? 150 : 131,
               padding: getAdaptivePadding(screenDimensions, 6)
-            }
+            },
+            slot.overstay && styles.slotOverstay
           ]}
           onPress={() => handleSlotPress(slot)}
         >
@@ -1637,6 +1647,11 @@ const DashboardScreen: React.FC = () => {
             style={styles.slotIcon}
           />
           <Text style={[styles.slotStatus, { fontSize: getAdaptiveFontSize(screenDimensions, 10) }]}>{getStatusText(slot.status)}</Text>
+          {slot.overstay && (
+            <Text style={[styles.slotOverstayBadge, { fontSize: getAdaptiveFontSize(screenDimensions, 9) }]}>
+              {formatOverstay(slot.overstay)}
+            </Text>
+          )}
         </TouchableOpacity>
       </Animated.View>
     );
@@ -1656,7 +1671,8 @@ const DashboardScreen: React.FC = () => {
           backgroundColor: getRegularSpotColor(slot.status),
           padding: getAdaptivePadding(screenDimensions, 10),
           minHeight: screenDimensions.isTablet ? 80 : 70
-        }
+        },
+        slot.overstay && styles.slotOverstay
       ]}
       onPress={() => handleSlotPress(slot)}
     >
@@ -1671,6 +1687,11 @@ const DashboardScreen: React.FC = () => {
       </View>
       <View style={styles.slotDetailsList}>
         <Text style={[styles.slotStatusList, { fontSize: getAdaptiveFontSize(screenDimensions, 12) }]}>{getStatusText(slot.status)}</Text>
+        {slot.overstay && (
+          <Text style={[styles.slotOverstayBadge, { fontSize: getAdaptiveFontSize(screenDimensions, 10) }]}>
+            {formatOverstay(slot.overstay)}
+          </Text>
+        )}
         <Text style={[styles.occupantInfoList, { fontSize: getAdaptiveFontSize(screenDimensions, 11) }]}>
           {slot.status === 'available' ? 'N/A' : slot.occupantName || 'N/A'}
         </Text>
@@ -3183,6 +3204,9 @@ const DashboardScreen: React.FC = () => {
                     <Text style={styles.adminContact}>Email: admin@tappark.com</Text>
                     <Text style={styles.adminContact}>Phone: +63 917 123 4567</Text>
                   </View>
+
+                  {/* Two-Factor Authentication Section */}
+                  <TwoFactorSettings />
                 </>
               )}
 
@@ -3294,7 +3318,7 @@ const DashboardScreen: React.FC = () => {
             
             {/* Show admin action buttons for reserved/occupied spots */}
             {(() => {
-              const isAdminOrAttendant = user?.account_type_name === 'Admin' || user?.account_type_name === 'Attendant' || user?.type_id === 3 || user?.type_id === 2;
+              const isAdminOrAttendant = user?.account_type_name === 'Admin' || user?.account_type_name === 'Attendant' || user?.account_type_name === 'Area Manager' || user?.type_id === 3 || user?.type_id === 2;
               const currentStatus = (slotDetails?.status || selectedSlot?.status || '').toLowerCase();
               const isReserved = currentStatus === 'reserved';
               const isOccupied = currentStatus === 'occupied';
@@ -3346,7 +3370,7 @@ const DashboardScreen: React.FC = () => {
             {/* Show Book button for admin/attendant on available spots - Show even when loading */}
             {(() => {
               // Allow both Admin and Attendant to book for guests
-              const isAdminOrAttendant = user?.account_type_name === 'Admin' || user?.account_type_name === 'Attendant' || user?.type_id === 3 || user?.type_id === 2;
+              const isAdminOrAttendant = user?.account_type_name === 'Admin' || user?.account_type_name === 'Attendant' || user?.account_type_name === 'Area Manager' || user?.type_id === 3 || user?.type_id === 2;
               // Check status from both slotDetails and selectedSlot, handle case-insensitive
               const statusFromDetails = slotDetails?.status?.toLowerCase() || '';
               const statusFromSlot = selectedSlot?.status?.toLowerCase() || '';
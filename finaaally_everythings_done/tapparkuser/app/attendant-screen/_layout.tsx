@@ -3,7 +3,7 @@ import ProtectedScreen from '../../components/ProtectedScreen';
 
 export default function AttendantScreenLayout() {
   return (
-    <ProtectedScreen allowedUserTypes={['Attendant', 'Admin']}>
+    <ProtectedScreen allowedUserTypes={['Attendant', 'Area Manager', 'Admin']}>
       <Stack>
         <Stack.Screen 
           name="DashboardScreen" 
@@ -284,6 +284,21 @@ export const dashboardScreenStyles = StyleSheet.create({
   slotIcon: {
     marginTop: 1,
   },
+  // Spot whose session is past the driver's hours or the area's maximum stay
+  slotOverstay: {
+    borderWidth: 3,
+    borderColor: '#FF9500',
+  },
+  slotOverstayBadge: {
+    fontSize: 9,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+    backgroundColor: '#FF9500',
+    borderRadius: 4,
+    paddingHorizontal: 4,
+    marginTop: 2,
+    overflow: 'hidden',
+  },
   // List view styles
   slotMainInfoList: {
     flexDirection: 'row',
@@ -24,7 +24,7 @@ export default function Index() {
         router.replace('/screens/Splash1Screen');
       } else {
         // User is authenticated, redirect to appropriate screen based on user type
-        if (user?.account_type_name === 'Attendant') {
+        if (user?.account_type_name === 'Attendant' || user?.account_type_name === 'Area Manager') {
           router.replace('/attendant-screen/DashboardScreen');
         } else {
           router.replace('/screens/HomeScreen');
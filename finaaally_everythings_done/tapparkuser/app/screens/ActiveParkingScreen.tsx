@@ -20,6 +20,7 @@ import { useRouter, useLocalSearchParams } from 'expo-router';
 import { useFocusEffect } from '@react-navigation/native';
 import SharedHeader from '../../components/SharedHeader';
 import InteractiveParkingLayout from '../../components/InteractiveParkingLayout';
+import ParkingEndTimeCard from '../../components/ParkingEndTimeCard';
 import { getActiveParkingScreenStyles } from '../styles/activeParkingScreenStyles';
 import { useThemeColors, useTheme } from '../../contexts/ThemeContext';
 import { useAuth } from '../../contexts/AuthContext';
@@ -32,8 +33,20 @@ import { PENDING_EXPIRATION_STORAGE_KEY } from '../constants/storageKeys';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
 
-const RESERVATION_HOLD_MINUTES = 15;
-const RESERVATION_HOLD_MS = RESERVATION_HOLD_MINUTES * 60 * 1000;
+// Check-in window to assume if the booking details carry no grace period
+const DEFAULT_GRACE_PERIOD_MINUTES = 15;
+
+const calculateTimeRemaining = (expiresAt: string) => {
+  const deadline = new Date(expiresAt).getTime();
+  const now = Date.now();
+  return Math.max(0, deadline - now);
+};
+
+const formatTimeRemaining = (milliseconds: number) => {
+  const minutes = Math.floor(milliseconds / (1000 * 60));
+  const seconds = Math.floor((milliseconds % (1000 * 60)) / 1000);
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
 
 // Enhanced responsive calculations
 const isSmallScreen = screenWidth < 375;
@@ -86,6 +99,12 @@ const formatHoursToHHMM = (decimalHours: number): string => {
   return `${hours}.${minutes.toString().padStart(2, '0')}`;
 };
 
+ type GracePeriod = {
+   minutes: number;
+   startsAt: string;
+   expiresAt: string;
+ };
+
  type BookingDetails = {
    reservationId: number;
    displayName: string;
@@ -111,6 +130,7 @@ const formatHoursToHHMM = (decimalHours: number): string => {
    timestamps: {
      startTime?: string | null;
      endTime?: string | null;
+     intendedEndTime?: string | null;
    };
    bookingStatus: string;
    qrCode: string;
@@ -119,6 +139,7 @@ const formatHoursToHHMM = (decimalHours: number): string => {
      hasPenalty?: boolean;
      penaltyHours?: number;
    } | null;
+   gracePeriod?: GracePeriod | null;
  };
 
 const ActiveParkingScreen: React.FC = () => {
@@ -289,6 +310,7 @@ const ActiveParkingScreen: React.FC = () => {
   const [parkingEndDetails, setParkingEndDetails] = useState<any>(null);
   const [isTimerRunning, setIsTimerRunning] = useState(false);
   const [userBalance, setUserBalance] = useState<number>(0);
+  const [isCancellingBooking, setIsCancellingBooking] = useState(false);
   
   // Update ref whenever isTimerRunning changes
   useEffect(() => {
@@ -305,6 +327,9 @@ const ActiveParkingScreen: React.FC = () => {
   const [hasShownExpirationModal, setHasShownExpirationModal] = useState(false);
   const [lastExpiredReservationId, setLastExpiredReservationId] = useState<number | null>(null);
   const [gracePeriodDeadline, setGracePeriodDeadline] = useState<string>('');
+  const [gracePeriodMinutes, setGracePeriodMinutes] = useState(DEFAULT_GRACE_PERIOD_MINUTES);
+  const [gracePeriodExpiresAt, setGracePeriodExpiresAt] = useState<string | null>(null);
+  const [graceTimeRemaining, setGraceTimeRemaining] = useState(0);
   
   // Real parking start time from booking data
   const parkingStartTime = useRef<number | null>(null);
@@ -392,9 +417,8 @@ const formatHoursToHHMM = (decimalHours: number): string => {
   };
 
   // Grace period helper functions
-  const calculateGracePeriodDeadline = (createdAt: string) => {
-    const created = new Date(createdAt);
-    const deadline = new Date(created.getTime() + RESERVATION_HOLD_MS);
+  const calculateGracePeriodDeadline = (expiresAt: string) => {
+    const deadline = new Date(expiresAt);
     return deadline.toLocaleTimeString('en-US', { 
       hour: 'numeric', 
       minute: '2-digit',
@@ -402,25 +426,29 @@ const formatHoursToHHMM = (decimalHours: number): string => {
     });
   };
 
-  const calculateTimeRemaining = (createdAt: string) => {
-    const created = new Date(createdAt);
-    const deadline = created.getTime() + RESERVATION_HOLD_MS;
-    const now = Date.now();
-    return Math.max(0, deadline - now);
-  };
-
-  const formatTimeRemaining = (milliseconds: number) => {
-    const minutes = Math.floor(milliseconds / (1000 * 60));
-    const seconds = Math.floor((milliseconds % (1000 * 60)) / 1000);
-    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
-  };
-
-  const showGracePeriodWarningModal = (createdAt: string) => {
-    const deadline = calculateGracePeriodDeadline(createdAt);
-    setGracePeriodDeadline(deadline);
+  // The server resolves the grace period rule for the area, vehicle type and time of day;
+  // the expiry checker uses the same rule, so this deadline matches when the booking is released
+  const showGracePeriodWarningModal = (createdAt: string, gracePeriod?: GracePeriod | null) => {
+    const minutes = gracePeriod?.minutes ?? DEFAULT_GRACE_PERIOD_MINUTES;
+    const expiresAt = gracePeriod?.expiresAt ??
+      new Date(new Date(createdAt).getTime() + minutes * 60 * 1000).toISOString();
+    setGracePeriodMinutes(minutes);
+    setGracePeriodExpiresAt(expiresAt);
+    setGracePeriodDeadline(calculateGracePeriodDeadline(expiresAt));
     setShowGracePeriodWarning(true);
   };
 
+  // Count down to the check-in deadline while the warning is open
+  useEffect(() => {
+    if (!showGracePeriodWarning || !gracePeriodExpiresAt) {
+      return;
+    }
+    const tick = () => setGraceTimeRemaining(calculateTimeRemaining(gracePeriodExpiresAt));
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [showGracePeriodWarning, gracePeriodExpiresAt]);
+
   const handoffExpirationDetailsToHome = async (details: any) => {
     try {
       await AsyncStorage.setItem(
@@ -438,6 +466,7 @@ const formatHoursToHHMM = (decimalHours: number): string => {
   const handleGracePeriodWarningClose = () => {
     setShowGracePeriodWarning(false);
     setGracePeriodDeadline('');
+    setGracePeriodExpiresAt(null);
   };
 
   const handleParkingEndModalClose = () => {
@@ -2793,7 +2822,9 @@ const formatHoursToHHMM = (decimalHours: number): string => {
             
             if (response.data.bookingStatus === 'reserved') {
               // Based on your database, the API likely returns timestamps.bookingTime
-              const createdAt = response.data.timestamps?.bookingTime ||  // API field name
+              // Scheduled bookings count the grace period from their scheduled start instead
+              const createdAt = response.data.timestamps?.scheduledStartTime ||
+                               response.data.timestamps?.bookingTime ||  // API field name
                                response.data.bookingTime ||              // Direct field
                                response.data.time_stamp ||               // Database field
                                response.data.timestamps?.time_stamp ||  // Nested database field
@@ -2813,7 +2844,7 @@ const formatHoursToHHMM = (decimalHours: number): string => {
                 
                 if (timeSinceCreation <= 2) {
                   console.log('🎯 ActiveParkingScreen: New reservation detected, showing grace period warning');
-                  showGracePeriodWarningModal(createdAt);
+                  showGracePeriodWarningModal(createdAt, response.data.gracePeriod);
                 } else {
                   console.log('🎯 Grace Period Debug - Reservation too old for warning:', timeSinceCreation, 'minutes');
                 }
@@ -3095,7 +3126,8 @@ const formatHoursToHHMM = (decimalHours: number): string => {
             reservationId: latestBookingData.reservationId,
             spotNumber: latestBookingData.parkingSlot?.spotNumber || 'Unknown Spot',
             areaName: latestBookingData.parkingArea?.name || 'Unknown Area',
-            userName: latestBookingData.user?.name || 'User'
+            userName: latestBookingData.user?.name || 'User',
+            gracePeriodMinutes: latestBookingData.gracePeriod?.minutes
           };
 
           try {
@@ -3390,6 +3422,49 @@ const formatHoursToHHMM = (decimalHours: number): string => {
     }
   };
 
+  const cancelReservation = async () => {
+    if (!bookingData?.reservationId) return;
+
+    try {
+      setIsCancellingBooking(true);
+      const response = await ApiService.cancelBooking(bookingData.reservationId);
+      setBookingData(null);
+      Alert.alert('Reservation Cancelled', response.message, [
+        { text: 'OK', onPress: () => router.replace('/screens/HomeScreen') }
+      ]);
+    } catch (error) {
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to cancel reservation');
+    } finally {
+      setIsCancellingBooking(false);
+    }
+  };
+
+  // Tell the driver what cancelling costs before they confirm; the server applies the terms at the time it runs
+  const handleCancelReservation = () => {
+    const terms = bookingData?.cancellation;
+    const freeUntil = terms?.freeUntil ? new Date(terms.freeUntil) : null;
+    const isStillFree = !!terms?.free && (!freeUntil || freeUntil.getTime() > Date.now());
+
+    let costMessage = 'Cancelling is free.';
+    if (terms && terms.latePolicy !== 'none') {
+      const lateCost = terms.latePolicy === 'fee'
+        ? `a late cancellation fee of ${terms.lateFeeHours} hours is deducted from your balance`
+        : 'a late cancellation adds a no-show strike to your account';
+      costMessage = isStillFree && freeUntil
+        ? `Cancelling is free until ${freeUntil.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true })}. After that, ${lateCost}.`
+        : `Your free cancellation period has ended, so ${lateCost}.`;
+    }
+
+    Alert.alert(
+      'Cancel Reservation',
+      `Your spot will be released for other drivers. ${costMessage}`,
+      [
+        { text: 'Keep Reservation', style: 'cancel' },
+        { text: 'Cancel Reservation', style: 'destructive', onPress: cancelReservation }
+      ]
+    );
+  };
+
   // Show loading state while fetching booking data
   if (isBookingLoading) {
     return (
@@ -4475,6 +4550,34 @@ const formatHoursToHHMM = (decimalHours: number): string => {
           </View>
         )}
 
+        {/* Cancel Reservation Button - only before the attendant starts the session */}
+        {activeTab === 'ticket' && bookingData?.bookingStatus === 'reserved' && (
+          <TouchableOpacity
+            style={[activeParkingScreenStyles.cancelReservationButton, isCancellingBooking && { opacity: 0.6 }]}
+            onPress={handleCancelReservation}
+            disabled={isCancellingBooking}
+          >
+            {isCancellingBooking ? (
+              <ActivityIndicator size="small" color={colors.primary} />
+            ) : (
+              <Text style={activeParkingScreenStyles.cancelReservationText}>Cancel Reservation</Text>
+            )}
+          </TouchableOpacity>
+        )}
+
+        {/* Planned end - stays mounted so its warnings fire on every tab */}
+        {bookingData?.reservationId && ['reserved', 'active'].includes(bookingData.bookingStatus) && (
+          <View style={activeTab !== 'time' && activeParkingScreenStyles.hiddenSection}>
+            <ParkingEndTimeCard
+              reservationId={bookingData.reservationId}
+              intendedEndTime={bookingData.timestamps?.intendedEndTime}
+              onEndTimeChange={(intendedEndTime) => setBookingData((previous: any) => (
+                previous ? { ...previous, timestamps: { ...previous.timestamps, intendedEndTime } } : previous
+              ))}
+            />
+          </View>
+        )}
+
         {/* Add to Favorites Button */}
         {activeTab === 'ticket' && (
           <TouchableOpacity style={activeParkingScreenStyles.favoritesButton} onPress={handleAddToFavorites}>
@@ -4869,7 +4972,7 @@ const formatHoursToHHMM = (decimalHours: number): string => {
               
               <View style={activeParkingScreenStyles.gracePeriodModalContent}>
                 <Text style={activeParkingScreenStyles.gracePeriodModalText}>
-                  You have {RESERVATION_HOLD_MINUTES} minutes to check in at the parking area.
+                  You have {gracePeriodMinutes} minutes to check in at the parking area.
                 </Text>
                 
                 <Text style={activeParkingScreenStyles.gracePeriodModalText}>
@@ -4881,6 +4984,10 @@ const formatHoursToHHMM = (decimalHours: number): string => {
                     {gracePeriodDeadline}
                   </Text>
                 </View>
+
+                <Text style={activeParkingScreenStyles.gracePeriodModalText}>
+                  Time left: {formatTimeRemaining(graceTimeRemaining)}
+                </Text>
                 
                 <Text style={activeParkingScreenStyles.gracePeriodModalText}>
                   If you don't check in by this time, your reservation will be 
@@ -235,6 +235,9 @@ const BalanceScreen: React.FC = () => {
         return '+ 0 hrs (data missing)';
       }
       return `+ ${hours} hrs`;
+    } else if (transaction.payment_type === 'refund') {
+      // Refunds are stored as negative payments
+      return `Refund ₱${Math.abs(Number(transaction.amount) || 0).toFixed(2)}`;
     } else {
       // Other payment types
       return `- ${transaction.amount || 0}`;
@@ -286,6 +289,8 @@ const BalanceScreen: React.FC = () => {
       case 'success':
         return '#4CAF50';
       case 'pending':
+      case 'refunded':
+      case 'partially_refunded':
         return '#FF9800';
       case 'failed':
       case 'cancelled':
@@ -394,6 +399,12 @@ const BalanceScreen: React.FC = () => {
                 <Text style={balanceScreenStyles.topUpText}>+ ADD HOURS</Text>
               </TouchableOpacity>
             </View>
+            {subscriptionBalance?.next_expiry && (
+              <Text style={balanceScreenStyles.expiryText}>
+                {formatHoursToHHMM(subscriptionBalance.next_expiry.hours_remaining)} hrs expire on{' '}
+                {new Date(subscriptionBalance.next_expiry.expires_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+              </Text>
+            )}
           </View>
 
           {/* Transactions Section */}
@@ -439,7 +450,7 @@ const BalanceScreen: React.FC = () => {
                     <Text style={balanceScreenStyles.transactionAmount}>
                       {formatTransactionAmount(transaction)}
                     </Text>
-                    {transaction.payment_type === 'subscription' && (
+                    {(transaction.payment_type === 'subscription' || transaction.payment_type === 'refund') && (
                       <Text style={balanceScreenStyles.transactionPlanName}>
                         {getSubscriptionPlanName(transaction)}
                       </Text>
@@ -492,13 +503,14 @@ const BalanceScreen: React.FC = () => {
                     />
                     <Text style={balanceScreenStyles.detailValue}>
                       {selectedTransaction.type === 'parking' ? 'Parking Session' : 
-                       selectedTransaction.payment_type === 'subscription' ? 'Add Hours' : 'Payment'}
+                       selectedTransaction.payment_type === 'subscription' ? 'Add Hours' :
+                       selectedTransaction.payment_type === 'refund' ? 'Refund' : 'Payment'}
                     </Text>
                   </View>
                 </View>
 
                 {/* Subscription Plan Name */}
-                {selectedTransaction.payment_type === 'subscription' && (
+                {(selectedTransaction.payment_type === 'subscription' || selectedTransaction.payment_type === 'refund') && (
                   <View style={balanceScreenStyles.detailRow}>
                     <Text style={balanceScreenStyles.detailLabel}>Plan:</Text>
                     <Text style={balanceScreenStyles.detailValue}>
@@ -528,7 +540,7 @@ const BalanceScreen: React.FC = () => {
                   <View style={balanceScreenStyles.detailRow}>
                     <Text style={balanceScreenStyles.detailLabel}>Status:</Text>
                     <Text style={[balanceScreenStyles.detailValue, { color: getTransactionStatusColor(selectedTransaction.status) }]}>
-                      {selectedTransaction.status.charAt(0).toUpperCase() + selectedTransaction.status.slice(1)}
+                      {(selectedTransaction.status.charAt(0).toUpperCase() + selectedTransaction.status.slice(1)).replace('_', ' ')}
                     </Text>
                   </View>
                 )}
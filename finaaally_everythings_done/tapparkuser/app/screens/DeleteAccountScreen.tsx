@@ -0,0 +1,287 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  Alert,
+  ActivityIndicator
+} from 'react-native';
+import { useRouter } from 'expo-router';
+import SharedHeader from '../../components/SharedHeader';
+import { useAuth } from '../../contexts/AuthContext';
+import { useThemeColors } from '../../contexts/ThemeContext';
+import { useLoading } from '../../contexts/LoadingContext';
+import ApiService from '../../services/api';
+
+type DeletionStatus = {
+  pending: boolean;
+  requestedAt: string | null;
+  scheduledFor: string | null;
+  coolingOffDays: number;
+};
+
+const DeleteAccountScreen: React.FC = () => {
+  const router = useRouter();
+  const { user } = useAuth();
+  const colors = useThemeColors();
+  const { showLoading, hideLoading } = useLoading();
+  const styles = getStyles(colors);
+  const [status, setStatus] = useState<DeletionStatus | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [password, setPassword] = useState('');
+
+  // Staff accounts are closed by an administrator
+  const canDelete = user?.account_type_name === 'Subscriber';
+
+  useEffect(() => {
+    const loadStatus = async () => {
+      try {
+        const response = await ApiService.getAccountDeletionStatus();
+        if (response.success) {
+          setStatus(response.data);
+        }
+      } catch (error) {
+        console.error('Error loading account deletion status:', error);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadStatus();
+  }, []);
+
+  const formatDate = (value: string | null) => (
+    value
+      ? new Date(value).toLocaleDateString([], { year: 'numeric', month: 'long', day: 'numeric' })
+      : ''
+  );
+
+  const submitDeletion = async () => {
+    try {
+      setIsSubmitting(true);
+      const response = await ApiService.requestAccountDeletion(password);
+      setStatus(response.data);
+      setPassword('');
+      Alert.alert('Deletion Scheduled', response.message);
+    } catch (error) {
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to request account deletion');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = () => {
+    if (!password) {
+      Alert.alert('Error', 'Please enter your password');
+      return;
+    }
+
+    Alert.alert(
+      'Delete Account',
+      'Your account and personal data will be permanently deleted after the cooling-off period. Continue?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Delete', style: 'destructive', onPress: submitDeletion }
+      ]
+    );
+  };
+
+  const handleCancelDeletion = async () => {
+    try {
+      setIsSubmitting(true);
+      const response = await ApiService.cancelAccountDeletion();
+      setStatus(response.data);
+      Alert.alert('Deletion Cancelled', response.message);
+    } catch (error) {
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to cancel account deletion');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const renderContent = () => {
+    if (isLoading) {
+      return <ActivityIndicator size="small" color={colors.primary} style={styles.loader} />;
+    }
+
+    if (status?.pending) {
+      return (
+        <>
+          <Text style={styles.title}>Deletion scheduled</Text>
+          <Text style={styles.description}>
+            Your account will be deleted on {formatDate(status.scheduledFor)}. Until then you can keep using
+            Tappark and cancel the deletion at any time.
+          </Text>
+          <TouchableOpacity
+            style={[styles.primaryButton, isSubmitting && styles.disabledButton]}
+            onPress={handleCancelDeletion}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? (
+              <ActivityIndicator size="small" color={colors.textInverse} />
+            ) : (
+              <Text style={styles.primaryButtonText}>Cancel Deletion</Text>
+            )}
+          </TouchableOpacity>
+        </>
+      );
+    }
+
+    if (!canDelete) {
+      return (
+        <>
+          <Text style={styles.title}>Delete account</Text>
+          <Text style={styles.description}>
+            Staff accounts can only be closed by an administrator. Please contact admin@tappark.com.
+          </Text>
+        </>
+      );
+    }
+
+    return (
+      <>
+        <Text style={styles.title}>Delete account</Text>
+        <Text style={styles.description}>
+          After {status?.coolingOffDays ?? 14} days your name, email, vehicles, favorites and activity history are
+          removed and you can no longer log in. Past reservations and payments are kept without your personal
+          details. Remaining hours are lost.
+        </Text>
+        <Text style={styles.description}>
+          You can cancel during those {status?.coolingOffDays ?? 14} days. End any active booking first.
+        </Text>
+
+        <TouchableOpacity onPress={() => router.push('/screens/DownloadDataScreen' as any)}>
+          <Text style={styles.link}>Download a copy of your data first</Text>
+        </TouchableOpacity>
+
+        <Text style={styles.inputLabel}>Password</Text>
+        <TextInput
+          style={styles.textInput}
+          value={password}
+          onChangeText={setPassword}
+          placeholder="Enter your password to confirm"
+          secureTextEntry
+          placeholderTextColor="#999"
+          autoCapitalize="none"
+        />
+
+        <TouchableOpacity
+          style={[styles.deleteButton, isSubmitting && styles.disabledButton]}
+          onPress={handleDelete}
+          disabled={isSubmitting}
+        >
+          {isSubmitting ? (
+            <ActivityIndicator size="small" color={colors.textInverse} />
+          ) : (
+            <Text style={styles.primaryButtonText}>Delete My Account</Text>
+          )}
+        </TouchableOpacity>
+      </>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <SharedHeader
+        title="Delete Account"
+        showBackButton
+        onBackPress={() => {
+          showLoading();
+          router.back();
+          setTimeout(() => hideLoading(), 500);
+        }}
+      />
+
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <View style={styles.card}>
+          {renderContent()}
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+const getStyles = (colors: ReturnType<typeof useThemeColors>) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    padding: 20,
+  },
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    padding: 20,
+  },
+  loader: {
+    marginVertical: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.primary,
+    marginBottom: 8,
+  },
+  description: {
+    fontSize: 15,
+    color: colors.textSecondary,
+    lineHeight: 21,
+    marginBottom: 12,
+  },
+  link: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.primary,
+    textDecorationLine: 'underline',
+    marginBottom: 20,
+  },
+  inputLabel: {
+    fontSize: 16,
+    color: colors.primary,
+    marginBottom: 8,
+    fontWeight: '500',
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: colors.primary,
+    borderRadius: 10,
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    fontSize: 16,
+    backgroundColor: colors.card,
+    color: colors.text,
+  },
+  primaryButton: {
+    backgroundColor: colors.primary,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 16,
+    borderRadius: 25,
+    marginTop: 12,
+  },
+  deleteButton: {
+    backgroundColor: colors.error,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 16,
+    borderRadius: 25,
+    marginTop: 24,
+  },
+  primaryButtonText: {
+    color: colors.textInverse,
+    fontSize: 17,
+    fontWeight: '600',
+  },
+  disabledButton: {
+    opacity: 0.6,
+  },
+});
+
+export default DeleteAccountScreen;
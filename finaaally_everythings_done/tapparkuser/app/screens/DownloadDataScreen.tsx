@@ -0,0 +1,234 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  Platform,
+  Share
+} from 'react-native';
+import { useRouter } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import * as FileSystem from 'expo-file-system/legacy';
+import SharedHeader from '../../components/SharedHeader';
+import { useThemeColors } from '../../contexts/ThemeContext';
+import { useLoading } from '../../contexts/LoadingContext';
+import ApiService from '../../services/api';
+
+// Labels for the sections returned by GET /users/me/export
+const SECTION_LABELS: Record<string, string> = {
+  vehicles: 'Vehicles',
+  reservations: 'Reservations',
+  subscriptions: 'Subscriptions',
+  payments: 'Payments',
+  paypalTransactions: 'PayPal transactions',
+  feedback: 'Feedback',
+  feedbackComments: 'Feedback comments',
+  favorites: 'Favorites',
+  notifications: 'Notifications',
+  sessions: 'Login sessions',
+  activityLog: 'Activity log entries',
+};
+
+const DownloadDataScreen: React.FC = () => {
+  const router = useRouter();
+  const colors = useThemeColors();
+  const { showLoading, hideLoading } = useLoading();
+  const styles = getStyles(colors);
+  const [summary, setSummary] = useState<{ label: string; count: number }[] | null>(null);
+  const [isLoadingSummary, setIsLoadingSummary] = useState(true);
+  const [isDownloading, setIsDownloading] = useState(false);
+
+  useEffect(() => {
+    const loadSummary = async () => {
+      try {
+        const response = await ApiService.getDataExport();
+        if (response.success) {
+          setSummary(
+            Object.entries(SECTION_LABELS).map(([section, label]) => ({
+              label,
+              count: Array.isArray(response.data.data[section]) ? response.data.data[section].length : 0,
+            }))
+          );
+        }
+      } catch (error) {
+        console.error('Error loading data export summary:', error);
+      } finally {
+        setIsLoadingSummary(false);
+      }
+    };
+
+    loadSummary();
+  }, []);
+
+  // Android apps can't share files through Share, so let the user pick a folder to save into
+  const saveToAndroidFolder = async (fileUri: string) => {
+    const { StorageAccessFramework } = FileSystem;
+    const permissions = await StorageAccessFramework.requestDirectoryPermissionsAsync();
+    if (!permissions.granted) {
+      return false;
+    }
+
+    const base64 = await FileSystem.readAsStringAsync(fileUri, { encoding: FileSystem.EncodingType.Base64 });
+    const targetUri = await StorageAccessFramework.createFileAsync(
+      permissions.directoryUri,
+      'tappark-data-export',
+      'application/zip'
+    );
+    await FileSystem.writeAsStringAsync(targetUri, base64, { encoding: FileSystem.EncodingType.Base64 });
+    return true;
+  };
+
+  const handleDownload = async () => {
+    if (Platform.OS === 'web') {
+      Alert.alert('Not Available', 'Please use the mobile app to download your data.');
+      return;
+    }
+
+    try {
+      setIsDownloading(true);
+      const fileUri = await ApiService.downloadDataExport();
+
+      if (Platform.OS === 'android') {
+        const saved = await saveToAndroidFolder(fileUri);
+        if (saved) {
+          Alert.alert('Download Complete', 'Your data was saved as tappark-data-export.zip.');
+        }
+      } else {
+        await Share.share({ url: fileUri, title: 'Tappark data export' });
+      }
+    } catch (error) {
+      console.error('Data export download error:', error);
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to download your data. Please try again.');
+    } finally {
+      setIsDownloading(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <SharedHeader
+        title="Download My Data"
+        showBackButton
+        onBackPress={() => {
+          showLoading();
+          router.back();
+          setTimeout(() => hideLoading(), 500);
+        }}
+      />
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={styles.card}>
+          <Text style={styles.title}>Your personal data</Text>
+          <Text style={styles.description}>
+            Download a ZIP file with everything Tappark stores about you: your profile, vehicles, reservations,
+            payments, feedback and account activity. Each part is a JSON file.
+          </Text>
+
+          {isLoadingSummary ? (
+            <ActivityIndicator size="small" color={colors.primary} style={styles.summaryLoader} />
+          ) : summary ? (
+            <View style={styles.summaryList}>
+              {summary.map((item) => (
+                <View key={item.label} style={styles.summaryRow}>
+                  <Text style={styles.summaryLabel}>{item.label}</Text>
+                  <Text style={styles.summaryCount}>{item.count}</Text>
+                </View>
+              ))}
+            </View>
+          ) : null}
+
+          <TouchableOpacity
+            style={[styles.downloadButton, isDownloading && styles.disabledButton]}
+            onPress={handleDownload}
+            disabled={isDownloading}
+          >
+            {isDownloading ? (
+              <ActivityIndicator size="small" color={colors.textInverse} />
+            ) : (
+              <Ionicons name="download-outline" size={20} color={colors.textInverse} />
+            )}
+            <Text style={styles.downloadButtonText}>
+              {isDownloading ? 'Preparing Download...' : 'Download ZIP'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+const getStyles = (colors: ReturnType<typeof useThemeColors>) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    padding: 20,
+  },
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    padding: 20,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.primary,
+    marginBottom: 8,
+  },
+  description: {
+    fontSize: 15,
+    color: colors.textSecondary,
+    lineHeight: 21,
+  },
+  summaryLoader: {
+    marginVertical: 20,
+  },
+  summaryList: {
+    marginTop: 16,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  summaryLabel: {
+    fontSize: 15,
+    color: colors.text,
+  },
+  summaryCount: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  downloadButton: {
+    backgroundColor: colors.primary,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 16,
+    borderRadius: 25,
+    marginTop: 24,
+  },
+  downloadButtonText: {
+    color: colors.textInverse,
+    fontSize: 17,
+    fontWeight: '600',
+    marginLeft: 10,
+  },
+  disabledButton: {
+    opacity: 0.6,
+  },
+});
+
+export default DownloadDataScreen;
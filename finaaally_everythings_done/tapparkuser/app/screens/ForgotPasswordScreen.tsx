@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import {
+  View,
+  TextInput,
+  TouchableOpacity,
+  Text,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  Keyboard,
+  TouchableWithoutFeedback,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useRouter, useLocalSearchParams } from 'expo-router';
+import { loginStyles } from '../styles/loginStyles';
+import ApiService from '../../services/api';
+
+export default function ForgotPasswordScreen() {
+  const router = useRouter();
+  const params = useLocalSearchParams<{ email?: string }>();
+
+  const [email, setEmail] = useState(typeof params.email === 'string' ? params.email : '');
+  const [emailError, setEmailError] = useState('');
+  const [generalError, setGeneralError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleRequestReset = async () => {
+    setEmailError('');
+    setGeneralError('');
+
+    const trimmedEmail = email.trim();
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!trimmedEmail) {
+      setEmailError('Email is required');
+      return;
+    }
+    if (!emailRegex.test(trimmedEmail)) {
+      setEmailError('Please enter a valid email address');
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      const response = await ApiService.requestPasswordReset(trimmedEmail);
+
+      if (response.success) {
+        router.push({
+          pathname: '/screens/ResetPasswordScreen',
+          params: { email: trimmedEmail },
+        } as any);
+      } else {
+        setGeneralError(response.message || 'Failed to send reset code. Please try again.');
+      }
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Network error. Please check your connection and try again.';
+      setGeneralError(errorMessage);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.safeArea} edges={['bottom']}>
+      <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
+        <View style={{ flex: 1 }}>
+          <KeyboardAvoidingView
+            behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+            style={{ flex: 1 }}
+            enabled
+          >
+            <ScrollView
+              contentContainerStyle={styles.scrollContent}
+              keyboardShouldPersistTaps="handled"
+              showsVerticalScrollIndicator={false}
+              bounces={false}
+            >
+              <View style={styles.middleSection}>
+                <Text style={styles.welcomeText}>FORGOT YOUR PASSWORD?</Text>
+                <Text style={styles.subtitleText}>
+                  Enter the email you registered with and we&apos;ll send you a code to reset your password.
+                </Text>
+              </View>
+
+              <View style={styles.inputSection}>
+                <TextInput
+                  style={styles.inputField}
+                  placeholder="Email"
+                  placeholderTextColor="#9CA3AF"
+                  value={email}
+                  onChangeText={(text) => {
+                    setEmail(text);
+                    if (emailError) setEmailError('');
+                  }}
+                  keyboardType="email-address"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+                {emailError ? <Text style={styles.errorText}>{emailError}</Text> : null}
+                {generalError ? <Text style={styles.errorText}>{generalError}</Text> : null}
+              </View>
+
+              <View style={styles.bottomSection}>
+                <View style={styles.buttonContainer}>
+                  <TouchableOpacity
+                    onPress={handleRequestReset}
+                    style={[styles.loginButton, isSubmitting && { opacity: 0.7 }]}
+                    disabled={isSubmitting}
+                  >
+                    {isSubmitting ? (
+                      <ActivityIndicator color="#FFFFFF" size="small" />
+                    ) : (
+                      <Text style={styles.loginButtonText}>Send Reset Code</Text>
+                    )}
+                  </TouchableOpacity>
+                </View>
+
+                <View style={styles.registerContainer}>
+                  <Text style={styles.registerText}>Already have a code?</Text>
+                  <TouchableOpacity
+                    onPress={() => router.push({
+                      pathname: '/screens/ResetPasswordScreen',
+                      params: email.trim() ? { email: email.trim() } : {},
+                    } as any)}
+                  >
+                    <Text style={styles.registerLink}>Enter code</Text>
+                  </TouchableOpacity>
+                </View>
+
+                <View style={styles.registerContainer}>
+                  <Text style={styles.registerText}>Remembered it?</Text>
+                  <TouchableOpacity onPress={() => router.back()}>
+                    <Text style={styles.registerLink}>Back to Login</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            </ScrollView>
+          </KeyboardAvoidingView>
+        </View>
+      </TouchableWithoutFeedback>
+    </SafeAreaView>
+  );
+}
+
+const styles = loginStyles;
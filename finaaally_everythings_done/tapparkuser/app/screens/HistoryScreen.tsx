@@ -1098,6 +1098,14 @@ const HistoryScreen: React.FC = () => {
                             {selectedReservation.billingBreakdown.parkingTimeMinutes} min
                           </Text>
                         </View>
+                        {selectedReservation.billingBreakdown.overstayTimeMinutes > 0 && (
+                          <View style={styles.billingBreakdownRow}>
+                            <Text style={styles.billingBreakdownLabel}>Past Planned End:</Text>
+                            <Text style={styles.billingBreakdownValue}>
+                              {selectedReservation.billingBreakdown.overstayTimeMinutes} min
+                            </Text>
+                          </View>
+                        )}
                         <View style={[styles.billingBreakdownRow, styles.billingBreakdownTotal]}>
                           <Text style={styles.billingBreakdownLabel}>Total Charged:</Text>
                           <Text style={styles.billingBreakdownValue}>
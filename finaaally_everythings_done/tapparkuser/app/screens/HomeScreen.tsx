@@ -30,9 +30,13 @@ import { useDrawer } from '../../contexts/DrawerContext';
 import { useLoading } from '../../contexts/LoadingContext';
 import { useExpirationModal } from '../../contexts/ExpirationModalContext';
 import { useThemeColors, useTheme } from '../../contexts/ThemeContext';
-import ApiService from '../../services/api';
+import ApiService, { ApiError } from '../../services/api';
 import TermsModal from '../../components/TermsModal';
+import VerifyEmailBanner from '../../components/VerifyEmailBanner';
+import WaitlistBanner from '../../components/WaitlistBanner';
+import StrikesBanner from '../../components/StrikesBanner';
 import StepFlowIndicator from '../components/StepFlowIndicator';
+import ScheduleTimePicker from '../../components/ScheduleTimePicker';
 import { 
   lineGraphIconSvg, 
   profitIconSvg, 
@@ -239,6 +243,13 @@ export default function HomeScreen() {
   const [selectedVehicleForParking, setSelectedVehicleForParking] = useState<any>(null);
   const [selectedParkingArea, setSelectedParkingArea] = useState<any>(null);
   const [assignedSpotDetails, setAssignedSpotDetails] = useState<any>(null);
+  // Booking a future window instead of parking now
+  const [isSchedulingBooking, setIsSchedulingBooking] = useState(false);
+  const [scheduledStartTime, setScheduledStartTime] = useState<Date | null>(null);
+  const [scheduledDurationHours, setScheduledDurationHours] = useState(4);
+  const [isSubmittingSchedule, setIsSubmittingSchedule] = useState(false);
+  const [waitlistRefreshKey, setWaitlistRefreshKey] = useState(0);
+  const [strikesRefreshKey, setStrikesRefreshKey] = useState(0);
   const [frequentSpots, setFrequentSpots] = useState<any[]>([]);
   const [isLoadingFrequentSpots, setIsLoadingFrequentSpots] = useState(false);
   const [selectedSpotForBooking, setSelectedSpotForBooking] = useState<any>(null);
@@ -609,6 +620,65 @@ export default function HomeScreen() {
     setIsModalVisible(true);
   };
 
+  // Too many no-show strikes: explain the suspension instead of a generic failure; returns whether it was one
+  const showBookingSuspendedAlert = (error: unknown) => {
+    if (!(error instanceof ApiError) || error.errorCode !== 'BOOKING_SUSPENDED') {
+      return false;
+    }
+    setIsBookingModalVisible(false);
+    Alert.alert('Booking Suspended', error.message);
+    setStrikesRefreshKey((key) => key + 1);
+    return true;
+  };
+
+  // A full area can still be queued for; freed spots are held for waitlisted drivers in order
+  const offerToJoinWaitlist =(area: any, vehicleId: number | undefined, message: string) => {
+    if (!area || !vehicleId) {
+      Alert.alert('No Spots Available', message);
+      return;
+    }
+
+    Alert.alert(
+      'No Spots Available',
+      `${message}\n\nYou can also join the waitlist and we will hold the next free spot for you.`,
+      [
+        { text: 'Not Now', style: 'cancel' },
+        { text: 'Join Waitlist', onPress: () => joinWaitlist(area.id, vehicleId) }
+      ]
+    );
+  };
+
+  const joinWaitlist = async (areaId: number, vehicleId: number) => {
+    try {
+      const response = await ApiService.joinWaitlist(areaId, vehicleId);
+      setWaitlistRefreshKey((key) => key + 1);
+      Alert.alert(response.data.offer ? 'Spot Available' : 'Joined Waitlist', response.message);
+    } catch (error) {
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to join the waitlist');
+    }
+  };
+
+  const handleWaitlistOfferAccepted: React.ComponentProps<typeof WaitlistBanner>['onAccepted'] = (booking, vehicleId) => {
+    showLoading('Loading parking session...', '/screens/ActiveParkingScreen');
+    router.push({
+      pathname: '/screens/ActiveParkingScreen',
+      params: {
+        sessionId: booking.reservationId,
+        vehicleId,
+        vehiclePlate: booking.vehiclePlate,
+        vehicleType: booking.vehicleType,
+        vehicleBrand: booking.vehicleBrand,
+        areaName: booking.areaName,
+        areaLocation: booking.areaLocation,
+        spotNumber: booking.spotNumber,
+        spotType: booking.spotType,
+        startTime: booking.startTime,
+        status: booking.status
+      }
+    });
+    setTimeout(() => hideLoading(), 500);
+  };
+
   // Handle parking area selection - just select the area
   const handleParkingAreaSelect = async (area: any) => {
     setSelectedParkingArea(area);
@@ -661,8 +731,9 @@ export default function HomeScreen() {
         setIsBookingModalVisible(true);
       } else {
         const vehicleTypeName = vehicleType ? `${vehicleType} ` : '';
-        Alert.alert(
-          'No Spots Available', 
+        offerToJoinWaitlist(
+          area,
+          selectedVehicleForParking.id,
           `No ${vehicleTypeName}parking spots are currently available in this area. Please try another area.`
         );
       }
@@ -754,6 +825,9 @@ export default function HomeScreen() {
         }
       }
     } catch (error: any) {
+      if (showBookingSuspendedAlert(error)) {
+        return;
+      }
       // Check if it's an insufficient balance error
       if (error.message && (
         error.message.includes('You have no remaining subscription hours') ||
@@ -801,6 +875,76 @@ export default function HomeScreen() {
     setSelectedParkingArea(null);
     setAssignedSpotDetails(null);
     setCurrentBookingStep(0); // Reset to step 0
+    setIsSchedulingBooking(false);
+    setScheduledStartTime(null);
+  };
+
+  // Book the first spot (or section) in the selected area that is free for the whole chosen window
+  const handleScheduleBooking = async () => {
+    if (!selectedVehicleForParking || !selectedParkingArea) {
+      Alert.alert('Error', 'Missing booking information');
+      return;
+    }
+
+    if (!scheduledStartTime) {
+      Alert.alert('Choose a Time', 'Please pick the day and time you want to park.');
+      return;
+    }
+
+    const schedule = {
+      startTime: scheduledStartTime.toISOString(),
+      endTime: new Date(scheduledStartTime.getTime() + scheduledDurationHours * 60 * 60 * 1000).toISOString()
+    };
+
+    try {
+      setIsSubmittingSchedule(true);
+
+      const spotsResponse = await ApiService.getParkingSpots(
+        selectedParkingArea.id,
+        selectedVehicleForParking.vehicle_type,
+        false,
+        schedule
+      );
+      if (!spotsResponse.success || spotsResponse.data.spots.length === 0) {
+        Alert.alert('No Spots Available', 'No spots are free for that time in this area. Please choose another time or area.');
+        return;
+      }
+
+      const spot = spotsResponse.data.spots[0];
+      const response = await ApiService.bookParkingSpot(
+        selectedVehicleForParking.id,
+        spot.id,
+        selectedParkingArea.id,
+        schedule
+      );
+
+      if (response.success) {
+        const when = scheduledStartTime.toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+        Alert.alert(
+          'Booking Scheduled',
+          `Spot ${spot.spot_number} at ${selectedParkingArea.name} is booked for ${when} (${scheduledDurationHours}h). Your QR code will be ready in Active Parking shortly before your booking starts.`
+        );
+        handleCloseBookingModal();
+      } else {
+        Alert.alert('Booking Failed', response.message || 'Failed to schedule booking');
+      }
+    } catch (error: any) {
+      if (showBookingSuspendedAlert(error)) {
+        return;
+      }
+      if (error.message && (
+        error.message.includes('You have no remaining subscription hours') ||
+        error.message.includes('Please purchase a plan')
+      )) {
+        setIsBookingModalVisible(false);
+        setInsufficientBalanceMessage(error.message);
+        setShowInsufficientBalanceModal(true);
+      } else {
+        Alert.alert('Booking Failed', error?.message || 'Failed to schedule booking');
+      }
+    } finally {
+      setIsSubmittingSchedule(false);
+    }
   };
 
   const handleBookNow = async () => {
@@ -887,6 +1031,9 @@ export default function HomeScreen() {
         }
       }
     } catch (error: any) {
+      if (showBookingSuspendedAlert(error)) {
+        return;
+      }
       // Check if it's an insufficient balance error
       if (error.message && (
         error.message.includes('You have no remaining subscription hours') ||
@@ -921,10 +1068,10 @@ export default function HomeScreen() {
                 [{ text: 'OK', style: 'default' }]
               );
             } else {
-              Alert.alert(
-                'No Spots Available',
-                'No parking spots are currently available in this area. Please try another area.',
-                [{ text: 'OK', style: 'default' }]
+              offerToJoinWaitlist(
+                selectedParkingArea,
+                selectedVehicleForParking?.id,
+                'No parking spots are currently available in this area. Please try another area.'
               );
             }
           } catch (refetchError) {
@@ -1297,6 +1444,9 @@ export default function HomeScreen() {
         }
       }
     } catch (error: any) {
+      if (showBookingSuspendedAlert(error)) {
+        return;
+      }
       // Check if error is about spot not being available
       if (error?.message?.includes('no longer available') || 
           error?.message?.includes('not available') ||
@@ -1321,10 +1471,10 @@ export default function HomeScreen() {
                 [{ text: 'OK', style: 'default' }]
               );
             } else {
-              Alert.alert(
-                'No Spots Available',
-                'No parking spots are currently available in this area. Please try another area.',
-                [{ text: 'OK', style: 'default' }]
+              offerToJoinWaitlist(
+                selectedParkingArea,
+                vehicle?.id,
+                'No parking spots are currently available in this area. Please try another area.'
               );
             }
           } catch (refetchError) {
@@ -1410,8 +1560,9 @@ export default function HomeScreen() {
           setIsBookingModalVisible(true);
         } else {
           const vehicleTypeName = vehicleType ? `${vehicleType} ` : '';
-          Alert.alert(
-            'No Spots Available', 
+          offerToJoinWaitlist(
+            selectedParkingArea,
+            vehicle?.id,
             `No ${vehicleTypeName}parking spots are currently available in this area. Please try another area or select a different vehicle.`
           );
         }
@@ -3290,6 +3441,10 @@ export default function HomeScreen() {
         rightComponent={<HeaderBalance />}
       />
 
+      <VerifyEmailBanner />
+      <WaitlistBanner refreshKey={waitlistRefreshKey} onAccepted={handleWaitlistOfferAccepted} />
+      <StrikesBanner refreshKey={strikesRefreshKey} />
+
       {/* ScrollView Container - targeted for loading overlay */}
       <View style={homeScreenStyles.scrollViewContainer}>
         <ScrollView style={homeScreenStyles.scrollView} showsVerticalScrollIndicator={false}>
@@ -3673,21 +3828,62 @@ export default function HomeScreen() {
               stepLabels={bookingSteps}
             />
             
-            <Text style={homeScreenStyles.bookingModalText}>
-              An available slot has been automatically assigned for you at {selectedParkingArea?.name}:
-            </Text>
-            <Text style={homeScreenStyles.assignedSlotId}>{assignedSlot}</Text>
-            {assignedSpotDetails && (
-              <Text style={homeScreenStyles.spotTypeText}>
-                Spot Type: {assignedSpotDetails.spot_type?.charAt(0).toUpperCase() + assignedSpotDetails.spot_type?.slice(1)}
-              </Text>
+            <View style={homeScreenStyles.bookingModeToggle}>
+              <TouchableOpacity
+                style={[homeScreenStyles.bookingModeOption, !isSchedulingBooking && homeScreenStyles.bookingModeOptionActive]}
+                onPress={() => setIsSchedulingBooking(false)}
+              >
+                <Text style={[homeScreenStyles.bookingModeOptionText, !isSchedulingBooking && homeScreenStyles.bookingModeOptionTextActive]}>
+                  Park Now
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[homeScreenStyles.bookingModeOption, isSchedulingBooking && homeScreenStyles.bookingModeOptionActive]}
+                onPress={() => setIsSchedulingBooking(true)}
+              >
+                <Text style={[homeScreenStyles.bookingModeOptionText, isSchedulingBooking && homeScreenStyles.bookingModeOptionTextActive]}>
+                  Schedule
+                </Text>
+              </TouchableOpacity>
+            </View>
+
+            {isSchedulingBooking ? (
+              <>
+                <Text style={homeScreenStyles.bookingModalText}>
+                  Pick when you want to park at {selectedParkingArea?.name}. A slot that is free for that whole time will be assigned.
+                </Text>
+                <ScheduleTimePicker
+                  startTime={scheduledStartTime}
+                  durationHours={scheduledDurationHours}
+                  onChangeStartTime={setScheduledStartTime}
+                  onChangeDuration={setScheduledDurationHours}
+                />
+              </>
+            ) : (
+              <>
+                <Text style={homeScreenStyles.bookingModalText}>
+                  An available slot has been automatically assigned for you at {selectedParkingArea?.name}:
+                </Text>
+                <Text style={homeScreenStyles.assignedSlotId}>{assignedSlot}</Text>
+                {assignedSpotDetails && (
+                  <Text style={homeScreenStyles.spotTypeText}>
+                    Spot Type: {assignedSpotDetails.spot_type?.charAt(0).toUpperCase() + assignedSpotDetails.spot_type?.slice(1)}
+                  </Text>
+                )}
+              </>
             )}
             
-            {isLoadingParkingSpots ? (
+            {isLoadingParkingSpots || isSubmittingSchedule ? (
               <View style={homeScreenStyles.loadingContainer}>
                 <ActivityIndicator size="large" color={colors.primary} />
-                <Text style={homeScreenStyles.loadingText}>Assigning parking spot...</Text>
+                <Text style={homeScreenStyles.loadingText}>
+                  {isSubmittingSchedule ? 'Scheduling booking...' : 'Assigning parking spot...'}
+                </Text>
               </View>
+            ) : isSchedulingBooking ? (
+              <TouchableOpacity style={homeScreenStyles.bookNowButton} onPress={handleScheduleBooking}>
+                <Text style={homeScreenStyles.bookNowButtonText}>Schedule Booking</Text>
+              </TouchableOpacity>
             ) : (
               <TouchableOpacity style={homeScreenStyles.bookNowButton} onPress={handleBookNow}>
                 <Text style={homeScreenStyles.bookNowButtonText}>Book Now</Text>
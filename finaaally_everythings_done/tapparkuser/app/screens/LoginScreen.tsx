@@ -66,7 +66,7 @@ const circleGlowSvg = `<svg width="280" height="288" viewBox="0 0 280 288" fill=
 
 export default function LoginScreen() {
   const router = useRouter();
-  const { login, user, isAuthenticated } = useAuth();
+  const { login, completeTwoFactorLogin, user, isAuthenticated } = useAuth();
   const pulseAnim = new Animated.Value(1);
   
   // Local loading state for login button
@@ -86,6 +86,10 @@ export default function LoginScreen() {
   const [generalError, setGeneralError] = useState('');
   const [showPassword, setShowPassword] = useState(false);
 
+  // Second login step for accounts with two-factor authentication
+  const [twoFactorToken, setTwoFactorToken] = useState<string | null>(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+
   React.useEffect(() => {
     const pulse = Animated.loop(
       Animated.sequence([
@@ -107,6 +111,109 @@ export default function LoginScreen() {
   }, []);
 
 
+  // Navigate based on user type (terms will be checked on HomeScreen)
+  const navigateAfterLogin = (loggedInUser?: { account_type_name: string }) => {
+    if (loggedInUser?.account_type_name === 'Attendant' || loggedInUser?.account_type_name === 'Area Manager') {
+      console.log('Routing to attendant dashboard');
+      router.replace('/attendant-screen/DashboardScreen' as any);
+    } else if (loggedInUser?.account_type_name === 'Subscriber') {
+      // For subscribers, always go to HomeScreen
+      // The HomeScreen will handle any necessary onboarding flows
+      console.log('Routing subscriber to HomeScreen');
+      router.replace('/screens/HomeScreen');
+    } else if (loggedInUser?.account_type_name === 'Admin') {
+      console.log('Routing to admin home');
+      router.replace('/screens/HomeScreen');
+    } else {
+      console.log('Routing to default home');
+      router.replace('/screens/HomeScreen');
+    }
+  };
+
+  const handleLoginResult = (result: Awaited<ReturnType<typeof login>>) => {
+    if (result.success && result.user) {
+      // Debug: Log the user data to see what we're getting
+      console.log('Login result user:', result.user);
+      console.log('Account type name:', result.user.account_type_name);
+      console.log('Type ID:', result.user.type_id);
+
+      let welcomeMessage = `Welcome back! ${result.user.account_type_name}`;
+      if (result.twoFactorSetupRequired) {
+        welcomeMessage += '\n\nYour account type requires two-factor authentication. Set it up in Settings to use staff features.';
+      }
+      if (result.user.deletion_scheduled_for) {
+        const deletionDate = new Date(result.user.deletion_scheduled_for).toLocaleDateString();
+        welcomeMessage += `\n\nYour account is scheduled for deletion on ${deletionDate}. You can cancel this in Profile > Delete Account.`;
+      }
+
+      Alert.alert(
+        'Success!',
+        welcomeMessage,
+        [
+          {
+            text: 'OK',
+            onPress: () => navigateAfterLogin(result.user)
+          }
+        ]
+      );
+    } else if (result.lockedUntil) {
+      // Too many failed attempts - tell the user when they can try again
+      const lockedUntil = new Date(result.lockedUntil);
+      const isToday = lockedUntil.toDateString() === new Date().toDateString();
+      const formattedTime = isToday
+        ? lockedUntil.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : lockedUntil.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+      setGeneralError(
+        result.errorCode === 'ACCOUNT_LOCKED'
+          ? `Too many failed login attempts. Your account is locked until ${formattedTime}.`
+          : `Too many failed login attempts from this device. Please try again after ${formattedTime}.`
+      );
+      setIsLoggingIn(false);
+    } else if (result.errorCode === 'TWO_FACTOR_CHALLENGE_EXPIRED') {
+      // Took too long on the code step - start over from the password
+      setTwoFactorToken(null);
+      setTwoFactorCode('');
+      setGeneralError(result.error || 'Your login attempt timed out. Please log in again.');
+      setIsLoggingIn(false);
+    } else if (result.errorCode === 'INVALID_TWO_FACTOR_CODE') {
+      setGeneralError(result.error || 'Invalid verification code');
+      setIsLoggingIn(false);
+    } else {
+      // Show general invalid credentials error
+      setGeneralError('Invalid email or password');
+      setIsLoggingIn(false);
+    }
+  };
+
+  const handleVerifyTwoFactor = async () => {
+    setGeneralError('');
+
+    if (!twoFactorCode.trim()) {
+      setGeneralError('Verification code is required');
+      return;
+    }
+
+    if (!twoFactorToken) {
+      return;
+    }
+
+    try {
+      setIsLoggingIn(true);
+      const result = await completeTwoFactorLogin(twoFactorToken, twoFactorCode.trim());
+      handleLoginResult(result);
+    } catch (error) {
+      const errorMessage = error instanceof Error ? error.message : 'Network error. Please check your connection and try again.';
+      setGeneralError(errorMessage);
+      setIsLoggingIn(false);
+    }
+  };
+
+  const handleCancelTwoFactor = () => {
+    setTwoFactorToken(null);
+    setTwoFactorCode('');
+    setGeneralError('');
+  };
+
   const handleLogin = async () => {
     // Clear previous errors
     setEmailError('');
@@ -140,44 +247,13 @@ export default function LoginScreen() {
       setIsLoggingIn(true);
       const result = await login(email.trim(), password);
       
-      if (result.success && result.user) {
-        // Debug: Log the user data to see what we're getting
-        console.log('Login result user:', result.user);
-        console.log('Account type name:', result.user.account_type_name);
-        console.log('Type ID:', result.user.type_id);
-        
-        // Navigate based on user type (terms will be checked on HomeScreen)
-        Alert.alert(
-          'Success!',
-          `Welcome back! ${result.user.account_type_name}`,
-          [
-            {
-              text: 'OK',
-              onPress: async () => {
-                // Navigate based on user type
-                if (result.user?.account_type_name === 'Attendant') {
-                  console.log('Routing to attendant dashboard');
-                  router.replace('/attendant-screen/DashboardScreen' as any);
-                } else if (result.user?.account_type_name === 'Subscriber') {
-                    // For subscribers, always go to HomeScreen
-                  // The HomeScreen will handle any necessary onboarding flows
-                  console.log('Routing subscriber to HomeScreen');
-                  router.replace('/screens/HomeScreen');
-                } else if (result.user?.account_type_name === 'Admin') {
-                  console.log('Routing to admin home');
-                  router.replace('/screens/HomeScreen');
-                } else {
-                  console.log('Routing to default home');
-                  router.replace('/screens/HomeScreen');
-                }
-              }
-            }
-          ]
-        );
-      } else {
-        // Show general invalid credentials error
-        setGeneralError('Invalid email or password');
+      if (result.twoFactorRequired && result.twoFactorToken) {
+        // Password was right - ask for the authenticator code next
+        setTwoFactorToken(result.twoFactorToken);
+        setTwoFactorCode('');
         setIsLoggingIn(false);
+      } else {
+        handleLoginResult(result);
       }
     } catch (error) {
       // Don't log login errors to console to avoid terminal spam
@@ -248,87 +324,152 @@ export default function LoginScreen() {
             </Text>
           </View>
 
-          {/* Input Fields */}
-          <View style={styles.inputSection}>
-            <TextInput
-              ref={emailInputRef}
-              style={styles.inputField}
-              placeholder="Email"
-              placeholderTextColor="#9CA3AF"
-              value={email}
-              onChangeText={(text) => {
-                setEmail(text);
-                if (emailError) setEmailError(''); // Clear error when user starts typing
-              }}
-              onFocus={() => {
-                setTimeout(() => {
-                  scrollViewRef.current?.scrollTo({ y: 200, animated: true });
-                }, 100);
-              }}
-              keyboardType="email-address"
-              autoCapitalize="none"
-              autoCorrect={false}
-            />
-            {emailError ? <Text style={styles.errorText}>{emailError}</Text> : null}
-            
-            <View style={styles.passwordContainer}>
+          {twoFactorToken ? (
+            <>
+              {/* Two-Factor Code */}
+              <View style={styles.inputSection}>
+                <Text style={styles.twoFactorHint}>
+                  Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+                </Text>
+                <TextInput
+                  style={styles.inputField}
+                  placeholder="Verification code"
+                  placeholderTextColor="#9CA3AF"
+                  value={twoFactorCode}
+                  onChangeText={(text) => {
+                    setTwoFactorCode(text);
+                    if (generalError) setGeneralError('');
+                  }}
+                  onFocus={() => {
+                    setTimeout(() => {
+                      scrollViewRef.current?.scrollTo({ y: 200, animated: true });
+                    }, 100);
+                  }}
+                  autoCapitalize="characters"
+                  autoCorrect={false}
+                  autoFocus
+                  maxLength={9}
+                />
+                {generalError ? <Text style={styles.errorText}>{generalError}</Text> : null}
+              </View>
+
+              <View style={styles.bottomSection}>
+                <View style={styles.buttonContainer}>
+                  <TouchableOpacity
+                    onPress={handleVerifyTwoFactor}
+                    style={[styles.loginButton, isLoggingIn && { opacity: 0.7 }]}
+                    disabled={isLoggingIn}
+                  >
+                    {isLoggingIn ? (
+                      <ActivityIndicator color="#FFFFFF" size="small" />
+                    ) : (
+                      <Text style={styles.loginButtonText}>Verify</Text>
+                    )}
+                  </TouchableOpacity>
+                </View>
+
+                <View style={styles.registerContainer}>
+                  <TouchableOpacity onPress={handleCancelTwoFactor} disabled={isLoggingIn}>
+                    <Text style={styles.registerLink}>Back to login</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            </>
+          ) : (
+            <>
+            {/* Input Fields */}
+            <View style={styles.inputSection}>
               <TextInput
-                ref={passwordInputRef}
-                style={styles.passwordFieldWithIcon}
-                placeholder="Password"
+                ref={emailInputRef}
+                style={styles.inputField}
+                placeholder="Email"
                 placeholderTextColor="#9CA3AF"
-                secureTextEntry={!showPassword}
-                value={password}
+                value={email}
                 onChangeText={(text) => {
-                  setPassword(text);
-                  if (generalError) setGeneralError(''); // Clear error when user starts typing
+                  setEmail(text);
+                  if (emailError) setEmailError(''); // Clear error when user starts typing
                 }}
                 onFocus={() => {
                   setTimeout(() => {
-                    scrollViewRef.current?.scrollTo({ y: 300, animated: true });
+                    scrollViewRef.current?.scrollTo({ y: 200, animated: true });
                   }, 100);
                 }}
+                keyboardType="email-address"
                 autoCapitalize="none"
                 autoCorrect={false}
               />
-              <TouchableOpacity
-                onPress={() => setShowPassword(!showPassword)}
-                style={styles.eyeIconButton}
-              >
-                <Ionicons
-                  name={showPassword ? 'eye-off-outline' : 'eye-outline'}
-                  size={22}
-                  color="#6B7280"
+              {emailError ? <Text style={styles.errorText}>{emailError}</Text> : null}
+            
+              <View style={styles.passwordContainer}>
+                <TextInput
+                  ref={passwordInputRef}
+                  style={styles.passwordFieldWithIcon}
+                  placeholder="Password"
+                  placeholderTextColor="#9CA3AF"
+                  secureTextEntry={!showPassword}
+                  value={password}
+                  onChangeText={(text) => {
+                    setPassword(text);
+                    if (generalError) setGeneralError(''); // Clear error when user starts typing
+                  }}
+                  onFocus={() => {
+                    setTimeout(() => {
+                      scrollViewRef.current?.scrollTo({ y: 300, animated: true });
+                    }, 100);
+                  }}
+                  autoCapitalize="none"
+                  autoCorrect={false}
                 />
-              </TouchableOpacity>
-            </View>
-            {generalError ? <Text style={styles.errorText}>{generalError}</Text> : null}
-          </View>
+                <TouchableOpacity
+                  onPress={() => setShowPassword(!showPassword)}
+                  style={styles.eyeIconButton}
+                >
+                  <Ionicons
+                    name={showPassword ? 'eye-off-outline' : 'eye-outline'}
+                    size={22}
+                    color="#6B7280"
+                  />
+                </TouchableOpacity>
+              </View>
+              {generalError ? <Text style={styles.errorText}>{generalError}</Text> : null}
 
-          {/* Bottom Section - Buttons */}
-          <View style={styles.bottomSection}>
-            <View style={styles.buttonContainer}>
               <TouchableOpacity
-                onPress={handleLogin}
-                style={[styles.loginButton, isLoggingIn && { opacity: 0.7 }]}
-                disabled={isLoggingIn}
+                style={styles.forgotPasswordContainer}
+                onPress={() => router.push({
+                  pathname: '/screens/ForgotPasswordScreen',
+                  params: email.trim() ? { email: email.trim() } : {},
+                } as any)}
               >
-                {isLoggingIn ? (
-                  <ActivityIndicator color="#FFFFFF" size="small" />
-                ) : (
-                  <Text style={styles.loginButtonText}>Login</Text>
-                )}
+                <Text style={styles.forgotPasswordLink}>Forgot password?</Text>
               </TouchableOpacity>
             </View>
+
+            {/* Bottom Section - Buttons */}
+            <View style={styles.bottomSection}>
+              <View style={styles.buttonContainer}>
+                <TouchableOpacity
+                  onPress={handleLogin}
+                  style={[styles.loginButton, isLoggingIn && { opacity: 0.7 }]}
+                  disabled={isLoggingIn}
+                >
+                  {isLoggingIn ? (
+                    <ActivityIndicator color="#FFFFFF" size="small" />
+                  ) : (
+                    <Text style={styles.loginButtonText}>Login</Text>
+                  )}
+                </TouchableOpacity>
+              </View>
             
-            {/* Register Link */}
-            <View style={styles.registerContainer}>
-              <Text style={styles.registerText}>Don't have an account?</Text>
-              <TouchableOpacity onPress={() => router.push('/screens/SignupScreen')}>
-                <Text style={styles.registerLink}>Register</Text>
-              </TouchableOpacity>
+              {/* Register Link */}
+              <View style={styles.registerContainer}>
+                <Text style={styles.registerText}>Don't have an account?</Text>
+                <TouchableOpacity onPress={() => router.push('/screens/SignupScreen')}>
+                  <Text style={styles.registerLink}>Register</Text>
+                </TouchableOpacity>
+              </View>
             </View>
-          </View>
+            </>
+          )}
             </ScrollView>
           </KeyboardAvoidingView>
         </View>
@@ -0,0 +1,421 @@
+import React, { useCallback, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  TextInput
+} from 'react-native';
+import { useRouter } from 'expo-router';
+import { useFocusEffect } from '@react-navigation/native';
+import SharedHeader from '../../components/SharedHeader';
+import { useThemeColors } from '../../contexts/ThemeContext';
+import { useLoading } from '../../contexts/LoadingContext';
+import ApiService, { RecurringBooking } from '../../services/api';
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+type Occurrence = RecurringBooking['occurrences'][number];
+
+const formatOccurrenceDate = (date: string) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
+};
+
+const describeOccurrence = (occurrence: Occurrence) => {
+  switch (occurrence.status) {
+    case 'booked':
+      return `Booked: ${occurrence.spotNumber}`;
+    case 'fallback':
+      return `Booked on ${occurrence.spotNumber} (preferred spot taken)`;
+    case 'conflict':
+      return occurrence.message || 'Not booked yet';
+    default:
+      return 'Skipped';
+  }
+};
+
+// Bookings still waiting for their day can be skipped; ones holding a spot are cancelled from the booking
+const canSkip = (occurrence: Occurrence) =>
+  occurrence.status !== 'skipped' && (!occurrence.reservationId || occurrence.bookingStatus === 'scheduled');
+
+const RecurringBookingsScreen: React.FC = () => {
+  const router = useRouter();
+  const colors = useThemeColors();
+  const { showLoading, hideLoading } = useLoading();
+  const styles = getStyles(colors);
+  const [rules, setRules] = useState<RecurringBooking[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [vehicles, setVehicles] = useState<{ id: number; plate_number: string }[]>([]);
+  const [areas, setAreas] = useState<{ id: number; name: string }[]>([]);
+  const [vehicleId, setVehicleId] = useState<number | null>(null);
+  const [areaId, setAreaId] = useState<number | null>(null);
+  const [daysOfWeek, setDaysOfWeek] = useState<number[]>([1, 2, 3, 4, 5]);
+  const [startTime, setStartTime] = useState('08:00');
+  const [endTime, setEndTime] = useState('17:00');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const loadRules = useCallback(async () => {
+    try {
+      const response = await ApiService.getRecurringBookings();
+      setRules(response.data.rules);
+    } catch (error) {
+      console.error('Error loading recurring bookings:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadRules();
+
+      const loadOptions = async () => {
+        try {
+          const [vehiclesResponse, areasResponse] = await Promise.all([
+            ApiService.getVehicles(),
+            ApiService.getParkingAreas()
+          ]);
+          setVehicles(vehiclesResponse.data.vehicles);
+          setAreas(areasResponse.data.locations);
+        } catch (error) {
+          console.error('Error loading recurring booking options:', error);
+        }
+      };
+      loadOptions();
+    }, [loadRules])
+  );
+
+  const toggleDay = (day: number) => {
+    setDaysOfWeek((days) => (days.includes(day) ? days.filter((d) => d !== day) : [...days, day].sort((a, b) => a - b)));
+  };
+
+  const handleCreate = async () => {
+    if (!vehicleId || !areaId) {
+      Alert.alert('Missing Details', 'Choose a vehicle and a parking area.');
+      return;
+    }
+    if (daysOfWeek.length === 0) {
+      Alert.alert('Missing Details', 'Choose at least one day of the week.');
+      return;
+    }
+    if (!TIME_PATTERN.test(startTime) || !TIME_PATTERN.test(endTime)) {
+      Alert.alert('Invalid Time', 'Enter the start and end times as HH:MM, for example 08:00.');
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      const response = await ApiService.createRecurringBooking({ vehicleId, areaId, daysOfWeek, startTime, endTime });
+      Alert.alert('Recurring Booking Created', response.message);
+      loadRules();
+    } catch (error) {
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to create recurring booking');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSkip = (rule: RecurringBooking, occurrence: Occurrence) => {
+    Alert.alert(
+      'Skip This Day',
+      `Skip ${rule.areaName} on ${formatOccurrenceDate(occurrence.date)}?${occurrence.reservationId ? ' The booking for that day will be cancelled free of charge.' : ''}`,
+      [
+        { text: 'Keep', style: 'cancel' },
+        {
+          text: 'Skip',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await ApiService.skipRecurringBooking(rule.recurringId, occurrence.date);
+              loadRules();
+            } catch (error) {
+              Alert.alert('Error', error instanceof Error ? error.message : 'Failed to skip this day');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const handleStop = (rule: RecurringBooking) => {
+    Alert.alert(
+      'Stop Recurring Booking',
+      `Stop booking ${rule.areaName} every week? Upcoming bookings that are not holding a spot yet will be cancelled.`,
+      [
+        { text: 'Keep', style: 'cancel' },
+        {
+          text: 'Stop',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await ApiService.stopRecurringBooking(rule.recurringId);
+              loadRules();
+            } catch (error) {
+              Alert.alert('Error', error instanceof Error ? error.message : 'Failed to stop recurring booking');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const renderChips = <T extends { id: number }>(items: T[], selectedId: number | null, label: (item: T) => string, onSelect: (id: number) => void) => (
+    <View style={styles.chipRow}>
+      {items.map((item) => (
+        <TouchableOpacity
+          key={item.id}
+          style={[styles.chip, selectedId === item.id && styles.chipSelected]}
+          onPress={() => onSelect(item.id)}
+        >
+          <Text style={[styles.chipText, selectedId === item.id && styles.chipTextSelected]}>{label(item)}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <SharedHeader
+        title="Recurring Bookings"
+        showBackButton
+        onBackPress={() => {
+          showLoading();
+          router.back();
+          setTimeout(() => hideLoading(), 500);
+        }}
+      />
+
+      <ScrollView contentContainerStyle={styles.content}>
+        {isLoading ? (
+          <ActivityIndicator size="small" color={colors.primary} style={styles.loader} />
+        ) : (
+          rules.map((rule) => (
+            <View key={rule.recurringId} style={styles.card}>
+              <Text style={styles.title}>{rule.areaName}</Text>
+              <Text style={styles.description}>
+                {rule.daysOfWeek.map((day) => DAY_LABELS[day]).join(', ')} · {rule.startTime} - {rule.endTime} · {rule.vehiclePlate}
+              </Text>
+
+              {rule.occurrences.map((occurrence) => (
+                <View key={occurrence.date} style={styles.occurrenceRow}>
+                  <View style={styles.occurrenceInfo}>
+                    <Text style={styles.occurrenceDate}>{formatOccurrenceDate(occurrence.date)}</Text>
+                    <Text
+                      style={[
+                        styles.occurrenceStatus,
+                        occurrence.status === 'conflict' && styles.occurrenceConflict,
+                        occurrence.status === 'fallback' && styles.occurrenceFallback
+                      ]}
+                    >
+                      {describeOccurrence(occurrence)}
+                    </Text>
+                  </View>
+                  {canSkip(occurrence) && (
+                    <TouchableOpacity onPress={() => handleSkip(rule, occurrence)}>
+                      <Text style={styles.linkText}>Skip</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
+              ))}
+
+              <TouchableOpacity style={styles.stopButton} onPress={() => handleStop(rule)}>
+                <Text style={styles.stopButtonText}>Stop Recurring Booking</Text>
+              </TouchableOpacity>
+            </View>
+          ))
+        )}
+
+        <View style={styles.card}>
+          <Text style={styles.title}>New recurring booking</Text>
+          <Text style={styles.description}>
+            Pick the days and times you usually park. We book them ahead of time and let you know if your usual spot
+            is taken.
+          </Text>
+
+          <Text style={styles.label}>Vehicle</Text>
+          {renderChips(vehicles, vehicleId, (vehicle) => vehicle.plate_number, setVehicleId)}
+
+          <Text style={styles.label}>Parking area</Text>
+          {renderChips(areas, areaId, (area) => area.name, setAreaId)}
+
+          <Text style={styles.label}>Days</Text>
+          <View style={styles.chipRow}>
+            {DAY_LABELS.map((label, day) => (
+              <TouchableOpacity
+                key={label}
+                style={[styles.chip, daysOfWeek.includes(day) && styles.chipSelected]}
+                onPress={() => toggleDay(day)}
+              >
+                <Text style={[styles.chipText, daysOfWeek.includes(day) && styles.chipTextSelected]}>{label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.timeRow}>
+            <View style={styles.timeField}>
+              <Text style={styles.label}>From</Text>
+              <TextInput style={styles.input} value={startTime} onChangeText={setStartTime} placeholder="08:00" maxLength={5} />
+            </View>
+            <View style={styles.timeField}>
+              <Text style={styles.label}>To</Text>
+              <TextInput style={styles.input} value={endTime} onChangeText={setEndTime} placeholder="17:00" maxLength={5} />
+            </View>
+          </View>
+
+          <TouchableOpacity
+            style={[styles.createButton, isSubmitting && styles.disabledButton]}
+            onPress={handleCreate}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? (
+              <ActivityIndicator size="small" color={colors.textInverse} />
+            ) : (
+              <Text style={styles.createButtonText}>Create Recurring Booking</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+const getStyles = (colors: ReturnType<typeof useThemeColors>) => StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    padding: 20,
+  },
+  loader: {
+    marginVertical: 20,
+  },
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    padding: 20,
+    marginBottom: 16,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: colors.primary,
+    marginBottom: 8,
+  },
+  description: {
+    fontSize: 15,
+    color: colors.textSecondary,
+    lineHeight: 21,
+  },
+  occurrenceRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  occurrenceInfo: {
+    flex: 1,
+  },
+  occurrenceDate: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text,
+  },
+  occurrenceStatus: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  occurrenceConflict: {
+    color: colors.error,
+  },
+  occurrenceFallback: {
+    color: colors.warning,
+  },
+  linkText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.primary,
+  },
+  stopButton: {
+    marginTop: 16,
+    alignItems: 'center',
+  },
+  stopButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.error,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text,
+    marginTop: 16,
+    marginBottom: 6,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: colors.primary,
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipSelected: {
+    backgroundColor: colors.primary,
+  },
+  chipText: {
+    fontSize: 14,
+    color: colors.primary,
+  },
+  chipTextSelected: {
+    color: colors.textInverse,
+  },
+  timeRow: {
+    flexDirection: 'row',
+  },
+  timeField: {
+    flex: 1,
+    marginRight: 12,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: colors.text,
+  },
+  createButton: {
+    backgroundColor: colors.primary,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 16,
+    borderRadius: 25,
+    marginTop: 24,
+  },
+  createButtonText: {
+    color: colors.textInverse,
+    fontSize: 17,
+    fontWeight: '600',
+  },
+  disabledButton: {
+    opacity: 0.6,
+  },
+});
+
+export default RecurringBookingsScreen;
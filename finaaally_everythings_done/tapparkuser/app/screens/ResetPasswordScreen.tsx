@@ -0,0 +1,225 @@
+import React, { useState } from 'react';
+import {
+  View,
+  TextInput,
+  TouchableOpacity,
+  Text,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  Keyboard,
+  TouchableWithoutFeedback,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useRouter, useLocalSearchParams } from 'expo-router';
+import { Ionicons } from '@expo/vector-icons';
+import { loginStyles } from '../styles/loginStyles';
+import ApiService from '../../services/api';
+
+export default function ResetPasswordScreen() {
+  const router = useRouter();
+  const params = useLocalSearchParams<{ email?: string }>();
+
+  const [email, setEmail] = useState(typeof params.email === 'string' ? params.email : '');
+  const [code, setCode] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [generalError, setGeneralError] = useState('');
+  const [infoMessage, setInfoMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isResending, setIsResending] = useState(false);
+
+  const validateInputs = () => {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email.trim())) {
+      setGeneralError('Please enter a valid email address');
+      return false;
+    }
+    if (!code.trim()) {
+      setGeneralError('Please enter the code from your email');
+      return false;
+    }
+    if (newPassword.length < 6) {
+      setGeneralError('New password must be at least 6 characters long');
+      return false;
+    }
+    if (newPassword !== confirmPassword) {
+      setGeneralError('New password and confirm password do not match');
+      return false;
+    }
+    return true;
+  };
+
+  const handleResetPassword = async () => {
+    setGeneralError('');
+    setInfoMessage('');
+
+    if (!validateInputs()) {
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      const response = await ApiService.confirmPasswordReset(email.trim(), code.trim(), newPassword);
+
+      if (response.success) {
+        Alert.alert(
+          'Password Reset',
+          response.message || 'Your password has been reset. Please log in with your new password.',
+          [
+            {
+              text: 'OK',
+              onPress: () => router.replace('/screens/LoginScreen'),
+            },
+          ]
+        );
+      } else {
+        setGeneralError(response.message || 'Failed to reset password');
+      }
+    } catch (error) {
+      setGeneralError(error instanceof Error ? error.message : 'Failed to reset password. Please try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleResendCode = async () => {
+    setGeneralError('');
+    setInfoMessage('');
+
+    if (!email.trim()) {
+      setGeneralError('Please enter your email first');
+      return;
+    }
+
+    try {
+      setIsResending(true);
+      const response = await ApiService.requestPasswordReset(email.trim());
+      setInfoMessage(response.message || 'A new code has been sent to your email');
+    } catch (error) {
+      setGeneralError(error instanceof Error ? error.message : 'Failed to resend code');
+    } finally {
+      setIsResending(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.safeArea} edges={['bottom']}>
+      <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
+        <View style={{ flex: 1 }}>
+          <KeyboardAvoidingView
+            behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+            style={{ flex: 1 }}
+            enabled
+          >
+            <ScrollView
+              contentContainerStyle={styles.scrollContent}
+              keyboardShouldPersistTaps="handled"
+              showsVerticalScrollIndicator={false}
+              bounces={false}
+            >
+              <View style={styles.middleSection}>
+                <Text style={styles.welcomeText}>RESET PASSWORD</Text>
+                <Text style={styles.subtitleText}>
+                  Enter the code we emailed you and choose a new password. The code can only be used once.
+                </Text>
+              </View>
+
+              <View style={styles.inputSection}>
+                <TextInput
+                  style={styles.inputField}
+                  placeholder="Email"
+                  placeholderTextColor="#9CA3AF"
+                  value={email}
+                  onChangeText={setEmail}
+                  keyboardType="email-address"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+                <TextInput
+                  style={styles.inputField}
+                  placeholder="Reset code"
+                  placeholderTextColor="#9CA3AF"
+                  value={code}
+                  onChangeText={(text) => setCode(text.toUpperCase())}
+                  autoCapitalize="characters"
+                  autoCorrect={false}
+                />
+                <View style={styles.passwordContainer}>
+                  <TextInput
+                    style={styles.passwordFieldWithIcon}
+                    placeholder="New password"
+                    placeholderTextColor="#9CA3AF"
+                    secureTextEntry={!showPassword}
+                    value={newPassword}
+                    onChangeText={setNewPassword}
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                  />
+                  <TouchableOpacity
+                    onPress={() => setShowPassword(!showPassword)}
+                    style={styles.eyeIconButton}
+                  >
+                    <Ionicons
+                      name={showPassword ? 'eye-off-outline' : 'eye-outline'}
+                      size={22}
+                      color="#6B7280"
+                    />
+                  </TouchableOpacity>
+                </View>
+                <View style={styles.passwordContainer}>
+                  <TextInput
+                    style={styles.passwordFieldWithIcon}
+                    placeholder="Confirm new password"
+                    placeholderTextColor="#9CA3AF"
+                    secureTextEntry={!showPassword}
+                    value={confirmPassword}
+                    onChangeText={setConfirmPassword}
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                  />
+                </View>
+                {generalError ? <Text style={styles.errorText}>{generalError}</Text> : null}
+                {infoMessage ? <Text style={styles.successText}>{infoMessage}</Text> : null}
+              </View>
+
+              <View style={styles.bottomSection}>
+                <View style={styles.buttonContainer}>
+                  <TouchableOpacity
+                    onPress={handleResetPassword}
+                    style={[styles.loginButton, isSubmitting && { opacity: 0.7 }]}
+                    disabled={isSubmitting}
+                  >
+                    {isSubmitting ? (
+                      <ActivityIndicator color="#FFFFFF" size="small" />
+                    ) : (
+                      <Text style={styles.loginButtonText}>Reset Password</Text>
+                    )}
+                  </TouchableOpacity>
+                </View>
+
+                <View style={styles.registerContainer}>
+                  <Text style={styles.registerText}>Didn&apos;t get the code?</Text>
+                  <TouchableOpacity onPress={handleResendCode} disabled={isResending}>
+                    <Text style={styles.registerLink}>{isResending ? 'Sending...' : 'Resend'}</Text>
+                  </TouchableOpacity>
+                </View>
+
+                <View style={styles.registerContainer}>
+                  <TouchableOpacity onPress={() => router.replace('/screens/LoginScreen')}>
+                    <Text style={styles.registerLink}>Back to Login</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            </ScrollView>
+          </KeyboardAvoidingView>
+        </View>
+      </TouchableWithoutFeedback>
+    </SafeAreaView>
+  );
+}
+
+const styles = loginStyles;
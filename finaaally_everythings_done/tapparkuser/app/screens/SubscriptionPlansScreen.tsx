@@ -8,13 +8,14 @@ import {
   Alert,
   ScrollView,
   Platform,
+  TextInput,
 } from 'react-native';
 import { useRouter } from 'expo-router';
 import { Ionicons } from '@expo/vector-icons';
 import { WebView } from 'react-native-webview';
 import { Modal } from 'react-native';
 import * as SystemUI from 'expo-system-ui';
-import ApiService from '../../services/api';
+import ApiService, { ApiError, AutoRenewal, PromoQuote } from '../../services/api';
 import { useTheme, useThemeColors } from '../../contexts/ThemeContext';
 import { useScreenDimensions } from '../../hooks/use-screen-dimensions';
 import SharedHeader from '../../components/SharedHeader';
@@ -24,9 +25,23 @@ interface Plan {
   plan_name: string;
   cost: number;
   number_of_hours: number;
+  validity_days: number | null;
   description: string;
 }
 
+interface AppliedPromo {
+  code: string;
+  description: string | null;
+  // Keyed by plan_id; plans the code doesn't apply to are missing
+  quotes: Record<number, PromoQuote>;
+}
+
+const formatDateTime = (value: string) =>
+  new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+const isPromoCodeError = (error: unknown): error is ApiError =>
+  error instanceof ApiError && !!error.errorCode?.startsWith('PROMO_CODE');
+
 export default function SubscriptionPlansScreen() {
   const router = useRouter();
   const { colors, isDarkMode } = useTheme();
@@ -41,14 +56,35 @@ export default function SubscriptionPlansScreen() {
   const [showPayPalWebView, setShowPayPalWebView] = useState(false);
   const [paypalUrl, setPaypalUrl] = useState('');
   const [currentOrderId, setCurrentOrderId] = useState('');
+  // The WebView either pays for an order or saves the PayPal account for auto-renew
+  const [webViewPurpose, setWebViewPurpose] = useState<'checkout' | 'autoRenew'>('checkout');
+  const [setupTokenId, setSetupTokenId] = useState('');
+  const [autoRenewal, setAutoRenewal] = useState<AutoRenewal | null>(null);
+  const [promoInput, setPromoInput] = useState('');
+  const [appliedPromo, setAppliedPromo] = useState<AppliedPromo | null>(null);
+  const [isApplyingPromo, setIsApplyingPromo] = useState(false);
 
   useEffect(() => {
     if (Platform.OS === 'android') {
       SystemUI.setBackgroundColorAsync('#000000');
     }
     loadPlans();
+    loadAutoRenewal();
   }, []);
 
+  const loadAutoRenewal = async () => {
+    try {
+      const response = await ApiService.getAutoRenewal();
+      if (response.success) {
+        setAutoRenewal(response.data.auto_renewal);
+      }
+    } catch (error) {
+      console.error('Error loading auto-renew:', error);
+    }
+  };
+
+  const isAutoRenewOn = autoRenewal?.status === 'active' || autoRenewal?.status === 'past_due';
+
   const loadPlans = async () => {
     try {
       setIsLoading(true);
@@ -64,11 +100,49 @@ export default function SubscriptionPlansScreen() {
     }
   };
 
+  const handleApplyPromo = async () => {
+    const code = promoInput.trim();
+    if (!code) {
+      return;
+    }
+
+    try {
+      setIsApplyingPromo(true);
+      const response = await ApiService.validatePromoCode(code);
+      if (response.success) {
+        const quotes: Record<number, PromoQuote> = {};
+        response.data.plans.forEach((quote) => {
+          quotes[quote.plan_id] = quote;
+        });
+        setAppliedPromo({ code: response.data.code, description: response.data.description, quotes });
+        setPromoInput(response.data.code);
+      }
+    } catch (error) {
+      console.error('Promo code error:', error);
+      Alert.alert('Promo Code', isPromoCodeError(error) ? error.message : 'Failed to check the promo code');
+    } finally {
+      setIsApplyingPromo(false);
+    }
+  };
+
+  const handleRemovePromo = () => {
+    setAppliedPromo(null);
+    setPromoInput('');
+  };
+
+  const getPromoQuote = (plan: Plan) => appliedPromo?.quotes[plan.plan_id] || null;
+
   const handlePlanSelect = (plan: Plan) => {
     setSelectedPlan(plan);
+    const quote = getPromoQuote(plan);
+    const price = quote
+      ? `₱${quote.amount} (₱${quote.discount_amount} off with ${appliedPromo?.code})`
+      : `₱${plan.cost}`;
+    const hours = quote ? quote.hours : plan.number_of_hours;
+    const bonus = quote && quote.bonus_hours > 0 ? `, including ${quote.bonus_hours} bonus hours from ${appliedPromo?.code}` : '';
     Alert.alert(
       'Confirm Purchase',
-      `Purchase ${plan.plan_name} for ₱${plan.cost}?\n\nYou will receive ${plan.number_of_hours} parking hours.`,
+      `Purchase ${plan.plan_name} for ${price}?\n\nYou will receive ${hours} parking hours${bonus}${plan.validity_days ? `, valid for ${plan.validity_days} days` : ''}.`,
       [
         { text: 'Cancel', style: 'cancel' },
         { text: 'Continue to Payment', onPress: () => handlePayPalCheckout(plan) }
@@ -80,12 +154,14 @@ export default function SubscriptionPlansScreen() {
     try {
       setIsProcessing(true);
       
-      const response = await ApiService.createPayPalOrder(plan.plan_id);
+      const quote = getPromoQuote(plan);
+      const response = await ApiService.createPayPalOrder(plan.plan_id, quote ? appliedPromo?.code : undefined);
       
       if (response.success && response.data) {
         const { orderId, approvalUrl } = response.data;
         
         setCurrentOrderId(orderId);
+        setWebViewPurpose('checkout');
         setPaypalUrl(approvalUrl);
         setShowPayPalWebView(true);
       } else {
@@ -93,16 +169,140 @@ export default function SubscriptionPlansScreen() {
       }
     } catch (error) {
       console.error('PayPal checkout error:', error);
-      Alert.alert('Error', 'Failed to initiate PayPal payment');
+      if (isPromoCodeError(error)) {
+        // The code ran out or changed since it was applied; let the driver buy without it or try another
+        setAppliedPromo(null);
+        Alert.alert('Promo Code', error.message);
+      } else {
+        Alert.alert('Error', 'Failed to initiate PayPal payment');
+      }
     } finally {
       setIsProcessing(false);
     }
   };
 
+  // Save the PayPal account in PayPal's approval page, unless auto-renew is already on and only the plan changes
+  const handleAutoRenewSelect = (plan: Plan) => {
+    if (autoRenewal && isAutoRenewOn) {
+      Alert.alert(
+        'Switch Auto-Renew',
+        `Renew ${plan.plan_name} (₱${plan.cost}) instead of ${autoRenewal.plan_name} from now on?`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Switch', onPress: () => switchAutoRenewPlan(plan) }
+        ]
+      );
+      return;
+    }
+
+    Alert.alert(
+      'Turn On Auto-Renew',
+      `${plan.plan_name} (₱${plan.cost}) will be bought again through PayPal whenever your hours run low. You can turn this off at any time.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Continue to PayPal', onPress: () => startAutoRenewSetup(plan.plan_id) }
+      ]
+    );
+  };
+
+  const startAutoRenewSetup = async (planId: number) => {
+    try {
+      setIsProcessing(true);
+      const response = await ApiService.enableAutoRenewal(planId);
+
+      if (response.success && response.data.approvalUrl) {
+        setSetupTokenId(response.data.setupTokenId);
+        setWebViewPurpose('autoRenew');
+        setPaypalUrl(response.data.approvalUrl);
+        setShowPayPalWebView(true);
+      } else {
+        Alert.alert('Error', 'Failed to start auto-renew');
+      }
+    } catch (error) {
+      console.error('Auto-renew setup error:', error);
+      Alert.alert('Error', 'Failed to start auto-renew');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const switchAutoRenewPlan = async (plan: Plan) => {
+    try {
+      setIsProcessing(true);
+      const response = await ApiService.updateAutoRenewal({ planId: plan.plan_id });
+      if (response.success) {
+        setAutoRenewal(response.data);
+      }
+    } catch (error) {
+      console.error('Auto-renew update error:', error);
+      Alert.alert('Error', 'Failed to change the auto-renew plan');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  const handleTurnOffAutoRenew = () => {
+    Alert.alert(
+      'Turn Off Auto-Renew',
+      'Your plan will no longer be bought again automatically. Hours you already have are kept.',
+      [
+        { text: 'Keep On', style: 'cancel' },
+        {
+          text: 'Turn Off',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setIsProcessing(true);
+              const response = await ApiService.cancelAutoRenewal();
+              if (response.success) {
+                setAutoRenewal(response.data);
+              }
+            } catch (error) {
+              console.error('Auto-renew cancel error:', error);
+              Alert.alert('Error', 'Failed to turn off auto-renew');
+            } finally {
+              setIsProcessing(false);
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  const handleAutoRenewNavigation = async (url: string) => {
+    if (url.includes('vault/success')) {
+      setShowPayPalWebView(false);
+
+      try {
+        setIsProcessing(true);
+        const response = await ApiService.confirmAutoRenewal(setupTokenId);
+        if (response.success) {
+          setAutoRenewal(response.data);
+          Alert.alert('Auto-Renew On', response.message);
+        }
+      } catch (error) {
+        console.error('Auto-renew confirm error:', error);
+        Alert.alert('Error', 'Failed to turn on auto-renew');
+      } finally {
+        setIsProcessing(false);
+      }
+    }
+
+    if (url.includes('vault/cancel')) {
+      setShowPayPalWebView(false);
+      Alert.alert('Cancelled', 'Auto-renew was not turned on');
+    }
+  };
+
   const handleWebViewNavigationStateChange = async (navState: any) => {
     const { url } = navState;
     console.log('WebView URL:', url);
 
+    if (webViewPurpose === 'autoRenew') {
+      await handleAutoRenewNavigation(url);
+      return;
+    }
+
     // Check if user completed payment
     if (url.includes('success') || url.includes('approved')) {
       setShowPayPalWebView(false);
@@ -112,7 +312,14 @@ export default function SubscriptionPlansScreen() {
         setIsProcessing(true);
         const response = await ApiService.capturePayPalOrder(currentOrderId);
         
-        if (response.success) {
+        if (response.success && response.data.pending) {
+          Alert.alert('Payment Processing', response.message, [
+            {
+              text: 'OK',
+              onPress: () => router.back()
+            }
+          ]);
+        } else if (response.success) {
           Alert.alert(
             'Success!',
             `${response.message}\n\n${response.data.hours_added} hours added to your account.`,
@@ -128,7 +335,12 @@ export default function SubscriptionPlansScreen() {
         }
       } catch (error) {
         console.error('Capture error:', error);
-        Alert.alert('Error', 'Failed to complete payment');
+        if (isPromoCodeError(error)) {
+          setAppliedPromo(null);
+          Alert.alert('Promo Code', error.message);
+        } else {
+          Alert.alert('Error', 'Failed to complete payment');
+        }
       } finally {
         setIsProcessing(false);
       }
@@ -200,6 +412,71 @@ export default function SubscriptionPlansScreen() {
       color: colors.textSecondary,
       marginBottom: 10,
     },
+    planOriginalPrice: {
+      fontSize: 14,
+      color: colors.textMuted,
+      textDecorationLine: 'line-through',
+      textAlign: 'right',
+    },
+    planPromo: {
+      fontSize: 13,
+      fontWeight: '600',
+      color: colors.primary,
+      marginBottom: 10,
+    },
+    planPromoNotEligible: {
+      fontSize: 13,
+      color: colors.textMuted,
+      marginBottom: 10,
+    },
+    promoCard: {
+      backgroundColor: colors.card,
+      borderRadius: 15,
+      padding: 16,
+      marginBottom: 20,
+    },
+    promoLabel: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.text,
+      marginBottom: 8,
+    },
+    promoRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      gap: 10,
+    },
+    promoInput: {
+      flex: 1,
+      borderWidth: 1,
+      borderColor: colors.border,
+      borderRadius: 10,
+      paddingHorizontal: 12,
+      paddingVertical: 10,
+      fontSize: 16,
+      color: colors.text,
+    },
+    promoButton: {
+      backgroundColor: colors.primary,
+      borderRadius: 10,
+      paddingHorizontal: 16,
+      paddingVertical: 11,
+    },
+    promoButtonText: {
+      color: '#FFFFFF',
+      fontSize: 15,
+      fontWeight: '600',
+    },
+    promoApplied: {
+      fontSize: 13,
+      color: colors.textSecondary,
+      marginTop: 8,
+    },
+    planValidity: {
+      fontSize: 13,
+      color: colors.textMuted,
+      marginBottom: 10,
+    },
     planDescription: {
       fontSize: 14,
       color: colors.textMuted,
@@ -216,6 +493,51 @@ export default function SubscriptionPlansScreen() {
       fontSize: 16,
       fontWeight: 'bold',
     },
+    autoRenewCard: {
+      backgroundColor: colors.card,
+      borderRadius: 15,
+      padding: 16,
+      marginBottom: 20,
+      borderWidth: 1,
+      borderLeftWidth: 4,
+      borderColor: colors.primary,
+    },
+    autoRenewCardPastDue: {
+      borderColor: colors.warning,
+    },
+    autoRenewTitle: {
+      fontSize: 16,
+      fontWeight: 'bold',
+      color: colors.text,
+      marginBottom: 4,
+    },
+    autoRenewText: {
+      fontSize: 14,
+      color: colors.textSecondary,
+    },
+    autoRenewActions: {
+      flexDirection: 'row',
+      marginTop: 10,
+      gap: 20,
+    },
+    autoRenewAction: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: colors.primary,
+    },
+    autoRenewButton: {
+      borderRadius: 10,
+      padding: 12,
+      marginTop: 10,
+      alignItems: 'center',
+      borderWidth: 1,
+      borderColor: colors.primary,
+    },
+    autoRenewButtonText: {
+      color: colors.primary,
+      fontSize: 15,
+      fontWeight: '600',
+    },
     loadingContainer: {
       flex: 1,
       justifyContent: 'center',
@@ -287,41 +609,144 @@ export default function SubscriptionPlansScreen() {
         <Text style={styles.title}>Choose Your Plan</Text>
         <Text style={styles.subtitle}>Select a subscription plan to add parking hours</Text>
 
-        {plans.map((plan) => (
-          <View
-            key={plan.plan_id}
-            style={[
-              styles.planCard,
-              selectedPlan?.plan_id === plan.plan_id && styles.selectedPlanCard
-            ]}
-          >
-            <View style={styles.planHeader}>
-              <Text style={styles.planName}>{plan.plan_name}</Text>
-              <Text style={styles.planPrice}>₱{plan.cost}</Text>
+        {autoRenewal && isAutoRenewOn && (
+          <View style={[styles.autoRenewCard, autoRenewal.status === 'past_due' && styles.autoRenewCardPastDue]}>
+            <Text style={styles.autoRenewTitle}>
+              {autoRenewal.status === 'past_due' ? 'Auto-renew payment failed' : 'Auto-renew is on'}
+            </Text>
+            <Text style={styles.autoRenewText}>
+              {autoRenewal.plan_name} (₱{autoRenewal.cost}) is bought again when you have less than{' '}
+              {autoRenewal.hours_threshold} hours left
+              {autoRenewal.payer_email ? `, paid with ${autoRenewal.payer_email}` : ''}.
+              {autoRenewal.status === 'past_due' && autoRenewal.next_attempt_at
+                ? ` We couldn't charge your PayPal account and will try again on ${formatDateTime(autoRenewal.next_attempt_at)}.`
+                : ''}
+            </Text>
+            <View style={styles.autoRenewActions}>
+              {autoRenewal.status === 'past_due' && (
+                <TouchableOpacity onPress={() => startAutoRenewSetup(autoRenewal.plan_id)} disabled={isProcessing}>
+                  <Text style={styles.autoRenewAction}>Update PayPal account</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity onPress={handleTurnOffAutoRenew} disabled={isProcessing}>
+                <Text style={styles.autoRenewAction}>Turn off</Text>
+              </TouchableOpacity>
             </View>
-            
-            <Text style={styles.planHours}>
-              <Ionicons name="time-outline" size={16} color={colors.primary} />
-              {' '}{plan.number_of_hours} Parking Hours
+          </View>
+        )}
+
+        {autoRenewal?.status === 'cancelled' && autoRenewal.cancel_reason === 'payment_failed' && (
+          <View style={[styles.autoRenewCard, styles.autoRenewCardPastDue]}>
+            <Text style={styles.autoRenewTitle}>Auto-renew was turned off</Text>
+            <Text style={styles.autoRenewText}>
+              We couldn&apos;t charge your PayPal account for {autoRenewal.plan_name}. Turn auto-renew on again below to
+              use another account.
             </Text>
-            
-            {plan.description && (
-              <Text style={styles.planDescription}>{plan.description}</Text>
-            )}
-            
+          </View>
+        )}
+
+        <View style={styles.promoCard}>
+          <Text style={styles.promoLabel}>Promo code</Text>
+          <View style={styles.promoRow}>
+            <TextInput
+              style={styles.promoInput}
+              value={promoInput}
+              onChangeText={setPromoInput}
+              placeholder="Enter code"
+              placeholderTextColor={colors.textMuted}
+              autoCapitalize="characters"
+              autoCorrect={false}
+              editable={!appliedPromo && !isApplyingPromo}
+              onSubmitEditing={handleApplyPromo}
+            />
             <TouchableOpacity
-              style={styles.selectButton}
-              onPress={() => handlePlanSelect(plan)}
-              disabled={isProcessing}
+              style={styles.promoButton}
+              onPress={appliedPromo ? handleRemovePromo : handleApplyPromo}
+              disabled={isApplyingPromo || isProcessing || (!appliedPromo && !promoInput.trim())}
             >
-              <Text style={styles.selectButtonText}>
-                {isProcessing && selectedPlan?.plan_id === plan.plan_id
-                  ? 'Processing...'
-                  : 'Purchase with PayPal'}
-              </Text>
+              {isApplyingPromo ? (
+                <ActivityIndicator size="small" color="#FFFFFF" />
+              ) : (
+                <Text style={styles.promoButtonText}>{appliedPromo ? 'Remove' : 'Apply'}</Text>
+              )}
             </TouchableOpacity>
           </View>
-        ))}
+          {appliedPromo && (
+            <Text style={styles.promoApplied}>
+              {appliedPromo.description || `${appliedPromo.code} applied`}
+            </Text>
+          )}
+        </View>
+
+        {plans.map((plan) => {
+          const quote = getPromoQuote(plan);
+          return (
+            <View
+              key={plan.plan_id}
+              style={[
+                styles.planCard,
+                selectedPlan?.plan_id === plan.plan_id && styles.selectedPlanCard
+              ]}
+            >
+              <View style={styles.planHeader}>
+                <Text style={styles.planName}>{plan.plan_name}</Text>
+                <View>
+                  {quote && quote.discount_amount > 0 && (
+                    <Text style={styles.planOriginalPrice}>₱{plan.cost}</Text>
+                  )}
+                  <Text style={styles.planPrice}>₱{quote ? quote.amount : plan.cost}</Text>
+                </View>
+              </View>
+            
+              <Text style={styles.planHours}>
+                <Ionicons name="time-outline" size={16} color={colors.primary} />
+                {' '}{plan.number_of_hours} Parking Hours
+              </Text>
+
+              {quote && quote.bonus_hours > 0 && (
+                <Text style={styles.planPromo}>+{quote.bonus_hours} bonus hours with {appliedPromo?.code}</Text>
+              )}
+
+              {appliedPromo && !quote && (
+                <Text style={styles.planPromoNotEligible}>{appliedPromo.code} doesn&apos;t apply to this plan</Text>
+              )}
+
+              {!!plan.validity_days && (
+                <Text style={styles.planValidity}>
+                  Valid for {plan.validity_days} day{plan.validity_days === 1 ? '' : 's'} after purchase
+                </Text>
+              )}
+            
+              {plan.description && (
+                <Text style={styles.planDescription}>{plan.description}</Text>
+              )}
+            
+              <TouchableOpacity
+                style={styles.selectButton}
+                onPress={() => handlePlanSelect(plan)}
+                disabled={isProcessing}
+              >
+                <Text style={styles.selectButtonText}>
+                  {isProcessing && selectedPlan?.plan_id === plan.plan_id
+                    ? 'Processing...'
+                    : 'Purchase with PayPal'}
+                </Text>
+              </TouchableOpacity>
+
+              {!(isAutoRenewOn && autoRenewal?.plan_id === plan.plan_id) && (
+                <TouchableOpacity
+                  style={styles.autoRenewButton}
+                  onPress={() => handleAutoRenewSelect(plan)}
+                  disabled={isProcessing}
+                >
+                  <Text style={styles.autoRenewButtonText}>
+                    {isAutoRenewOn ? 'Auto-renew this plan instead' : 'Auto-renew this plan'}
+                  </Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          );
+        })}
       </ScrollView>
 
       {/* PayPal WebView Modal */}
@@ -332,12 +757,14 @@ export default function SubscriptionPlansScreen() {
       >
         <View style={styles.modalContainer}>
           <View style={styles.modalHeader}>
-            <Text style={styles.modalTitle}>PayPal Payment</Text>
+            <Text style={styles.modalTitle}>
+              {webViewPurpose === 'autoRenew' ? 'PayPal Auto-Renew' : 'PayPal Payment'}
+            </Text>
             <TouchableOpacity
               style={styles.closeButton}
               onPress={() => {
                 setShowPayPalWebView(false);
-                Alert.alert('Cancelled', 'Payment was cancelled');
+                Alert.alert('Cancelled', webViewPurpose === 'autoRenew' ? 'Auto-renew was not turned on' : 'Payment was cancelled');
               }}
             >
               <Ionicons name="close" size={24} color={colors.text} />
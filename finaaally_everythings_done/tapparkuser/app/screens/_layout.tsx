@@ -17,6 +17,8 @@ export default function ScreensLayout() {
       <Stack.Screen name="GreetingsScreen" />
       <Stack.Screen name="LoginScreen" />
       <Stack.Screen name="SignupScreen" />
+      <Stack.Screen name="ForgotPasswordScreen" />
+      <Stack.Screen name="ResetPasswordScreen" />
       <Stack.Screen name="AboutScreen" />
       <Stack.Screen name="AddVehicleScreen" />
       <Stack.Screen name="HomeScreen" />
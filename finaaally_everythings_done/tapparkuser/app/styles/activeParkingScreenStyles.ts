@@ -286,6 +286,23 @@ export const getActiveParkingScreenStyles = (colors: ThemeColors) => StyleSheet.
     marginTop: getResponsiveMargin(10),
     marginBottom: getResponsiveMargin(20), // Add bottom margin to avoid Android navigation buttons
   },
+  cancelReservationButton: {
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderColor: colors.primary,
+    paddingVertical: getResponsivePadding(10),
+    paddingHorizontal: getResponsivePadding(20),
+    borderRadius: getResponsiveSize(8),
+    alignSelf: 'center',
+    minWidth: getResponsiveSize(200),
+    marginBottom: getResponsiveMargin(20),
+  },
+  cancelReservationText: {
+    color: colors.primary,
+    fontSize: getResponsiveFontSize(16),
+    fontWeight: '600',
+  },
   favoritesText: {
     color: '#FFFFFF',
     fontSize: getResponsiveFontSize(16),
@@ -323,6 +340,9 @@ export const getActiveParkingScreenStyles = (colors: ThemeColors) => StyleSheet.
     textAlign: 'center',
   },
   // Parking Time Tab Styles
+  hiddenSection: {
+    display: 'none',
+  },
   timeContainer: {
     flex: 1,
     paddingHorizontal: getResponsivePadding(20),
@@ -237,6 +237,11 @@ export const getBalanceScreenStyles = (colors: ThemeColors) => StyleSheet.create
     color: colors.primary,
     marginLeft: getResponsivePadding(10),
   },
+  expiryText: {
+    fontSize: getResponsiveFontSize(13),
+    color: colors.textSecondary,
+    marginTop: getResponsivePadding(8),
+  },
   topUpButton: {
     backgroundColor: colors.primary,
     paddingVertical: getResponsivePadding(12),
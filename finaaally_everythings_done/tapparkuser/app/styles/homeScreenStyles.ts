@@ -632,6 +632,31 @@ export const getHomeScreenStyles = (colors: ThemeColors) => StyleSheet.create({
     fontSize: getResponsiveFontSize(18),
     fontWeight: 'bold',
   },
+  bookingModeToggle: {
+    flexDirection: 'row',
+    borderWidth: 1,
+    borderColor: colors.primary,
+    borderRadius: getResponsiveSize(8),
+    overflow: 'hidden',
+    width: '100%',
+    marginBottom: getResponsiveMargin(16),
+  },
+  bookingModeOption: {
+    flex: 1,
+    paddingVertical: getResponsivePadding(10),
+    alignItems: 'center',
+  },
+  bookingModeOptionActive: {
+    backgroundColor: colors.primary,
+  },
+  bookingModeOptionText: {
+    fontSize: getResponsiveFontSize(15),
+    fontWeight: '600',
+    color: colors.primary,
+  },
+  bookingModeOptionTextActive: {
+    color: colors.textInverse,
+  },
   // Vehicle Selection Modal Styles (matching FavoritesScreen design)
   vehicleSelectionModalContainer: {
     backgroundColor: colors.background,
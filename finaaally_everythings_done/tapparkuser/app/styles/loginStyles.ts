@@ -227,6 +227,38 @@ export const loginStyles = StyleSheet.create({
     fontWeight: '600',
     textDecorationLine: 'underline',
   },
+  forgotPasswordContainer: {
+    alignSelf: 'flex-end',
+    marginTop: getResponsiveMargin(4),
+  },
+  forgotPasswordLink: {
+    fontSize: getResponsiveFontSize(14),
+    color: '#800000',
+    fontWeight: '600',
+  },
+  twoFactorHint: {
+    fontSize: getResponsiveFontSize(14),
+    color: '#6B7280',
+    textAlign: 'center',
+    lineHeight: getResponsiveFontSize(20),
+    marginBottom: getResponsiveMargin(12),
+  },
+  subtitleText: {
+    fontSize: getResponsiveFontSize(15),
+    color: '#6B7280',
+    textAlign: 'center',
+    lineHeight: getResponsiveFontSize(21),
+    marginTop: getResponsiveMargin(8),
+    paddingHorizontal: getResponsivePadding(10),
+  },
+  successText: {
+    color: '#047857',
+    fontSize: getResponsiveFontSize(14),
+    marginTop: getResponsiveMargin(4),
+    marginLeft: getResponsiveMargin(4),
+    marginBottom: getResponsiveMargin(8),
+    fontWeight: '500',
+  },
 });
 
 export default loginStyles;
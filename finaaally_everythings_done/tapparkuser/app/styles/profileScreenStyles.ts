@@ -445,6 +445,57 @@ export const getProfileScreenStyles = (colors: ThemeColors) => StyleSheet.create
     fontWeight: '600',
     color: colors.textInverse,
   },
+
+  // Devices Modal Styles
+  devicesList: {
+    width: '100%',
+    maxHeight: screenHeight * 0.5,
+  },
+  deviceItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: getResponsivePadding(12),
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  deviceInfo: {
+    flex: 1,
+    marginRight: getResponsiveMargin(12),
+  },
+  deviceName: {
+    fontSize: getResponsiveFontSize(16),
+    fontWeight: '600',
+    color: colors.text,
+  },
+  deviceCurrentLabel: {
+    fontSize: getResponsiveFontSize(12),
+    fontWeight: '600',
+    color: colors.success,
+    marginTop: getResponsiveMargin(2),
+  },
+  deviceDetails: {
+    fontSize: getResponsiveFontSize(13),
+    color: colors.textSecondary,
+    marginTop: getResponsiveMargin(2),
+  },
+  deviceLogoutButton: {
+    paddingVertical: getResponsivePadding(6),
+    paddingHorizontal: getResponsivePadding(12),
+    borderRadius: getResponsiveSize(6),
+    borderWidth: 1,
+    borderColor: colors.primary,
+  },
+  deviceLogoutButtonText: {
+    fontSize: getResponsiveFontSize(13),
+    fontWeight: '600',
+    color: colors.primary,
+  },
+  devicesEmptyText: {
+    fontSize: getResponsiveFontSize(14),
+    color: colors.textSecondary,
+    textAlign: 'center',
+    marginVertical: getResponsiveMargin(20),
+  },
 });
 
 // Export default styles for backward compatibility (light theme)
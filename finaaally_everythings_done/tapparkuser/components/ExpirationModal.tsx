@@ -143,7 +143,7 @@ const ExpirationModal: React.FC<ExpirationModalProps> = ({ styles }) => {
 
           <View style={modalStyles.content}>
             <Text style={modalStyles.text}>
-              Your reservation for {expirationDetails?.spotNumber || 'your spot'} at {expirationDetails?.areaName || 'the selected area'} expired because check-in did not happen in time.
+              Your reservation for {expirationDetails?.spotNumber || 'your spot'} at {expirationDetails?.areaName || 'the selected area'} expired because check-in did not happen {expirationDetails?.gracePeriodMinutes ? `within ${expirationDetails.gracePeriodMinutes} minutes` : 'in time'}.
             </Text>
             <Text style={modalStyles.text}>
               The spot has been released for other users. You can book another spot if it is still available.
@@ -0,0 +1,207 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator, Alert } from 'react-native';
+import { useThemeColors } from '../contexts/ThemeContext';
+import ApiService from '../services/api';
+
+// Warn this many minutes before the planned end
+const END_WARNING_MINUTES = 15;
+const SET_OPTIONS_HOURS = [1, 2, 3, 4];
+const EXTEND_OPTIONS_MINUTES = [30, 60, 120];
+
+interface ParkingEndTimeCardProps {
+  reservationId: number;
+  intendedEndTime?: string | null;
+  onEndTimeChange: (intendedEndTime: string) => void;
+}
+
+const formatTime = (date: Date) => date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+const formatMinutes = (totalMinutes: number) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+const formatExtension = (minutes: number) => (minutes < 60 ? `+${minutes} min` : `+${minutes / 60}h`);
+
+// Planned end of the session with set/extend buttons and warnings as it approaches
+const ParkingEndTimeCard: React.FC<ParkingEndTimeCardProps> = ({ reservationId, intendedEndTime, onEndTimeChange }) => {
+  const colors = useThemeColors();
+  const styles = getStyles(colors);
+  const [now, setNow] = useState(Date.now());
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const lastWarningRef = useRef<string | null>(null);
+
+  const endTime = intendedEndTime ? new Date(intendedEndTime) : null;
+  const remainingMinutes = endTime ? Math.ceil((endTime.getTime() - now) / 60000) : null;
+  const isOverstaying = remainingMinutes !== null && remainingMinutes <= 0;
+  const isEndingSoon = remainingMinutes !== null && !isOverstaying && remainingMinutes <= END_WARNING_MINUTES;
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const extendBy = async (minutes: number) => {
+    // Extensions stack on the planned end; an overstay is extended from now
+    const base = endTime ? Math.max(endTime.getTime(), Date.now()) : Date.now();
+    const newEndTime = new Date(base + minutes * 60 * 1000);
+
+    try {
+      setIsSubmitting(true);
+      const response = await ApiService.extendParkingSession(reservationId, newEndTime.toISOString());
+      onEndTimeChange(response.data.intendedEndTime);
+      setNow(Date.now());
+    } catch (error) {
+      Alert.alert('Unable to Extend', error instanceof Error ? error.message : 'Failed to extend parking session');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // The alert button should extend from the planned end at the time it is pressed
+  const extendByRef = useRef(extendBy);
+  extendByRef.current = extendBy;
+
+  // One alert when the end is near and one when it has passed, per planned end
+  useEffect(() => {
+    if (!intendedEndTime || (!isEndingSoon && !isOverstaying)) {
+      return;
+    }
+
+    const warningKey = `${intendedEndTime}:${isOverstaying ? 'over' : 'soon'}`;
+    if (lastWarningRef.current === warningKey) {
+      return;
+    }
+    lastWarningRef.current = warningKey;
+
+    Alert.alert(
+      isOverstaying ? 'Planned Time Is Up' : 'Parking Time Almost Up',
+      isOverstaying
+        ? 'You are past your planned end time. Extra time is still charged from your hours and any shortfall becomes penalty hours.'
+        : `Your planned parking ends in ${remainingMinutes} minute${remainingMinutes !== 1 ? 's' : ''}. Extend now to avoid overstaying.`,
+      [
+        { text: 'Dismiss', style: 'cancel' },
+        { text: 'Extend 30 min', onPress: () => extendByRef.current(30) }
+      ]
+    );
+  }, [intendedEndTime, isEndingSoon, isOverstaying, remainingMinutes]);
+
+  const renderStatus = () => {
+    if (!endTime || remainingMinutes === null) {
+      return <Text style={styles.description}>Set when you plan to leave to get a reminder before your time is up.</Text>;
+    }
+
+    if (isOverstaying) {
+      return (
+        <Text style={[styles.status, styles.statusOver]}>
+          {formatMinutes(-remainingMinutes)} past your planned end
+        </Text>
+      );
+    }
+
+    return (
+      <Text style={[styles.status, isEndingSoon && styles.statusSoon]}>
+        {formatMinutes(remainingMinutes)} left
+      </Text>
+    );
+  };
+
+  const options = endTime
+    ? EXTEND_OPTIONS_MINUTES.map((minutes) => ({ minutes, label: formatExtension(minutes) }))
+    : SET_OPTIONS_HOURS.map((hours) => ({ minutes: hours * 60, label: `${hours}h` }));
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.headerRow}>
+        <Text style={styles.title}>Planned end</Text>
+        <Text style={styles.endTime}>{endTime ? formatTime(endTime) : 'Not set'}</Text>
+      </View>
+
+      {renderStatus()}
+
+      <Text style={styles.label}>{endTime ? 'Extend by' : 'Stay for'}</Text>
+      {isSubmitting ? (
+        <ActivityIndicator size="small" color={colors.primary} />
+      ) : (
+        <View style={styles.chipRow}>
+          {options.map(({ minutes, label }) => (
+            <TouchableOpacity key={minutes} style={styles.chip} onPress={() => extendBy(minutes)}>
+              <Text style={styles.chipText}>{label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const getStyles = (colors: ReturnType<typeof useThemeColors>) => StyleSheet.create({
+  card: {
+    backgroundColor: colors.card,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    padding: 16,
+    marginBottom: 16,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: colors.primary,
+  },
+  endTime: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: colors.text,
+  },
+  description: {
+    fontSize: 14,
+    color: colors.textSecondary,
+    marginBottom: 4,
+  },
+  status: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.text,
+    marginBottom: 4,
+  },
+  statusSoon: {
+    color: colors.warning,
+  },
+  statusOver: {
+    color: colors.error,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text,
+    marginTop: 8,
+    marginBottom: 6,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: colors.primary,
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 4,
+  },
+  chipText: {
+    fontSize: 14,
+    color: colors.primary,
+  },
+});
+
+export default ParkingEndTimeCard;
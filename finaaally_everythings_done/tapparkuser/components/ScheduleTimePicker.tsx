@@ -0,0 +1,199 @@
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView } from 'react-native';
+import { useThemeColors } from '../contexts/ThemeContext';
+
+// Mirrors the backend defaults (SCHEDULED_BOOKING_HOLD_MINUTES / MAX_DAYS_AHEAD); the server has the final say
+const MIN_LEAD_MINUTES = 30;
+const MAX_DAYS_AHEAD = 7;
+const SLOT_MINUTES = 30;
+const DURATION_OPTIONS = [1, 2, 3, 4, 6, 8, 12];
+
+interface ScheduleTimePickerProps {
+  startTime: Date | null;
+  durationHours: number;
+  onChangeStartTime: (startTime: Date) => void;
+  onChangeDuration: (hours: number) => void;
+}
+
+const startOfDay = (date: Date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const formatTime = (date: Date) => date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+const formatDay = (date: Date, index: number) => {
+  if (index === 0) return 'Today';
+  if (index === 1) return 'Tomorrow';
+  return date.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
+};
+
+// Day, start time and duration chips for booking a spot ahead of time
+const ScheduleTimePicker: React.FC<ScheduleTimePickerProps> = ({
+  startTime,
+  durationHours,
+  onChangeStartTime,
+  onChangeDuration
+}) => {
+  const colors = useThemeColors();
+  const styles = getStyles(colors);
+
+  const days = useMemo(() => {
+    const today = startOfDay(new Date());
+    return Array.from({ length: MAX_DAYS_AHEAD + 1 }, (_, index) => {
+      const day = new Date(today);
+      day.setDate(today.getDate() + index);
+      return day;
+    });
+  }, []);
+
+  const selectedDay = startTime ? startOfDay(startTime) : days[1];
+  const selectedDayTime = selectedDay.getTime();
+
+  const timeSlots = useMemo(() => {
+    const earliest = Date.now() + MIN_LEAD_MINUTES * 60 * 1000;
+    const latest = Date.now() + MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000;
+    const slots: Date[] = [];
+    for (let minutes = 0; minutes < 24 * 60; minutes += SLOT_MINUTES) {
+      const slot = new Date(selectedDayTime);
+      slot.setMinutes(minutes);
+      if (slot.getTime() >= earliest && slot.getTime() <= latest) {
+        slots.push(slot);
+      }
+    }
+    return slots;
+  }, [selectedDayTime]);
+
+  // Keep the time of day when switching days, or take the first free slot of the new day
+  const handleSelectDay = (day: Date) => {
+    const next = new Date(day);
+    if (startTime) {
+      next.setHours(startTime.getHours(), startTime.getMinutes(), 0, 0);
+    } else {
+      next.setHours(8, 0, 0, 0);
+    }
+
+    if (next.getTime() < Date.now() + MIN_LEAD_MINUTES * 60 * 1000) {
+      const earliest = new Date(Date.now() + MIN_LEAD_MINUTES * 60 * 1000);
+      const roundedMinutes = Math.ceil(earliest.getMinutes() / SLOT_MINUTES) * SLOT_MINUTES;
+      earliest.setMinutes(roundedMinutes, 0, 0);
+      onChangeStartTime(earliest);
+      return;
+    }
+
+    onChangeStartTime(next);
+  };
+
+  const endTime = startTime ? new Date(startTime.getTime() + durationHours * 60 * 60 * 1000) : null;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>Day</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+        {days.map((day, index) => {
+          const isSelected = startTime !== null && day.getTime() === selectedDayTime;
+          return (
+            <TouchableOpacity
+              key={day.getTime()}
+              style={[styles.chip, isSelected && styles.chipSelected]}
+              onPress={() => handleSelectDay(day)}
+            >
+              <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>{formatDay(day, index)}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+
+      <Text style={styles.label}>Start time</Text>
+      {timeSlots.length === 0 ? (
+        <Text style={styles.emptyText}>No times left on this day</Text>
+      ) : (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+          {timeSlots.map((slot) => {
+            const isSelected = startTime?.getTime() === slot.getTime();
+            return (
+              <TouchableOpacity
+                key={slot.getTime()}
+                style={[styles.chip, isSelected && styles.chipSelected]}
+                onPress={() => onChangeStartTime(slot)}
+              >
+                <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>{formatTime(slot)}</Text>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+      )}
+
+      <Text style={styles.label}>Duration</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+        {DURATION_OPTIONS.map((hours) => {
+          const isSelected = hours === durationHours;
+          return (
+            <TouchableOpacity
+              key={hours}
+              style={[styles.chip, isSelected && styles.chipSelected]}
+              onPress={() => onChangeDuration(hours)}
+            >
+              <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>{hours}h</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+
+      {startTime && endTime && (
+        <Text style={styles.summary}>
+          {formatDay(startOfDay(startTime), days.findIndex((day) => day.getTime() === startOfDay(startTime).getTime()))}, {formatTime(startTime)} – {formatTime(endTime)}
+        </Text>
+      )}
+    </View>
+  );
+};
+
+const getStyles = (colors: ReturnType<typeof useThemeColors>) => StyleSheet.create({
+  container: {
+    width: '100%',
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text,
+    marginTop: 8,
+    marginBottom: 6,
+  },
+  chipRow: {
+    paddingBottom: 4,
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: colors.primary,
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+  },
+  chipSelected: {
+    backgroundColor: colors.primary,
+  },
+  chipText: {
+    fontSize: 14,
+    color: colors.primary,
+  },
+  chipTextSelected: {
+    color: colors.textInverse,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: colors.textSecondary,
+  },
+  summary: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: colors.primary,
+    marginTop: 12,
+    textAlign: 'center',
+  },
+});
+
+export default ScheduleTimePicker;
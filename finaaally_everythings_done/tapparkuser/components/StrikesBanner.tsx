@@ -0,0 +1,152 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { useThemeColors } from '../contexts/ThemeContext';
+import ApiService, { StrikeStatus } from '../services/api';
+
+interface StrikesBannerProps {
+  // Bump to refetch right away, e.g. after a booking was refused because of a suspension
+  refreshKey?: number;
+}
+
+const STRIKE_REASON_LABELS: Record<StrikeStatus['strikes'][number]['reason'], string> = {
+  no_show: 'No check-in',
+  late_cancellation: 'Late cancellation',
+};
+
+const formatDate = (value: string) =>
+  new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+const formatDateTime = (value: string) =>
+  new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+// Explains the driver's no-show strikes and any booking suspension; hidden while there is nothing to explain
+const StrikesBanner: React.FC<StrikesBannerProps> = ({ refreshKey }) => {
+  const colors = useThemeColors();
+  const styles = getStyles(colors);
+  const [status, setStatus] = useState<StrikeStatus | null>(null);
+  const [showDetails, setShowDetails] = useState(false);
+
+  const loadStrikes = useCallback(async () => {
+    try {
+      const response = await ApiService.getMyStrikes();
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Error loading no-show strikes:', error);
+    }
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadStrikes();
+    }, [loadStrikes])
+  );
+
+  useEffect(() => {
+    if (refreshKey) {
+      loadStrikes();
+    }
+  }, [refreshKey, loadStrikes]);
+
+  if (!status || (!status.suspension && status.countingStrikes === 0)) {
+    return null;
+  }
+
+  const { suspension } = status;
+  const listedStrikes = status.strikes.filter((strike) => !strike.forgiven);
+
+  return (
+    <View style={[styles.container, suspension && styles.containerSuspended]}>
+      <Ionicons
+        name={suspension ? 'ban-outline' : 'alert-circle-outline'}
+        size={22}
+        color={suspension ? colors.error : colors.warning}
+      />
+      <View style={styles.content}>
+        {suspension ? (
+          <>
+            <Text style={styles.title}>Booking suspended until {formatDateTime(suspension.endsAt)}</Text>
+            <Text style={styles.message}>
+              {suspension.strikeCount} reservations in the last {status.windowDays} days were not checked in or were
+              cancelled late. You can book again once the suspension ends; bookings you already have are kept.
+            </Text>
+          </>
+        ) : (
+          <>
+            <Text style={styles.title}>
+              {status.countingStrikes} of {status.threshold} no-show strikes
+            </Text>
+            <Text style={styles.message}>
+              A reservation that expires without a check-in counts as a strike for {status.windowDays} days.
+              Reaching {status.threshold} strikes suspends booking for {status.suspensionDays} days.
+            </Text>
+          </>
+        )}
+
+        {showDetails && listedStrikes.map((strike) => (
+          <Text key={strike.strikeId} style={styles.strike}>
+            {formatDate(strike.createdAt)} · {STRIKE_REASON_LABELS[strike.reason] || strike.reason}
+            {strike.spotNumber ? ` · ${strike.spotNumber}` : ''}
+          </Text>
+        ))}
+
+        {listedStrikes.length > 0 && (
+          <TouchableOpacity style={styles.actionButton} onPress={() => setShowDetails(!showDetails)}>
+            <Text style={styles.actionText}>{showDetails ? 'Hide strikes' : 'Show strikes'}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const getStyles = (colors: ReturnType<typeof useThemeColors>) => StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: colors.card,
+    borderColor: colors.warning,
+    borderWidth: 1,
+    borderLeftWidth: 4,
+    borderRadius: 8,
+    marginHorizontal: 16,
+    marginTop: 12,
+    padding: 12,
+  },
+  containerSuspended: {
+    borderColor: colors.error,
+  },
+  content: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  title: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: colors.text,
+  },
+  message: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  strike: {
+    fontSize: 13,
+    color: colors.text,
+    marginTop: 6,
+  },
+  actionButton: {
+    marginTop: 8,
+    alignSelf: 'flex-start',
+    minHeight: 20,
+    justifyContent: 'center',
+  },
+  actionText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.primary,
+  },
+});
+
+export default StrikesBanner;
@@ -0,0 +1,318 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, ActivityIndicator, Alert, Image } from 'react-native';
+import { useAuth } from '../contexts/AuthContext';
+import { useThemeColors } from '../contexts/ThemeContext';
+import ApiService from '../services/api';
+
+type TwoFactorStatus = {
+  enabled: boolean;
+  required: boolean;
+  enabledAt: string | null;
+  recoveryCodesRemaining: number;
+};
+
+type Mode = 'idle' | 'setup' | 'disable' | 'regenerate';
+
+// Two-factor authentication section for staff settings (enroll, disable, recovery codes)
+const TwoFactorSettings: React.FC = () => {
+  const { checkAuthStatus } = useAuth();
+  const colors = useThemeColors();
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [mode, setMode] = useState<Mode>('idle');
+  const [setupData, setSetupData] = useState<{ secret: string; qrCode: string } | null>(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+
+  const loadStatus = async () => {
+    try {
+      setIsLoading(true);
+      const response = await ApiService.getTwoFactorStatus();
+      if (response.success) {
+        setStatus(response.data);
+      }
+    } catch (error) {
+      console.error('Error loading two-factor status:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const resetForm = () => {
+    setMode('idle');
+    setSetupData(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const handleStartSetup = async () => {
+    try {
+      setIsSubmitting(true);
+      const response = await ApiService.setupTwoFactor();
+      if (response.success) {
+        setSetupData({ secret: response.data.secret, qrCode: response.data.qrCode });
+        setRecoveryCodes(null);
+        setMode('setup');
+      }
+    } catch (error) {
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to start two-factor setup');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSubmit = async () => {
+    if (!code.trim()) {
+      Alert.alert('Error', 'Please enter a verification code');
+      return;
+    }
+    if (mode === 'disable' && !password) {
+      Alert.alert('Error', 'Please enter your password');
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      if (mode === 'setup') {
+        const response = await ApiService.enableTwoFactor(code.trim());
+        setRecoveryCodes(response.data.recoveryCodes);
+        Alert.alert('Two-Factor Enabled', response.message);
+        await checkAuthStatus();
+      } else if (mode === 'regenerate') {
+        const response = await ApiService.regenerateRecoveryCodes(code.trim());
+        setRecoveryCodes(response.data.recoveryCodes);
+        Alert.alert('Recovery Codes', response.message);
+      } else if (mode === 'disable') {
+        const response = await ApiService.disableTwoFactor(password, code.trim());
+        setRecoveryCodes(null);
+        Alert.alert('Two-Factor Disabled', response.message);
+        await checkAuthStatus();
+      }
+      resetForm();
+      await loadStatus();
+    } catch (error) {
+      Alert.alert('Error', error instanceof Error ? error.message : 'Request failed');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const styles = {
+    section: {
+      backgroundColor: colors.card,
+      borderColor: colors.cardBorder,
+      borderWidth: 1,
+      borderRadius: 8,
+      padding: 16,
+      marginBottom: 16,
+    },
+    title: {
+      fontSize: 16,
+      fontWeight: '700' as const,
+      color: colors.text,
+      marginBottom: 8,
+    },
+    text: {
+      fontSize: 14,
+      color: colors.textSecondary,
+      marginBottom: 8,
+    },
+    statusText: {
+      fontSize: 14,
+      fontWeight: '600' as const,
+      marginBottom: 8,
+    },
+    qrCode: {
+      width: 200,
+      height: 200,
+      alignSelf: 'center' as const,
+      marginVertical: 8,
+    },
+    secret: {
+      fontSize: 13,
+      fontWeight: '600' as const,
+      color: colors.text,
+      textAlign: 'center' as const,
+      marginBottom: 8,
+    },
+    input: {
+      borderWidth: 1,
+      borderColor: colors.border,
+      borderRadius: 8,
+      paddingHorizontal: 12,
+      paddingVertical: 10,
+      fontSize: 15,
+      color: colors.text,
+      marginBottom: 10,
+    },
+    button: {
+      backgroundColor: colors.primary,
+      borderRadius: 8,
+      paddingVertical: 12,
+      alignItems: 'center' as const,
+      marginBottom: 8,
+    },
+    buttonText: {
+      color: colors.buttonText,
+      fontSize: 15,
+      fontWeight: '600' as const,
+    },
+    linkText: {
+      color: colors.primary,
+      fontSize: 14,
+      fontWeight: '600' as const,
+      textAlign: 'center' as const,
+      paddingVertical: 6,
+    },
+    codesContainer: {
+      flexDirection: 'row' as const,
+      flexWrap: 'wrap' as const,
+      backgroundColor: colors.backgroundSecondary,
+      borderRadius: 8,
+      padding: 10,
+      marginBottom: 8,
+    },
+    recoveryCode: {
+      width: '50%' as const,
+      fontSize: 14,
+      fontWeight: '600' as const,
+      color: colors.text,
+      paddingVertical: 4,
+      textAlign: 'center' as const,
+    },
+  };
+
+  if (isLoading) {
+    return (
+      <View style={styles.section}>
+        <Text style={styles.title}>Two-Factor Authentication</Text>
+        <ActivityIndicator color={colors.primary} />
+      </View>
+    );
+  }
+
+  if (!status) {
+    return null;
+  }
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.title}>Two-Factor Authentication</Text>
+      <Text style={[styles.statusText, { color: status.enabled ? colors.success : colors.warning }]}>
+        {status.enabled ? 'Enabled' : status.required ? 'Required for your account - not set up yet' : 'Not enabled'}
+      </Text>
+
+      {recoveryCodes && (
+        <>
+          <Text style={styles.text}>
+            Save these recovery codes somewhere safe. Each one can be used once if you lose your phone. They will not be shown again.
+          </Text>
+          <View style={styles.codesContainer}>
+            {recoveryCodes.map((recoveryCode) => (
+              <Text key={recoveryCode} style={styles.recoveryCode} selectable>{recoveryCode}</Text>
+            ))}
+          </View>
+          <TouchableOpacity onPress={() => setRecoveryCodes(null)}>
+            <Text style={styles.linkText}>I have saved my codes</Text>
+          </TouchableOpacity>
+        </>
+      )}
+
+      {mode === 'setup' && setupData && (
+        <>
+          <Text style={styles.text}>
+            Scan this QR code with an authenticator app (Google Authenticator, Authy, etc.), or enter the key manually.
+          </Text>
+          <Image source={{ uri: setupData.qrCode }} style={styles.qrCode} resizeMode="contain" />
+          <Text style={styles.secret} selectable>{setupData.secret}</Text>
+        </>
+      )}
+
+      {mode === 'disable' && (
+        <TextInput
+          style={styles.input}
+          placeholder="Current password"
+          placeholderTextColor={colors.textMuted}
+          secureTextEntry
+          value={password}
+          onChangeText={setPassword}
+          autoCapitalize="none"
+        />
+      )}
+
+      {mode !== 'idle' && (
+        <>
+          <TextInput
+            style={styles.input}
+            placeholder={mode === 'setup' ? '6-digit code' : 'Authenticator or recovery code'}
+            placeholderTextColor={colors.textMuted}
+            value={code}
+            onChangeText={setCode}
+            autoCapitalize="characters"
+            autoCorrect={false}
+            maxLength={9}
+          />
+          <TouchableOpacity
+            style={[styles.button, isSubmitting && { opacity: 0.7 }]}
+            onPress={handleSubmit}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? (
+              <ActivityIndicator color={colors.buttonText} size="small" />
+            ) : (
+              <Text style={styles.buttonText}>
+                {mode === 'setup' ? 'Enable' : mode === 'disable' ? 'Disable Two-Factor' : 'Generate New Codes'}
+              </Text>
+            )}
+          </TouchableOpacity>
+          <TouchableOpacity onPress={resetForm} disabled={isSubmitting}>
+            <Text style={styles.linkText}>Cancel</Text>
+          </TouchableOpacity>
+        </>
+      )}
+
+      {mode === 'idle' && !status.enabled && (
+        <>
+          <Text style={styles.text}>
+            Protect your account with a code from your phone in addition to your password.
+          </Text>
+          <TouchableOpacity
+            style={[styles.button, isSubmitting && { opacity: 0.7 }]}
+            onPress={handleStartSetup}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? (
+              <ActivityIndicator color={colors.buttonText} size="small" />
+            ) : (
+              <Text style={styles.buttonText}>Set Up Two-Factor</Text>
+            )}
+          </TouchableOpacity>
+        </>
+      )}
+
+      {mode === 'idle' && status.enabled && (
+        <>
+          <Text style={styles.text}>
+            Recovery codes remaining: {status.recoveryCodesRemaining}
+          </Text>
+          <TouchableOpacity onPress={() => setMode('regenerate')}>
+            <Text style={styles.linkText}>Generate new recovery codes</Text>
+          </TouchableOpacity>
+          {!status.required && (
+            <TouchableOpacity onPress={() => setMode('disable')}>
+              <Text style={styles.linkText}>Disable two-factor authentication</Text>
+            </TouchableOpacity>
+          )}
+        </>
+      )}
+    </View>
+  );
+};
+
+export default TwoFactorSettings;
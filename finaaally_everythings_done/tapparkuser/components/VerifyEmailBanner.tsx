@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, ActivityIndicator, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../contexts/AuthContext';
+import { useThemeColors } from '../contexts/ThemeContext';
+import ApiService from '../services/api';
+
+// Shown until the user confirms their email address; booking is blocked until then
+const VerifyEmailBanner: React.FC = () => {
+  const { user, checkAuthStatus } = useAuth();
+  const colors = useThemeColors();
+  const [isSending, setIsSending] = useState(false);
+  const [isChecking, setIsChecking] = useState(false);
+
+  if (!user || user.is_verified !== false) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    try {
+      setIsSending(true);
+      const response = await ApiService.resendVerificationEmail();
+      Alert.alert('Email Sent', response.message || `We sent a new verification link to ${user.email}.`);
+    } catch (error) {
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to send verification email');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  const handleRefresh = async () => {
+    try {
+      setIsChecking(true);
+      await checkAuthStatus();
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const styles = {
+    container: {
+      flexDirection: 'row' as const,
+      alignItems: 'flex-start' as const,
+      backgroundColor: colors.card,
+      borderColor: colors.warning,
+      borderWidth: 1,
+      borderLeftWidth: 4,
+      borderRadius: 8,
+      marginHorizontal: 16,
+      marginTop: 12,
+      padding: 12,
+    },
+    content: {
+      flex: 1,
+      marginLeft: 10,
+    },
+    title: {
+      fontSize: 15,
+      fontWeight: '700' as const,
+      color: colors.text,
+    },
+    message: {
+      fontSize: 13,
+      color: colors.textSecondary,
+      marginTop: 2,
+    },
+    actions: {
+      flexDirection: 'row' as const,
+      marginTop: 8,
+    },
+    actionButton: {
+      marginRight: 16,
+      minHeight: 20,
+      justifyContent: 'center' as const,
+    },
+    actionText: {
+      fontSize: 13,
+      fontWeight: '600' as const,
+      color: colors.primary,
+    },
+  };
+
+  return (
+    <View style={styles.container}>
+      <Ionicons name="mail-unread-outline" size={22} color={colors.warning} />
+      <View style={styles.content}>
+        <Text style={styles.title}>Verify your email</Text>
+        <Text style={styles.message}>
+          We sent a verification link to {user.email}. You need a verified email to reserve a parking spot.
+        </Text>
+        <View style={styles.actions}>
+          <TouchableOpacity style={styles.actionButton} onPress={handleResend} disabled={isSending}>
+            {isSending ? (
+              <ActivityIndicator size="small" color={colors.primary} />
+            ) : (
+              <Text style={styles.actionText}>Resend email</Text>
+            )}
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.actionButton} onPress={handleRefresh} disabled={isChecking}>
+            {isChecking ? (
+              <ActivityIndicator size="small" color={colors.primary} />
+            ) : (
+              <Text style={styles.actionText}>I&apos;ve verified</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    </View>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -0,0 +1,208 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ActivityIndicator, Alert } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { useThemeColors } from '../contexts/ThemeContext';
+import ApiService, { WaitlistEntry } from '../services/api';
+
+// How often to check for a new offer while the banner is on screen
+const POLL_INTERVAL_MS = 30000;
+
+type AcceptedBooking = Awaited<ReturnType<typeof ApiService.acceptWaitlistOffer>>['data']['bookingDetails'];
+
+interface WaitlistBannerProps {
+  // Bump to refetch right away, e.g. after joining the waitlist
+  refreshKey?: number;
+  onAccepted: (booking: AcceptedBooking, vehicleId: number) => void;
+}
+
+const formatCountdown = (expiresAt: string, now: number) => {
+  const seconds = Math.max(0, Math.floor((new Date(expiresAt).getTime() - now) / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// The driver's place on a waitlist, or the spot being held for them with accept/decline buttons
+const WaitlistBanner: React.FC<WaitlistBannerProps> = ({ refreshKey, onAccepted }) => {
+  const colors = useThemeColors();
+  const styles = getStyles(colors);
+  const [entry, setEntry] = useState<WaitlistEntry | null>(null);
+  const [now, setNow] = useState(Date.now());
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const loadWaitlist = useCallback(async () => {
+    try {
+      const response = await ApiService.getMyWaitlist();
+      setEntry(response.data.entries[0] || null);
+    } catch (error) {
+      console.error('Error loading waitlist:', error);
+    }
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadWaitlist();
+      const interval = setInterval(loadWaitlist, POLL_INTERVAL_MS);
+      return () => clearInterval(interval);
+    }, [loadWaitlist])
+  );
+
+  useEffect(() => {
+    if (refreshKey) {
+      loadWaitlist();
+    }
+  }, [refreshKey, loadWaitlist]);
+
+  // Tick the offer countdown every second
+  const offerExpiresAt = entry?.offer?.expiresAt;
+  useEffect(() => {
+    if (!offerExpiresAt) {
+      return;
+    }
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [offerExpiresAt]);
+
+  if (!entry) {
+    return null;
+  }
+
+  const handleAccept = async () => {
+    try {
+      setIsSubmitting(true);
+      const response = await ApiService.acceptWaitlistOffer(entry.waitlistId);
+      setEntry(null);
+      onAccepted(response.data.bookingDetails, entry.vehicleId);
+    } catch (error) {
+      Alert.alert('Unable to Accept', error instanceof Error ? error.message : 'Failed to accept the offer');
+      loadWaitlist();
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const leave = async () => {
+    try {
+      setIsSubmitting(true);
+      await ApiService.leaveWaitlist(entry.waitlistId);
+      setEntry(null);
+    } catch (error) {
+      Alert.alert('Error', error instanceof Error ? error.message : 'Failed to leave the waitlist');
+      loadWaitlist();
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleLeave = () => {
+    Alert.alert(
+      entry.offer ? 'Decline Spot' : 'Leave Waitlist',
+      entry.offer
+        ? 'The spot will be offered to the next driver and you will leave the waitlist.'
+        : `You will lose your place in the queue for ${entry.areaName}.`,
+      [
+        { text: 'Keep', style: 'cancel' },
+        { text: entry.offer ? 'Decline' : 'Leave', style: 'destructive', onPress: leave }
+      ]
+    );
+  };
+
+  const isOfferExpired = !!entry.offer && new Date(entry.offer.expiresAt).getTime() <= now;
+
+  return (
+    <View style={[styles.container, entry.offer && styles.containerOffer]}>
+      <Ionicons
+        name={entry.offer ? 'car-outline' : 'time-outline'}
+        size={22}
+        color={entry.offer ? colors.primary : colors.textSecondary}
+      />
+      <View style={styles.content}>
+        {entry.offer ? (
+          <>
+            <Text style={styles.title}>Spot {entry.offer.spotNumber} is yours to take</Text>
+            <Text style={styles.message}>
+              {isOfferExpired
+                ? 'This offer has expired.'
+                : `Held at ${entry.areaName} for ${entry.vehiclePlate} for another ${formatCountdown(entry.offer.expiresAt, now)}.`}
+            </Text>
+          </>
+        ) : (
+          <>
+            <Text style={styles.title}>Waitlisted at {entry.areaName}</Text>
+            <Text style={styles.message}>
+              You are number {entry.position} in line for {entry.vehiclePlate}. We will notify you when a spot opens up.
+            </Text>
+          </>
+        )}
+
+        {isSubmitting ? (
+          <ActivityIndicator size="small" color={colors.primary} style={styles.actions} />
+        ) : (
+          <View style={styles.actions}>
+            {entry.offer && !isOfferExpired && (
+              <TouchableOpacity style={styles.actionButton} onPress={handleAccept}>
+                <Text style={styles.actionText}>Accept</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={styles.actionButton} onPress={handleLeave}>
+              <Text style={[styles.actionText, styles.actionTextSecondary]}>
+                {entry.offer ? 'Decline' : 'Leave Waitlist'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const getStyles = (colors: ReturnType<typeof useThemeColors>) => StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: colors.card,
+    borderColor: colors.textSecondary,
+    borderWidth: 1,
+    borderLeftWidth: 4,
+    borderRadius: 8,
+    marginHorizontal: 16,
+    marginTop: 12,
+    padding: 12,
+  },
+  containerOffer: {
+    borderColor: colors.primary,
+  },
+  content: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  title: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: colors.text,
+  },
+  message: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 8,
+    alignSelf: 'flex-start',
+  },
+  actionButton: {
+    marginRight: 16,
+    minHeight: 20,
+    justifyContent: 'center',
+  },
+  actionText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.primary,
+  },
+  actionTextSecondary: {
+    color: colors.textSecondary,
+  },
+});
+
+export default WaitlistBanner;
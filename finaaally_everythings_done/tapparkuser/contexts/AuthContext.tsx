@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
-import ApiService from '../services/api';
+import ApiService, { ApiError } from '../services/api';
+import { registerForPushNotifications, unregisterPushNotifications } from '../services/pushNotifications';
 
 interface User {
   user_id: number;
@@ -9,14 +10,45 @@ interface User {
   hour_balance: number;
   type_id: number;
   account_type_name: string;
+  is_verified?: boolean;
+  two_factor_enabled?: boolean;
+  deletion_scheduled_for?: string | null;
   terms_accepted?: boolean;
 }
 
+interface LoginResult {
+  success: boolean;
+  user?: User;
+  error?: string;
+  errorCode?: string;
+  lockedUntil?: string;
+  twoFactorRequired?: boolean;
+  twoFactorToken?: string;
+  twoFactorSetupRequired?: boolean;
+}
+
+// Turn a failed login request into a LoginResult
+const toLoginFailure = (error: unknown): LoginResult => {
+  // Lockout/throttling responses carry the time the user may try again
+  if (error instanceof ApiError) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: error.errorCode,
+      lockedUntil: error.data?.lockedUntil || undefined,
+    };
+  }
+  // Pass through the actual error message
+  const errorMessage = error instanceof Error ? error.message : 'Network error. Please check your connection and try again.';
+  return { success: false, error: errorMessage };
+};
+
 interface AuthContextType {
   user: User | null;
   isAuthenticated: boolean;
   isLoading: boolean;
-  login: (email: string, password: string) => Promise<{ success: boolean; user?: User; error?: string }>;
+  login: (email: string, password: string) => Promise<LoginResult>;
+  completeTwoFactorLogin: (twoFactorToken: string, code: string) => Promise<LoginResult>;
   logout: () => Promise<void>;
   checkAuthStatus: () => Promise<void>;
 }
@@ -58,6 +90,7 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
       if (response.success && response.data.user) {
         setUser(response.data.user);
         setIsAuthenticated(true);
+        registerForPushNotifications();
       } else {
         setUser(null);
         setIsAuthenticated(false);
@@ -84,24 +117,60 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  const login = async (email: string, password: string): Promise<{ success: boolean; user?: User; error?: string }> => {
+  const login = async (email: string, password: string): Promise<LoginResult> => {
     try {
       setIsLoading(true);
       // Use AJAX login method
       const response = await ApiService.login(email, password);
       
+      // Accounts with 2FA need a second step before they get tokens
+      if (response.success && response.data?.twoFactorRequired) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          twoFactorToken: response.data.twoFactorToken,
+          error: response.message,
+        };
+      }
+
       if (response.success && response.data && response.data.user) {
         // Token is automatically stored by ApiService.login()
         setUser(response.data.user);
         setIsAuthenticated(true);
-        return { success: true, user: response.data.user };
+        registerForPushNotifications();
+        return {
+          success: true,
+          user: response.data.user,
+          twoFactorSetupRequired: response.data.twoFactorSetupRequired,
+        };
       }
       // Return the error message from the server response
       return { success: false, error: response.message || 'Invalid email or password' };
     } catch (error) {
-      // Pass through the actual error message
-      const errorMessage = error instanceof Error ? error.message : 'Network error. Please check your connection and try again.';
-      return { success: false, error: errorMessage };
+      return toLoginFailure(error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const completeTwoFactorLogin = async (twoFactorToken: string, code: string): Promise<LoginResult> => {
+    try {
+      setIsLoading(true);
+      const response = await ApiService.verifyTwoFactorLogin(twoFactorToken, code);
+
+      if (response.success && response.data && response.data.user) {
+        setUser(response.data.user);
+        setIsAuthenticated(true);
+        registerForPushNotifications();
+        return {
+          success: true,
+          user: response.data.user,
+          twoFactorSetupRequired: response.data.twoFactorSetupRequired,
+        };
+      }
+      return { success: false, error: response.message || 'Invalid verification code' };
+    } catch (error) {
+      return toLoginFailure(error);
     } finally {
       setIsLoading(false);
     }
@@ -109,6 +178,7 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
 
   const logout = async (): Promise<void> => {
     try {
+      await unregisterPushNotifications();
       await ApiService.logout();
     } catch (error) {
       // Silent logout - no console errors needed
@@ -123,6 +193,7 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     isAuthenticated,
     isLoading,
     login,
+    completeTwoFactorLogin,
     logout,
     checkAuthStatus,
   };
@@ -7,6 +7,8 @@ interface ExpirationDetails {
   spotNumber?: string;
   areaName?: string;
   userName?: string;
+  // Check-in window the reservation had, from the grace period rule for its area and vehicle type
+  gracePeriodMinutes?: number;
   billingBreakdown?: {
     waitTimeMinutes: number;
     parkingTimeMinutes: number;
@@ -1,6 +1,9 @@
 import { getApiUrl } from '../config/api';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as FileSystem from 'expo-file-system/legacy';
+import Constants from 'expo-constants';
+import * as Crypto from 'expo-crypto';
+import { Platform } from 'react-native';
 
 const MULTIPART_UPLOAD_TYPE = (FileSystem as any)?.FileSystemUploadType?.MULTIPART ?? 1;
 
@@ -9,6 +12,141 @@ const MULTIPART_UPLOAD_TYPE = (FileSystem as any)?.FileSystemUploadType?.MULTIPA
 const API_BASE_URL = getApiUrl();
 console.log('🌍 API Base URL:', API_BASE_URL);
 
+// Error for failed requests whose details the UI needs (e.g. login lockout)
+export class ApiError extends Error {
+  status: number;
+  errorCode?: string;
+  data?: any;
+
+  constructor(message: string, status: number, errorCode?: string, data?: any) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.errorCode = errorCode;
+    this.data = data;
+  }
+}
+
+// The server could not be reached or did not answer in time, so a request may or may not have been handled
+export class NetworkError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'NetworkError';
+  }
+}
+
+// A driver's place on an area's waitlist; offer is set while a freed spot is being held for them
+export type WaitlistEntry = {
+  waitlistId: number;
+  areaId: number;
+  areaName: string;
+  sectionId: number | null;
+  vehicleId: number;
+  vehiclePlate: string;
+  vehicleType: string;
+  status: 'waiting' | 'offered';
+  position: number | null;
+  offer: {
+    spotId: number;
+    sectionId: number | null;
+    spotNumber: string;
+    expiresAt: string;
+  } | null;
+  createdAt: string;
+};
+
+// A weekly booking rule and what happened to each of its upcoming days
+export type RecurringBooking = {
+  recurringId: number;
+  vehicleId: number;
+  vehiclePlate: string;
+  areaId: number;
+  areaName: string;
+  spotId: number | null;
+  sectionId: number | null;
+  daysOfWeek: number[];
+  startTime: string;
+  endTime: string;
+  status: 'active' | 'cancelled';
+  occurrences: {
+    date: string;
+    status: 'booked' | 'fallback' | 'conflict' | 'skipped';
+    message: string | null;
+    reservationId: number | null;
+    spotNumber: string | null;
+    bookingStatus: string | null;
+  }[];
+};
+
+// No-show strikes in the rolling window; counting ones lead to a booking suspension at the threshold
+export type StrikeStatus = {
+  strikes: {
+    strikeId: number;
+    reservationId: number | null;
+    spotNumber: string | null;
+    reason: 'no_show' | 'late_cancellation';
+    createdAt: string;
+    counting: boolean;
+    forgiven: boolean;
+    suspensionId: number | null;
+  }[];
+  countingStrikes: number;
+  threshold: number;
+  windowDays: number;
+  suspensionDays: number;
+  suspension: {
+    suspensionId: number;
+    strikeCount: number;
+    startsAt: string;
+    endsAt: string;
+  } | null;
+};
+
+// The driver's auto-renew setting: the plan bought again through their saved PayPal account when hours run low
+export type AutoRenewal = {
+  status: 'pending_approval' | 'active' | 'past_due' | 'cancelled';
+  plan_id: number;
+  plan_name: string;
+  cost: number;
+  number_of_hours: number;
+  hours_threshold: number;
+  payer_email: string | null;
+  renewal_count: number;
+  last_renewed_at: string | null;
+  failed_attempts: number;
+  next_attempt_at: string | null;
+  last_error: string | null;
+  cancel_reason: 'user' | 'payment_failed' | 'account_deleted' | null;
+  cancelled_at: string | null;
+};
+
+// What a promo code does for one plan: the discounted price and any bonus hours on top of the plan's
+export type PromoQuote = {
+  plan_id: number;
+  plan_name: string;
+  original_amount: number;
+  discount_amount: number;
+  amount: number;
+  bonus_hours: number;
+  hours: number;
+};
+
+// A session past the driver's remaining hours or the area's maximum stay, flagged by the overstay check
+export type SlotOverstay = {
+  reservationId: number;
+  reason: 'balance_exceeded' | 'max_stay_exceeded';
+  limitHours: number;
+  overstayHours: number;
+  accruedPenaltyHours: number;
+  detectedAt: string;
+};
+
+// Future window for an advance booking (ISO 8601 strings)
+export type BookingSchedule = {
+  startTime: string;
+  endTime: string;
+};
+
 // API Service for Tapparkuser Backend
 export class ApiService {
   private static baseURL = API_BASE_URL;
@@ -22,6 +160,10 @@ export class ApiService {
   
   // Request debouncing
   private static pendingRequests = new Map<string, Promise<any>>();
+
+  // Idempotency-Key of each booking or payment that has not been answered yet, by endpoint and body
+  private static idempotencyKeys = new Map<string, { key: string; createdAt: number }>();
+  private static IDEMPOTENCY_RETRY_WINDOW = 10 * 60 * 1000; // A later identical request is a new action
   
   // Stale-while-revalidate cache infrastructure
   private static swrCache = new Map<string, {
@@ -216,6 +358,52 @@ export class ApiService {
     return `${start}${middle}${end}`;
   }
   
+  /**
+   * POST a booking or payment with an Idempotency-Key, so a retry gets the first attempt's result instead of
+   * repeating it. The key belongs to the operation (endpoint and body): it is reused while the earlier attempt got no
+   * answer or is still being processed, and dropped once the server has answered.
+   */
+  private static async idempotentPost<T>(endpoint: string, body: object): Promise<T> {
+    const payload = JSON.stringify(body);
+    const operation = `${endpoint}:${payload}`;
+    const now = Date.now();
+
+    for (const [pendingOperation, pending] of this.idempotencyKeys.entries()) {
+      if (now - pending.createdAt > this.IDEMPOTENCY_RETRY_WINDOW) {
+        this.idempotencyKeys.delete(pendingOperation);
+      }
+    }
+    let pending = this.idempotencyKeys.get(operation);
+    if (!pending) {
+      pending = { key: Crypto.randomUUID(), createdAt: now };
+      this.idempotencyKeys.set(operation, pending);
+    }
+
+    try {
+      const result = await this.request<T>(endpoint, {
+        method: 'POST',
+        headers: { 'Idempotency-Key': pending.key },
+        body: payload,
+      });
+      this.idempotencyKeys.delete(operation);
+      return result;
+    } catch (error) {
+      const unanswered = error instanceof NetworkError ||
+        (error instanceof ApiError && error.errorCode === 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+      if (!unanswered) {
+        this.idempotencyKeys.delete(operation);
+      }
+      throw error;
+    }
+  }
+
+  // Only reads and requests carrying an Idempotency-Key are safe to send again after a timeout
+  private static isRetrySafe(config: RequestInit): boolean {
+    const method = (config.method || 'GET').toUpperCase();
+    const headers = (config.headers || {}) as Record<string, string>;
+    return method === 'GET' || method === 'HEAD' || !!headers['Idempotency-Key'];
+  }
+
   // Helper function to add timeout to fetch with retry logic
   private static async fetchWithTimeout(
     url: string,
@@ -223,12 +411,13 @@ export class ApiService {
     timeout: number = this.REQUEST_TIMEOUT,
     retryCount: number = 0
   ): Promise<Response> {
+    let timer: ReturnType<typeof setTimeout> | undefined;
     try {
-      return Promise.race([
+      return await Promise.race([
         fetch(url, config),
-        new Promise<Response>((_, reject) =>
-          setTimeout(() => reject(new Error('Request timeout: Server did not respond in time')), timeout)
-        ),
+        new Promise<Response>((_, reject) => {
+          timer = setTimeout(() => reject(new Error('Request timeout: Server did not respond in time')), timeout);
+        }),
       ]);
     } catch (error) {
       // Retry logic for network errors
@@ -237,13 +426,15 @@ export class ApiService {
                          errorMessage.includes('Failed to fetch') ||
                          errorMessage.includes('Network request failed');
       
-      if (isRetryable && retryCount < this.RETRY_ATTEMPTS) {
+      if (isRetryable && retryCount < this.RETRY_ATTEMPTS && this.isRetrySafe(config)) {
         console.log(`🔄 Retrying request (${retryCount + 1}/${this.RETRY_ATTEMPTS}):`, url);
         await new Promise(resolve => setTimeout(resolve, this.RETRY_DELAY));
         return this.fetchWithTimeout(url, config, timeout, retryCount + 1);
       }
       
       throw error;
+    } finally {
+      clearTimeout(timer);
     }
   }
   
@@ -302,7 +493,8 @@ export class ApiService {
     url: string,
     options: RequestInit,
     useCache: boolean,
-    cacheKey: string
+    cacheKey: string,
+    isAuthRetry: boolean = false
   ): Promise<T> {
     
     const defaultHeaders: Record<string, string> = {
@@ -373,7 +565,14 @@ export class ApiService {
           const errorMessage = data.message || data.error || 'Authentication failed';
           
           // Only remove token if it's a token expiration issue, not login failure
-          if (errorMessage.includes('expired') || errorMessage.includes('invalid') || !data.message) {
+          const isTokenError = (typeof data.errorCode === 'string' && data.errorCode.startsWith('TOKEN_')) ||
+            errorMessage.includes('expired') || errorMessage.includes('invalid') || !data.message;
+          if (isTokenError) {
+            // Try once to get a new access token with the refresh token before giving up
+            if (!isAuthRetry && await this.refreshAccessToken()) {
+              console.log('🔄 Retrying request with refreshed token:', url);
+              return this.executeRequest<T>(url, options, useCache, cacheKey, true);
+            }
             console.log('🔐 Token expired or invalid, removing token');
             await this.removeToken();
             throw new Error('Authentication error: Please login again');
@@ -382,6 +581,12 @@ export class ApiService {
             throw new Error(errorMessage);
           }
         }
+        // Handle 423 Locked / 429 Too Many Requests - login lockout and throttling
+        if (response.status === 423 || response.status === 429) {
+          const errorMessage = data.message || 'Too many attempts. Please try again later.';
+          console.log(`🔒 Request throttled (${response.status}):`, errorMessage);
+          throw new ApiError(errorMessage, response.status, data.errorCode, data.data);
+        }
         // Handle 503 Service Unavailable - usually database connection errors
         if (response.status === 503) {
           const errorMessage = data.message || data.error || 'Service unavailable';
@@ -392,8 +597,13 @@ export class ApiService {
         if (response.status === 403) {
           const errorMessage = data.message || data.error || 'Access denied';
           // Don't log as error for business logic responses
-          if (data.errorCode === 'INSUFFICIENT_BALANCE' || data.errorCode === 'OUTSTANDING_PENALTY') {
+          if (data.errorCode === 'INSUFFICIENT_BALANCE' || data.errorCode === 'OUTSTANDING_PENALTY' ||
+              data.errorCode === 'EMAIL_NOT_VERIFIED') {
             console.log(`📋 Business Logic Response (${response.status}):`, errorMessage);
+          } else if (data.errorCode === 'BOOKING_SUSPENDED') {
+            // Screens explain the suspension, so keep its code
+            console.log(`📋 Business Logic Response (${response.status}):`, errorMessage);
+            throw new ApiError(errorMessage, response.status, data.errorCode, data.data);
           } else {
             console.error(`❌ API Error (${response.status}):`, errorMessage);
           }
@@ -412,6 +622,11 @@ export class ApiService {
           }
           throw new Error(errorMessage);
         }
+        // Handle 409 for a retried booking or payment whose first attempt is still running
+        if (response.status === 409 && data.errorCode === 'IDEMPOTENCY_REQUEST_IN_PROGRESS') {
+          console.log(`⏳ Request still in progress (${response.status}):`, data.message);
+          throw new ApiError(data.message, response.status, data.errorCode);
+        }
         // Include full error details for debugging
         const errorMessage = data.message || data.error || `HTTP error! status: ${response.status}`;
         console.error(`❌ API Error (${response.status}):`, errorMessage);
@@ -466,7 +681,7 @@ export class ApiService {
           ? `Connection timeout: Server at ${this.baseURL} did not respond. Check if backend is running.`
           : `Network error: Cannot reach server at ${this.baseURL}. Ensure backend is running and devices are on the same network.`;
         
-        throw new Error(errorMsg);
+        throw new NetworkError(errorMsg);
       }
       
       // Don't log authentication errors that are expected
@@ -487,6 +702,7 @@ export class ApiService {
         // Don't log as error for business logic responses
         if (error.message.includes('You have no remaining subscription hours') ||
             error.message.includes('penalty hours outstanding') ||
+            error.message.includes('booking privileges are suspended') ||
             error.message.includes('Please purchase a plan') ||
             error.message.includes('no longer available') ||
             error.message.includes('not available') ||
@@ -502,6 +718,7 @@ export class ApiService {
       const isBusinessLogicError = error instanceof Error && (
         error.message.includes('You have no remaining subscription hours') ||
         error.message.includes('penalty hours outstanding') ||
+        error.message.includes('booking privileges are suspended') ||
         error.message.includes('Please purchase a plan') ||
         error.message.includes('no longer available') ||
         error.message.includes('not available') ||
@@ -519,19 +736,28 @@ export class ApiService {
 
   // Token management
   private static token: string | null = null;
+  private static refreshToken: string | null = null;
   private static readonly TOKEN_KEY = 'tappark_auth_token';
+  private static readonly REFRESH_TOKEN_KEY = 'tappark_refresh_token';
   private static tokenInitialized = false;
+  private static refreshPromise: Promise<boolean> | null = null;
 
   // Initialize token from AsyncStorage on app start
   static async initializeToken(): Promise<void> {
     if (this.tokenInitialized) return;
     
     try {
-      const storedToken = await AsyncStorage.getItem(this.TOKEN_KEY);
+      const [storedToken, storedRefreshToken] = await Promise.all([
+        AsyncStorage.getItem(this.TOKEN_KEY),
+        AsyncStorage.getItem(this.REFRESH_TOKEN_KEY),
+      ]);
       if (storedToken) {
         this.token = storedToken;
         console.log('Token initialized from AsyncStorage');
       }
+      if (storedRefreshToken) {
+        this.refreshToken = storedRefreshToken;
+      }
       this.tokenInitialized = true;
     } catch (error) {
       console.error('Error initializing token:', error);
@@ -552,6 +778,11 @@ export class ApiService {
         this.token = storedToken; // Cache in memory
         return storedToken;
       }
+
+      // No access token left but the session may still be alive - try the refresh token
+      if (await this.refreshAccessToken()) {
+        return this.token;
+      }
       
       return null;
     } catch (error) {
@@ -560,11 +791,15 @@ export class ApiService {
     }
   }
 
-  private static async storeToken(token: string): Promise<void> {
+  private static async storeToken(token: string, refreshToken?: string): Promise<void> {
     try {
       // Store token in both memory and AsyncStorage
       this.token = token;
       await AsyncStorage.setItem(this.TOKEN_KEY, token);
+      if (refreshToken) {
+        this.refreshToken = refreshToken;
+        await AsyncStorage.setItem(this.REFRESH_TOKEN_KEY, refreshToken);
+      }
       console.log('Token stored in memory and AsyncStorage');
     } catch (error) {
       console.error('Failed to store token:', error);
@@ -573,15 +808,72 @@ export class ApiService {
 
   private static async removeToken(): Promise<void> {
     try {
-      // Remove token from both memory and AsyncStorage
+      // Remove tokens from both memory and AsyncStorage
       this.token = null;
+      this.refreshToken = null;
       await AsyncStorage.removeItem(this.TOKEN_KEY);
+      await AsyncStorage.removeItem(this.REFRESH_TOKEN_KEY);
       console.log('Token removed from memory and AsyncStorage');
     } catch (error) {
       console.error('Failed to remove token:', error);
     }
   }
 
+  // Exchange the refresh token for a new token pair. Concurrent callers share one refresh request.
+  private static async refreshAccessToken(): Promise<boolean> {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.performTokenRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  private static async performTokenRefresh(): Promise<boolean> {
+    const refreshToken = this.refreshToken || await AsyncStorage.getItem(this.REFRESH_TOKEN_KEY);
+    if (!refreshToken) {
+      return false;
+    }
+
+    // Network errors propagate so a flaky connection doesn't log the user out
+    const response = await this.fetchWithTimeout(this.buildUrl('/auth/refresh'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+    });
+
+    let data: any = {};
+    try {
+      data = await response.json();
+    } catch (parseError) {
+      console.error('❌ Failed to parse token refresh response:', parseError);
+    }
+
+    if (response.ok && data.success && data.data?.token) {
+      await this.storeToken(data.data.token, data.data.refreshToken);
+      console.log('🔄 Access token refreshed');
+      return true;
+    }
+
+    // Only the refresh endpoint's own rejections end the session
+    if (response.status === 400 || response.status === 401) {
+      console.log('🔐 Refresh token rejected:', data.message || response.status);
+      return false;
+    }
+
+    // A server or gateway error says nothing about the refresh token; keep it for the next try
+    console.error(`❌ Token refresh failed (${response.status}):`, data.message || 'no response body');
+    throw new NetworkError(`Could not refresh your session (status ${response.status}). Please try again.`);
+  }
+
+  // Sent with login/register so the sessions list can show which device is which
+  private static getDeviceInfo() {
+    return {
+      deviceName: Constants.deviceName || undefined,
+      platform: Platform.OS,
+    };
+  }
+
   // Authentication endpoints
   static async login(email: string, password: string) {
     const response = await this.request<{
@@ -596,18 +888,61 @@ export class ApiService {
           hour_balance: number;
           type_id: number;
           account_type_name: string;
+          is_verified?: boolean;
+          two_factor_enabled?: boolean;
+          deletion_scheduled_for?: string | null;
           terms_accepted?: boolean;
         };
         token: string;
+        refreshToken?: string;
+        expiresIn?: number;
+        twoFactorRequired?: boolean;
+        twoFactorToken?: string;
+        twoFactorSetupRequired?: boolean;
       };
     }>('/auth/login', {
       method: 'POST',
-      body: JSON.stringify({ email, password }),
+      body: JSON.stringify({ email, password, ...this.getDeviceInfo() }),
+    });
+
+    // Store tokens after successful login (accounts with 2FA get them from verifyTwoFactorLogin)
+    if (response.success && response.data.token) {
+      await this.storeToken(response.data.token, response.data.refreshToken);
+    }
+
+    return response;
+  }
+
+  static async verifyTwoFactorLogin(twoFactorToken: string, code: string) {
+    const response = await this.request<{
+      success: boolean;
+      message: string;
+      data: {
+        user: {
+          user_id: number;
+          email: string;
+          first_name: string;
+          last_name: string;
+          hour_balance: number;
+          type_id: number;
+          account_type_name: string;
+          is_verified?: boolean;
+          two_factor_enabled?: boolean;
+          deletion_scheduled_for?: string | null;
+          terms_accepted?: boolean;
+        };
+        token: string;
+        refreshToken?: string;
+        expiresIn?: number;
+        twoFactorSetupRequired?: boolean;
+      };
+    }>('/auth/login/2fa', {
+      method: 'POST',
+      body: JSON.stringify({ twoFactorToken, code, ...this.getDeviceInfo() }),
     });
 
-    // Store token after successful login
     if (response.success && response.data.token) {
-      await this.storeToken(response.data.token);
+      await this.storeToken(response.data.token, response.data.refreshToken);
     }
 
     return response;
@@ -632,16 +967,19 @@ export class ApiService {
           phone?: string;
           isVerified: boolean;
         };
+        verificationEmailSent?: boolean;
         token: string;
+        refreshToken?: string;
+        expiresIn?: number;
       };
     }>('/auth/register', {
       method: 'POST',
-      body: JSON.stringify(userData),
+      body: JSON.stringify({ ...userData, ...this.getDeviceInfo() }),
     });
 
-    // Store token after successful registration
+    // Store tokens after successful registration
     if (response.success && response.data.token) {
-      await this.storeToken(response.data.token);
+      await this.storeToken(response.data.token, response.data.refreshToken);
     }
 
     return response;
@@ -660,6 +998,178 @@ export class ApiService {
     }
   }
 
+  // Revoke every session of the current user (all devices), then log out locally
+  static async logoutAllDevices() {
+    try {
+      return await this.request<{
+        success: boolean;
+        message: string;
+      }>('/auth/logout-all', {
+        method: 'POST',
+      });
+    } finally {
+      await this.removeToken();
+    }
+  }
+
+  // Devices the current user is logged in on
+  static async getSessions() {
+    return this.request<{
+      success: boolean;
+      data: {
+        sessions: {
+          sessionId: string;
+          deviceName: string | null;
+          platform: string | null;
+          userAgent: string | null;
+          ipAddress: string | null;
+          createdAt: string;
+          lastSeenAt: string;
+          current: boolean;
+        }[];
+      };
+    }>('/auth/sessions');
+  }
+
+  static async revokeSession(sessionId: string) {
+    return this.request<{
+      success: boolean;
+      message: string;
+      data: {
+        current: boolean;
+      };
+    }>(`/auth/sessions/${sessionId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  static async revokeOtherSessions() {
+    return this.request<{
+      success: boolean;
+      message: string;
+      data: {
+        revokedCount: number;
+      };
+    }>('/auth/sessions', {
+      method: 'DELETE',
+    });
+  }
+
+  // Personal data export and account deletion
+  static async getDataExport() {
+    return this.request<{
+      success: boolean;
+      data: {
+        exportedAt: string;
+        userId: number;
+        data: Record<string, any>;
+      };
+    }>('/users/me/export');
+  }
+
+  // Download the ZIP export into the app's document directory and return its local URI
+  static async downloadDataExport() {
+    const fileUri = `${FileSystem.documentDirectory}tappark-data-export.zip`;
+    const url = this.buildUrl('/users/me/export?format=zip');
+
+    const download = async () => {
+      const token = await this.getStoredToken();
+      if (!token) {
+        throw new Error('Authentication required');
+      }
+      return FileSystem.downloadAsync(url, fileUri, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+    };
+
+    let result = await download();
+
+    // The access token may have expired; refresh it once and try again
+    if (result.status === 401 && await this.refreshAccessToken()) {
+      result = await download();
+    }
+
+    if (result.status !== 200) {
+      await FileSystem.deleteAsync(fileUri, { idempotent: true });
+      throw new Error(`Failed to download your data (status ${result.status})`);
+    }
+
+    return result.uri;
+  }
+
+  static async getAccountDeletionStatus() {
+    return this.request<{
+      success: boolean;
+      data: {
+        pending: boolean;
+        requestedAt: string | null;
+        scheduledFor: string | null;
+        coolingOffDays: number;
+      };
+    }>('/users/me/deletion');
+  }
+
+  static async requestAccountDeletion(password: string) {
+    return this.request<{
+      success: boolean;
+      message: string;
+      data: {
+        pending: boolean;
+        requestedAt: string | null;
+        scheduledFor: string | null;
+        coolingOffDays: number;
+      };
+    }>('/users/me/deletion', {
+      method: 'POST',
+      body: JSON.stringify({ password }),
+    });
+  }
+
+  static async cancelAccountDeletion() {
+    return this.request<{
+      success: boolean;
+      message: string;
+      data: {
+        pending: boolean;
+        requestedAt: string | null;
+        scheduledFor: string | null;
+        coolingOffDays: number;
+      };
+    }>('/users/me/deletion', {
+      method: 'DELETE',
+    });
+  }
+
+  static async getMyStrikes() {
+    return this.request<{
+      success: boolean;
+      data: StrikeStatus;
+    }>('/users/me/strikes');
+  }
+
+  // Let the server push notifications (e.g. check-in reminders) to this device
+  static async registerPushToken(token: string, platform: string) {
+    return this.request<{
+      success: boolean;
+      message: string;
+    }>('/users/push-tokens', {
+      method: 'POST',
+      body: JSON.stringify({ token, platform }),
+    });
+  }
+
+  static async unregisterPushToken(token: string) {
+    return this.request<{
+      success: boolean;
+      message: string;
+    }>('/users/push-tokens', {
+      method: 'DELETE',
+      body: JSON.stringify({ token }),
+    });
+  }
+
   static async getProfile() {
     return this.request<{
       success: boolean;
@@ -682,6 +1192,78 @@ export class ApiService {
     }>('/auth/profile');
   }
 
+  // Two-factor authentication (staff accounts)
+  static async getTwoFactorStatus() {
+    return this.request<{
+      success: boolean;
+      data: {
+        enabled: boolean;
+        required: boolean;
+        enabledAt: string | null;
+        recoveryCodesRemaining: number;
+      };
+    }>('/auth/2fa/status');
+  }
+
+  static async setupTwoFactor() {
+    return this.request<{
+      success: boolean;
+      message: string;
+      data: {
+        secret: string;
+        otpauthUrl: string;
+        qrCode: string;
+      };
+    }>('/auth/2fa/setup', {
+      method: 'POST',
+    });
+  }
+
+  static async enableTwoFactor(code: string) {
+    return this.request<{
+      success: boolean;
+      message: string;
+      data: {
+        recoveryCodes: string[];
+      };
+    }>('/auth/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  static async disableTwoFactor(password: string, code: string) {
+    return this.request<{
+      success: boolean;
+      message: string;
+    }>('/auth/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify({ password, code }),
+    });
+  }
+
+  static async regenerateRecoveryCodes(code: string) {
+    return this.request<{
+      success: boolean;
+      message: string;
+      data: {
+        recoveryCodes: string[];
+      };
+    }>('/auth/2fa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  }
+
+  static async resendVerificationEmail() {
+    return this.request<{
+      success: boolean;
+      message: string;
+    }>('/auth/resend-verification', {
+      method: 'POST',
+    });
+  }
+
   static async acceptTerms() {
     return this.request<{
       success: boolean;
@@ -786,6 +1368,28 @@ export class ApiService {
     });
   }
 
+  // Forgot password: email a one-time reset code
+  static async requestPasswordReset(email: string) {
+    return this.request<{
+      success: boolean;
+      message: string;
+    }>('/auth/password-reset/request', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  }
+
+  // Forgot password: set a new password using the emailed code
+  static async confirmPasswordReset(email: string, token: string, newPassword: string) {
+    return this.request<{
+      success: boolean;
+      message: string;
+    }>('/auth/password-reset/confirm', {
+      method: 'POST',
+      body: JSON.stringify({ email, token, newPassword }),
+    });
+  }
+
   // Vehicle endpoints
   private static readonly VEHICLE_CACHE_TTL = 2 * 60 * 1000; // 2 minutes
 
@@ -1009,7 +1613,8 @@ export class ApiService {
     }>('/parking/locations', {}, true); // Use cache
   }
 
-  static async getParkingSpots(areaId: number, vehicleType?: string, includeAll?: boolean) {
+  // Pass a schedule to get the spots that are free for that whole window instead of right now
+  static async getParkingSpots(areaId: number, vehicleType?: string, includeAll?: boolean, schedule?: BookingSchedule) {
     const query = new URLSearchParams();
     if (vehicleType) {
       query.append('vehicleType', vehicleType);
@@ -1017,6 +1622,10 @@ export class ApiService {
     if (includeAll) {
       query.append('includeAll', 'true');
     }
+    if (schedule) {
+      query.append('startTime', schedule.startTime);
+      query.append('endTime', schedule.endTime);
+    }
 
     const queryString = query.toString();
     const url = queryString
@@ -1053,8 +1662,8 @@ export class ApiService {
     }>(`/parking-areas/areas/${areaId}/spots-status`);
   }
 
-  static async bookParkingSpot(vehicleId: number, spotId: number, areaId: number) {
-    const result = await this.request<{
+  static async bookParkingSpot(vehicleId: number, spotId: number, areaId: number, schedule?: BookingSchedule) {
+    const result = await this.idempotentPost<{
       success: boolean;
       message: string;
       data: {
@@ -1068,16 +1677,16 @@ export class ApiService {
           spotNumber: string;
           spotType: string;
           startTime: string;
+          scheduledStartTime: string | null;
+          scheduledEndTime: string | null;
           status: string;
         };
       };
     }>('/parking-areas/book', {
-      method: 'POST',
-      body: JSON.stringify({
-        vehicleId,
-        spotId,
-        areaId
-      }),
+      vehicleId,
+      spotId,
+      areaId,
+      ...schedule
     });
     
     // Invalidate related caches after successful booking
@@ -1257,6 +1866,9 @@ export class ApiService {
         };
         timestamps: {
           bookingTime: string;
+          scheduledStartTime?: string | null;
+          scheduledEndTime?: string | null;
+          intendedEndTime?: string | null;
           startTime: string | null;
           endTime: string | null;
         };
@@ -1276,6 +1888,19 @@ export class ApiService {
           totalChargedMinutes: number;
           breakdown: string;
         } | null;
+        gracePeriod?: {
+          minutes: number;
+          startsAt: string;
+          expiresAt: string;
+        } | null;
+        cancellation?: {
+          free: boolean;
+          freeUntil: string | null;
+          policy: 'fee' | 'strike' | 'none';
+          feeHours: number;
+          latePolicy: 'fee' | 'strike' | 'none';
+          lateFeeHours: number;
+        } | null;
       };
     }>(endpoint, {}, 0, onRevalidate); // 0s stale time = always revalidate
   }
@@ -1305,6 +1930,9 @@ export class ApiService {
           };
           timestamps: {
             bookingTime: string;
+            scheduledStartTime?: string | null;
+            scheduledEndTime?: string | null;
+            intendedEndTime?: string | null;
             startTime: string;
           };
           bookingStatus: string;
@@ -1314,6 +1942,204 @@ export class ApiService {
     }>('/parking-areas/my-bookings', {}, 0, onRevalidate); // 0s stale time = always revalidate
   }
 
+  // Driver cancels their own scheduled or reserved booking; late cancellations may cost hours or a strike
+  static async cancelBooking(reservationId: number) {
+    const result = await this.request<{
+      success: boolean;
+      message: string;
+      data: {
+        reservationId: number;
+        status: string;
+        free: boolean;
+        policy: 'fee' | 'strike' | 'none';
+        feeHours: number;
+        deductedHours: number;
+        penaltyHours: number;
+        strike: boolean;
+      };
+    }>(`/parking-areas/booking/${reservationId}/cancel`, {
+      method: 'POST',
+    });
+
+    if (result.success) {
+      this.invalidateSWRCache('/parking-areas/my-bookings');
+      this.invalidateSWRCache('/history');
+      this.invalidateSWRCache('/subscriptions');
+    }
+
+    return result;
+  }
+
+  // Set or push back when the driver plans to leave; rejected if the remaining hours don't cover it
+  static async extendParkingSession(reservationId: number, endTime: string) {
+    const result = await this.request<{
+      success: boolean;
+      message: string;
+      data: {
+        reservationId: number;
+        intendedEndTime: string;
+        previousEndTime: string | null;
+        plannedHours: number;
+        balanceHours: number;
+      };
+    }>(`/parking-areas/booking/${reservationId}/extend`, {
+      method: 'POST',
+      body: JSON.stringify({ endTime }),
+    });
+
+    if (result.success) {
+      this.invalidateSWRCache(`/parking-areas/booking/${reservationId}`);
+      this.invalidateSWRCache('/parking-areas/my-bookings');
+    }
+
+    return result;
+  }
+
+  // Waitlist for full areas: freed spots are held for the longest-waiting driver for a few minutes
+  static async joinWaitlist(areaId: number, vehicleId: number, sectionId?: number) {
+    return this.request<{
+      success: boolean;
+      message: string;
+      data: WaitlistEntry;
+    }>('/parking-areas/waitlist', {
+      method: 'POST',
+      body: JSON.stringify({ areaId, vehicleId, sectionId }),
+    });
+  }
+
+  static async getMyWaitlist() {
+    return this.request<{
+      success: boolean;
+      data: {
+        entries: WaitlistEntry[];
+        offerMinutes: number;
+      };
+    }>('/parking-areas/waitlist');
+  }
+
+  static async acceptWaitlistOffer(waitlistId: number) {
+    const result = await this.request<{
+      success: boolean;
+      message: string;
+      data: {
+        reservationId: number;
+        qrKey: string;
+        bookingDetails: {
+          reservationId: number;
+          vehiclePlate: string;
+          vehicleType: string;
+          vehicleBrand: string;
+          areaName: string;
+          areaLocation: string;
+          spotNumber: string;
+          spotType: string;
+          startTime: string | null;
+          status: string;
+        };
+      };
+    }>(`/parking-areas/waitlist/${waitlistId}/accept`, {
+      method: 'POST',
+    });
+
+    if (result.success) {
+      this.invalidateSWRCache('/parking-areas/my-bookings');
+      this.invalidateSWRCache('/history');
+    }
+
+    return result;
+  }
+
+  // Weekly booking rules; the server books their upcoming days as scheduled bookings
+  static async getRecurringBookings() {
+    return this.request<{
+      success: boolean;
+      data: {
+        rules: RecurringBooking[];
+        daysAhead: number;
+      };
+    }>('/parking-areas/recurring-bookings');
+  }
+
+  static async createRecurringBooking(rule: {
+    vehicleId: number;
+    areaId: number;
+    daysOfWeek: number[];
+    startTime: string;
+    endTime: string;
+    spotId?: number;
+    sectionId?: number;
+  }) {
+    const result = await this.request<{
+      success: boolean;
+      message: string;
+      data: RecurringBooking;
+    }>('/parking-areas/recurring-bookings', {
+      method: 'POST',
+      body: JSON.stringify(rule),
+    });
+
+    if (result.success) {
+      this.invalidateSWRCache('/parking-areas/my-bookings');
+    }
+
+    return result;
+  }
+
+  static async skipRecurringBooking(recurringId: number, date: string) {
+    const result = await this.request<{
+      success: boolean;
+      message: string;
+      data: {
+        recurringId: number;
+        date: string;
+        status: string;
+        cancelledReservationId: number | null;
+      };
+    }>(`/parking-areas/recurring-bookings/${recurringId}/skip`, {
+      method: 'POST',
+      body: JSON.stringify({ date }),
+    });
+
+    if (result.success) {
+      this.invalidateSWRCache('/parking-areas/my-bookings');
+    }
+
+    return result;
+  }
+
+  static async stopRecurringBooking(recurringId: number) {
+    const result = await this.request<{
+      success: boolean;
+      message: string;
+      data: {
+        recurringId: number;
+        status: string;
+        cancelledBookings: number;
+      };
+    }>(`/parking-areas/recurring-bookings/${recurringId}`, {
+      method: 'DELETE',
+    });
+
+    if (result.success) {
+      this.invalidateSWRCache('/parking-areas/my-bookings');
+    }
+
+    return result;
+  }
+
+  static async leaveWaitlist(waitlistId: number) {
+    return this.request<{
+      success: boolean;
+      message: string;
+      data: {
+        waitlistId: number;
+        status: string;
+      };
+    }>(`/parking-areas/waitlist/${waitlistId}`, {
+      method: 'DELETE',
+    });
+  }
+
   static async endParkingSession(reservationId: number) {
     const result = await this.request<{
       success: boolean;
@@ -1414,27 +2240,26 @@ export class ApiService {
         plan_name: string;
         cost: number;
         number_of_hours: number;
+        validity_days: number | null;
         description: string;
       }>;
     }>('/subscriptions/plans');
   }
 
   static async purchaseSubscription(planId: number, paymentMethodId: number) {
-    return this.request<{
+    return this.idempotentPost<{
       success: boolean;
       message: string;
       data: {
         plan_name: string;
         hours_added: number;
         cost: number;
+        expires_at: string | null;
         total_hours_remaining: number;
       };
     }>('/subscriptions/purchase', {
-      method: 'POST',
-      body: JSON.stringify({
-        plan_id: planId,
-        payment_method_id: paymentMethodId
-      })
+      plan_id: planId,
+      payment_method_id: paymentMethodId
     });
   }
 
@@ -1446,9 +2271,14 @@ export class ApiService {
         total_hours_used: number;
         active_subscriptions: number;
         user_hour_balance: number;
+        next_expiry: {
+          expires_at: string;
+          hours_remaining: number;
+        } | null;
         subscriptions: Array<{
           subscription_id: number;
           purchase_date: string;
+          expires_at: string | null;
           hours_remaining: number;
           hours_used: number;
           plan_name: string;
@@ -1518,6 +2348,7 @@ export class ApiService {
           section: string;
           occupantName?: string;
           plateNumber?: string;
+          overstay?: SlotOverstay | null;
         }>;
       };
     }>('/attendant/parking-slots');
@@ -1824,7 +2655,23 @@ export class ApiService {
   }
 
   // PayPal Payment Methods
-  static async createPayPalOrder(planId: number) {
+  // What a promo code takes off one plan, or off every plan it applies to; fails with the reason it can't be used
+  static async validatePromoCode(code: string, planId?: number) {
+    return this.request<{
+      success: boolean;
+      data: {
+        code: string;
+        description: string | null;
+        discount_type: 'percent' | 'fixed' | 'bonus_hours';
+        plans: PromoQuote[];
+      };
+    }>('/promo-codes/validate', {
+      method: 'POST',
+      body: JSON.stringify({ code, plan_id: planId }),
+    });
+  }
+
+  static async createPayPalOrder(planId: number, promoCode?: string) {
     return this.request<{
       success: boolean;
       data: {
@@ -1836,29 +2683,36 @@ export class ApiService {
           cost: number;
           hours: number;
         };
+        promo: {
+          code: string;
+          original_amount: number;
+          discount_amount: number;
+          bonus_hours: number;
+          amount: number;
+        } | null;
       };
     }>('/paypal/create-order', {
       method: 'POST',
-      body: JSON.stringify({ plan_id: planId }),
+      body: JSON.stringify({ plan_id: planId, promo_code: promoCode }),
     });
   }
 
   static async capturePayPalOrder(orderId: string) {
-    return this.request<{
+    return this.idempotentPost<{
       success: boolean;
       message: string;
       data: {
+        // Set while PayPal is still reviewing the payment; the subscription is activated once it completes
+        pending?: boolean;
         plan_name: string;
         hours_added: number;
+        promo_code: string | null;
         cost: number;
         total_hours_remaining: number;
         orderId: string;
         captureId: string;
       };
-    }>('/paypal/capture-order', {
-      method: 'POST',
-      body: JSON.stringify({ orderId }),
-    });
+    }>('/paypal/capture-order', { orderId });
   }
 
   static async cancelPayPalOrder(orderId: string) {
@@ -1888,6 +2742,64 @@ export class ApiService {
     }>(`/paypal/transaction/${orderId}`);
   }
 
+  // Auto-renew Methods
+  static async getAutoRenewal() {
+    return this.request<{
+      success: boolean;
+      data: {
+        auto_renewal: AutoRenewal | null;
+        default_hours_threshold: number;
+        retry_hours: number[];
+      };
+    }>('/subscriptions/auto-renew');
+  }
+
+  // Returns the PayPal page where the driver agrees to renewal charges; call confirmAutoRenewal afterwards
+  static async enableAutoRenewal(planId: number, hoursThreshold?: number) {
+    return this.request<{
+      success: boolean;
+      data: {
+        setupTokenId: string;
+        approvalUrl: string;
+      };
+    }>('/subscriptions/auto-renew', {
+      method: 'POST',
+      body: JSON.stringify({ plan_id: planId, hours_threshold: hoursThreshold }),
+    });
+  }
+
+  static async confirmAutoRenewal(setupTokenId: string) {
+    return this.request<{
+      success: boolean;
+      message: string;
+      data: AutoRenewal;
+    }>('/subscriptions/auto-renew/confirm', {
+      method: 'POST',
+      body: JSON.stringify({ setup_token_id: setupTokenId }),
+    });
+  }
+
+  static async updateAutoRenewal(changes: { planId?: number; hoursThreshold?: number }) {
+    return this.request<{
+      success: boolean;
+      message: string;
+      data: AutoRenewal;
+    }>('/subscriptions/auto-renew', {
+      method: 'PATCH',
+      body: JSON.stringify({ plan_id: changes.planId, hours_threshold: changes.hoursThreshold }),
+    });
+  }
+
+  static async cancelAutoRenewal() {
+    return this.request<{
+      success: boolean;
+      message: string;
+      data: AutoRenewal;
+    }>('/subscriptions/auto-renew', {
+      method: 'DELETE',
+    });
+  }
+
   // Capacity Management Methods
   static async getCapacityStatus(areaId: number) {
     return this.request<{
@@ -0,0 +1,71 @@
+import { Platform } from 'react-native';
+import Constants from 'expo-constants';
+import * as Notifications from 'expo-notifications';
+import ApiService from './api';
+
+// Show notifications such as check-in reminders even while the app is open
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowBanner: true,
+    shouldShowList: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+});
+
+// Token registered for the signed-in user, so it can be removed again on logout
+let registeredToken: string | null = null;
+
+/**
+ * Ask for notification permission and register this device's Expo push token for the signed-in user.
+ * Does nothing on web, without permission, or when the build has no EAS project id to issue tokens for.
+ */
+export async function registerForPushNotifications(): Promise<void> {
+  if (Platform.OS === 'web') {
+    return;
+  }
+
+  try {
+    if (Platform.OS === 'android') {
+      await Notifications.setNotificationChannelAsync('default', {
+        name: 'Default',
+        importance: Notifications.AndroidImportance.HIGH,
+      });
+    }
+
+    let { status } = await Notifications.getPermissionsAsync();
+    if (status !== 'granted') {
+      ({ status } = await Notifications.requestPermissionsAsync());
+    }
+    if (status !== 'granted') {
+      return;
+    }
+
+    const projectId = Constants.expoConfig?.extra?.eas?.projectId ?? Constants.easConfig?.projectId;
+    if (!projectId) {
+      console.log('🔔 No EAS project id configured, push notifications are disabled');
+      return;
+    }
+
+    const { data: token } = await Notifications.getExpoPushTokenAsync({ projectId });
+    await ApiService.registerPushToken(token, Platform.OS);
+    registeredToken = token;
+  } catch (error) {
+    console.log('🔔 Push notification registration failed:', error);
+  }
+}
+
+// Stop pushing to this device; call before the session token is cleared
+export async function unregisterPushNotifications(): Promise<void> {
+  if (!registeredToken) {
+    return;
+  }
+
+  try {
+    await ApiService.unregisterPushToken(registeredToken);
+  } catch (error) {
+    console.log('🔔 Push token removal failed:', error);
+  } finally {
+    registeredToken = null;
+  }
+}